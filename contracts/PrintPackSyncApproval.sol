@@ -4,8 +4,53 @@ pragma solidity ^0.8.0;
 /**
  * @title PrintPackSyncApproval
  * @dev Smart contract to record product sync approvals for Print & Pack
+ * Only accounts holding the recorder role can record approvals and only accounts
+ * holding the revoker role can deactivate them. Roles are managed by admins.
+ * Approvals can also be signed by the product owner (EIP-712) and relayed by a recorder.
+ * The request type and licence key of an approval can be amended, keeping every prior version.
+ * Admins can pause all writes in an emergency; only the owner can unpause. Ownership is
+ * transferred in two steps so it can never be handed to an address that cannot accept it.
+ * The contract can be deployed directly or behind PrintPackSyncApprovalProxy (ERC-1967),
+ * in which case the owner can upgrade it in place and approvals keep their address.
+ * Admins can copy approvals from an earlier deployment, keeping their original timestamps.
+ * A sync request and a licence key can each have only one active approval at a time.
+ * Approval events carry the keccak256 hash of the approval ID as their first indexed
+ * parameter, so the history of an approval can be read with a single topic filter.
  */
 contract PrintPackSyncApproval {
+    // Version of this implementation, reported by version()
+    string public constant CONTRACT_VERSION = "1.0.0";
+    
+    // ERC-1967 implementation slot, keccak256("eip1967.proxy.implementation") - 1
+    bytes32 private constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    
+    // Access control roles
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant RECORDER_ROLE = keccak256("RECORDER_ROLE");
+    bytes32 public constant REVOKER_ROLE = keccak256("REVOKER_ROLE");
+    
+    // Maximum number of approvals accepted by recordApprovals in one transaction
+    uint256 public constant MAX_BATCH_SIZE = 100;
+    
+    // Maximum number of approvals returned by a single paginated view call
+    uint256 public constant MAX_PAGE_SIZE = 100;
+    
+    // EIP-712 domain and typed data for approvals signed by the product owner
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 public constant SYNC_APPROVAL_TYPEHASH = keccak256(
+        "SyncApproval(string approvalId,string requestId,string requesterId,string ownerId,string requestType,string licenceKey,uint256 validUntil,address owner,uint256 nonce,uint256 deadline)"
+    );
+    string public constant DOMAIN_NAME = "PrintPackSyncApproval";
+    string public constant DOMAIN_VERSION = "1";
+    
+    // Reason codes for deactivating an approval
+    enum RevocationReason { None, OwnerRevoked, LicenceExpired, PolicyViolation, SecurityIncident, Other }
+    
+    // Effective status of an approval, taking expiry and revocation into account
+    enum ApprovalStatus { NotFound, Active, Expired, Revoked }
+    
     // Struct to store approval data
     struct SyncApproval {
         string requestId;
@@ -15,17 +60,282 @@ contract PrintPackSyncApproval {
         string licenceKey;
         uint256 timestamp;
         bool isActive;
+        uint256 validUntil; // 0 means the approval never expires
+    }
+    
+    // Struct describing an approval to record, used for batch recording
+    struct ApprovalInput {
+        string approvalId;
+        string requestId;
+        string requesterId;
+        string ownerId;
+        string requestType;
+        string licenceKey;
+        uint256 validUntil;
+    }
+    
+    // Struct describing an approval copied from an earlier deployment, used for migration
+    struct MigratedApproval {
+        ApprovalInput approval;
+        uint256 originalTimestamp;
+        bool isActive;
+        bytes32 sourceTransactionHash;
+    }
+    
+    // Struct returned by the paginated views, an approval with its ID and effective status
+    struct ApprovalView {
+        string approvalId;
+        string requestId;
+        string requesterId;
+        string ownerId;
+        string requestType;
+        string licenceKey;
+        uint256 timestamp;
+        bool isActive;
+        uint256 validUntil;
+        ApprovalStatus status;
+    }
+    
+    // Struct to store a Merkle root anchoring a batch of off-chain approvals
+    struct MerkleAnchor {
+        string batchId;
+        uint256 leafCount;
+        address anchoredBy;
+        uint256 anchoredAt;
+    }
+    
+    // Struct to store a superseded version of an amended approval
+    struct ApprovalVersion {
+        string requestType;
+        string licenceKey;
+        uint256 effectiveFrom;
+        uint256 supersededAt;
+        address supersededBy;
+        string amendmentReason;
+    }
+    
+    // Struct to store why, when and by whom an approval was deactivated
+    struct Revocation {
+        RevocationReason reasonCode;
+        string reason;
+        address revokedBy;
+        uint256 revokedAt;
     }
     
+    // Account that can unpause the contract and always manage roles
+    address public owner;
+    
+    // Account proposed as the next owner, until it accepts ownership
+    address public pendingOwner;
+    
+    // Whether writes are frozen
+    bool public paused;
+    
+    // Whether owner and roles have been set up (by the constructor, or by initialize behind a proxy)
+    bool private initialized;
+    
+    // Address of this implementation, to tell direct calls from calls through a proxy
+    address private immutable self;
+    
     // Mapping from approval ID to SyncApproval
     mapping(string => SyncApproval) public approvals;
     
+    // Mapping from approval ID to Revocation (only set once deactivated)
+    mapping(string => Revocation) private revocations;
+    
+    // Mapping from approval ID to its superseded versions, oldest first (empty if never amended)
+    mapping(string => ApprovalVersion[]) private approvalVersions;
+    
+    // Mapping from Merkle root to its anchor (anchoredAt is 0 if never anchored)
+    mapping(bytes32 => MerkleAnchor) private merkleAnchors;
+    
+    // Mapping from approval ID to the owner address that signed it (zero if recorded without a signature)
+    mapping(string => address) private approvalSigners;
+    
+    // Mapping from owner address to the nonce expected in its next signed approval
+    mapping(address => uint256) public nonces;
+    
     // Array to store all approval IDs
     string[] public approvalIds;
     
+    // Mapping from owner ID to the IDs of its approvals, in recording order
+    mapping(string => string[]) private ownerApprovalIds;
+    
+    // Mapping from requester ID to the IDs of its approvals, in recording order
+    mapping(string => string[]) private requesterApprovalIds;
+    
+    // Mapping from role to account to whether the account holds the role
+    mapping(bytes32 => mapping(address => bool)) private roles;
+    
+    // Mapping from role to all accounts holding it
+    mapping(bytes32 => address[]) private roleMembers;
+    
+    // Mapping from role to account to its position in roleMembers (1-based, 0 if not a member)
+    mapping(bytes32 => mapping(address => uint256)) private roleMemberIndex;
+    
+    // Mapping from sync request ID to its active approval, or its latest one if none is active
+    mapping(string => string) private requestApprovalIds;
+    
+    // Mapping from licence key to the approval it was last granted to (the key may since have been amended away)
+    mapping(string => string) private licenceKeyApprovalIds;
+    
     // Events
-    event ApprovalRecorded(string approvalId, string requesterId, string ownerId, string requestType, uint256 timestamp);
-    event ApprovalDeactivated(string approvalId, uint256 timestamp);
+    // The *Hash parameters are keccak256 hashes of the string IDs, which are repeated in clear for decoding
+    event ApprovalRecorded(
+        bytes32 indexed approvalIdHash,
+        bytes32 indexed ownerIdHash,
+        bytes32 indexed requesterIdHash,
+        string approvalId,
+        string requestId,
+        string requesterId,
+        string ownerId,
+        string requestType,
+        string licenceKey,
+        address recorder,
+        uint256 timestamp
+    );
+    event ApprovalSkipped(bytes32 indexed approvalIdHash, string approvalId, string reason);
+    event ApprovalMigrated(
+        bytes32 indexed approvalIdHash,
+        string approvalId,
+        address indexed sourceContract,
+        bytes32 sourceTransactionHash,
+        uint256 originalTimestamp
+    );
+    event ApprovalAmended(
+        bytes32 indexed approvalIdHash,
+        string approvalId,
+        uint256 version,
+        string oldRequestType,
+        string newRequestType,
+        string oldLicenceKey,
+        string newLicenceKey,
+        string reason,
+        address amendedBy,
+        uint256 timestamp
+    );
+    event ApprovalDeactivated(
+        bytes32 indexed approvalIdHash,
+        string approvalId,
+        RevocationReason reasonCode,
+        string reason,
+        address revokedBy,
+        uint256 timestamp
+    );
+    event ApprovalSigned(bytes32 indexed approvalIdHash, string approvalId, address indexed signer, address relayer);
+    event MerkleRootAnchored(bytes32 indexed root, string batchId, uint256 leafCount, address anchoredBy, uint256 timestamp);
+    event Upgraded(address indexed implementation);
+    event Paused(address account);
+    event Unpaused(address account);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    
+    /**
+     * @dev Restrict a function to accounts holding the given role
+     * @param role The required role
+     */
+    modifier onlyRole(bytes32 role) {
+        require(roles[role][msg.sender], "Caller is missing required role");
+        _;
+    }
+    
+    /**
+     * @dev Restrict a function to the contract owner
+     */
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner");
+        _;
+    }
+    
+    /**
+     * @dev Restrict a function to admins and the contract owner
+     */
+    modifier onlyAdminOrOwner() {
+        require(roles[ADMIN_ROLE][msg.sender] || msg.sender == owner, "Caller is missing required role");
+        _;
+    }
+    
+    /**
+     * @dev Reject the call while the contract is paused
+     */
+    modifier whenNotPaused() {
+        require(!paused, "Contract is paused");
+        _;
+    }
+    
+    /**
+     * @dev Make the deployer the owner and grant it all roles
+     * Behind a proxy this only sets up the implementation's own storage, which also stops
+     * anyone from initializing the implementation directly; the proxy calls initialize instead.
+     */
+    constructor() {
+        self = address(this);
+        _initialize(msg.sender);
+    }
+    
+    /**
+     * @dev Make the caller the owner and grant it all roles, called once by the proxy on deployment
+     */
+    function initialize() public {
+        _initialize(msg.sender);
+    }
+    
+    /**
+     * @dev Get the version of the implementation
+     * @return The implementation version
+     */
+    function version() public pure returns (string memory) {
+        return CONTRACT_VERSION;
+    }
+    
+    /**
+     * @dev Get the address of the code in use
+     * @return The proxy's implementation, or this contract's address if it was deployed without a proxy
+     */
+    function implementation() public view returns (address) {
+        address current = _getImplementation();
+        return current == address(0) ? address(this) : current;
+    }
+    
+    /**
+     * @dev ERC-1822 check that an implementation can be upgraded to
+     * @return The storage slot holding the implementation address
+     */
+    function proxiableUUID() external view returns (bytes32) {
+        require(address(this) == self, "Must not be called through the proxy");
+        return IMPLEMENTATION_SLOT;
+    }
+    
+    /**
+     * @dev Switch the proxy to a new implementation, keeping all stored approvals
+     * The new implementation must keep the storage layout of this one, scripts/upgrade-contract.js checks it
+     * @param newImplementation Address of the deployed new implementation
+     * @param data Call to run on the new implementation after the switch (e.g. to set up new state), empty for none
+     */
+    function upgradeToAndCall(address newImplementation, bytes memory data) public onlyOwner {
+        require(address(this) != self, "Must be called through the proxy");
+        require(newImplementation.code.length > 0, "Implementation is not a contract");
+        require(
+            PrintPackSyncApproval(newImplementation).proxiableUUID() == IMPLEMENTATION_SLOT,
+            "Implementation is not upgradeable"
+        );
+        
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, newImplementation)
+        }
+        emit Upgraded(newImplementation);
+        
+        if (data.length > 0) {
+            (bool success, bytes memory result) = newImplementation.delegatecall(data);
+            if (!success) {
+                assembly {
+                    revert(add(result, 0x20), mload(result))
+                }
+            }
+        }
+    }
     
     /**
      * @dev Record a new sync approval
@@ -35,6 +345,7 @@ contract PrintPackSyncApproval {
      * @param ownerId ID of the product owner
      * @param requestType Type of request (gcp or excel)
      * @param licenceKey GS1 licence key if applicable
+     * @param validUntil Time after which the approval expires, 0 for no expiry
      */
     function recordApproval(
         string memory approvalId,
@@ -42,44 +353,369 @@ contract PrintPackSyncApproval {
         string memory requesterId,
         string memory ownerId,
         string memory requestType,
-        string memory licenceKey
-    ) public {
-        // Ensure approval ID doesn't exist already
-        require(bytes(approvals[approvalId].requestId).length == 0, "Approval ID already exists");
-        
-        // Create new approval record
-        SyncApproval memory newApproval = SyncApproval({
+        string memory licenceKey,
+        uint256 validUntil
+    ) public onlyRole(RECORDER_ROLE) whenNotPaused {
+        ApprovalInput memory input = ApprovalInput({
+            approvalId: approvalId,
             requestId: requestId,
             requesterId: requesterId,
             ownerId: ownerId,
             requestType: requestType,
             licenceKey: licenceKey,
-            timestamp: block.timestamp,
-            isActive: true
+            validUntil: validUntil
         });
         
-        // Store approval
-        approvals[approvalId] = newApproval;
-        approvalIds.push(approvalId);
+        // Ensure the approval can be recorded
+        string memory validationError = _validateApproval(input);
+        require(bytes(validationError).length == 0, validationError);
         
-        // Emit event
-        emit ApprovalRecorded(approvalId, requesterId, ownerId, requestType, block.timestamp);
+        _storeApproval(input, block.timestamp);
+    }
+    
+    /**
+     * @dev Record a sync approval signed by the product owner (EIP-712)
+     * The owner signs the approval off chain and a recorder relays it, so the record
+     * proves which owner approved rather than only which server key sent it.
+     * @param input Approval to record
+     * @param approvalOwner Address of the product owner that signed the approval
+     * @param deadline Time after which the signature can no longer be used
+     * @param signature EIP-712 signature of the SyncApproval typed data by the owner
+     */
+    function recordSignedApproval(
+        ApprovalInput memory input,
+        address approvalOwner,
+        uint256 deadline,
+        bytes memory signature
+    ) public onlyRole(RECORDER_ROLE) whenNotPaused {
+        require(block.timestamp <= deadline, "Signature has expired");
+        
+        bytes32 digest = keccak256(abi.encodePacked("\x19\x01", domainSeparator(), _hashSyncApproval(input, approvalOwner, nonces[approvalOwner], deadline)));
+        require(approvalOwner != address(0) && _recoverSigner(digest, signature) == approvalOwner, "Invalid owner signature");
+        
+        // Ensure the approval can be recorded
+        string memory validationError = _validateApproval(input);
+        require(bytes(validationError).length == 0, validationError);
+        
+        nonces[approvalOwner]++;
+        approvalSigners[input.approvalId] = approvalOwner;
+        
+        _storeApproval(input, block.timestamp);
+        
+        emit ApprovalSigned(keccak256(bytes(input.approvalId)), input.approvalId, approvalOwner, msg.sender);
+    }
+    
+    /**
+     * @dev Get the EIP-712 domain separator for this contract on the current chain
+     * @return The domain separator
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256(bytes(DOMAIN_NAME)),
+            keccak256(bytes(DOMAIN_VERSION)),
+            block.chainid,
+            address(this)
+        ));
+    }
+    
+    /**
+     * @dev Get the owner address that signed an approval
+     * @param approvalId ID of the approval
+     * @return Signer address, zero if the approval was recorded without an owner signature
+     */
+    function getApprovalSigner(string memory approvalId) public view returns (address) {
+        return approvalSigners[approvalId];
+    }
+    
+    /**
+     * @dev Record several sync approvals in a single transaction
+     * Invalid approvals (e.g. duplicate IDs) are skipped with an ApprovalSkipped event
+     * instead of reverting the whole batch.
+     * @param inputs Approvals to record
+     * @return recorded Whether each approval was recorded, in input order
+     */
+    function recordApprovals(ApprovalInput[] memory inputs) public onlyRole(RECORDER_ROLE) whenNotPaused returns (bool[] memory recorded) {
+        require(inputs.length > 0, "No approvals provided");
+        require(inputs.length <= MAX_BATCH_SIZE, "Too many approvals in batch");
+        
+        recorded = new bool[](inputs.length);
+        
+        for (uint256 i = 0; i < inputs.length; i++) {
+            string memory validationError = _validateApproval(inputs[i]);
+            
+            if (bytes(validationError).length > 0) {
+                emit ApprovalSkipped(keccak256(bytes(inputs[i].approvalId)), inputs[i].approvalId, validationError);
+                continue;
+            }
+            
+            _storeApproval(inputs[i], block.timestamp);
+            recorded[i] = true;
+        }
+        
+        return recorded;
+    }
+    
+    /**
+     * @dev Copy approvals from an earlier deployment, keeping their original timestamp and active state
+     * Approvals that already exist here are skipped with an ApprovalSkipped event, so an interrupted
+     * migration can be replayed. Expired approvals are copied as they are.
+     * @param sourceContract Address of the deployment the approvals are copied from
+     * @param inputs Approvals to copy, with the transaction that recorded each one on the source contract
+     * @return migrated Whether each approval was copied, in input order
+     */
+    function migrateApprovals(
+        address sourceContract,
+        MigratedApproval[] memory inputs
+    ) public onlyRole(ADMIN_ROLE) whenNotPaused returns (bool[] memory migrated) {
+        require(inputs.length > 0, "No approvals provided");
+        require(inputs.length <= MAX_BATCH_SIZE, "Too many approvals in batch");
+        
+        migrated = new bool[](inputs.length);
+        
+        for (uint256 i = 0; i < inputs.length; i++) {
+            ApprovalInput memory input = inputs[i].approval;
+            
+            if (bytes(input.requestId).length == 0) {
+                emit ApprovalSkipped(keccak256(bytes(input.approvalId)), input.approvalId, "Request ID is required");
+                continue;
+            }
+            
+            if (bytes(approvals[input.approvalId].requestId).length > 0) {
+                emit ApprovalSkipped(keccak256(bytes(input.approvalId)), input.approvalId, "Approval ID already exists");
+                continue;
+            }
+            
+            // Earlier deployments did not enforce one active approval per request and licence key
+            string memory conflict = inputs[i].isActive ? _getActiveApprovalConflict(input) : "";
+            if (bytes(conflict).length > 0) {
+                emit ApprovalSkipped(keccak256(bytes(input.approvalId)), input.approvalId, conflict);
+                continue;
+            }
+            
+            _storeApproval(input, inputs[i].originalTimestamp);
+            approvals[input.approvalId].isActive = inputs[i].isActive;
+            
+            emit ApprovalMigrated(keccak256(bytes(input.approvalId)), input.approvalId, sourceContract, inputs[i].sourceTransactionHash, inputs[i].originalTimestamp);
+            migrated[i] = true;
+        }
+        
+        return migrated;
     }
     
     /**
      * @dev Deactivate an existing approval
      * @param approvalId ID of the approval to deactivate
+     * @param reasonCode Why the approval is being deactivated
+     * @param reason Free-text explanation of the revocation
      */
-    function deactivateApproval(string memory approvalId) public {
+    function deactivateApproval(
+        string memory approvalId,
+        RevocationReason reasonCode,
+        string memory reason
+    ) public onlyRole(REVOKER_ROLE) whenNotPaused {
         // Ensure approval exists and is active
         require(bytes(approvals[approvalId].requestId).length > 0, "Approval does not exist");
         require(approvals[approvalId].isActive, "Approval is already inactive");
+        require(reasonCode != RevocationReason.None, "Revocation reason is required");
         
-        // Deactivate approval
+        // Deactivate approval and record the revocation
         approvals[approvalId].isActive = false;
+        revocations[approvalId] = Revocation({
+            reasonCode: reasonCode,
+            reason: reason,
+            revokedBy: msg.sender,
+            revokedAt: block.timestamp
+        });
         
         // Emit event
-        emit ApprovalDeactivated(approvalId, block.timestamp);
+        emit ApprovalDeactivated(keccak256(bytes(approvalId)), approvalId, reasonCode, reason, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Amend the request type and licence key of an active approval
+     * The current values are kept as a prior version, so the full history stays on chain.
+     * Approvals signed by the product owner cannot be amended, the signature covers the original values.
+     * @param approvalId ID of the approval to amend
+     * @param requestType Corrected type of request (gcp or excel)
+     * @param licenceKey Corrected GS1 licence key
+     * @param reason Free-text explanation of the amendment
+     */
+    function amendApproval(
+        string memory approvalId,
+        string memory requestType,
+        string memory licenceKey,
+        string memory reason
+    ) public onlyRole(RECORDER_ROLE) whenNotPaused {
+        SyncApproval storage approval = approvals[approvalId];
+        
+        require(bytes(approval.requestId).length > 0, "Approval does not exist");
+        require(approval.isActive, "Approval is inactive");
+        require(approvalSigners[approvalId] == address(0), "Signed approvals cannot be amended");
+        require(
+            keccak256(bytes(requestType)) != keccak256(bytes(approval.requestType)) ||
+            keccak256(bytes(licenceKey)) != keccak256(bytes(approval.licenceKey)),
+            "No changes to amend"
+        );
+        
+        if (keccak256(bytes(licenceKey)) != keccak256(bytes(approval.licenceKey)) && bytes(licenceKey).length > 0) {
+            require(!_isLicenceKeyInUse(licenceKey), "Licence key already has an active approval");
+            licenceKeyApprovalIds[licenceKey] = approvalId;
+        }
+        
+        ApprovalVersion[] storage versions = approvalVersions[approvalId];
+        
+        // The current version took effect when recorded or when the previous version was superseded
+        uint256 effectiveFrom = versions.length == 0 ? approval.timestamp : versions[versions.length - 1].supersededAt;
+        
+        versions.push(ApprovalVersion({
+            requestType: approval.requestType,
+            licenceKey: approval.licenceKey,
+            effectiveFrom: effectiveFrom,
+            supersededAt: block.timestamp,
+            supersededBy: msg.sender,
+            amendmentReason: reason
+        }));
+        
+        emit ApprovalAmended(
+            keccak256(bytes(approvalId)),
+            approvalId,
+            versions.length + 1,
+            approval.requestType,
+            requestType,
+            approval.licenceKey,
+            licenceKey,
+            reason,
+            msg.sender,
+            block.timestamp
+        );
+        
+        approval.requestType = requestType;
+        approval.licenceKey = licenceKey;
+    }
+    
+    /**
+     * @dev Get the number of versions of an approval, including the current one
+     * @param approvalId ID of the approval
+     * @return Number of versions, 1 if never amended and 0 if the approval does not exist
+     */
+    function getApprovalVersionCount(string memory approvalId) public view returns (uint256) {
+        if (bytes(approvals[approvalId].requestId).length == 0) {
+            return 0;
+        }
+        
+        return approvalVersions[approvalId].length + 1;
+    }
+    
+    /**
+     * @dev Get a version of an approval
+     * @param approvalId ID of the approval
+     * @param versionNumber Version number, from 1 (as recorded) to getApprovalVersionCount (current)
+     * @return requestType Type of request in this version
+     * @return licenceKey GS1 licence key in this version
+     * @return effectiveFrom Time when this version took effect
+     * @return supersededAt Time when this version was amended, 0 for the current version
+     * @return supersededBy Address that amended this version, zero for the current version
+     * @return amendmentReason Why this version was amended, empty for the current version
+     */
+    function getApprovalVersion(string memory approvalId, uint256 versionNumber) public view returns (
+        string memory requestType,
+        string memory licenceKey,
+        uint256 effectiveFrom,
+        uint256 supersededAt,
+        address supersededBy,
+        string memory amendmentReason
+    ) {
+        uint256 versionCount = getApprovalVersionCount(approvalId);
+        require(versionNumber > 0 && versionNumber <= versionCount, "Version does not exist");
+        
+        ApprovalVersion[] storage versions = approvalVersions[approvalId];
+        
+        if (versionNumber == versionCount) {
+            SyncApproval storage approval = approvals[approvalId];
+            effectiveFrom = versions.length == 0 ? approval.timestamp : versions[versions.length - 1].supersededAt;
+            return (approval.requestType, approval.licenceKey, effectiveFrom, 0, address(0), "");
+        }
+        
+        ApprovalVersion storage prior = versions[versionNumber - 1];
+        return (
+            prior.requestType,
+            prior.licenceKey,
+            prior.effectiveFrom,
+            prior.supersededAt,
+            prior.supersededBy,
+            prior.amendmentReason
+        );
+    }
+    
+    /**
+     * @dev Anchor the Merkle root of a batch of approvals kept off chain
+     * @param root Merkle root of the batch (sorted-pair keccak256 tree)
+     * @param batchId Off-chain ID of the batch
+     * @param leafCount Number of approvals in the batch
+     */
+    function anchorMerkleRoot(
+        bytes32 root,
+        string memory batchId,
+        uint256 leafCount
+    ) public onlyRole(RECORDER_ROLE) whenNotPaused {
+        require(root != bytes32(0), "Merkle root is required");
+        require(leafCount > 0, "Batch must not be empty");
+        require(merkleAnchors[root].anchoredAt == 0, "Merkle root already anchored");
+        
+        merkleAnchors[root] = MerkleAnchor({
+            batchId: batchId,
+            leafCount: leafCount,
+            anchoredBy: msg.sender,
+            anchoredAt: block.timestamp
+        });
+        
+        emit MerkleRootAnchored(root, batchId, leafCount, msg.sender, block.timestamp);
+    }
+    
+    /**
+     * @dev Get the anchor of a Merkle root
+     * @param root Merkle root to look up
+     * @return batchId Off-chain ID of the batch
+     * @return leafCount Number of approvals in the batch
+     * @return anchoredBy Address that anchored the root
+     * @return anchoredAt Time when the root was anchored, 0 if never anchored
+     */
+    function getMerkleAnchor(bytes32 root) public view returns (
+        string memory batchId,
+        uint256 leafCount,
+        address anchoredBy,
+        uint256 anchoredAt
+    ) {
+        MerkleAnchor memory anchor = merkleAnchors[root];
+        return (anchor.batchId, anchor.leafCount, anchor.anchoredBy, anchor.anchoredAt);
+    }
+    
+    /**
+     * @dev Verify that a leaf is included in an anchored Merkle root
+     * @param root Anchored Merkle root
+     * @param leaf Leaf hash of the approval
+     * @param proof Sibling hashes from the leaf up to the root
+     * @return Whether the root is anchored and the proof is valid
+     */
+    function verifyMerkleProof(
+        bytes32 root,
+        bytes32 leaf,
+        bytes32[] memory proof
+    ) public view returns (bool) {
+        if (merkleAnchors[root].anchoredAt == 0) {
+            return false;
+        }
+        
+        bytes32 computedHash = leaf;
+        for (uint256 i = 0; i < proof.length; i++) {
+            // Pairs are hashed in sorted order so the proof needs no left/right flags
+            computedHash = computedHash <= proof[i]
+                ? keccak256(abi.encodePacked(computedHash, proof[i]))
+                : keccak256(abi.encodePacked(proof[i], computedHash));
+        }
+        
+        return computedHash == root;
     }
     
     /**
@@ -114,6 +750,67 @@ contract PrintPackSyncApproval {
         );
     }
     
+    /**
+     * @dev Get the approval of a sync request
+     * @param requestId The sync request ID
+     * @return The active approval of the request, or its latest approval if none is active
+     */
+    function getApprovalByRequestId(string memory requestId) public view returns (ApprovalView memory) {
+        string memory approvalId = requestApprovalIds[requestId];
+        require(bytes(approvalId).length > 0, "No approval for this request");
+        return _toView(approvalId);
+    }
+    
+    /**
+     * @dev Get the effective status of an approval
+     * @param approvalId ID of the approval
+     * @return status NotFound, Active, Expired or Revoked
+     * @return validUntil Time after which the approval expires, 0 for no expiry
+     */
+    function getApprovalStatus(string memory approvalId) public view returns (
+        ApprovalStatus status,
+        uint256 validUntil
+    ) {
+        SyncApproval storage approval = approvals[approvalId];
+        
+        if (bytes(approval.requestId).length == 0) {
+            return (ApprovalStatus.NotFound, 0);
+        }
+        
+        if (!approval.isActive) {
+            return (ApprovalStatus.Revoked, approval.validUntil);
+        }
+        
+        if (approval.validUntil != 0 && approval.validUntil <= block.timestamp) {
+            return (ApprovalStatus.Expired, approval.validUntil);
+        }
+        
+        return (ApprovalStatus.Active, approval.validUntil);
+    }
+    
+    /**
+     * @dev Get revocation details of a deactivated approval
+     * @param approvalId ID of the approval
+     * @return reasonCode Why the approval was deactivated (None if still active)
+     * @return reason Free-text explanation of the revocation
+     * @return revokedBy Address that deactivated the approval
+     * @return revokedAt Time when the approval was deactivated
+     */
+    function getRevocation(string memory approvalId) public view returns (
+        RevocationReason reasonCode,
+        string memory reason,
+        address revokedBy,
+        uint256 revokedAt
+    ) {
+        Revocation memory revocation = revocations[approvalId];
+        return (
+            revocation.reasonCode,
+            revocation.reason,
+            revocation.revokedBy,
+            revocation.revokedAt
+        );
+    }
+    
     /**
      * @dev Get total number of approvals
      * @return Total number of approvals recorded
@@ -131,4 +828,353 @@ contract PrintPackSyncApproval {
         require(index < approvalIds.length, "Index out of bounds");
         return approvalIds[index];
     }
+    
+    /**
+     * @dev Get a page of all approvals in recording order
+     * @param offset Number of approvals to skip
+     * @param limit Maximum number of approvals to return (at most MAX_PAGE_SIZE)
+     * @return page Approvals in the page
+     * @return total Total number of approvals
+     */
+    function getApprovalsPage(uint256 offset, uint256 limit) public view returns (
+        ApprovalView[] memory page,
+        uint256 total
+    ) {
+        return _getPage(approvalIds, offset, limit);
+    }
+    
+    /**
+     * @dev Get a page of the approvals of an owner in recording order
+     * @param ownerId ID of the product owner
+     * @param offset Number of approvals to skip
+     * @param limit Maximum number of approvals to return (at most MAX_PAGE_SIZE)
+     * @return page Approvals in the page
+     * @return total Total number of approvals of the owner
+     */
+    function getApprovalsByOwner(string memory ownerId, uint256 offset, uint256 limit) public view returns (
+        ApprovalView[] memory page,
+        uint256 total
+    ) {
+        return _getPage(ownerApprovalIds[ownerId], offset, limit);
+    }
+    
+    /**
+     * @dev Get a page of the approvals of a requester in recording order
+     * @param requesterId ID of the user requesting sync
+     * @param offset Number of approvals to skip
+     * @param limit Maximum number of approvals to return (at most MAX_PAGE_SIZE)
+     * @return page Approvals in the page
+     * @return total Total number of approvals of the requester
+     */
+    function getApprovalsByRequester(string memory requesterId, uint256 offset, uint256 limit) public view returns (
+        ApprovalView[] memory page,
+        uint256 total
+    ) {
+        return _getPage(requesterApprovalIds[requesterId], offset, limit);
+    }
+    
+    /**
+     * @dev Freeze all writes (recording, amending, deactivating and anchoring approvals)
+     * Any admin can pause, e.g. as soon as a server key is suspected to have leaked
+     */
+    function pause() public onlyAdminOrOwner {
+        require(!paused, "Contract is already paused");
+        
+        paused = true;
+        emit Paused(msg.sender);
+    }
+    
+    /**
+     * @dev Resume writes after a pause
+     * Only the owner can unpause, so a leaked admin key cannot lift an emergency pause
+     */
+    function unpause() public onlyOwner {
+        require(paused, "Contract is not paused");
+        
+        paused = false;
+        emit Unpaused(msg.sender);
+    }
+    
+    /**
+     * @dev Propose a new owner, who must call acceptOwnership to complete the transfer
+     * @param newOwner The proposed owner, or the zero address to cancel a pending transfer
+     */
+    function transferOwnership(address newOwner) public onlyOwner {
+        pendingOwner = newOwner;
+        emit OwnershipTransferStarted(owner, newOwner);
+    }
+    
+    /**
+     * @dev Accept a pending ownership transfer
+     */
+    function acceptOwnership() public {
+        require(msg.sender == pendingOwner, "Caller is not the pending owner");
+        
+        address previousOwner = owner;
+        owner = pendingOwner;
+        pendingOwner = address(0);
+        
+        emit OwnershipTransferred(previousOwner, owner);
+    }
+    
+    /**
+     * @dev Grant a role to an account
+     * @param role The role to grant
+     * @param account The account receiving the role
+     */
+    function grantRole(bytes32 role, address account) public onlyAdminOrOwner {
+        require(role == ADMIN_ROLE || role == RECORDER_ROLE || role == REVOKER_ROLE, "Unknown role");
+        require(account != address(0), "Invalid account");
+        require(!roles[role][account], "Account already has role");
+        
+        _grantRole(role, account);
+    }
+    
+    /**
+     * @dev Revoke a role from an account
+     * @param role The role to revoke
+     * @param account The account losing the role
+     */
+    function revokeRole(bytes32 role, address account) public onlyAdminOrOwner {
+        require(roles[role][account], "Account does not have role");
+        
+        // Never leave the contract without an admin
+        if (role == ADMIN_ROLE) {
+            require(roleMembers[ADMIN_ROLE].length > 1, "Cannot revoke the last admin");
+        }
+        
+        _revokeRole(role, account);
+    }
+    
+    /**
+     * @dev Check whether an account holds a role
+     * @param role The role to check
+     * @param account The account to check
+     * @return Whether the account holds the role
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return roles[role][account];
+    }
+    
+    /**
+     * @dev Get all accounts holding a role
+     * @param role The role to list
+     * @return Accounts holding the role
+     */
+    function getRoleMembers(bytes32 role) public view returns (address[] memory) {
+        return roleMembers[role];
+    }
+    
+    function _initialize(address initialOwner) private {
+        require(!initialized, "Contract is already initialized");
+        initialized = true;
+        
+        owner = initialOwner;
+        emit OwnershipTransferred(address(0), initialOwner);
+        
+        _grantRole(ADMIN_ROLE, initialOwner);
+        _grantRole(RECORDER_ROLE, initialOwner);
+        _grantRole(REVOKER_ROLE, initialOwner);
+    }
+    
+    function _getImplementation() private view returns (address current) {
+        assembly {
+            current := sload(IMPLEMENTATION_SLOT)
+        }
+    }
+    
+    function _grantRole(bytes32 role, address account) private {
+        roles[role][account] = true;
+        roleMembers[role].push(account);
+        roleMemberIndex[role][account] = roleMembers[role].length;
+        
+        emit RoleGranted(role, account, msg.sender);
+    }
+    
+    function _revokeRole(bytes32 role, address account) private {
+        // Move the last member into the revoked member's slot and shrink the array
+        uint256 index = roleMemberIndex[role][account] - 1;
+        uint256 lastIndex = roleMembers[role].length - 1;
+        
+        if (index != lastIndex) {
+            address lastAccount = roleMembers[role][lastIndex];
+            roleMembers[role][index] = lastAccount;
+            roleMemberIndex[role][lastAccount] = index + 1;
+        }
+        
+        roleMembers[role].pop();
+        delete roleMemberIndex[role][account];
+        roles[role][account] = false;
+        
+        emit RoleRevoked(role, account, msg.sender);
+    }
+    
+    function _validateApproval(ApprovalInput memory input) private view returns (string memory) {
+        if (bytes(input.requestId).length == 0) {
+            return "Request ID is required";
+        }
+        
+        if (bytes(approvals[input.approvalId].requestId).length > 0) {
+            return "Approval ID already exists";
+        }
+        
+        if (input.validUntil != 0 && input.validUntil <= block.timestamp) {
+            return "Expiry must be in the future";
+        }
+        
+        return _getActiveApprovalConflict(input);
+    }
+    
+    function _getActiveApprovalConflict(ApprovalInput memory input) private view returns (string memory) {
+        if (_isActiveApproval(requestApprovalIds[input.requestId])) {
+            return "Request already has an active approval";
+        }
+        
+        if (bytes(input.licenceKey).length > 0 && _isLicenceKeyInUse(input.licenceKey)) {
+            return "Licence key already has an active approval";
+        }
+        
+        return "";
+    }
+    
+    function _isActiveApproval(string memory approvalId) private view returns (bool) {
+        (ApprovalStatus status, ) = getApprovalStatus(approvalId);
+        return status == ApprovalStatus.Active;
+    }
+    
+    function _isLicenceKeyInUse(string memory licenceKey) private view returns (bool) {
+        string memory approvalId = licenceKeyApprovalIds[licenceKey];
+        
+        // The approval may have been amended to another licence key since
+        return _isActiveApproval(approvalId) &&
+            keccak256(bytes(approvals[approvalId].licenceKey)) == keccak256(bytes(licenceKey));
+    }
+    
+    function _getPage(string[] storage ids, uint256 offset, uint256 limit) private view returns (
+        ApprovalView[] memory page,
+        uint256 total
+    ) {
+        require(limit > 0 && limit <= MAX_PAGE_SIZE, "Invalid page size");
+        
+        total = ids.length;
+        if (offset >= total) {
+            return (new ApprovalView[](0), total);
+        }
+        
+        uint256 end = offset + limit > total ? total : offset + limit;
+        page = new ApprovalView[](end - offset);
+        
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = _toView(ids[i]);
+        }
+    }
+    
+    function _toView(string memory approvalId) private view returns (ApprovalView memory approvalView) {
+        SyncApproval storage approval = approvals[approvalId];
+        (ApprovalStatus status, ) = getApprovalStatus(approvalId);
+        
+        approvalView.approvalId = approvalId;
+        approvalView.requestId = approval.requestId;
+        approvalView.requesterId = approval.requesterId;
+        approvalView.ownerId = approval.ownerId;
+        approvalView.requestType = approval.requestType;
+        approvalView.licenceKey = approval.licenceKey;
+        approvalView.timestamp = approval.timestamp;
+        approvalView.isActive = approval.isActive;
+        approvalView.validUntil = approval.validUntil;
+        approvalView.status = status;
+    }
+    
+    function _hashSyncApproval(
+        ApprovalInput memory input,
+        address approvalOwner,
+        uint256 nonce,
+        uint256 deadline
+    ) private pure returns (bytes32) {
+        // Encoded in two parts to stay within the stack limit, the concatenation equals a single abi.encode
+        return keccak256(bytes.concat(
+            abi.encode(
+                SYNC_APPROVAL_TYPEHASH,
+                keccak256(bytes(input.approvalId)),
+                keccak256(bytes(input.requestId)),
+                keccak256(bytes(input.requesterId)),
+                keccak256(bytes(input.ownerId))
+            ),
+            abi.encode(
+                keccak256(bytes(input.requestType)),
+                keccak256(bytes(input.licenceKey)),
+                input.validUntil,
+                approvalOwner,
+                nonce,
+                deadline
+            )
+        ));
+    }
+    
+    function _recoverSigner(bytes32 digest, bytes memory signature) private pure returns (address) {
+        if (signature.length != 65) {
+            return address(0);
+        }
+        
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := mload(add(signature, 0x20))
+            s := mload(add(signature, 0x40))
+            v := byte(0, mload(add(signature, 0x60)))
+        }
+        
+        if (v < 27) {
+            v += 27;
+        }
+        
+        // Reject malleable signatures (upper-half s values)
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
+            return address(0);
+        }
+        
+        return ecrecover(digest, v, r, s);
+    }
+    
+    function _storeApproval(ApprovalInput memory input, uint256 timestamp) private {
+        // Create new approval record
+        approvals[input.approvalId] = SyncApproval({
+            requestId: input.requestId,
+            requesterId: input.requesterId,
+            ownerId: input.ownerId,
+            requestType: input.requestType,
+            licenceKey: input.licenceKey,
+            timestamp: timestamp,
+            isActive: true,
+            validUntil: input.validUntil
+        });
+        approvalIds.push(input.approvalId);
+        ownerApprovalIds[input.ownerId].push(input.approvalId);
+        requesterApprovalIds[input.requesterId].push(input.approvalId);
+        
+        // Keep pointing to an active approval (only migrated approvals can be stored next to one)
+        if (!_isActiveApproval(requestApprovalIds[input.requestId])) {
+            requestApprovalIds[input.requestId] = input.approvalId;
+        }
+        
+        if (bytes(input.licenceKey).length > 0 && !_isLicenceKeyInUse(input.licenceKey)) {
+            licenceKeyApprovalIds[input.licenceKey] = input.approvalId;
+        }
+        
+        // Emit event
+        emit ApprovalRecorded(
+            keccak256(bytes(input.approvalId)),
+            keccak256(bytes(input.ownerId)),
+            keccak256(bytes(input.requesterId)),
+            input.approvalId,
+            input.requestId,
+            input.requesterId,
+            input.ownerId,
+            input.requestType,
+            input.licenceKey,
+            msg.sender,
+            timestamp
+        );
+    }
 }
@@ -0,0 +1,60 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title PrintPackSyncApprovalProxy
+ * @dev ERC-1967 proxy for PrintPackSyncApproval
+ * All calls are delegated to the implementation, so approvals are stored at the proxy's
+ * address and survive upgrades. Upgrades are done by the owner through the implementation's
+ * upgradeToAndCall (UUPS), the proxy itself has no admin functions.
+ */
+contract PrintPackSyncApprovalProxy {
+    // ERC-1967 implementation slot, keccak256("eip1967.proxy.implementation") - 1
+    bytes32 private constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+    
+    event Upgraded(address indexed implementation);
+    
+    /**
+     * @dev Point the proxy at its first implementation and initialize the proxy's storage
+     * @param implementation Address of the deployed PrintPackSyncApproval implementation
+     * @param data Initialization call to run through the proxy (normally initialize())
+     */
+    constructor(address implementation, bytes memory data) {
+        require(implementation.code.length > 0, "Implementation is not a contract");
+        
+        assembly {
+            sstore(IMPLEMENTATION_SLOT, implementation)
+        }
+        emit Upgraded(implementation);
+        
+        if (data.length > 0) {
+            (bool success, bytes memory result) = implementation.delegatecall(data);
+            if (!success) {
+                assembly {
+                    revert(add(result, 0x20), mload(result))
+                }
+            }
+        }
+    }
+    
+    /**
+     * @dev Delegate every call to the current implementation
+     */
+    fallback() external payable {
+        assembly {
+            let implementation := sload(IMPLEMENTATION_SLOT)
+            calldatacopy(0, 0, calldatasize())
+            
+            let result := delegatecall(gas(), implementation, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+}
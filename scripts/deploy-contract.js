@@ -262,7 +262,8 @@ async function seedContract(web3, contract, account) {
         approval.requesterId,
         approval.ownerId,
         approval.requestType,
-        approval.licenceKey
+        approval.licenceKey,
+        0 // No expiry
       ).send({
         from: account,
         gas: 500000 // Set a high gas limit for safety
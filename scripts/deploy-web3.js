@@ -2,8 +2,13 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import Web3 from 'web3';
-import solc from 'solc';
 import dotenv from 'dotenv';
+import {
+  compileContracts,
+  saveContractAbi,
+  readDeploymentManifest,
+  writeDeploymentManifest
+} from './lib/contract-deployment.js';
 
 // Load environment variables
 dotenv.config();
@@ -11,50 +16,58 @@ dotenv.config();
 // Set up file paths
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const contractPath = path.resolve(__dirname, '../contracts/PrintPackSyncApproval.sol');
-const contractSource = fs.readFileSync(contractPath, 'utf8');
 
-async function compileContract() {
-  console.log('Compiling contract...');
-  
-  // Prepare input for solc compiler
-  const input = {
-    language: 'Solidity',
-    sources: {
-      'PrintPackSyncApproval.sol': {
-        content: contractSource
-      }
-    },
-    settings: {
-      outputSelection: {
-        '*': {
-          '*': ['*']
-        }
-      }
-    }
-  };
+// With --proxy the contract is deployed behind PrintPackSyncApprovalProxy so it can be upgraded in place
+const useProxy = process.argv.includes('--proxy');
+const network = process.env.BLOCKCHAIN_NETWORK || 'local';
 
-  // Compile the contract
-  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+/**
+ * Deploy a compiled contract from the given account
+ * 
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} account - Deploying account
+ * @param {Array} abi - Contract ABI
+ * @param {string} bytecode - Contract bytecode
+ * @param {Array} args - Constructor arguments
+ * @returns {Promise<Object>} The deployed contract
+ */
+async function deploy(web3, account, abi, bytecode, args = []) {
+  // Create contract instance
+  const contract = new web3.eth.Contract(abi);
   
-  // Check for errors
-  if (output.errors) {
-    output.errors.forEach(error => {
-      console.error(error.formattedMessage);
-    });
-    
-    if (output.errors.some(error => error.severity === 'error')) {
-      throw new Error('Compilation failed');
-    }
+  // Prepare the contract deployment data
+  const deployData = contract.deploy({
+    data: bytecode,
+    arguments: args
+  });
+  
+  // Get gas price
+  const gasPrice = await web3.eth.getGasPrice();
+  console.log(`Current gas price: ${gasPrice.toString()} wei`);
+  
+  // Estimate gas
+  console.log('Estimating gas...');
+  let gasEstimate;
+  try {
+    gasEstimate = await deployData.estimateGas({ from: account.address });
+    console.log(`Estimated gas: ${gasEstimate}`);
+  } catch (error) {
+    console.warn('Gas estimation failed, using default:', error.message);
+    gasEstimate = 3000000; // Default gas limit
+    console.log(`Using default gas: ${gasEstimate}`);
   }
   
-  // Get contract data
-  const contractOutput = output.contracts['PrintPackSyncApproval.sol']['PrintPackSyncApproval'];
+  // Add 20% buffer to gas estimate
+  // Convert to number first to avoid BigInt mixing issues
+  const gasEstimateNum = Number(gasEstimate);
+  const gasLimit = Math.floor(gasEstimateNum * 1.2);
   
-  return {
-    abi: contractOutput.abi,
-    bytecode: contractOutput.evm.bytecode.object
-  };
+  // Create and send the deployment transaction
+  return deployData.send({
+    from: account.address,
+    gas: gasLimit,
+    gasPrice: gasPrice
+  });
 }
 
 async function deployContract() {
@@ -89,73 +102,66 @@ async function deployContract() {
       throw new Error('Account has no ETH. Please fund your account before deploying.');
     }
     
-    // Compile the contract
-    const { abi, bytecode } = await compileContract();
+    // Compile the contract and its proxy
+    const contracts = compileContracts();
+    const { abi, bytecode, storageLayout } = contracts.PrintPackSyncApproval;
     
     // Save ABI to a file
-    const abiDir = path.resolve(__dirname, '../src/abis');
-    if (!fs.existsSync(abiDir)) {
-      fs.mkdirSync(abiDir, { recursive: true });
-    }
-    fs.writeFileSync(path.join(abiDir, 'PrintPackSyncApproval.json'), JSON.stringify(abi, null, 2));
-    console.log('ABI saved to src/abis/PrintPackSyncApproval.json');
-    
-    // Create contract instance
-    const contract = new web3.eth.Contract(abi);
-    
-    // Prepare the contract deployment data
-    const deployData = contract.deploy({
-      data: bytecode.startsWith('0x') ? bytecode : '0x' + bytecode
-    });
-    
-    // Get gas price
-    const gasPrice = await web3.eth.getGasPrice();
-    console.log(`Current gas price: ${gasPrice.toString()} wei`);
-    
-    // Estimate gas
-    console.log('Estimating gas...');
-    let gasEstimate;
-    try {
-      gasEstimate = await deployData.estimateGas({ from: account.address });
-      console.log(`Estimated gas: ${gasEstimate}`);
-    } catch (error) {
-      console.warn('Gas estimation failed, using default:', error.message);
-      gasEstimate = 3000000; // Default gas limit
-      console.log(`Using default gas: ${gasEstimate}`);
-    }
+    saveContractAbi(abi);
     
     // Deploy the contract
-    console.log('Deploying contract...');
+    console.log(useProxy ? 'Deploying implementation contract...' : 'Deploying contract...');
+    const deployedContract = await deploy(web3, account, abi, bytecode);
     
-    // Add 20% buffer to gas estimate
-    // Convert to number first to avoid BigInt mixing issues
-    const gasEstimateNum = Number(gasEstimate);
-    const gasLimit = Math.floor(gasEstimateNum * 1.2);
+    console.log(`Contract deployed at: ${deployedContract.options.address}`);
     
-    // Create and send the deployment transaction
-    const deployedContract = await deployData.send({
-      from: account.address,
-      gas: gasLimit,
-      gasPrice: gasPrice
-    });
+    let contractAddress = deployedContract.options.address;
     
-    console.log(`Contract deployed at: ${deployedContract.options.address}`);
+    if (useProxy) {
+      if (readDeploymentManifest(network)) {
+        console.warn(`A proxy is already deployed on ${network}, use scripts/upgrade-contract.js to change its implementation. Deploying a new proxy anyway.`);
+      }
+      
+      // The proxy runs initialize() on its own storage, which makes the deployer owner and grants it all roles
+      console.log('Deploying proxy contract...');
+      const initData = web3.eth.abi.encodeFunctionSignature('initialize()');
+      const proxy = await deploy(web3, account, contracts.PrintPackSyncApprovalProxy.abi, contracts.PrintPackSyncApprovalProxy.bytecode, [
+        deployedContract.options.address,
+        initData
+      ]);
+      
+      contractAddress = proxy.options.address;
+      console.log(`Proxy deployed at: ${contractAddress}`);
+      
+      const version = await new web3.eth.Contract(abi, contractAddress).methods.version().call();
+      console.log(`Implementation version: ${version}`);
+      
+      writeDeploymentManifest(network, {
+        network,
+        proxy: contractAddress,
+        implementation: deployedContract.options.address,
+        version,
+        storageLayout,
+        deployedAt: new Date().toISOString(),
+        upgrades: []
+      });
+    }
     
     // Update .env file with contract address
     const envPath = path.resolve(__dirname, '../.env');
     let envContent = fs.readFileSync(envPath, 'utf8');
     
     if (envContent.includes('CONTRACT_ADDRESS=')) {
-      envContent = envContent.replace(/CONTRACT_ADDRESS=.*/, `CONTRACT_ADDRESS=${deployedContract.options.address}`);
+      envContent = envContent.replace(/CONTRACT_ADDRESS=.*/, `CONTRACT_ADDRESS=${contractAddress}`);
     } else {
-      envContent += `\nCONTRACT_ADDRESS=${deployedContract.options.address}`;
+      envContent += `\nCONTRACT_ADDRESS=${contractAddress}`;
     }
     
     fs.writeFileSync(envPath, envContent);
     console.log('Updated CONTRACT_ADDRESS in .env file');
     
     return {
-      address: deployedContract.options.address,
+      address: contractAddress,
       abi
     };
   } catch (error) {
@@ -0,0 +1,225 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import solc from 'solc';
+
+/**
+ * Shared helpers for deploying and upgrading PrintPackSyncApproval behind its proxy
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const rootDir = path.resolve(__dirname, '..', '..');
+const contractsDir = path.join(rootDir, 'contracts');
+const contractFiles = ['PrintPackSyncApproval.sol', 'PrintPackSyncApprovalProxy.sol'];
+
+/**
+ * Compile the approval contract and its proxy
+ * The optimizer and the IR pipeline are required, without them the approval contract exceeds the 24 KB contract size limit
+ *
+ * @returns {Object} abi, bytecode and storageLayout of each contract, keyed by contract name
+ */
+export const compileContracts = () => {
+  console.log('Compiling contracts...');
+  
+  const input = {
+    language: 'Solidity',
+    sources: Object.fromEntries(contractFiles.map(file => [
+      file,
+      { content: fs.readFileSync(path.join(contractsDir, file), 'utf8') }
+    ])),
+    settings: {
+      // Ganache 7 runs the shanghai hardfork and rejects opcodes of later ones (e.g. MCOPY)
+      evmVersion: 'shanghai',
+      optimizer: {
+        enabled: true,
+        runs: 200
+      },
+      viaIR: true,
+      outputSelection: {
+        '*': {
+          '*': ['abi', 'evm.bytecode.object', 'storageLayout']
+        }
+      }
+    }
+  };
+  
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  
+  // Check for errors
+  if (output.errors) {
+    output.errors.forEach(error => {
+      console.error(error.formattedMessage);
+    });
+    
+    if (output.errors.some(error => error.severity === 'error')) {
+      throw new Error('Compilation failed');
+    }
+  }
+  
+  const contracts = {};
+  for (const file of contractFiles) {
+    for (const [name, contractOutput] of Object.entries(output.contracts[file])) {
+      contracts[name] = {
+        abi: contractOutput.abi,
+        bytecode: '0x' + contractOutput.evm.bytecode.object,
+        storageLayout: contractOutput.storageLayout
+      };
+    }
+  }
+  
+  return contracts;
+};
+
+/**
+ * Read the version the approval contract source declares in CONTRACT_VERSION
+ *
+ * @returns {string|null} The version, or null if the source does not declare one
+ */
+export const readContractVersion = () => {
+  const source = fs.readFileSync(path.join(contractsDir, 'PrintPackSyncApproval.sol'), 'utf8');
+  const match = source.match(/CONTRACT_VERSION\s*=\s*"([^"]+)"/);
+  
+  return match ? match[1] : null;
+};
+
+/**
+ * Save the approval contract ABI where Web3BlockchainService loads it from
+ *
+ * @param {Array} abi - Contract ABI
+ */
+export const saveContractAbi = (abi) => {
+  const abiDir = path.join(rootDir, 'src', 'abis');
+  fs.mkdirSync(abiDir, { recursive: true });
+  fs.writeFileSync(path.join(abiDir, 'PrintPackSyncApproval.json'), JSON.stringify(abi, null, 2));
+  
+  console.log('ABI saved to src/abis/PrintPackSyncApproval.json');
+};
+
+/**
+ * Get the path of the deployment manifest of a network
+ * The manifest holds the proxy address and the storage layout of the deployed implementation,
+ * keep it as long as the proxy is in use since later upgrades are checked against it
+ *
+ * @param {string} network - Network name (BLOCKCHAIN_NETWORK)
+ * @returns {string} Manifest path
+ */
+export const getManifestPath = (network) => path.join(rootDir, 'deployments', `${network}.json`);
+
+/**
+ * Read the deployment manifest of a network
+ *
+ * @param {string} network - Network name
+ * @returns {Object|null} The manifest, or null if the network has no proxy deployment
+ */
+export const readDeploymentManifest = (network) => {
+  const manifestPath = getManifestPath(network);
+  
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+};
+
+/**
+ * Write the deployment manifest of a network
+ *
+ * @param {string} network - Network name
+ * @param {Object} manifest - The manifest
+ */
+export const writeDeploymentManifest = (network, manifest) => {
+  const manifestPath = getManifestPath(network);
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+  
+  console.log(`Deployment manifest saved to ${path.relative(rootDir, manifestPath)}`);
+};
+
+/**
+ * Compare two storage types and collect the changes that would corrupt stored data
+ *
+ * @param {Object} oldLayout - Storage layout of the deployed implementation
+ * @param {Object} newLayout - Storage layout of the new implementation
+ * @param {string} oldTypeId - Type ID in the old layout
+ * @param {string} newTypeId - Type ID in the new layout
+ * @param {string} location - Variable or member path, for error messages
+ * @param {boolean} canGrow - Whether the type may get bigger (structs stored as mapping values can get new members)
+ * @param {Array<string>} errors - Collected errors
+ */
+const compareStorageTypes = (oldLayout, newLayout, oldTypeId, newTypeId, location, canGrow, errors) => {
+  const oldType = oldLayout.types[oldTypeId];
+  const newType = newLayout.types[newTypeId];
+  
+  if (oldType.label !== newType.label || oldType.encoding !== newType.encoding) {
+    errors.push(`${location}: type changed from ${oldType.label} to ${newType.label}`);
+    return;
+  }
+  
+  if (oldType.encoding === 'mapping') {
+    compareStorageTypes(oldLayout, newLayout, oldType.key, newType.key, `${location} (key)`, false, errors);
+    compareStorageTypes(oldLayout, newLayout, oldType.value, newType.value, `${location} (value)`, true, errors);
+    return;
+  }
+  
+  if (oldType.encoding === 'dynamic_array') {
+    compareStorageTypes(oldLayout, newLayout, oldType.base, newType.base, `${location}[]`, false, errors);
+    return;
+  }
+  
+  if (oldType.members) {
+    oldType.members.forEach((oldMember, index) => {
+      const newMember = newType.members[index];
+      
+      if (!newMember) {
+        errors.push(`${location}.${oldMember.label}: member was removed`);
+      } else if (newMember.slot !== oldMember.slot || newMember.offset !== oldMember.offset) {
+        errors.push(`${location}.${oldMember.label}: member moved, new members can only be added at the end`);
+      } else {
+        compareStorageTypes(oldLayout, newLayout, oldMember.type, newMember.type, `${location}.${oldMember.label}`, false, errors);
+      }
+    });
+  }
+  
+  // Anything stored in place (e.g. structs in arrays) must keep its size, or the following data shifts
+  if (!canGrow && oldType.numberOfBytes !== newType.numberOfBytes) {
+    errors.push(`${location}: size changed from ${oldType.numberOfBytes} to ${newType.numberOfBytes} bytes`);
+  }
+};
+
+/**
+ * Check that a new implementation can be used with the storage of the deployed one
+ * Existing state variables must keep their slot, offset and type; new variables may only be appended
+ *
+ * @param {Object} oldLayout - Storage layout of the deployed implementation (from the manifest)
+ * @param {Object} newLayout - Storage layout of the new implementation (from compileContracts)
+ * @returns {Object} Errors that make the upgrade unsafe and warnings that do not
+ */
+export const compareStorageLayouts = (oldLayout, newLayout) => {
+  const errors = [];
+  const warnings = [];
+  
+  oldLayout.storage.forEach((oldVariable, index) => {
+    const newVariable = newLayout.storage[index];
+    
+    if (!newVariable) {
+      errors.push(`${oldVariable.label}: state variable was removed`);
+      return;
+    }
+    
+    if (newVariable.slot !== oldVariable.slot || newVariable.offset !== oldVariable.offset) {
+      errors.push(`${oldVariable.label}: moved from slot ${oldVariable.slot} (offset ${oldVariable.offset}) to slot ${newVariable.slot} (offset ${newVariable.offset}), new state variables can only be added at the end`);
+      return;
+    }
+    
+    const errorCount = errors.length;
+    compareStorageTypes(oldLayout, newLayout, oldVariable.type, newVariable.type, oldVariable.label, false, errors);
+    
+    if (errors.length === errorCount && newVariable.label !== oldVariable.label) {
+      warnings.push(`${oldVariable.label}: renamed to ${newVariable.label}, the stored value is kept`);
+    }
+  });
+  
+  return { errors, warnings };
+};
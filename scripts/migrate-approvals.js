@@ -0,0 +1,520 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Web3 from 'web3';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Set up file paths
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Copy every approval from an earlier PrintPackSyncApproval deployment into a new one
+ *
+ * Usage: node scripts/migrate-approvals.js --from <source address> [--to <target address>]
+ *          [--from-block <n>] [--batch-size <n>] [--checkpoint <file>] [--report <file>] [--verify-only]
+ *
+ * Approvals are copied in batches with migrateApprovals, which keeps their original timestamp and
+ * active state and emits ApprovalMigrated with the transaction that recorded them on the source.
+ * Progress is saved to the checkpoint file after every batch, so rerunning the same command resumes
+ * where it stopped. Once all batches are sent, every approval is read back from both contracts and
+ * compared, and the result is written to the report file.
+ */
+
+const ZERO_HASH = '0x' + '0'.repeat(64);
+
+// The parts of the contract every deployed version has, so approvals can be read from old deployments
+const SOURCE_ABI = [
+  {
+    "inputs": [],
+    "name": "getTotalApprovals",
+    "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{ "internalType": "uint256", "name": "index", "type": "uint256" }],
+    "name": "getApprovalIdByIndex",
+    "outputs": [{ "internalType": "string", "name": "", "type": "string" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{ "internalType": "string", "name": "approvalId", "type": "string" }],
+    "name": "getApproval",
+    "outputs": [
+      { "internalType": "string", "name": "requestId", "type": "string" },
+      { "internalType": "string", "name": "requesterId", "type": "string" },
+      { "internalType": "string", "name": "ownerId", "type": "string" },
+      { "internalType": "string", "name": "requestType", "type": "string" },
+      { "internalType": "string", "name": "licenceKey", "type": "string" },
+      { "internalType": "uint256", "name": "timestamp", "type": "uint256" },
+      { "internalType": "bool", "name": "isActive", "type": "bool" }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{ "internalType": "string", "name": "approvalId", "type": "string" }],
+    "name": "getApprovalStatus",
+    "outputs": [
+      { "internalType": "uint8", "name": "status", "type": "uint8" },
+      { "internalType": "uint256", "name": "validUntil", "type": "uint256" }
+    ],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": false, "internalType": "string", "name": "approvalId", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "requesterId", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "ownerId", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "requestType", "type": "string" },
+      { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
+    ],
+    "name": "ApprovalRecorded",
+    "type": "event"
+  },
+  // Deployments since approval events got indexed parameters emit this ApprovalRecorded instead
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "internalType": "bytes32", "name": "approvalIdHash", "type": "bytes32" },
+      { "indexed": true, "internalType": "bytes32", "name": "ownerIdHash", "type": "bytes32" },
+      { "indexed": true, "internalType": "bytes32", "name": "requesterIdHash", "type": "bytes32" },
+      { "indexed": false, "internalType": "string", "name": "approvalId", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "requestId", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "requesterId", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "ownerId", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "requestType", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "licenceKey", "type": "string" },
+      { "indexed": false, "internalType": "address", "name": "recorder", "type": "address" },
+      { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
+    ],
+    "name": "ApprovalRecorded",
+    "type": "event"
+  }
+];
+
+// Approval fields compared by the verification report
+const VERIFIED_FIELDS = ['requestId', 'requesterId', 'ownerId', 'requestType', 'licenceKey', 'timestamp', 'isActive', 'validUntil'];
+
+/**
+ * Parse the command line options
+ *
+ * @returns {Object} The options
+ */
+function parseOptions() {
+  const args = process.argv.slice(2);
+  const getOption = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  
+  const sourceContract = getOption('from');
+  const targetContract = getOption('to') || process.env.CONTRACT_ADDRESS;
+  
+  if (!Web3.utils.isAddress(sourceContract || '')) {
+    throw new Error('A valid source contract address is required: --from <address>');
+  }
+  
+  if (!Web3.utils.isAddress(targetContract || '')) {
+    throw new Error('A valid target contract address is required: --to <address> or CONTRACT_ADDRESS');
+  }
+  
+  if (sourceContract.toLowerCase() === targetContract.toLowerCase()) {
+    throw new Error('Source and target contract must be different');
+  }
+  
+  const migrationName = `${sourceContract.slice(0, 10)}-to-${targetContract.slice(0, 10)}`.toLowerCase();
+  const migrationsDir = path.join(__dirname, '..', 'data', 'migrations');
+  
+  return {
+    sourceContract,
+    targetContract,
+    fromBlock: Number(getOption('from-block') || 0),
+    batchSize: Math.min(Number(getOption('batch-size') || 50), 100),
+    checkpointPath: path.resolve(getOption('checkpoint') || path.join(migrationsDir, `${migrationName}.json`)),
+    reportPath: path.resolve(getOption('report') || path.join(migrationsDir, `${migrationName}-report.json`)),
+    verifyOnly: args.includes('--verify-only')
+  };
+}
+
+/**
+ * Write a JSON file atomically, so an interrupted run never leaves a truncated checkpoint
+ *
+ * @param {string} filePath - File to write
+ * @param {Object} data - Data to write
+ */
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Load the checkpoint of a migration, or start a new one
+ *
+ * @param {Object} options - Command line options
+ * @returns {Object} The checkpoint
+ */
+function loadCheckpoint(options) {
+  if (fs.existsSync(options.checkpointPath)) {
+    const checkpoint = JSON.parse(fs.readFileSync(options.checkpointPath, 'utf8'));
+    
+    if (checkpoint.sourceContract.toLowerCase() !== options.sourceContract.toLowerCase() ||
+        checkpoint.targetContract.toLowerCase() !== options.targetContract.toLowerCase()) {
+      throw new Error(`Checkpoint ${options.checkpointPath} belongs to a migration from ${checkpoint.sourceContract} to ${checkpoint.targetContract}`);
+    }
+    
+    console.log(`Resuming from checkpoint: ${checkpoint.nextIndex} of ${checkpoint.totalApprovals} approvals processed`);
+    return checkpoint;
+  }
+  
+  return {
+    sourceContract: options.sourceContract,
+    targetContract: options.targetContract,
+    totalApprovals: null,
+    nextIndex: 0,
+    startedAt: new Date().toISOString(),
+    updatedAt: null,
+    completedAt: null,
+    batches: [],
+    approvals: {}
+  };
+}
+
+/**
+ * Get a readable message for a web3 error, including the contract revert reason if available
+ *
+ * @param {Error} error - The error thrown by web3
+ * @returns {string} Error message
+ */
+function getErrorMessage(error) {
+  const innerMessage = error.cause?.message || error.innerError?.message;
+  return innerMessage && innerMessage !== error.message ? `${error.message}: ${innerMessage}` : error.message;
+}
+
+/**
+ * Map approval IDs to the transaction that recorded them on the source contract
+ * Both ApprovalRecorded signatures are read, since a proxied source can hold events of either
+ *
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} source - Source contract instance
+ * @param {number} fromBlock - First block to search
+ * @returns {Promise<Map<string, string>>} Transaction hash per approval ID
+ */
+async function getRecordingTransactions(web3, source, fromBlock) {
+  const transactions = new Map();
+  const eventAbis = SOURCE_ABI.filter(item => item.type === 'event' && item.name === 'ApprovalRecorded');
+  const signatures = eventAbis.map(item => web3.eth.abi.encodeEventSignature(item));
+  const logs = await web3.eth.getPastLogs({
+    address: source.options.address,
+    fromBlock,
+    toBlock: 'latest',
+    topics: [signatures]
+  });
+  
+  for (const log of logs) {
+    const eventAbi = eventAbis[signatures.indexOf(log.topics[0])];
+    const { approvalId } = web3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1));
+    
+    if (!transactions.has(approvalId)) {
+      transactions.set(approvalId, log.transactionHash);
+    }
+  }
+  
+  return transactions;
+}
+
+// Contracts found to have no getApprovalStatus, so it is only tried once per contract
+const contractsWithoutExpiry = new Set();
+
+/**
+ * Read an approval in the shape compared by the verification report
+ *
+ * @param {Object} contract - Contract instance (source or target)
+ * @param {string} approvalId - The approval ID
+ * @returns {Promise<Object|null>} The approval, or null if the contract does not have it
+ */
+async function readApproval(contract, approvalId) {
+  const approval = await contract.methods.getApproval(approvalId).call();
+  
+  if (!approval.requestId) {
+    return null;
+  }
+  
+  // Contracts deployed before expiry was added have no getApprovalStatus, their approvals never expire
+  let validUntil = 0;
+  if (!contractsWithoutExpiry.has(contract.options.address)) {
+    try {
+      validUntil = Number((await contract.methods.getApprovalStatus(approvalId).call()).validUntil);
+    } catch (error) {
+      contractsWithoutExpiry.add(contract.options.address);
+    }
+  }
+  
+  return {
+    requestId: approval.requestId,
+    requesterId: approval.requesterId,
+    ownerId: approval.ownerId,
+    requestType: approval.requestType,
+    licenceKey: approval.licenceKey,
+    timestamp: Number(approval.timestamp),
+    isActive: Boolean(approval.isActive),
+    validUntil
+  };
+}
+
+/**
+ * Decode the migration events of a receipt, keyed by approval ID
+ *
+ * @param {Web3} web3 - Web3 instance
+ * @param {Object} target - Target contract instance
+ * @param {Object} receipt - Receipt of a migrateApprovals transaction
+ * @returns {Map<string, Object>} Migrated or skipped result per approval ID
+ */
+function getBatchResults(web3, target, receipt) {
+  const eventAbis = target.options.jsonInterface.filter(item =>
+    item.type === 'event' && (item.name === 'ApprovalMigrated' || item.name === 'ApprovalSkipped')
+  );
+  const results = new Map();
+  
+  for (const log of receipt.logs || []) {
+    const eventAbi = eventAbis.find(item => web3.eth.abi.encodeEventSignature(item) === log.topics[0]);
+    
+    if (!eventAbi) {
+      continue;
+    }
+    
+    const values = web3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1));
+    results.set(values.approvalId, eventAbi.name === 'ApprovalMigrated' ?
+      { status: 'migrated' } :
+      { status: 'skipped', reason: values.reason });
+  }
+  
+  return results;
+}
+
+/**
+ * Copy the approvals that are not in the checkpoint yet, one batch per transaction
+ *
+ * @param {Object} context - Web3 instance, account, contracts and options
+ * @param {Object} checkpoint - The checkpoint, updated after every batch
+ */
+async function migrateApprovals({ web3, account, source, target, options }, checkpoint) {
+  console.log('Looking up the transactions that recorded the source approvals...');
+  const recordingTransactions = await getRecordingTransactions(web3, source, options.fromBlock);
+  
+  while (checkpoint.nextIndex < checkpoint.totalApprovals) {
+    const fromIndex = checkpoint.nextIndex;
+    const toIndex = Math.min(fromIndex + options.batchSize, checkpoint.totalApprovals);
+    const inputs = [];
+    
+    for (let index = fromIndex; index < toIndex; index++) {
+      const approvalId = await source.methods.getApprovalIdByIndex(index).call();
+      const approval = await readApproval(source, approvalId);
+      
+      inputs.push({
+        index,
+        sourceTransactionHash: recordingTransactions.get(approvalId) || null,
+        value: {
+          approval: {
+            approvalId,
+            requestId: approval?.requestId || '',
+            requesterId: approval?.requesterId || '',
+            ownerId: approval?.ownerId || '',
+            requestType: approval?.requestType || '',
+            licenceKey: approval?.licenceKey || '',
+            validUntil: approval?.validUntil || 0
+          },
+          originalTimestamp: approval?.timestamp || 0,
+          isActive: approval?.isActive || false,
+          sourceTransactionHash: recordingTransactions.get(approvalId) || ZERO_HASH
+        }
+      });
+    }
+    
+    console.log(`Migrating approvals ${fromIndex + 1}-${toIndex} of ${checkpoint.totalApprovals}...`);
+    
+    const method = target.methods.migrateApprovals(options.sourceContract, inputs.map(input => input.value));
+    let receipt;
+    try {
+      const gasEstimate = await method.estimateGas({ from: account.address });
+      receipt = await method.send({
+        from: account.address,
+        gas: Math.floor(Number(gasEstimate) * 1.2),
+        gasPrice: await web3.eth.getGasPrice()
+      });
+    } catch (error) {
+      throw new Error(`Batch ${fromIndex + 1}-${toIndex} failed: ${getErrorMessage(error)}`);
+    }
+    
+    const results = getBatchResults(web3, target, receipt);
+    
+    for (const input of inputs) {
+      const approvalId = input.value.approval.approvalId;
+      
+      checkpoint.approvals[approvalId] = {
+        index: input.index,
+        ...(results.get(approvalId) || { status: 'unknown' }),
+        sourceTransactionHash: input.sourceTransactionHash,
+        targetTransactionHash: receipt.transactionHash
+      };
+    }
+    
+    checkpoint.batches.push({
+      fromIndex,
+      toIndex,
+      transactionHash: receipt.transactionHash,
+      blockNumber: Number(receipt.blockNumber)
+    });
+    checkpoint.nextIndex = toIndex;
+    checkpoint.updatedAt = new Date().toISOString();
+    writeJsonFile(options.checkpointPath, checkpoint);
+  }
+  
+  checkpoint.completedAt = checkpoint.completedAt || new Date().toISOString();
+  writeJsonFile(options.checkpointPath, checkpoint);
+}
+
+/**
+ * Compare every source approval with its copy on the target contract
+ *
+ * @param {Object} context - Contracts and options
+ * @param {Object} checkpoint - The checkpoint of the migration
+ * @returns {Promise<Object>} The verification report
+ */
+async function verifyMigration({ source, target, options }, checkpoint) {
+  console.log('Verifying migrated approvals...');
+  
+  const totalApprovals = Number(await source.methods.getTotalApprovals().call());
+  const approvals = [];
+  
+  for (let index = 0; index < totalApprovals; index++) {
+    const approvalId = await source.methods.getApprovalIdByIndex(index).call();
+    const sourceApproval = await readApproval(source, approvalId);
+    const targetApproval = await readApproval(target, approvalId);
+    const migration = checkpoint.approvals[approvalId] || {};
+    
+    const result = {
+      approvalId,
+      status: 'verified',
+      migration: migration.status || 'not migrated',
+      sourceTransactionHash: migration.sourceTransactionHash || null,
+      targetTransactionHash: migration.targetTransactionHash || null
+    };
+    
+    if (!targetApproval) {
+      result.status = 'missing';
+    } else {
+      const differences = {};
+      
+      for (const field of VERIFIED_FIELDS) {
+        if (sourceApproval?.[field] !== targetApproval[field]) {
+          differences[field] = { source: sourceApproval?.[field], target: targetApproval[field] };
+        }
+      }
+      
+      if (Object.keys(differences).length > 0) {
+        result.status = 'mismatch';
+        result.differences = differences;
+      }
+    }
+    
+    approvals.push(result);
+  }
+  
+  const countByStatus = (status) => approvals.filter(approval => approval.status === status).length;
+  
+  return {
+    sourceContract: options.sourceContract,
+    targetContract: options.targetContract,
+    generatedAt: new Date().toISOString(),
+    totalApprovals,
+    verified: countByStatus('verified'),
+    mismatched: countByStatus('mismatch'),
+    missing: countByStatus('missing'),
+    approvals
+  };
+}
+
+async function runMigration() {
+  const options = parseOptions();
+  
+  // Connect to the blockchain
+  const rpcUrl = process.env.BLOCKCHAIN_RPC_URL || 'http://localhost:8545';
+  const web3 = new Web3(new Web3.providers.HttpProvider(rpcUrl));
+  
+  const abiPath = path.join(__dirname, '..', 'src', 'abis', 'PrintPackSyncApproval.json');
+  if (!fs.existsSync(abiPath)) {
+    throw new Error('Contract ABI not found at src/abis/PrintPackSyncApproval.json, deploy the target contract first');
+  }
+  
+  const source = new web3.eth.Contract(SOURCE_ABI, options.sourceContract);
+  const target = new web3.eth.Contract(JSON.parse(fs.readFileSync(abiPath, 'utf8')), options.targetContract);
+  
+  console.log(`Source contract: ${options.sourceContract}`);
+  console.log(`Target contract: ${options.targetContract}`);
+  
+  const checkpoint = loadCheckpoint(options);
+  let account = null;
+  
+  if (!options.verifyOnly) {
+    const privateKey = process.env.BLOCKCHAIN_PRIVATE_KEY;
+    if (!privateKey) {
+      throw new Error('Private key not found in environment variables');
+    }
+    
+    const privateKeyWithPrefix = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
+    account = web3.eth.accounts.privateKeyToAccount(privateKeyWithPrefix);
+    web3.eth.accounts.wallet.add(account);
+    
+    console.log(`Using account: ${account.address}`);
+    
+    // Migrated approvals carry their original timestamps, so only admins may write them
+    const isAdmin = await target.methods.hasRole(Web3.utils.keccak256('ADMIN_ROLE'), account.address).call();
+    if (!isAdmin) {
+      throw new Error(`Account ${account.address} does not have the admin role on the target contract`);
+    }
+    
+    // The total is fixed when the migration starts; approvals recorded on the source later are not copied
+    if (checkpoint.totalApprovals === null) {
+      checkpoint.totalApprovals = Number(await source.methods.getTotalApprovals().call());
+      writeJsonFile(options.checkpointPath, checkpoint);
+    }
+    
+    await migrateApprovals({ web3, account, source, target, options }, checkpoint);
+    console.log(`Checkpoint saved to ${options.checkpointPath}`);
+  }
+  
+  const report = await verifyMigration({ source, target, options }, checkpoint);
+  writeJsonFile(options.reportPath, report);
+  
+  console.log(`Verification report saved to ${options.reportPath}`);
+  console.log(`Approvals: ${report.totalApprovals}, verified: ${report.verified}, mismatched: ${report.mismatched}, missing: ${report.missing}`);
+  
+  return report;
+}
+
+// Run the migration
+runMigration()
+  .then(report => {
+    if (report.mismatched > 0 || report.missing > 0) {
+      console.error('Migration finished with differences, see the verification report');
+      process.exit(1);
+    }
+
+    console.log('Migration completed successfully');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  });
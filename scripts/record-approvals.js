@@ -83,7 +83,8 @@ async function recordApprovals() {
           approval.requesterId,
           approval.ownerId,
           approval.requestType,
-          approval.licenceKey
+          approval.licenceKey,
+          0 // No expiry
         ).send({
           from: account,
           gas: 3000000 // Use a much higher gas limit
@@ -0,0 +1,153 @@
+import Web3 from 'web3';
+import dotenv from 'dotenv';
+import {
+  compileContracts,
+  readContractVersion,
+  saveContractAbi,
+  readDeploymentManifest,
+  writeDeploymentManifest,
+  getManifestPath,
+  compareStorageLayouts
+} from './lib/contract-deployment.js';
+
+// Load environment variables
+dotenv.config();
+
+// With --check the storage layout and version are checked without deploying anything
+const checkOnly = process.argv.includes('--check');
+const network = process.env.BLOCKCHAIN_NETWORK || 'local';
+
+/**
+ * Check that the compiled contract can replace the implementation behind the proxy
+ *
+ * @param {Object} manifest - Deployment manifest of the network
+ * @param {Object} compiled - Compiled PrintPackSyncApproval from compileContracts
+ * @returns {string} The version of the new implementation
+ */
+function checkUpgrade(manifest, compiled) {
+  const { errors, warnings } = compareStorageLayouts(manifest.storageLayout, compiled.storageLayout);
+  
+  warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+  
+  if (errors.length > 0) {
+    errors.forEach(error => console.error(`Incompatible storage layout: ${error}`));
+    throw new Error(`The new implementation is not storage compatible with version ${manifest.version}`);
+  }
+  
+  console.log('Storage layout is compatible with the deployed implementation');
+  
+  const version = readContractVersion();
+  if (!version) {
+    throw new Error('CONTRACT_VERSION not found in contracts/PrintPackSyncApproval.sol');
+  }
+  
+  if (version === manifest.version) {
+    throw new Error(`Version ${version} is already deployed, bump CONTRACT_VERSION before upgrading`);
+  }
+  
+  console.log(`Upgrade from version ${manifest.version} to ${version} is allowed`);
+  
+  return version;
+}
+
+async function upgradeContract() {
+  const manifest = readDeploymentManifest(network);
+  if (!manifest) {
+    throw new Error(`No proxy deployment found at ${getManifestPath(network)}, deploy with "npm run deploy:proxy" first`);
+  }
+  
+  console.log(`Proxy on ${network}: ${manifest.proxy}`);
+  console.log(`Current implementation: ${manifest.implementation} (version ${manifest.version})`);
+  
+  const contracts = compileContracts();
+  const compiled = contracts.PrintPackSyncApproval;
+  const version = checkUpgrade(manifest, compiled);
+  
+  if (checkOnly) {
+    return;
+  }
+  
+  // Connect to the blockchain
+  const rpcUrl = process.env.BLOCKCHAIN_RPC_URL || 'http://localhost:8545';
+  const web3 = new Web3(new Web3.providers.HttpProvider(rpcUrl));
+  
+  const privateKey = process.env.BLOCKCHAIN_PRIVATE_KEY;
+  if (!privateKey) {
+    throw new Error('Private key not found in environment variables');
+  }
+  
+  const privateKeyWithPrefix = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
+  const account = web3.eth.accounts.privateKeyToAccount(privateKeyWithPrefix);
+  web3.eth.accounts.wallet.add(account);
+  
+  console.log(`Using account: ${account.address}`);
+  
+  // Only the owner can upgrade, check before spending gas on the new implementation
+  const proxy = new web3.eth.Contract(compiled.abi, manifest.proxy);
+  const owner = await proxy.methods.owner().call();
+  if (owner.toLowerCase() !== account.address.toLowerCase()) {
+    throw new Error(`Account ${account.address} is not the contract owner (${owner})`);
+  }
+  
+  const gasPrice = await web3.eth.getGasPrice();
+  
+  console.log('Deploying new implementation...');
+  const deployData = new web3.eth.Contract(compiled.abi).deploy({ data: compiled.bytecode });
+  const deployGas = await deployData.estimateGas({ from: account.address });
+  const implementation = await deployData.send({
+    from: account.address,
+    gas: Math.floor(Number(deployGas) * 1.2),
+    gasPrice
+  });
+  
+  console.log(`Implementation deployed at: ${implementation.options.address}`);
+  
+  console.log('Pointing the proxy to the new implementation...');
+  const upgrade = proxy.methods.upgradeToAndCall(implementation.options.address, '0x');
+  const upgradeGas = await upgrade.estimateGas({ from: account.address });
+  const receipt = await upgrade.send({
+    from: account.address,
+    gas: Math.floor(Number(upgradeGas) * 1.2),
+    gasPrice
+  });
+  
+  console.log(`Upgrade transaction: ${receipt.transactionHash}`);
+  
+  const deployedVersion = await proxy.methods.version().call();
+  if (deployedVersion !== version) {
+    throw new Error(`Proxy reports version ${deployedVersion} after the upgrade, expected ${version}`);
+  }
+  
+  writeDeploymentManifest(network, {
+    ...manifest,
+    implementation: implementation.options.address,
+    version,
+    storageLayout: compiled.storageLayout,
+    upgrades: [
+      ...(manifest.upgrades || []),
+      {
+        fromVersion: manifest.version,
+        toVersion: version,
+        fromImplementation: manifest.implementation,
+        toImplementation: implementation.options.address,
+        transactionHash: receipt.transactionHash,
+        blockNumber: Number(receipt.blockNumber),
+        upgradedAt: new Date().toISOString()
+      }
+    ]
+  });
+  
+  // The proxy address does not change, only the ABI the service loads
+  saveContractAbi(compiled.abi);
+}
+
+// Run the upgrade
+upgradeContract()
+  .then(() => {
+    console.log(checkOnly ? 'Upgrade check passed' : 'Upgrade completed successfully');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('Upgrade failed:', error.message);
+    process.exit(1);
+  });
@@ -1,4 +1,11 @@
-import Web3BlockchainService from '../services/web3BlockchainService.js';
+import Web3BlockchainService, { getBlockchainService } from '../services/web3BlockchainService.js';
+import { merkleAnchorService } from '../services/merkleAnchorService.js';
+import { privacyIndex } from '../services/privacyIndexService.js';
+import { eventIndexer } from '../services/eventIndexService.js';
+import { transactionTracker } from '../services/transactionTrackerService.js';
+import { blockchainOutbox } from '../services/blockchainOutboxService.js';
+import { ownerAddressRegistry } from '../services/ownerAddressRegistryService.js';
+import { describeFinality } from '../utils/finality.js';
 
 /**
  * Helper function to safely convert BigInt values to regular numbers
@@ -66,6 +73,26 @@ const decodeTransactionInput = (inputData, web3, contract) => {
   }
 };
 
+/**
+ * Map a sync request to the approval data recorded on the blockchain
+ * The sync request ID doubles as the approval ID
+ * 
+ * @param {Object} syncRequest - The sync request being approved
+ * @returns {Object} Approval data for Web3BlockchainService
+ */
+const toApprovalData = (syncRequest) => ({
+  approvalId: syncRequest.id,
+  requestId: syncRequest.id,
+  requesterId: syncRequest.requester_id,
+  ownerId: syncRequest.owner_id,
+  requestType: syncRequest.request_type,
+  licenceKey: syncRequest.licence_key || '',
+  // Approvals without an expiry date never expire (validUntil 0 on chain)
+  validUntil: syncRequest.valid_until
+    ? Math.floor(new Date(syncRequest.valid_until).getTime() / 1000)
+    : 0
+});
+
 /**
  * Record a sync approval on the blockchain
  * 
@@ -84,27 +111,15 @@ export const recordSyncApprovalOnBlockchain = async (syncRequest, action) => {
       };
     }
     
-    console.log('Sending REAL blockchain transaction for approval:', {
-      approvalId: syncRequest.id,
-      requestId: syncRequest.id,
-      requesterId: syncRequest.requester_id,
-      ownerId: syncRequest.owner_id,
-      requestType: syncRequest.request_type,
-      licenceKey: syncRequest.licence_key
-    });
+    const approvalData = toApprovalData(syncRequest);
+    
+    console.log('Sending REAL blockchain transaction for approval:', approvalData);
     
-    // Initialize blockchain service
-    const blockchainService = new Web3BlockchainService();
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
     
     // Record the approval on the blockchain
-    const result = await blockchainService.recordSyncApproval({
-      approvalId: syncRequest.id,
-            requestId: syncRequest.id,
-            requesterId: syncRequest.requester_id,
-            ownerId: syncRequest.owner_id,
-            requestType: syncRequest.request_type,
-            licenceKey: syncRequest.licence_key || ''
-    });
+    const result = await blockchainService.recordSyncApproval(approvalData);
         
         if (result.success) {
             return {
@@ -117,6 +132,9 @@ export const recordSyncApprovalOnBlockchain = async (syncRequest, action) => {
             return {
                 success: false,
         error: `Failed to record on blockchain: ${result.error}`,
+        paused: result.paused || false,
+        stuck: result.stuck || false,
+        transactionHash: result.transactionHash,
         details: result.details
             };
         }
@@ -129,6 +147,557 @@ export const recordSyncApprovalOnBlockchain = async (syncRequest, action) => {
     }
 };
 
+/**
+ * Send a deactivation queued in the blockchain outbox, behind the write that records the approval
+ * An earlier attempt may have been mined without being marked as sent, so an approval that is
+ * already inactive counts as deactivated
+ * 
+ * @param {Object} entry - Outbox entry, its payload is the revocation reason code and text
+ * @returns {Promise<Object>} Result with the transaction hash and block number on success
+ */
+const processOutboxDeactivation = async (entry) => {
+  const result = await deactivateApprovalOnBlockchain(entry.approvalId, entry.payload);
+  
+  if (result.stuck) {
+    return {
+      success: true,
+      data: {
+        transactionHash: result.transactionHash,
+        blockNumber: null,
+        unmined: true
+      }
+    };
+  }
+  
+  if (!result.success) {
+    if (result.error && result.error.includes('already inactive')) {
+      return {
+        success: true,
+        data: { transactionHash: null, blockNumber: null, alreadyDeactivated: true }
+      };
+    }
+    
+    return {
+      success: false,
+      error: result.error,
+      paused: result.paused || false
+    };
+  }
+  
+  return {
+    success: true,
+    data: {
+      transactionHash: result.blockchain_data.transactionHash,
+      blockNumber: safeNumberConversion(result.blockchain_data.blockNumber),
+      alreadyDeactivated: false
+    }
+  };
+};
+
+/**
+ * Send an entry of the blockchain outbox, called by its worker
+ * An entry sent before may have been mined without being marked as sent (e.g. the process stopped
+ * while waiting for the receipt), so later attempts first check whether the approval is already recorded
+ * 
+ * @param {Object} entry - Outbox entry, its payload is the approved sync request (recordApproval)
+ * or the revocation (deactivateApproval)
+ * @returns {Promise<Object>} Result with the transaction hash and block number on success
+ */
+export const processBlockchainOutboxEntry = async (entry) => {
+  if (entry.type === 'deactivateApproval') {
+    return await processOutboxDeactivation(entry);
+  }
+  
+  if (entry.type !== 'recordApproval') {
+    return {
+      success: false,
+      error: `Unknown outbox entry type: ${entry.type}`
+    };
+  }
+  
+  const blockchainService = getBlockchainService();
+  
+  if (entry.attempts > 1 && !blockchainService.mockMode) {
+    const existing = await blockchainService.getApprovalByRequestId(entry.payload.id);
+    
+    if (existing.success) {
+      return {
+        success: true,
+        data: {
+          transactionHash: existing.data.transactionHash,
+          blockNumber: existing.data.blockNumber === null ? null : safeNumberConversion(existing.data.blockNumber),
+          alreadyRecorded: true
+        }
+      };
+    }
+  }
+  
+  const result = await recordSyncApprovalOnBlockchain(entry.payload, 'approve');
+  
+  // A stuck transaction may still be mined, sending the approval again would record it twice
+  // The entry stays sent but unmined until the transaction tracker sees it mined, or it is replaced
+  if (result.stuck) {
+    return {
+      success: true,
+      data: {
+        transactionHash: result.transactionHash,
+        blockNumber: null,
+        alreadyRecorded: false,
+        unmined: true
+      }
+    };
+  }
+  
+  if (!result.success) {
+    return {
+      success: false,
+      error: result.error,
+      paused: result.paused || false
+    };
+  }
+  
+  return {
+    success: true,
+    data: {
+      transactionHash: result.blockchain_data.transactionHash,
+      blockNumber: safeNumberConversion(result.blockchain_data.blockNumber),
+      alreadyRecorded: false
+    }
+  };
+};
+
+/**
+ * Get the result returned when the owner of a sync request has no registered address to sign with
+ * 
+ * @param {Object} syncRequest - The sync request
+ * @returns {Object} Failed result with unregisteredOwner set
+ */
+const getUnregisteredOwnerResult = (syncRequest) => ({
+  success: false,
+  unregisteredOwner: true,
+  error: `No signing address is registered for owner ${syncRequest.owner_id}`
+});
+
+/**
+ * Build the EIP-712 typed data a product owner signs to approve a sync request
+ * The typed data names the address registered for the owner, the only one whose signature is relayed
+ * 
+ * @param {Object} syncRequest - The sync request to approve, as stored in the database
+ * @param {number} deadline - Unix time after which the signature can no longer be relayed
+ * @returns {Promise<Object>} Typed data to sign and the owner address
+ */
+export const getSignedApprovalTypedData = async (syncRequest, deadline) => {
+  try {
+    const registration = ownerAddressRegistry.get(syncRequest.owner_id);
+    
+    if (!registration) {
+      return getUnregisteredOwnerResult(syncRequest);
+    }
+    
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    const result = await blockchainService.getSignedApprovalTypedData(toApprovalData(syncRequest), registration.address, deadline);
+    
+    return result.success ? { ...result, ownerAddress: registration.address } : result;
+  } catch (error) {
+    console.error('Error building signed approval typed data:', error);
+    return {
+      success: false,
+      error: `Failed to build signed approval typed data: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Relay a sync approval signed by the product owner to the blockchain
+ * The contract only records it if the signature was made by the address registered for the owner
+ * 
+ * @param {Object} syncRequest - The sync request that was signed, as stored in the database
+ * @param {number} deadline - Deadline included in the signed typed data
+ * @param {string} signature - The owner's EIP-712 signature
+ * @param {Object} salts - Salts returned with the typed data (privacy mode only)
+ * @returns {Promise<Object>} Result of the blockchain operation
+ */
+export const relaySignedApprovalOnBlockchain = async (syncRequest, deadline, signature, salts = null) => {
+  try {
+    console.log('Relaying REAL signed approval to blockchain:', syncRequest.id);
+    
+    const registration = ownerAddressRegistry.get(syncRequest.owner_id);
+    
+    if (!registration) {
+      return getUnregisteredOwnerResult(syncRequest);
+    }
+    
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    const result = await blockchainService.recordSignedApproval(
+      toApprovalData(syncRequest),
+      registration.address,
+      deadline,
+      signature,
+      salts
+    );
+    
+    if (result.success) {
+      return {
+        success: true,
+        recorded: true,
+        blockchain_data: result
+      };
+    } else {
+      console.error('Failed to relay signed approval:', result.error);
+      return {
+        success: false,
+        error: result.error,
+        paused: result.paused || false,
+        stuck: result.stuck || false,
+        transactionHash: result.transactionHash,
+        details: result.details
+      };
+    }
+  } catch (error) {
+    console.error('Error relaying signed approval:', error);
+    return {
+      success: false,
+      error: `Failed to relay signed approval: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Record several sync approvals on the blockchain in a single transaction
+ * 
+ * @param {Array<Object>} syncRequests - The sync requests to approve
+ * @returns {Promise<Object>} Result of the blockchain operation with per-request results
+ */
+export const recordSyncApprovalsBatchOnBlockchain = async (syncRequests) => {
+  try {
+    const approvalsData = syncRequests.map(toApprovalData);
+    
+    console.log(`Sending REAL blockchain transaction for ${approvalsData.length} approvals`);
+    
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    // Record all approvals in one transaction
+    const result = await blockchainService.recordSyncApprovalsBatch(approvalsData);
+    
+    if (result.success) {
+      return {
+        success: true,
+        blockchain_data: result
+      };
+    } else {
+      console.error('Failed to record batch on blockchain:', result.error);
+      return {
+        success: false,
+        error: result.error,
+        paused: result.paused || false,
+        results: result.results,
+        details: result.details
+      };
+    }
+  } catch (error) {
+    console.error('Error recording approvals batch on blockchain:', error);
+    return {
+      success: false,
+      error: `Failed to record approvals batch on blockchain: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Queue sync approvals for Merkle-root anchoring instead of recording each one on the blockchain
+ * 
+ * @param {Array<Object>} syncRequests - The sync requests to approve
+ * @returns {Object} Queued and skipped approvals and when the batch will be anchored
+ */
+export const queueApprovalsForAnchoring = (syncRequests) => {
+  try {
+    const result = merkleAnchorService.queueApprovals(syncRequests.map(toApprovalData));
+    
+    return {
+      success: true,
+      data: result
+    };
+  } catch (error) {
+    console.error('Error queueing approvals for anchoring:', error);
+    return {
+      success: false,
+      error: `Failed to queue approvals for anchoring: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Anchor all queued approvals on the blockchain now, without waiting for the window to close
+ * 
+ * @returns {Promise<Object>} The anchored batch (null if nothing was queued)
+ */
+export const anchorQueuedApprovals = async () => {
+  try {
+    const result = await merkleAnchorService.flush();
+    
+    if (result.success) {
+      return {
+        success: true,
+        data: result.batch
+      };
+    } else {
+      return {
+        success: false,
+        error: result.error,
+        paused: result.paused || false,
+        details: result.details
+      };
+    }
+  } catch (error) {
+    console.error('Error anchoring queued approvals:', error);
+    return {
+      success: false,
+      error: `Failed to anchor queued approvals: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Revoke an approval anchored through a Merkle batch, it was never recorded on its own so it cannot
+ * be deactivated on the blockchain
+ * 
+ * @param {string} approvalId - The ID of the approval
+ * @param {Object} revocation - Reason code and text for the revocation
+ * @returns {Object} Whether the approval was anchored and its revocation
+ */
+export const revokeAnchoredApproval = (approvalId, revocation) => {
+  try {
+    const result = merkleAnchorService.revokeApproval(approvalId, revocation);
+    
+    if (!result) {
+      return {
+        success: false,
+        notAnchored: true,
+        error: `Approval ${approvalId} was not anchored through a Merkle batch`
+      };
+    }
+    
+    return {
+      success: true,
+      data: result
+    };
+  } catch (error) {
+    console.error('Error revoking anchored approval:', error);
+    return {
+      success: false,
+      error: `Failed to revoke anchored approval: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Get the Merkle inclusion proof of an anchored approval and check it against the contract
+ * 
+ * @param {string} approvalId - The ID of the approval
+ * @returns {Promise<Object>} Proof details with on-chain verification
+ */
+export const getApprovalMerkleProof = async (approvalId) => {
+  try {
+    const proof = merkleAnchorService.getProof(approvalId);
+    
+    if (!proof) {
+      return {
+        success: false,
+        error: `Approval ${approvalId} was not anchored through a Merkle batch`
+      };
+    }
+    
+    if (proof.status === 'pending') {
+      return {
+        success: true,
+        data: proof
+      };
+    }
+    
+    // Let the contract confirm the proof so callers don't have to trust this server
+    const blockchainService = getBlockchainService();
+    const verification = await blockchainService.verifyMerkleProof(proof.root, proof.leaf, proof.proof);
+    
+    return {
+      success: true,
+      data: {
+        ...proof,
+        verifiedOnChain: verification.success ? verification.data.verified : null
+      }
+    };
+  } catch (error) {
+    console.error('Error getting approval Merkle proof:', error);
+    return {
+      success: false,
+      error: `Failed to get Merkle proof: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Deactivate (revoke) a sync approval on the blockchain
+ * 
+ * @param {string} approvalId - The ID of the approval to deactivate
+ * @param {Object} revocation - Reason code and text for the revocation
+ * @returns {Promise<Object>} Result of the blockchain operation
+ */
+export const deactivateApprovalOnBlockchain = async (approvalId, revocation = {}) => {
+  try {
+    console.log('Sending REAL blockchain transaction for deactivation:', approvalId);
+    
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    // Deactivate the approval on the blockchain
+    const result = await blockchainService.deactivateApproval(approvalId, revocation);
+    
+    if (result.success) {
+      return {
+        success: true,
+        deactivated: true,
+        blockchain_data: result
+      };
+    } else {
+      console.error('Failed to deactivate on blockchain:', result.error);
+      return {
+        success: false,
+        error: result.error,
+        paused: result.paused || false,
+        stuck: result.stuck || false,
+        transactionHash: result.transactionHash,
+        details: result.details
+      };
+    }
+  } catch (error) {
+    console.error('Error deactivating approval on blockchain:', error);
+    return {
+      success: false,
+      error: `Failed to deactivate approval on blockchain: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Speed up or cancel a transaction that is stuck in the mempool
+ * Outbox entries of the transaction follow the replacement, or are cancelled along with it
+ * 
+ * @param {string} transactionHash - Hash of the stuck transaction
+ * @param {string} replacementType - speed-up or cancel
+ * @returns {Promise<Object>} Result with the replacement transaction
+ */
+export const replaceStuckTransaction = async (transactionHash, replacementType) => {
+  try {
+    const blockchainService = getBlockchainService();
+    
+    const result = replacementType === 'cancel'
+      ? await blockchainService.cancelTransaction(transactionHash)
+      : await blockchainService.speedUpTransaction(transactionHash);
+    
+    if (result.success) {
+      blockchainOutbox.followReplacement(transactionHash, result.data.transactionHash, replacementType);
+    }
+    
+    return result;
+  } catch (error) {
+    console.error('Error replacing stuck transaction:', error);
+    return {
+      success: false,
+      error: `Failed to replace transaction: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Amend the request type and/or licence key of a sync approval on the blockchain
+ * 
+ * @param {string} approvalId - The ID of the approval to amend
+ * @param {Object} changes - Corrected requestType and/or licenceKey
+ * @param {string} reason - Why the approval is being amended
+ * @returns {Promise<Object>} Result of the blockchain operation
+ */
+export const amendApprovalOnBlockchain = async (approvalId, changes, reason = '') => {
+  try {
+    console.log('Sending REAL blockchain transaction for amendment:', approvalId);
+    
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    // Amend the approval on the blockchain
+    const result = await blockchainService.amendApproval(approvalId, changes, reason);
+    
+    if (result.success) {
+      return {
+        success: true,
+        amended: true,
+        blockchain_data: result
+      };
+    } else {
+      console.error('Failed to amend on blockchain:', result.error);
+      return {
+        success: false,
+        error: result.error,
+        paused: result.paused || false,
+        details: result.details
+      };
+    }
+  } catch (error) {
+    console.error('Error amending approval on blockchain:', error);
+    return {
+      success: false,
+      error: `Failed to amend approval on blockchain: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Verify clear values against the (possibly committed) fields of an approval on the blockchain
+ * 
+ * @param {string} approvalId - The ID of the approval
+ * @param {Object} values - Clear requesterId, ownerId and/or licenceKey to check
+ * @param {Object} salts - Optional salts per field, the off-chain index is used otherwise
+ * @returns {Promise<Object>} Per-field verification results
+ */
+export const verifyApprovalCommitments = async (approvalId, values, salts = {}) => {
+  try {
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    const approval = await blockchainService.getApproval(approvalId);
+    
+    if (!approval.success) {
+      return {
+        success: false,
+        error: approval.error
+      };
+    }
+    
+    // The contract returns empty fields for unknown approval IDs
+    if (!approval.data.requestId) {
+      return {
+        success: false,
+        notFound: true,
+        error: `Approval ${approvalId} does not exist`
+      };
+    }
+    
+    return {
+      success: true,
+      data: privacyIndex.verify({ approvalId, ...approval.data }, values, salts)
+    };
+  } catch (error) {
+    console.error('Error verifying approval commitments:', error);
+    return {
+      success: false,
+      error: `Failed to verify approval: ${error.message}`
+    };
+  }
+};
+
 /**
  * Get approval details from the blockchain
  * 
@@ -137,8 +706,8 @@ export const recordSyncApprovalOnBlockchain = async (syncRequest, action) => {
  */
 export const getBlockchainApproval = async (approvalId) => {
   try {
-    // Initialize blockchain service
-    const blockchainService = new Web3BlockchainService();
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
     
     // Get the approval from the blockchain
     const result = await blockchainService.getApproval(approvalId);
@@ -153,17 +722,82 @@ export const getBlockchainApproval = async (approvalId) => {
   }
 };
 
+/**
+ * Get the approval recorded for a sync request from the blockchain
+ * 
+ * @param {string} requestId - The ID of the sync request
+ * @returns {Promise<Object>} Approval details from the blockchain, including the approval ID
+ */
+export const getBlockchainApprovalByRequestId = async (requestId) => {
+  try {
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    return await blockchainService.getApprovalByRequestId(requestId);
+  } catch (error) {
+    console.error('Error getting approval by request ID from blockchain:', error);
+    return {
+      success: false,
+      error: `Failed to get approval from blockchain: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Treat web3's TransactionNotFound as a missing transaction instead of an error
+ * 
+ * @param {Error} error - Error thrown by getTransaction
+ * @returns {null} When the transaction was not found
+ * @throws {Error} Any other error
+ */
+const ignoreTransactionNotFound = (error) => {
+  if (error.name === 'TransactionNotFound') {
+    return null;
+  }
+  
+  throw error;
+};
+
+/**
+ * Build the result for a transaction the node does not know
+ * Transactions sent by this service that a chain reorganization dropped are reported as orphaned
+ * 
+ * @param {string} transactionHash - The transaction hash
+ * @returns {Object} Not found result, with the affected approvals and any replacement if the transaction was orphaned
+ */
+const getMissingTransactionResult = (transactionHash) => {
+  const tracked = transactionTracker.get(transactionHash);
+  
+  if (tracked?.state !== 'orphaned') {
+    return {
+      success: false,
+      message: 'Transaction not found'
+    };
+  }
+  
+  return {
+    success: false,
+    orphaned: true,
+    error: 'Transaction was dropped from the chain by a reorganization',
+    data: {
+      transactionHash,
+      method: tracked.method,
+      approvalIds: tracked.approvalIds,
+      replacedBy: tracked.replacedBy,
+      resubmitError: tracked.resubmitError || null
+    }
+  };
+};
+
 /**
  * Get transaction details from the blockchain
  * 
  * @param {string} transactionHash - The transaction hash to look up
+ * @param {Web3BlockchainService} blockchainService - Service to query, the shared one by default
  * @returns {Promise<Object>} Transaction details from the blockchain
  */
-export const getBlockchainTransaction = async (transactionHash) => {
+export const getBlockchainTransaction = async (transactionHash, blockchainService = getBlockchainService()) => {
   try {
-    // Initialize blockchain service
-    const blockchainService = new Web3BlockchainService();
-    
     // If in mock mode (but not Ganache), return mock data
     if (blockchainService.mockMode && !blockchainService.isGanache) {
       console.log('Using mock mode for transaction lookup:', transactionHash);
@@ -202,12 +836,9 @@ export const getBlockchainTransaction = async (transactionHash) => {
     const web3 = blockchainService.web3;
     
     // Get transaction
-    const tx = await web3.eth.getTransaction(transactionHash);
+    const tx = await web3.eth.getTransaction(transactionHash).catch(ignoreTransactionNotFound);
     if (!tx) {
-      return {
-        success: false,
-        message: 'Transaction not found'
-      };
+      return getMissingTransactionResult(transactionHash);
     }
     
     // Get transaction receipt
@@ -215,6 +846,7 @@ export const getBlockchainTransaction = async (transactionHash) => {
     
     // Get block info to get timestamp
     const block = await web3.eth.getBlock(tx.blockNumber);
+    const finality = describeFinality(tx.blockNumber, await web3.eth.getBlockNumber());
     
     // Format the response
     const response = {
@@ -226,7 +858,9 @@ export const getBlockchainTransaction = async (transactionHash) => {
       status: receipt ? receipt.status : null,
       timestamp: block ? block.timestamp : null,
       value: web3.utils.fromWei(tx.value, 'ether'),
-      confirmations: tx.blockNumber ? await web3.eth.getBlockNumber() - tx.blockNumber : 0
+      blockHash: tx.blockHash,
+      confirmations: finality.confirmations,
+      finality
     };
     
     // Try to decode logs if available
@@ -258,13 +892,11 @@ export const getBlockchainTransaction = async (transactionHash) => {
  * 
  * @param {number} limit - Maximum number of transactions to return
  * @param {number} fromBlock - Starting block number (optional)
+ * @param {Web3BlockchainService} blockchainService - Service to query, the shared one by default
  * @returns {Promise<Object>} List of recent transactions
  */
-export const getRecentBlockchainTransactions = async (limit = 10, fromBlock = null) => {
+export const getRecentBlockchainTransactions = async (limit = 10, fromBlock = null, blockchainService = getBlockchainService()) => {
   try {
-    // Initialize blockchain service
-    const blockchainService = new Web3BlockchainService();
-    
     // Get Web3 instance
     const web3 = blockchainService.web3;
     
@@ -375,13 +1007,11 @@ export const getRecentBlockchainTransactions = async (limit = 10, fromBlock = nu
  * Get transaction data from a transaction hash
  * 
  * @param {string} transactionHash - The transaction hash to retrieve data for
+ * @param {Web3BlockchainService} blockchainService - Service to query, the shared one by default
  * @returns {Promise<Object>} Transaction data including decoded input parameters
  */
-export const getTransactionData = async (transactionHash) => {
+export const getTransactionData = async (transactionHash, blockchainService = getBlockchainService()) => {
   try {
-    // Initialize blockchain service
-    const blockchainService = new Web3BlockchainService();
-    
     // Get Web3 instance
     const web3 = blockchainService.web3;
     const contract = blockchainService.contract;
@@ -417,12 +1047,9 @@ export const getTransactionData = async (transactionHash) => {
     }
     
     // Get transaction
-    const tx = await web3.eth.getTransaction(transactionHash);
+    const tx = await web3.eth.getTransaction(transactionHash).catch(ignoreTransactionNotFound);
     if (!tx) {
-      return {
-        success: false,
-        message: 'Transaction not found'
-      };
+      return getMissingTransactionResult(transactionHash);
     }
     
     // Get transaction receipt
@@ -430,6 +1057,7 @@ export const getTransactionData = async (transactionHash) => {
     
     // Get block info to get timestamp
     const block = await web3.eth.getBlock(tx.blockNumber);
+    const finality = describeFinality(tx.blockNumber, await web3.eth.getBlockNumber());
     
     // Decode input data if possible
     const decodedData = decodeTransactionInput(tx.input, web3, contract);
@@ -444,7 +1072,9 @@ export const getTransactionData = async (transactionHash) => {
       status: receipt ? receipt.status : null,
       timestamp: block ? block.timestamp : null,
       value: web3.utils.fromWei(tx.value, 'ether'),
-      confirmations: tx.blockNumber ? await web3.eth.getBlockNumber() - tx.blockNumber : 0,
+      blockHash: tx.blockHash,
+      confirmations: finality.confirmations,
+      finality,
       decodedData: decodedData
     };
     
@@ -472,10 +1102,66 @@ export const getTransactionData = async (transactionHash) => {
   }
 };
 
-export const getApprovalTransactions = async (approvalId) => {
+// Contract events that make up the history of an approval, with their transaction type
+const HISTORY_EVENT_TYPES = {
+  ApprovalRecorded: 'record',
+  ApprovalMigrated: 'migrate',
+  ApprovalAmended: 'amend',
+  ApprovalDeactivated: 'deactivate'
+};
+
+/**
+ * Get the details of a history event that are not part of the transaction itself
+ * 
+ * @param {Object} event - Decoded contract event
+ * @returns {Object} Version and changes of an amendment, reason of a deactivation, origin of a migration
+ */
+const getHistoryEventDetails = (event) => {
+  const values = event.returnValues;
+  
+  if (event.event === 'ApprovalAmended') {
+    return {
+      version: Number(values.version),
+      changes: {
+        requestType: { from: values.oldRequestType, to: values.newRequestType },
+        licenceKey: { from: values.oldLicenceKey, to: values.newLicenceKey }
+      },
+      reason: values.reason,
+      actor: values.amendedBy
+    };
+  }
+  
+  if (event.event === 'ApprovalMigrated') {
+    return {
+      version: 1,
+      sourceContract: values.sourceContract,
+      sourceTransactionHash: values.sourceTransactionHash,
+      originalTimestamp: Number(values.originalTimestamp)
+    };
+  }
+  
+  if (event.event === 'ApprovalDeactivated') {
+    return {
+      reasonCode: Web3BlockchainService.REVOCATION_REASONS[Number(values.reasonCode)] || 'unknown',
+      reason: values.reason,
+      actor: values.revokedBy
+    };
+  }
+  
+  return { version: 1 };
+};
+
+/**
+ * Get the transactions that recorded, amended and deactivated an approval
+ * 
+ * @param {string} approvalId - The approval ID
+ * @param {string} source - Read the approval events from the chain, or from the local event index
+ * @returns {Promise<Object>} Transactions of the approval in chain order, and its versions
+ */
+export const getApprovalTransactions = async (approvalId, source = 'chain') => {
   try {
-    // Initialize blockchain service
-    const blockchainService = new Web3BlockchainService();
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
     
     // If in mock mode (but not Ganache), return mock data
     if (blockchainService.mockMode && !blockchainService.isGanache) {
@@ -499,7 +1185,7 @@ export const getApprovalTransactions = async (approvalId) => {
               event: "ApprovalRecorded"
             },
             {
-              type: "update",
+              type: "amend",
               transactionHash: "0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890",
               blockNumber: 1757836096800,
               from: "0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1",
@@ -507,7 +1193,13 @@ export const getApprovalTransactions = async (approvalId) => {
               gasUsed: "300000",
               status: true,
               timestamp: Math.floor(Date.now() / 1000) - 3600,
-              event: "ApprovalUpdated"
+              event: "ApprovalAmended",
+              version: 2,
+              changes: {
+                requestType: { from: "excel", to: "gcp" },
+                licenceKey: { from: "GS1-12345", to: "GS1-12345-ABC" }
+              },
+              reason: "Corrected licence key"
             }
           ],
           total_transactions: 2
@@ -523,12 +1215,18 @@ export const getApprovalTransactions = async (approvalId) => {
     // For real blockchain, we need to search for events related to this approval ID
     try {
       const web3 = blockchainService.web3;
-      const contract = blockchainService.contract;
       
       // First get the approval to verify it exists
       let approvalResult;
       try {
-        approvalResult = await blockchainService.getApproval(approvalId);
+        if (source === 'index') {
+          const indexedApproval = eventIndexer.getApproval(approvalId);
+          approvalResult = indexedApproval
+            ? { success: true, data: indexedApproval }
+            : { success: false, error: 'Approval not found in the event index' };
+        } else {
+          approvalResult = await blockchainService.getApproval(approvalId);
+        }
         if (!approvalResult.success) {
           // If the approval is not found, but we're in mock mode, create a mock response
           if (blockchainService.mockMode) {
@@ -600,23 +1298,26 @@ export const getApprovalTransactions = async (approvalId) => {
         };
       }
       
-      // Now search for events related to this approval ID
-      // This is a simplified approach - in a production environment, you would
-      // need to handle pagination and filter by specific event types
+      // Now search for the record, amend and deactivate events of this approval ID
       let events = [];
       try {
-        events = await contract.getPastEvents('allEvents', {
-          fromBlock: 0,
-          toBlock: 'latest'
-        });
+        events = source === 'index'
+          ? eventIndexer.getApprovalEvents(approvalId)
+          : await blockchainService.getApprovalEvents(approvalId);
+        events = events.filter(event => HISTORY_EVENT_TYPES[event.event]);
         
-        // Filter events manually since the filter option might not work as expected
-        events = events.filter(event => {
-          if (event.returnValues && event.returnValues.approvalId) {
-            return event.returnValues.approvalId === approvalId;
-          }
-          return false;
-        });
+        // A migrated approval is also recorded in the migration transaction, list that transaction once as the migration
+        const migrationTransactions = new Set(events
+          .filter(event => event.event === 'ApprovalMigrated')
+          .map(event => event.transactionHash));
+        events = events.filter(event => 
+          event.event !== 'ApprovalRecorded' || !migrationTransactions.has(event.transactionHash)
+        );
+        
+        // Order the history by position on chain
+        events.sort((a, b) => 
+          Number(a.blockNumber) - Number(b.blockNumber) || Number(a.logIndex) - Number(b.logIndex)
+        );
       } catch (eventsError) {
         console.error('Error getting past events:', eventsError);
         // Continue with empty events array
@@ -624,6 +1325,7 @@ export const getApprovalTransactions = async (approvalId) => {
       
       // Process each event to get transaction details
       const transactions = [];
+      const latestBlock = events.length > 0 ? await web3.eth.getBlockNumber() : null;
       for (const event of events) {
         try {
           // Get transaction details
@@ -631,17 +1333,9 @@ export const getApprovalTransactions = async (approvalId) => {
           const receipt = await web3.eth.getTransactionReceipt(event.transactionHash);
           const block = await web3.eth.getBlock(event.blockNumber);
           
-          // Determine event type
-          let eventType = "unknown";
-          if (event.event === "ApprovalRecorded") {
-            eventType = "record";
-          } else if (event.event === "ApprovalDeactivated") {
-            eventType = "deactivate";
-          }
-          
           // Add to transactions array
           transactions.push({
-            type: eventType,
+            type: HISTORY_EVENT_TYPES[event.event],
             transactionHash: event.transactionHash,
             blockNumber: event.blockNumber,
             from: tx ? tx.from : null,
@@ -649,7 +1343,9 @@ export const getApprovalTransactions = async (approvalId) => {
             gasUsed: receipt ? receipt.gasUsed : null,
             status: receipt ? receipt.status : null,
             timestamp: block ? block.timestamp : null,
-            event: event.event
+            finality: describeFinality(event.blockNumber, latestBlock),
+            event: event.event,
+            ...getHistoryEventDetails(event)
           });
         } catch (txError) {
           console.error(`Error processing transaction for event ${event.event}:`, txError);
@@ -680,12 +1376,17 @@ export const getApprovalTransactions = async (approvalId) => {
         });
       }
       
+      // Prior versions kept by the contract (null for contracts without amendment support)
+      const versions = await blockchainService.getApprovalVersions(approvalId);
+      
       return {
         success: true,
         data: {
           approvalId: approvalId,
           transactions: transactions,
-          total_transactions: transactions.length
+          total_transactions: transactions.length,
+          versions,
+          source
         }
       };
     } catch (error) {
@@ -762,4 +1463,214 @@ export const getApprovalTransactions = async (approvalId) => {
       error: `Failed to get approval transactions: ${error.message}`
         };
     }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the accounts holding contract roles
+ * 
+ * @param {string|null} role - Role name to list (admin, recorder, revoker), or null for all roles
+ * @returns {Promise<Object>} Role members grouped by role name
+ */
+export const getBlockchainRoleMembers = async (role = null) => {
+  try {
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    const roleNames = role ? [role] : Object.keys(Web3BlockchainService.ROLES);
+    const roles = {};
+    
+    for (const roleName of roleNames) {
+      const result = await blockchainService.getRoleMembers(roleName);
+      
+      if (!result.success) {
+        return result;
+      }
+      
+      roles[roleName] = result.data.members;
+    }
+    
+    return {
+      success: true,
+      data: {
+        roles
+      }
+    };
+  } catch (error) {
+    console.error('Error getting role members from blockchain:', error);
+    return {
+      success: false,
+      error: `Failed to get role members from blockchain: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Grant or revoke a contract role
+ * 
+ * @param {string} action - The action to take (grant/revoke)
+ * @param {string} role - Role name (admin, recorder, revoker)
+ * @param {string} address - Account address
+ * @returns {Promise<Object>} Result of the blockchain operation
+ */
+export const updateBlockchainRole = async (action, role, address) => {
+  try {
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    const result = action === 'grant'
+      ? await blockchainService.grantRole(role, address)
+      : await blockchainService.revokeRole(role, address);
+    
+    if (result.success) {
+      return {
+        success: true,
+        blockchain_data: result
+      };
+    } else {
+      console.error(`Failed to ${action} role on blockchain:`, result.error);
+      return {
+        success: false,
+        error: result.error,
+        details: result.details
+      };
+    }
+  } catch (error) {
+    console.error(`Error trying to ${action} role on blockchain:`, error);
+    return {
+      success: false,
+      error: `Failed to ${action} role on blockchain: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Get the version and implementation address of the deployed contract
+ * 
+ * @returns {Promise<Object>} Version, implementation address and whether the contract is upgradeable
+ */
+export const getBlockchainContractInfo = async () => {
+  try {
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    return await blockchainService.getContractInfo();
+  } catch (error) {
+    console.error('Error getting contract info from blockchain:', error);
+    return {
+      success: false,
+      error: `Failed to get contract info from blockchain: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Get whether the contract is paused and who owns it
+ * 
+ * @returns {Promise<Object>} Paused state, owner and pending owner
+ */
+export const getBlockchainContractState = async () => {
+  try {
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    const pausedState = await blockchainService.isPaused();
+    if (!pausedState.success) {
+      return pausedState;
+    }
+    
+    const ownership = await blockchainService.getOwnership();
+    if (!ownership.success) {
+      return ownership;
+    }
+    
+    return {
+      success: true,
+      data: {
+        paused: pausedState.data.paused,
+        owner: ownership.data.owner,
+        pendingOwner: ownership.data.pendingOwner
+      }
+    };
+  } catch (error) {
+    console.error('Error getting contract state from blockchain:', error);
+    return {
+      success: false,
+      error: `Failed to get contract state from blockchain: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Pause or unpause all writes on the contract
+ * 
+ * @param {boolean} paused - Whether to pause (true) or unpause (false) the contract
+ * @returns {Promise<Object>} Result of the blockchain operation
+ */
+export const setBlockchainPaused = async (paused) => {
+  const action = paused ? 'pause' : 'unpause';
+  
+  try {
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    const result = paused ? await blockchainService.pause() : await blockchainService.unpause();
+    
+    if (result.success) {
+      return {
+        success: true,
+        blockchain_data: result
+      };
+    } else {
+      console.error(`Failed to ${action} contract on blockchain:`, result.error);
+      return {
+        success: false,
+        error: result.error,
+        details: result.details
+      };
+    }
+  } catch (error) {
+    console.error(`Error trying to ${action} contract on blockchain:`, error);
+    return {
+      success: false,
+      error: `Failed to ${action} contract on blockchain: ${error.message}`
+    };
+  }
+};
+
+/**
+ * Start or complete a two-step transfer of contract ownership
+ * 
+ * @param {string} step - 'transfer' to propose a new owner, 'accept' to accept as the pending owner
+ * @param {string|null} newOwner - Proposed owner address (transfer only)
+ * @returns {Promise<Object>} Result of the blockchain operation
+ */
+export const updateBlockchainOwnership = async (step, newOwner = null) => {
+  try {
+    // Use the shared blockchain service
+    const blockchainService = getBlockchainService();
+    
+    const result = step === 'transfer'
+      ? await blockchainService.transferOwnership(newOwner)
+      : await blockchainService.acceptOwnership();
+    
+    if (result.success) {
+      return {
+        success: true,
+        blockchain_data: result
+      };
+    } else {
+      console.error(`Failed to ${step} ownership on blockchain:`, result.error);
+      return {
+        success: false,
+        error: result.error,
+        details: result.details
+      };
+    }
+  } catch (error) {
+    console.error(`Error trying to ${step} ownership on blockchain:`, error);
+    return {
+      success: false,
+      error: `Failed to ${step} ownership on blockchain: ${error.message}`
+    };
+  }
+};
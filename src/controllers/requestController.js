@@ -1,5 +1,5 @@
-// Mock database for demonstration purposes
-const mockDatabase = {
+// Mock database for demonstration purposes, exported so test scripts can change the rows it returns
+export const mockDatabase = {
   syncRequest: {
     findFirst: async (params) => {
       // Mock implementation
@@ -57,7 +57,6 @@ const mockDatabase = {
           message: `Mock request message ${i}`,
           created_at: new Date(),
           updated_at: new Date(),
-          blockchain_approval_id: i % 2 === 0 ? `mock-approval-id-${i}` : null,
           requester: {
             id: `mock-requester-id-${i}`,
             firstname: 'John',
@@ -93,6 +92,34 @@ const mockDatabase = {
   gCPAccess: {
     create: async () => {
       return { id: 'mock-gcp-access-id' };
+    },
+    updateMany: async () => {
+      return { count: 1 };
+    }
+  },
+  excelAccess: {
+    create: async () => {
+      return { id: 'mock-excel-access-id' };
+    },
+    updateMany: async () => {
+      return { count: 1 };
+    }
+  },
+  // The outbox is a table of the same database, the mock keeps it in the outbox store
+  blockchainOutbox: {
+    create: async (params) => {
+      return blockchainOutbox.add(params.data);
+    },
+    findMany: async (params) => {
+      return blockchainOutbox.list({ approvalId: params.where.approvalId })
+        .filter(entry => entry.type === params.where.type && params.where.status.in.includes(entry.status));
+    },
+    updateMany: async (params) => {
+      const entries = blockchainOutbox.list({ approvalId: params.where.approvalId })
+        .filter(entry => params.where.status.in.includes(entry.status));
+      
+      entries.forEach(entry => blockchainOutbox.cancel(entry.id));
+      return { count: entries.length };
     }
   },
   $transaction: async (callback) => {
@@ -101,7 +128,9 @@ const mockDatabase = {
 };
 import Joi from "joi";
 import { createError } from "../utils/createError.js";
-import { recordSyncApprovalOnBlockchain, getBlockchainApproval } from "./blockchainController.js";
+import Web3BlockchainService from "../services/web3BlockchainService.js";
+import BlockchainOutboxService, { blockchainOutbox } from "../services/blockchainOutboxService.js";
+import { deactivateApprovalOnBlockchain, getBlockchainApprovalByRequestId, queueApprovalsForAnchoring, revokeAnchoredApproval } from "./blockchainController.js";
 import { fileURLToPath } from "url";
 import path from "path";
 import fs from "fs";
@@ -130,11 +159,256 @@ const sendMultipleEmails = async (options) => {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * The access an approved sync request grants, per request type: the table of its access records
+ * and the wording of its emails
+ */
+const SYNC_REQUEST_ACCESS = {
+  gcp: {
+    table: 'gCPAccess',
+    label: 'GCP',
+    approvedSubject: 'Print & Pack - Your GCP Access Request has been Approved!',
+    updateSubject: 'Print & Pack - Your GCP Access Request Update',
+    revokedSubject: 'Print & Pack - Your GCP Access has been Revoked',
+    nextSteps: 'Requester can now use GCP to sync product data'
+  },
+  excel: {
+    table: 'excelAccess',
+    label: 'Excel',
+    approvedSubject: 'Print & Pack - Your Excel Product Data Request has been Approved!',
+    updateSubject: 'Print & Pack - Your Excel Product Data Request Update',
+    revokedSubject: 'Print & Pack - Your Excel Product Data Access has been Revoked',
+    nextSteps: 'Requester can now download the product data as an Excel file'
+  }
+};
+
+/**
+ * Flip the active access record of a sync request to inactive
+ * 
+ * @param {Object} tx - Database transaction client
+ * @param {string} accessTable - Table of the access records, from SYNC_REQUEST_ACCESS
+ * @param {string} syncRequestId - The sync request ID
+ * @returns {Promise<Object>} Count of deactivated access records
+ */
+const deactivateSyncRequestAccess = async (tx, accessTable, syncRequestId) => {
+  return await tx[accessTable].updateMany({
+    where: {
+      sync_request_id: syncRequestId,
+      is_active: true
+    },
+    data: {
+      is_active: false,
+      access_revoked_at: new Date()
+    }
+  });
+};
+
+/**
+ * Find a sync request as stored in the database, for routes that must not trust request data sent by the client
+ * 
+ * @param {string} syncRequestId - The sync request ID
+ * @returns {Promise<Object|null>} The sync request, or null if it does not exist
+ */
+export const findSyncRequest = async (syncRequestId) => {
+  return await mockDatabase.syncRequest.findFirst({
+    where: { id: syncRequestId }
+  });
+};
+
+/**
+ * Revoke the access of a sync request whose approval was deactivated on the blockchain,
+ * so the database agrees with the chain
+ * 
+ * @param {string} syncRequestId - The sync request ID, which is also its approval ID
+ * @returns {Promise<boolean>} Whether active access was found and revoked
+ */
+export const revokeDeactivatedSyncRequestAccess = async (syncRequestId) => {
+  // Only the approval ID is known here, the access record is in the table of the request's type
+  const revokedAccess = await mockDatabase.$transaction(async (tx) => {
+    return await Promise.all(Object.values(SYNC_REQUEST_ACCESS).map(({ table }) => {
+      return deactivateSyncRequestAccess(tx, table, syncRequestId);
+    }));
+  });
+  
+  return revokedAccess.some(result => result && result.count > 0);
+};
+
+/**
+ * Revoke the access granted by an approved sync request
+ * Flips the access record to inactive and deactivates the approval on the blockchain. An approval
+ * whose blockchain write is still queued in the outbox is not on chain yet, its write is cancelled instead.
+ * If the write is being sent, or was sent but is not mined yet, the deactivation is queued in the outbox
+ * to follow it. An approval anchored through a Merkle batch was never recorded on its own, it is revoked
+ * in the anchor store.
+ * 
+ * @param {Object} syncRequest - The approved sync request
+ * @param {Object} revocation - Revocation reason code and optional message from the owner
+ * @param {Object} res - Express response object
+ * @returns {Object} Response with revocation data
+ */
+const revokeSyncRequestAccess = async (syncRequest, { reasonCode, message }, res) => {
+  const access = SYNC_REQUEST_ACCESS[syncRequest.request_type];
+  
+  // Deactivate access in the database first, access must be revoked even if the blockchain is unavailable
+  const { cancelledWrites, queuedDeactivation } = await mockDatabase.$transaction(async (tx) => {
+    const revokedAccess = await deactivateSyncRequestAccess(tx, access.table, syncRequest.id);
+    
+    if (!revokedAccess || revokedAccess.count === 0) {
+      throw createError(404, `No active ${access.label} access found for this sync request`);
+    }
+    
+    // A queued write would record the approval after its access was revoked, cancel it in the same transaction
+    const cancelled = await tx.blockchainOutbox.updateMany({
+      where: {
+        approvalId: syncRequest.id,
+        status: { in: BlockchainOutboxService.CANCELLABLE_STATUSES }
+      },
+      data: {
+        status: 'cancelled'
+      }
+    });
+    
+    // A write in flight can no longer be cancelled, and a deactivation sent now would revert before it is mined
+    const sentWrites = await tx.blockchainOutbox.findMany({
+      where: {
+        approvalId: syncRequest.id,
+        type: 'recordApproval',
+        status: { in: ['processing', 'sent'] }
+      }
+    });
+    const inFlightWrite = sentWrites.find(entry => entry.status === 'processing' || entry.result?.unmined);
+    const deactivation = inFlightWrite ? await tx.blockchainOutbox.create({
+      data: {
+        type: 'deactivateApproval',
+        approvalId: syncRequest.id,
+        payload: { reasonCode, reason: message || '' },
+        after: inFlightWrite.id
+      }
+    }) : null;
+    
+    return { cancelledWrites: cancelled, queuedDeactivation: deactivation };
+  });
+  
+  // The approval was recorded on the blockchain under the sync request ID, unless its write never left the outbox
+  const recordSent = blockchainOutbox.list({ approvalId: syncRequest.id })
+    .some(entry => entry.type === 'recordApproval' && entry.status === 'sent');
+  const revocation = { reasonCode, reason: message || '' };
+  // Deactivating an approval that was only anchored in a Merkle root would revert, it has no record of its own
+  const anchoredRevocation = revokeAnchoredApproval(syncRequest.id, revocation);
+  let blockchainResult;
+  if (!anchoredRevocation.notAnchored) {
+    blockchainResult = anchoredRevocation.success ? {
+      success: false,
+      anchored: true,
+      error: 'The approval was anchored through a Merkle batch, it is revoked in the anchor store'
+    } : anchoredRevocation;
+  } else if (queuedDeactivation) {
+    blockchainResult = {
+      success: false,
+      queued: true,
+      error: 'The approval is still being recorded, its deactivation is queued to follow it'
+    };
+  } else if (cancelledWrites.count > 0 && !recordSent) {
+    blockchainResult = {
+      success: false,
+      writeCancelled: true,
+      error: 'The approval was not on the blockchain yet, its queued write was cancelled'
+    };
+  } else {
+    blockchainResult = await deactivateApprovalOnBlockchain(syncRequest.id, revocation);
+  }
+  
+  // Notify the requester
+  const emailTemplatePath = path.join(
+    __dirname,
+    "..",
+    "..",
+    "views",
+    "emails",
+    "syncRequests",
+    "syncRequestResponse.ejs"
+  );
+  
+  const htmlContent = await ejs.renderFile(emailTemplatePath, {
+    requester: {
+      name: `${syncRequest.requester.firstname} ${syncRequest.requester.lastname}`,
+      email: syncRequest.requester.email
+    },
+    request_id: syncRequest.id,
+    request_type: syncRequest.request_type,
+    licence_key: syncRequest.licence_key,
+    action: 'revoke',
+    status: 'Revoked',
+    owner_message: message || 'No additional message provided',
+    blockchain: {
+      recorded: blockchainResult.success
+    }
+  });
+  
+  await sendMultipleEmails({
+    emailData: [
+      {
+        toEmail: syncRequest.requester.email,
+        subject: access.revokedSubject,
+        htmlContent: htmlContent
+      }
+    ]
+  });
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Sync request access revoked successfully',
+    data: {
+      request_id: syncRequest.id,
+      action: 'revoke',
+      access_revoked: true,
+      requester_notified: true,
+      licence_key: syncRequest.licence_key,
+      reason_code: reasonCode,
+      blockchain: blockchainResult.success ? {
+        deactivated: true,
+        transaction_hash: blockchainResult.blockchain_data.transactionHash,
+        block_number: blockchainResult.blockchain_data.blockNumber,
+        effective_gas_price: blockchainResult.blockchain_data.fees?.effectiveGasPrice ?? null,
+        fee_paid: blockchainResult.blockchain_data.fees?.feePaid ?? null
+      } : {
+        deactivated: false,
+        reason: blockchainResult.error || 'Blockchain deactivation failed',
+        ...(blockchainResult.writeCancelled && { write_cancelled: true }),
+        ...(blockchainResult.anchored && {
+          anchoring: {
+            revoked: true,
+            anchored: anchoredRevocation.data.anchored,
+            batch_id: anchoredRevocation.data.batchId,
+            revoked_at: anchoredRevocation.data.revocation.revokedAt
+          }
+        }),
+        ...(blockchainResult.queued && {
+          outbox: {
+            queued: true,
+            outbox_id: queuedDeactivation.id,
+            status: queuedDeactivation.status,
+            run_after: queuedDeactivation.after
+          }
+        }),
+        ...(blockchainResult.stuck && { stuck: true, transaction_hash: blockchainResult.transactionHash })
+      }
+    }
+  });
+};
+
 // Validation schema
 const approveSyncRequestSchema = Joi.object({
   request_id: Joi.string().required(),
-  action: Joi.string().valid('approve', 'reject').required(),
-  message: Joi.string().optional().allow('').max(1000) // Optional message from owner
+  action: Joi.string().valid('approve', 'reject', 'revoke').required(),
+  message: Joi.string().optional().allow('').max(1000), // Optional message from owner
+  // Optional expiry of the granted access, only used with the approve action
+  valid_until: Joi.date().iso().greater('now')
+    .when('action', { is: 'approve', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  // Revocation reason recorded on the blockchain, only used with the revoke action
+  reason_code: Joi.string()
+    .valid(...Web3BlockchainService.REVOCATION_REASONS.slice(1))
+    .when('action', { is: 'revoke', then: Joi.optional().default('owner_revoked'), otherwise: Joi.forbidden() })
 });
 
 export const approveSyncRequest = async (req, res, next) => {
@@ -145,7 +419,7 @@ export const approveSyncRequest = async (req, res, next) => {
       throw createError(400, error.details[0].message);
     }
 
-    const { request_id, action, message } = value;
+    const { request_id, action, message, valid_until, reason_code } = value;
     const owner_id = req.user.userId; // Assuming user is authenticated and stored in req.user
 
     // Find the sync request and verify ownership
@@ -153,7 +427,8 @@ export const approveSyncRequest = async (req, res, next) => {
       where: {
         id: request_id,
         owner_id: owner_id,
-        status: 'pending'
+        // Only approved requests can have their access revoked
+        status: action === 'revoke' ? 'approved' : 'pending'
       },
       include: {
         requester: {
@@ -182,9 +457,14 @@ export const approveSyncRequest = async (req, res, next) => {
       throw createError(404, 'Sync request not found or not authorized');
     }
 
-    // Only handle GCP type requests for now
-    if (syncRequest.request_type !== 'gcp') {
-      throw createError(400, 'This API only handles GCP type requests');
+    // Excel requests are handled too, their approvals can be anchored in Merkle batches
+    const access = SYNC_REQUEST_ACCESS[syncRequest.request_type];
+    if (!access) {
+      throw createError(400, 'This API only handles GCP and Excel type requests');
+    }
+
+    if (action === 'revoke') {
+      return await revokeSyncRequestAccess(syncRequest, { reasonCode: reason_code, message }, res);
     }
 
     let updateData = {
@@ -197,35 +477,60 @@ export const approveSyncRequest = async (req, res, next) => {
       updateData.approved_at = new Date();
     }
 
+    // In Merkle anchoring mode Excel sync approvals are batched and only the root goes on chain
+    const anchorApproval = action === 'approve' &&
+      process.env.BLOCKCHAIN_ANCHOR_MODE === 'merkle' && syncRequest.request_type === 'excel';
+
     // Update the sync request
-    const updatedSyncRequest = await mockDatabase.$transaction(async (tx) => {
+    const { updatedSyncRequest, outboxEntry } = await mockDatabase.$transaction(async (tx) => {
       // Update sync request
       const updated = await tx.syncRequest.update({
         where: { id: request_id },
         data: updateData
       });
 
-      // If approved, create GCP access record
+      // If approved, create the access record of the request's type
       if (action === 'approve') {
-        await tx.gCPAccess.create({
+        await tx[access.table].create({
           data: {
             requester_id: syncRequest.requester_id,
             owner_id: syncRequest.owner_id,
             sync_request_id: syncRequest.id,
             licence_key: syncRequest.licence_key,
             access_granted_at: new Date(),
+            access_expires_at: valid_until || null,
             is_active: true
           }
         });
       }
 
-      return updated;
+      // The blockchain write is queued with the approval, so an approval is never committed without it
+      const entry = action === 'approve' && !anchorApproval ? await tx.blockchainOutbox.create({
+        data: {
+          type: 'recordApproval',
+          approvalId: syncRequest.id,
+          payload: {
+            id: syncRequest.id,
+            requester_id: syncRequest.requester_id,
+            owner_id: syncRequest.owner_id,
+            request_type: syncRequest.request_type,
+            licence_key: syncRequest.licence_key,
+            valid_until: valid_until || null
+          }
+        }
+      }) : null;
+
+      return { updatedSyncRequest: updated, outboxEntry: entry };
     });
 
-    // Record on blockchain if approved
-    let blockchainResult = null;
-    if (action === 'approve') {
-      blockchainResult = await recordSyncApprovalOnBlockchain(syncRequest, action);
+    let anchoringResult = null;
+    if (anchorApproval) {
+      anchoringResult = queueApprovalsForAnchoring([{ ...syncRequest, valid_until }]);
+    }
+
+    // The outbox worker records the approval on the blockchain, start on it now rather than at its next poll
+    if (outboxEntry) {
+      blockchainOutbox.wake();
     }
 
     // Prepare email data
@@ -255,12 +560,10 @@ export const approveSyncRequest = async (req, res, next) => {
         name: 'Print & Pack',
         website: 'https://printpack.gtrack.online'
       },
-      // Add blockchain information if available
-      blockchain: blockchainResult && blockchainResult.success && blockchainResult.recorded ? {
-        recorded: true,
-        transaction_ref: blockchainResult.blockchain_data.transaction_ref
-      } : {
-        recorded: false
+      // The approval is recorded on the blockchain in the background
+      blockchain: {
+        recorded: false,
+        queued: Boolean(outboxEntry || anchoringResult?.success)
       }
     };
 
@@ -278,8 +581,8 @@ export const approveSyncRequest = async (req, res, next) => {
     const htmlContent = await ejs.renderFile(emailTemplatePath, emailData);
 
     const emailSubject = action === 'approve' 
-      ? `Print & Pack - Your GCP Access Request has been Approved!`
-      : `Print & Pack - Your GCP Access Request Update`;
+      ? access.approvedSubject
+      : access.updateSubject;
 
     await sendMultipleEmails({
       emailData: [
@@ -303,16 +606,24 @@ export const approveSyncRequest = async (req, res, next) => {
         licence_key: syncRequest.licence_key,
         ...(action === 'approve' && {
           access_granted: true,
-          next_steps: 'Requester can now use GCP to sync product data',
-          blockchain: blockchainResult && blockchainResult.success ? {
-            recorded: blockchainResult.recorded,
-            ...(blockchainResult.recorded && {
-              transaction_ref: blockchainResult.blockchain_data.transaction_ref,
-              transaction_hash: blockchainResult.blockchain_data.transaction_hash
-            })
+          access_expires_at: valid_until || null,
+          next_steps: access.nextSteps,
+          blockchain: anchoringResult ? {
+            recorded: false,
+            anchoring: anchoringResult.success ? {
+              queued: anchoringResult.data.queued.length > 0,
+              anchor_due_at: anchoringResult.data.anchorDueAt
+            } : {
+              queued: false,
+              reason: anchoringResult.error
+            }
           } : {
             recorded: false,
-            reason: blockchainResult ? blockchainResult.message || 'Blockchain recording failed' : 'Blockchain service unavailable'
+            outbox: {
+              queued: true,
+              outbox_id: outboxEntry.id,
+              status: outboxEntry.status
+            }
           }
         })
       }
@@ -331,13 +642,41 @@ const getSyncRequestsSchema = Joi.object({
   request_type: Joi.string().valid('gcp', 'excel', 'all').optional().default('all'),
   page: Joi.number().integer().min(1).optional().default(1),
   limit: Joi.number().integer().min(1).max(100).optional().default(10),
-  include_blockchain: Joi.boolean().optional().default(false)
+  include_blockchain: Joi.boolean().optional().default(false),
+  // Effective on-chain status of the approval, filtering by it implies include_blockchain
+  effective_status: Joi.string().valid('active', 'expired', 'revoked', 'all').optional().default('all')
 });
 
+/**
+ * Build the database condition matching approved requests with the given effective status
+ * The access record (GCP or Excel) mirrors the on-chain approval: it is deactivated on revocation and
+ * expires at the approval's validUntil time
+ * 
+ * @param {string} effectiveStatus - 'active', 'expired' or 'revoked'
+ * @param {Date} now - The time expiry is compared with
+ * @returns {Object} Where clause conditions for the sync request query
+ */
+const getEffectiveStatusWhere = (effectiveStatus, now) => {
+  const accessWhere = {
+    revoked: { is_active: false },
+    expired: { is_active: true, access_expires_at: { lte: now } },
+    active: { is_active: true, OR: [{ access_expires_at: null }, { access_expires_at: { gt: now } }] }
+  }[effectiveStatus];
+  
+  return {
+    status: 'approved',
+    OR: [
+      { gcp_access: { some: accessWhere } },
+      { excel_access: { some: accessWhere } }
+    ]
+  };
+};
+
 /**
  * Get all sync requests with optional filtering by ID
  * If request_id is provided, returns a single request, otherwise returns all requests with pagination
- * Can also include blockchain transaction data if available
+ * Can also include blockchain transaction data if available, and filter approved requests
+ * by their effective on-chain status (active, expired or revoked)
  * 
  * @route GET /api/requests/getSyncRequests
  * @param {Object} req - Express request object
@@ -359,9 +698,14 @@ export const getSyncRequests = async (req, res, next) => {
       request_type, 
       page, 
       limit, 
-      include_blockchain 
+      include_blockchain,
+      effective_status
     } = value;
     
+    // The effective status is only known on chain, so filtering by it requires blockchain data
+    const filterByEffectiveStatus = effective_status !== 'all';
+    const withBlockchain = include_blockchain || filterByEffectiveStatus;
+    
     // Build where clause for database query
     const where = {};
     
@@ -380,6 +724,11 @@ export const getSyncRequests = async (req, res, next) => {
       where.request_type = request_type;
     }
     
+    // Filter by effective status in the query, so the page and the total count cover the same requests
+    if (filterByEffectiveStatus) {
+      where.AND = [getEffectiveStatusWhere(effective_status, new Date())];
+    }
+    
     // Calculate pagination parameters
     const skip = (page - 1) * limit;
     
@@ -428,18 +777,17 @@ export const getSyncRequests = async (req, res, next) => {
     // If blockchain data is requested, fetch it for approved requests
     let syncRequestsWithBlockchain = syncRequests;
     
-    if (include_blockchain) {
+    if (withBlockchain) {
       // Only approved requests can have blockchain data
       const approvedRequests = syncRequests.filter(req => req.status === 'approved');
       
       // Get blockchain data for each approved request
       const blockchainPromises = approvedRequests.map(async (req) => {
         try {
-          // Generate the approval ID the same way as in recordSyncApprovalOnBlockchain
-          // This is a simplified version - in production, you might want to store the approval_id
-          const approvalId = req.blockchain_approval_id || null;
+          // The contract tracks the approval of each sync request, so no approval ID needs to be stored here
+          const blockchainData = await getBlockchainApprovalByRequestId(req.id);
           
-          if (!approvalId) {
+          if (!blockchainData.success && blockchainData.error === 'No approval for this request') {
             return {
               ...req,
               blockchain_data: {
@@ -449,14 +797,11 @@ export const getSyncRequests = async (req, res, next) => {
             };
           }
           
-          // Get real blockchain data from the smart contract
-          const blockchainData = await getBlockchainApproval(approvalId);
-          
           return {
             ...req,
             blockchain_data: blockchainData.success ? {
               recorded: true,
-              approval_id: approvalId,
+              approval_id: blockchainData.data.approvalId,
               // Include all blockchain data directly from the smart contract
               contract_data: {
                 requestId: blockchainData.data.requestId,
@@ -466,13 +811,16 @@ export const getSyncRequests = async (req, res, next) => {
                 licenceKey: blockchainData.data.licenceKey,
                 timestamp: blockchainData.data.timestamp,
                 isActive: blockchainData.data.isActive,
+                status: blockchainData.data.status,
+                validUntil: blockchainData.data.validUntil || null,
+                revocation: blockchainData.data.revocation || null,
                 // If there's a transaction hash available
                 transactionHash: blockchainData.data.transactionHash || null,
                 blockNumber: blockchainData.data.blockNumber || null
               }
             } : {
               recorded: false,
-              message: blockchainData.message || 'Failed to retrieve blockchain data'
+              message: blockchainData.error || 'Failed to retrieve blockchain data'
             }
           };
         } catch (error) {
@@ -522,7 +870,8 @@ export const getSyncRequests = async (req, res, next) => {
         hasPrevPage: page > 1
       },
       meta: {
-        blockchain_data_included: include_blockchain
+        blockchain_data_included: withBlockchain,
+        effective_status
       }
     });
   } catch (error) {
@@ -82,3 +82,54 @@ export const generalAuth = (req, res, next) => {
     });
   }
 };
+
+/**
+ * Admin API key authentication middleware
+ * Protects contract administration routes (roles, pausing, etc.) with a separate key,
+ * and refuses every request while ADMIN_API_KEY is not configured
+ */
+export const adminApiKeyAuth = (req, res, next) => {
+  try {
+    // There is no default key, admin routes stay closed until one is configured
+    const validAdminApiKey = process.env.ADMIN_API_KEY;
+    
+    if (!validAdminApiKey) {
+      return res.status(503).json({
+        success: false,
+        message: 'Admin API is not configured',
+        error: 'ADMIN_API_KEY is not set on the server'
+      });
+    }
+    
+    // Get admin API key from header
+    const adminApiKey = req.headers['x-admin-api-key'];
+    
+    // Check if admin API key is provided
+    if (!adminApiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Admin API key is required',
+        error: 'Unauthorized'
+      });
+    }
+    
+    // Check if admin API key is valid
+    if (adminApiKey !== validAdminApiKey) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid admin API key',
+        error: 'Forbidden'
+      });
+    }
+    
+    // Admin API key is valid, proceed
+    next();
+  } catch (error) {
+    console.error('Admin authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error',
+      error: error.message
+    });
+  }
+};
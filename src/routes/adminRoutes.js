@@ -0,0 +1,523 @@
+import express from 'express';
+import Joi from 'joi';
+import {
+  getBlockchainRoleMembers,
+  updateBlockchainRole,
+  getBlockchainContractState,
+  setBlockchainPaused,
+  updateBlockchainOwnership,
+  replaceStuckTransaction
+} from '../controllers/blockchainController.js';
+import { adminApiKeyAuth } from '../middlewares/auth.js';
+import Web3BlockchainService from '../services/web3BlockchainService.js';
+import { ownerAddressRegistry } from '../services/ownerAddressRegistryService.js';
+
+const router = express.Router();
+
+// All admin routes require the admin API key
+router.use(adminApiKeyAuth);
+
+// Validation schemas
+const roleSchema = Joi.string().valid(...Object.keys(Web3BlockchainService.ROLES)).required();
+
+const addressSchema = Joi.string().pattern(/^0x[0-9a-fA-F]{40}$/).required().messages({
+  'string.pattern.base': '"address" must be a 20-byte hexadecimal address starting with 0x'
+});
+
+const roleUpdateSchema = Joi.object({
+  role: roleSchema,
+  action: Joi.string().valid('grant', 'revoke').required(),
+  address: addressSchema
+});
+
+const ownershipTransferSchema = Joi.object({
+  address: addressSchema
+});
+
+const ownerAddressSchema = Joi.object({
+  address: addressSchema
+});
+
+const replaceTransactionSchema = Joi.object({
+  transactionHash: Joi.string().pattern(/^0x[0-9a-fA-F]{64}$/).required().messages({
+    'string.pattern.base': '"transactionHash" must be a 32-byte hexadecimal hash starting with 0x'
+  }),
+  action: Joi.string().valid('speed-up', 'cancel').required()
+});
+
+/**
+ * Map a failed contract administration call to an HTTP status code
+ * Missing permissions on the service account are a permission problem, not a server error
+ * 
+ * @param {string} error - Error message of the failed call
+ * @returns {number} HTTP status code
+ */
+const getAdminErrorStatus = (error = '') => {
+  if (error.includes('missing required role') || error.includes('not the owner') || error.includes('not the pending owner')) {
+    return 403;
+  }
+  
+  return 400;
+};
+
+/**
+ * @route GET /api/blockchain/admin/roles
+ * @desc List the accounts holding each contract role
+ * @access Admin
+ */
+router.get('/roles', async (req, res) => {
+  try {
+    const result = await getBlockchainRoleMembers();
+    
+    if (result.success) {
+      return res.status(200).json({
+        success: true,
+        message: 'Role members retrieved successfully',
+        data: result.data
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve role members',
+      error: result.error
+    });
+  } catch (error) {
+    console.error('Admin get roles route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/blockchain/admin/roles/:role
+ * @desc List the accounts holding a contract role
+ * @access Admin
+ */
+router.get('/roles/:role', async (req, res) => {
+  try {
+    const { role } = req.params;
+    
+    // Validate role
+    const { error } = roleSchema.validate(role);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+        error: 'Validation Error'
+      });
+    }
+    
+    const result = await getBlockchainRoleMembers(role);
+    
+    if (result.success) {
+      return res.status(200).json({
+        success: true,
+        message: 'Role members retrieved successfully',
+        data: {
+          role,
+          members: result.data.roles[role]
+        }
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve role members',
+      error: result.error
+    });
+  } catch (error) {
+    console.error('Admin get role route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/blockchain/admin/roles/:role/:action
+ * @desc Grant or revoke a contract role (action is grant or revoke)
+ * @access Admin
+ */
+router.post('/roles/:role/:action', async (req, res) => {
+  try {
+    const { role, action } = req.params;
+    const { address } = req.body;
+    
+    // Validate parameters
+    const { error } = roleUpdateSchema.validate({ role, action, address });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+        error: 'Validation Error'
+      });
+    }
+    
+    const result = await updateBlockchainRole(action, role, address);
+    
+    if (result.success) {
+      return res.status(200).json({
+        success: true,
+        message: `Role ${action === 'grant' ? 'granted' : 'revoked'} successfully`,
+        data: {
+          role,
+          address,
+          action,
+          transaction_hash: result.blockchain_data.transactionHash,
+          block_number: result.blockchain_data.blockNumber
+        }
+      });
+    }
+    
+    return res.status(getAdminErrorStatus(result.error)).json({
+      success: false,
+      message: `Failed to ${action} role`,
+      error: result.error,
+      details: result.details
+    });
+  } catch (error) {
+    console.error('Admin update role route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/blockchain/admin/contract
+ * @desc Get whether the contract is paused, its owner and any pending owner
+ * @access Admin
+ */
+router.get('/contract', async (req, res) => {
+  try {
+    const result = await getBlockchainContractState();
+    
+    if (result.success) {
+      return res.status(200).json({
+        success: true,
+        message: 'Contract state retrieved successfully',
+        data: {
+          paused: result.data.paused,
+          owner: result.data.owner,
+          pending_owner: result.data.pendingOwner
+        }
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve contract state',
+      error: result.error
+    });
+  } catch (error) {
+    console.error('Admin get contract state route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Build the handler for the pause and unpause routes
+ * 
+ * @param {boolean} paused - Whether the route pauses (true) or unpauses (false) the contract
+ * @returns {Function} Express route handler
+ */
+const updatePausedState = (paused) => async (req, res) => {
+  try {
+    const result = await setBlockchainPaused(paused);
+    
+    if (result.success) {
+      return res.status(200).json({
+        success: true,
+        message: paused ? 'Contract paused successfully' : 'Contract unpaused successfully',
+        data: {
+          paused,
+          transaction_hash: result.blockchain_data.transactionHash,
+          block_number: result.blockchain_data.blockNumber
+        }
+      });
+    }
+    
+    // Pausing a paused contract (or unpausing a running one) is a state conflict
+    const statusCode = result.error && (result.error.includes('already paused') || result.error.includes('not paused'))
+      ? 409
+      : getAdminErrorStatus(result.error);
+    
+    return res.status(statusCode).json({
+      success: false,
+      message: `Failed to ${paused ? 'pause' : 'unpause'} contract`,
+      error: result.error,
+      details: result.details
+    });
+  } catch (error) {
+    console.error(`Admin ${paused ? 'pause' : 'unpause'} route error:`, error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @route POST /api/blockchain/admin/pause
+ * @desc Freeze all writes on the contract (admin role or owner)
+ * @access Admin
+ */
+router.post('/pause', updatePausedState(true));
+
+/**
+ * @route POST /api/blockchain/admin/unpause
+ * @desc Resume writes on the contract (owner only)
+ * @access Admin
+ */
+router.post('/unpause', updatePausedState(false));
+
+/**
+ * @route POST /api/blockchain/admin/ownership/transfer
+ * @desc Propose a new contract owner, who must accept before the transfer takes effect
+ * @access Admin
+ */
+router.post('/ownership/transfer', async (req, res) => {
+  try {
+    const { error, value } = ownershipTransferSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+        error: 'Validation Error'
+      });
+    }
+    
+    const result = await updateBlockchainOwnership('transfer', value.address);
+    
+    if (result.success) {
+      return res.status(200).json({
+        success: true,
+        message: 'Ownership transfer started, the new owner must accept it',
+        data: {
+          pending_owner: value.address,
+          transaction_hash: result.blockchain_data.transactionHash,
+          block_number: result.blockchain_data.blockNumber
+        }
+      });
+    }
+    
+    return res.status(getAdminErrorStatus(result.error)).json({
+      success: false,
+      message: 'Failed to start ownership transfer',
+      error: result.error,
+      details: result.details
+    });
+  } catch (error) {
+    console.error('Admin transfer ownership route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/blockchain/admin/ownership/accept
+ * @desc Accept a pending ownership transfer (the service account must be the pending owner)
+ * @access Admin
+ */
+router.post('/ownership/accept', async (req, res) => {
+  try {
+    const result = await updateBlockchainOwnership('accept');
+    
+    if (result.success) {
+      return res.status(200).json({
+        success: true,
+        message: 'Ownership transfer accepted',
+        data: {
+          transaction_hash: result.blockchain_data.transactionHash,
+          block_number: result.blockchain_data.blockNumber
+        }
+      });
+    }
+    
+    return res.status(getAdminErrorStatus(result.error)).json({
+      success: false,
+      message: 'Failed to accept ownership transfer',
+      error: result.error,
+      details: result.details
+    });
+  } catch (error) {
+    console.error('Admin accept ownership route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Map an owner address registration to the API response format
+ * 
+ * @param {Object} registration - Registration kept in the owner address registry
+ * @returns {Object} Registration with snake_case fields
+ */
+const toOwnerAddressResponse = (registration) => ({
+  owner_id: registration.ownerId,
+  address: registration.address,
+  registered_at: registration.registeredAt
+});
+
+/**
+ * @route GET /api/blockchain/admin/owner-addresses
+ * @desc List the wallet addresses registered to sign approvals for each owner
+ * @access Admin
+ */
+router.get('/owner-addresses', (req, res) => {
+  const registrations = ownerAddressRegistry.list();
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Owner addresses retrieved successfully',
+    data: {
+      total: registrations.length,
+      owners: registrations.map(toOwnerAddressResponse)
+    }
+  });
+});
+
+/**
+ * @route PUT /api/blockchain/admin/owner-addresses/:ownerId
+ * @desc Register the only wallet address whose signed approvals are relayed for an owner
+ * @access Admin
+ */
+router.put('/owner-addresses/:ownerId', (req, res) => {
+  try {
+    const { error, value } = ownerAddressSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+        error: 'Validation Error'
+      });
+    }
+    
+    const registration = ownerAddressRegistry.register(req.params.ownerId, value.address);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Owner address registered successfully',
+      data: toOwnerAddressResponse(registration)
+    });
+  } catch (error) {
+    console.error('Admin register owner address route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/blockchain/admin/owner-addresses/:ownerId
+ * @desc Remove the address of an owner, its signed approvals are refused until a new one is registered
+ * @access Admin
+ */
+router.delete('/owner-addresses/:ownerId', (req, res) => {
+  try {
+    const { ownerId } = req.params;
+    
+    if (!ownerAddressRegistry.remove(ownerId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Owner address not found',
+        error: `No address is registered for owner ${ownerId}`
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Owner address removed successfully',
+      data: {
+        owner_id: ownerId
+      }
+    });
+  } catch (error) {
+    console.error('Admin remove owner address route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/blockchain/admin/transactions/:transactionHash/:action
+ * @desc Speed up or cancel a transaction stuck in the mempool with a replacement of the same nonce
+ * @access Admin
+ */
+router.post('/transactions/:transactionHash/:action', async (req, res) => {
+  try {
+    const { error, value } = replaceTransactionSchema.validate(req.params);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.details[0].message,
+        error: 'Validation Error'
+      });
+    }
+    
+    const result = await replaceStuckTransaction(value.transactionHash, value.action);
+    
+    if (result.success) {
+      return res.status(200).json({
+        success: true,
+        message: value.action === 'cancel' ? 'Cancelling transaction sent' : 'Sped-up transaction sent',
+        data: {
+          transaction_hash: result.data.transactionHash,
+          replaces: result.data.replaces,
+          replacement_type: result.data.replacementType,
+          nonce: result.data.nonce,
+          approval_ids: result.data.approvalIds,
+          max_fee_per_gas: result.data.fees.maxFeePerGas || null,
+          max_priority_fee_per_gas: result.data.fees.maxPriorityFeePerGas || null,
+          gas_price: result.data.fees.gasPrice || null
+        }
+      });
+    }
+    
+    let statusCode = 400;
+    if (result.notFound) {
+      statusCode = 404;
+    } else if (result.conflict) {
+      statusCode = 409;
+    }
+    
+    return res.status(statusCode).json({
+      success: false,
+      message: value.action === 'cancel' ? 'Failed to cancel transaction' : 'Failed to speed up transaction',
+      error: result.error
+    });
+  } catch (error) {
+    console.error('Admin replace transaction route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+export default router;
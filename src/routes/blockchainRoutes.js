@@ -1,14 +1,35 @@
 import express from 'express';
 import { 
   recordSyncApprovalOnBlockchain, 
+  recordSyncApprovalsBatchOnBlockchain,
+  queueApprovalsForAnchoring,
+  anchorQueuedApprovals,
+  getApprovalMerkleProof,
+  verifyApprovalCommitments,
+  getSignedApprovalTypedData,
+  relaySignedApprovalOnBlockchain,
+  deactivateApprovalOnBlockchain,
+  amendApprovalOnBlockchain,
   getBlockchainApproval, 
+  getBlockchainApprovalByRequestId,
   getBlockchainTransaction,
   getApprovalTransactions,
   getRecentBlockchainTransactions,
-  getTransactionData
+  getTransactionData,
+  getBlockchainContractInfo
 } from '../controllers/blockchainController.js';
+import { findSyncRequest, revokeDeactivatedSyncRequestAccess } from '../controllers/requestController.js';
 import { apiKeyAuth, generalAuth } from '../middlewares/auth.js';
-import Web3BlockchainService from '../services/web3BlockchainService.js';
+import Web3BlockchainService, { getBlockchainService } from '../services/web3BlockchainService.js';
+import { merkleAnchorService } from '../services/merkleAnchorService.js';
+import { privacyIndex } from '../services/privacyIndexService.js';
+import { eventIndexer } from '../services/eventIndexService.js';
+import TransactionTrackerService, { transactionTracker } from '../services/transactionTrackerService.js';
+import { transactionQueue } from '../services/transactionQueueService.js';
+import BlockchainOutboxService, { blockchainOutbox } from '../services/blockchainOutboxService.js';
+import { rpcProviderPool } from '../services/rpcProviderPoolService.js';
+import BlockchainSubscriptionService, { blockchainEvents } from '../services/blockchainSubscriptionService.js';
+import { getConfirmationDepth, getFinalityDepth } from '../utils/finality.js';
 import Joi from 'joi';
 
 const router = express.Router();
@@ -29,21 +50,239 @@ const validateRequest = (schema) => {
 };
 
 // Validation schemas
+const syncRequestSchema = Joi.object({
+  id: Joi.string().required(),
+  requester_id: Joi.string().required(),
+  owner_id: Joi.string().required(),
+  request_type: Joi.string().valid('gcp', 'excel').required(),
+  licence_key: Joi.string().allow('', null),
+  valid_until: Joi.date().iso().greater('now').allow(null)
+});
+
 const recordApprovalSchema = Joi.object({
-  syncRequest: Joi.object({
-    id: Joi.string().required(),
-    requester_id: Joi.string().required(),
-    owner_id: Joi.string().required(),
-    request_type: Joi.string().valid('gcp', 'excel').required(),
-    licence_key: Joi.string().allow('', null)
-  }).required(),
+  syncRequest: syncRequestSchema.required(),
   action: Joi.string().valid('approve', 'reject').required()
 });
 
+// Batch size matches MAX_BATCH_SIZE in the contract
+const recordApprovalsSchema = Joi.object({
+  syncRequests: Joi.array().items(syncRequestSchema).min(1).max(100).unique('id').required()
+});
+
+// Anchored approvals never hit the contract one by one, so bulk jobs can send more
+const anchorApprovalsSchema = Joi.object({
+  syncRequests: Joi.array().items(syncRequestSchema).min(1).max(1000).required()
+});
+
 const getApprovalSchema = Joi.object({
   approvalId: Joi.string().required()
 });
 
+const getApprovalByRequestSchema = Joi.object({
+  requestId: Joi.string().required()
+});
+
+const deactivateApprovalSchema = Joi.object({
+  reason_code: Joi.string().valid(...Web3BlockchainService.REVOCATION_REASONS.slice(1)).optional().default('owner_revoked'),
+  reason: Joi.string().allow('').max(500).optional().default('')
+});
+
+const amendApprovalSchema = Joi.object({
+  request_type: Joi.string().valid('gcp', 'excel'),
+  licence_key: Joi.string().allow(''),
+  reason: Joi.string().allow('').max(500).optional().default('')
+}).or('request_type', 'licence_key');
+
+const saltSchema = Joi.string().pattern(/^0x[0-9a-fA-F]{64}$/);
+
+const verifyApprovalSchema = Joi.object({
+  requester_id: Joi.string(),
+  owner_id: Joi.string(),
+  licence_key: Joi.string().allow(''),
+  salts: Joi.object({
+    requester_id: saltSchema,
+    owner_id: saltSchema,
+    licence_key: saltSchema
+  })
+}).or('requester_id', 'owner_id', 'licence_key');
+
+const saltsSchema = Joi.object({
+  requester_id: saltSchema.required(),
+  owner_id: saltSchema.required(),
+  licence_key: saltSchema.required()
+});
+
+// The sync request is loaded from the database and signed for the owner's registered address
+const signedApprovalTypedDataSchema = Joi.object({
+  request_id: Joi.string().required(),
+  // Defaults to one hour from now
+  deadline: Joi.date().iso().greater('now')
+});
+
+const relaySignedApprovalSchema = Joi.object({
+  request_id: Joi.string().required(),
+  deadline: Joi.number().integer().positive().required(),
+  signature: Joi.string().pattern(/^0x[0-9a-fA-F]{130}$/).required().messages({
+    'string.pattern.base': '"signature" must be a 65-byte hex signature'
+  }),
+  salts: saltsSchema
+});
+
+// Page size is capped at the contract's MAX_PAGE_SIZE
+const paginationSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string()
+}).unknown(true);
+
+const trackedTransactionsSchema = Joi.object({
+  state: Joi.string().valid(...TransactionTrackerService.STATES),
+  approvalId: Joi.string()
+});
+
+const eventStreamSchema = Joi.object({
+  ownerId: Joi.string(),
+  requesterId: Joi.string(),
+  requestType: Joi.string(),
+  lastEventId: Joi.string().pattern(/^\d+-\d+$/).messages({
+    'string.pattern.base': '"lastEventId" must be a block number and log index, e.g. 4210337-2'
+  })
+});
+
+const outboxEntriesSchema = Joi.object({
+  status: Joi.string().valid(...BlockchainOutboxService.STATUSES),
+  approvalId: Joi.string()
+});
+
+// Read routes query the chain by default, or the local event index with source=index
+const readSourceSchema = Joi.object({
+  source: Joi.string().valid('chain', 'index').default('chain')
+}).unknown(true);
+
+/**
+ * Read the source of a read route from the source query parameter
+ * 
+ * @param {Object} query - Request query parameters
+ * @returns {Object} source, or error and the status code to answer with
+ */
+const getReadSource = (query) => {
+  const { error, value } = readSourceSchema.validate(query);
+  if (error) {
+    return { error: error.details[0].message, statusCode: 400 };
+  }
+  
+  if (value.source === 'index' && !eventIndexer.isReady()) {
+    return {
+      error: 'The event index has not been synced yet. Set EVENT_INDEX_ENABLED=true or use source=chain',
+      statusCode: 503
+    };
+  }
+  
+  return { source: value.source };
+};
+
+/**
+ * Convert an approval from the event index to the shape of the on-chain list results
+ * 
+ * @param {Object} approval - Approval from eventIndexer.listApprovals
+ * @returns {Object} The approval keyed by approval_id
+ */
+const toIndexedApprovalResult = ({ approvalId, revocation, version, ...approval }) => ({
+  approval_id: approvalId,
+  ...approval
+});
+
+/**
+ * Encode the offset of the next page as an opaque cursor
+ * 
+ * @param {number} offset - Offset of the next page
+ * @returns {string} The cursor
+ */
+const encodeCursor = (offset) => Buffer.from(JSON.stringify({ offset })).toString('base64url');
+
+/**
+ * Read the page offset and size from the page/limit/cursor query parameters
+ * A cursor takes precedence over page
+ * 
+ * @param {Object} query - Request query parameters
+ * @returns {Object} offset and limit, or error if the parameters are invalid
+ */
+const getPagination = (query) => {
+  const { error, value } = paginationSchema.validate(query);
+  if (error) {
+    return { error: error.details[0].message };
+  }
+  
+  if (value.cursor === undefined) {
+    return { offset: (value.page - 1) * value.limit, limit: value.limit };
+  }
+  
+  try {
+    const { offset } = JSON.parse(Buffer.from(value.cursor, 'base64url').toString('utf8'));
+    if (Number.isInteger(offset) && offset >= 0) {
+      return { offset, limit: value.limit };
+    }
+  } catch (cursorError) {
+    // Fall through to the invalid cursor error
+  }
+  
+  return { error: '"cursor" is invalid' };
+};
+
+/**
+ * Build the pagination block of a list response
+ * 
+ * @param {number} offset - Offset of the current page
+ * @param {number} limit - Page size
+ * @param {number} total - Total number of items
+ * @returns {Object} Pagination details with the cursor of the next page
+ */
+const buildPagination = (offset, limit, total) => ({
+  page: Math.floor(offset / limit) + 1,
+  limit,
+  total,
+  total_pages: Math.ceil(total / limit),
+  next_cursor: offset + limit < total ? encodeCursor(offset + limit) : null
+});
+
+/**
+ * Get the blockchain service the server created and connected at startup
+ * Falls back to the shared instance when the router is mounted without it, e.g. by another app
+ * 
+ * @param {Object} req - Express request
+ * @returns {Web3BlockchainService} The blockchain service
+ */
+const getInjectedService = (req) => req.app.get('blockchainService') || getBlockchainService();
+
+/**
+ * Load the approvals recorded in privacy mode from the off-chain index, merged with their on-chain state
+ * The contract only holds commitments of the private fields, the clear values come from the index
+ * 
+ * @param {Web3BlockchainService} blockchainService - Service used to read the on-chain state
+ * @returns {Promise<Array<Object>>} Approvals in the same shape as the on-chain search results
+ */
+const getIndexedApprovals = async (blockchainService) => {
+  const approvals = [];
+  
+  for (const entry of privacyIndex.list()) {
+    const onChainApproval = await blockchainService.getApproval(entry.approvalId);
+    
+    approvals.push({
+      approval_id: entry.approvalId,
+      ...(onChainApproval.success && onChainApproval.data),
+      requestId: entry.requestId,
+      requesterId: entry.requesterId,
+      ownerId: entry.ownerId,
+      requestType: entry.requestType,
+      licenceKey: entry.licenceKey,
+      transactionHash: entry.transactionHash,
+      blockNumber: entry.blockNumber
+    });
+  }
+  
+  return approvals;
+};
+
 /**
  * @route POST /api/blockchain/record-approval
  * @desc Record a sync approval on the blockchain
@@ -70,6 +309,32 @@ router.post(
             message: result.message
           }
         });
+      } else if (result.paused) {
+        // Writes are frozen on purpose, the request can be retried once the contract is unpaused
+        return res.status(503).json({
+          success: false,
+          message: 'Contract paused',
+          error: result.error
+        });
+      } else if (result.stuck) {
+        // Sent but not mined in time, sending the approval again would record it twice
+        return res.status(202).json({
+          success: false,
+          message: 'Approval sent but not mined yet',
+          error: result.error,
+          data: {
+            recorded: false,
+            stuck: true,
+            transaction_hash: result.transactionHash
+          }
+        });
+      } else if (result.error && (result.error.includes('already exists') || result.error.includes('already has an active approval'))) {
+        // The approval ID is taken, or the sync request or licence key already has an active approval
+        return res.status(409).json({
+          success: false,
+          message: 'Approval conflicts with an existing approval',
+          error: result.error
+        });
       } else {
         return res.status(500).json({
           success: false,
@@ -78,7 +343,667 @@ router.post(
         });
       }
     } catch (error) {
-      console.error('Blockchain record approval route error:', error);
+      console.error('Blockchain record approval route error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/blockchain/record-approvals
+ * @desc Record several sync approvals on the blockchain in a single transaction
+ * @access Private
+ */
+router.post(
+  '/record-approvals',
+  apiKeyAuth,
+  validateRequest(recordApprovalsSchema),
+  async (req, res) => {
+    try {
+      const { syncRequests } = req.body;
+      const result = await recordSyncApprovalsBatchOnBlockchain(syncRequests);
+      
+      // Format per-request results for the response
+      const formatResults = (results = []) => results.map(item => ({
+        approval_id: item.approvalId,
+        recorded: item.recorded,
+        ...(item.error && { error: item.error })
+      }));
+      
+      if (result.success) {
+        return res.status(200).json({
+          success: true,
+          message: `${result.blockchain_data.recordedCount} of ${syncRequests.length} approvals recorded on blockchain`,
+          data: {
+            transaction_hash: result.blockchain_data.transactionHash,
+            block_number: result.blockchain_data.blockNumber,
+            total: syncRequests.length,
+            recorded_count: result.blockchain_data.recordedCount,
+            failed_count: result.blockchain_data.failedCount,
+            results: formatResults(result.blockchain_data.results)
+          }
+        });
+      }
+      
+      if (result.paused) {
+        // Writes are frozen on purpose, the request can be retried once the contract is unpaused
+        return res.status(503).json({
+          success: false,
+          message: 'Contract paused',
+          error: result.error
+        });
+      }
+      
+      // Nothing in the batch could be recorded, no transaction was sent
+      if (result.results) {
+        return res.status(409).json({
+          success: false,
+          message: 'None of the approvals could be recorded on blockchain',
+          error: result.error,
+          data: {
+            total: syncRequests.length,
+            recorded_count: 0,
+            failed_count: syncRequests.length,
+            results: formatResults(result.results)
+          }
+        });
+      }
+      
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to record approvals on blockchain',
+        error: result.error
+      });
+    } catch (error) {
+      console.error('Blockchain record approvals route error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/blockchain/signed-approval/typed-data
+ * @desc Get the EIP-712 typed data the product owner signs to approve a sync request
+ * @access Private
+ */
+router.post(
+  '/signed-approval/typed-data',
+  apiKeyAuth,
+  validateRequest(signedApprovalTypedDataSchema),
+  async (req, res) => {
+    try {
+      const { request_id, deadline } = req.body;
+      const deadlineSeconds = Math.floor((deadline ? new Date(deadline).getTime() : Date.now() + 60 * 60 * 1000) / 1000);
+      
+      const syncRequest = await findSyncRequest(request_id);
+      
+      if (!syncRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sync request not found',
+          error: `No sync request with ID ${request_id}`
+        });
+      }
+      
+      const result = await getSignedApprovalTypedData(syncRequest, deadlineSeconds);
+      
+      if (result.unregisteredOwner) {
+        // An admin registers the owner's wallet first, no other address may sign for the owner
+        return res.status(403).json({
+          success: false,
+          message: 'Owner has no registered signing address',
+          error: result.error
+        });
+      }
+      
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to build typed data for signing',
+          error: result.error
+        });
+      }
+      
+      const { salts } = result.data;
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Sign the typed data with eth_signTypedData_v4 and submit the signature to the relay endpoint',
+        data: {
+          approval_id: syncRequest.id,
+          owner_address: result.ownerAddress,
+          deadline: deadlineSeconds,
+          typed_data: result.data.typedData,
+          ...(salts && {
+            salts: {
+              requester_id: salts.requesterId,
+              owner_id: salts.ownerId,
+              licence_key: salts.licenceKey
+            }
+          })
+        }
+      });
+    } catch (error) {
+      console.error('Blockchain signed approval typed data route error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/blockchain/signed-approval/relay
+ * @desc Relay a sync approval signed by the product owner to the blockchain
+ * @access Private
+ */
+router.post(
+  '/signed-approval/relay',
+  apiKeyAuth,
+  validateRequest(relaySignedApprovalSchema),
+  async (req, res) => {
+    try {
+      const { request_id, deadline, signature, salts } = req.body;
+      
+      // Relay the request as stored, the owner's signature only covers the data the typed data was built from
+      const syncRequest = await findSyncRequest(request_id);
+      
+      if (!syncRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sync request not found',
+          error: `No sync request with ID ${request_id}`
+        });
+      }
+      
+      const result = await relaySignedApprovalOnBlockchain(
+        syncRequest,
+        deadline,
+        signature,
+        salts && { requesterId: salts.requester_id, ownerId: salts.owner_id, licenceKey: salts.licence_key }
+      );
+      
+      if (result.success) {
+        return res.status(200).json({
+          success: true,
+          message: 'Signed approval recorded on blockchain successfully',
+          data: {
+            approval_id: result.blockchain_data.approvalId,
+            signer: result.blockchain_data.signer,
+            transaction_hash: result.blockchain_data.transactionHash,
+            block_number: result.blockchain_data.blockNumber,
+            gas_used: result.blockchain_data.fees?.gasUsed ?? null,
+            effective_gas_price: result.blockchain_data.fees?.effectiveGasPrice ?? null,
+            fee_paid: result.blockchain_data.fees?.feePaid ?? null
+          }
+        });
+      }
+      
+      if (result.unregisteredOwner) {
+        return res.status(403).json({
+          success: false,
+          message: 'Owner has no registered signing address',
+          error: result.error
+        });
+      }
+      
+      if (result.paused) {
+        // Writes are frozen on purpose, the request can be retried once the contract is unpaused
+        return res.status(503).json({
+          success: false,
+          message: 'Contract paused',
+          error: result.error
+        });
+      }
+      
+      if (result.stuck) {
+        // Sent but not mined in time, relaying the signature again would record the approval twice
+        return res.status(202).json({
+          success: false,
+          message: 'Signed approval sent but not mined yet',
+          error: result.error,
+          data: {
+            approval_id: syncRequest.id,
+            recorded: false,
+            stuck: true,
+            transaction_hash: result.transactionHash
+          }
+        });
+      }
+      
+      // Map contract revert reasons to more specific status codes
+      let statusCode = 500;
+      if (result.error && (result.error.includes('Invalid owner signature') || result.error.includes('Signature has expired') || result.error.includes('salts'))) {
+        statusCode = 400;
+      } else if (result.error && (result.error.includes('already exists') || result.error.includes('already has an active approval'))) {
+        statusCode = 409;
+      }
+      
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to relay signed approval to blockchain',
+        error: result.error,
+        details: result.details
+      });
+    } catch (error) {
+      console.error('Blockchain relay signed approval route error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/blockchain/anchor-approvals
+ * @desc Queue sync approvals for the next Merkle-root anchored batch
+ * @access Private
+ */
+router.post(
+  '/anchor-approvals',
+  apiKeyAuth,
+  validateRequest(anchorApprovalsSchema),
+  (req, res) => {
+    try {
+      const result = queueApprovalsForAnchoring(req.body.syncRequests);
+      
+      if (!result.success) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to queue approvals for anchoring',
+          error: result.error
+        });
+      }
+      
+      return res.status(202).json({
+        success: true,
+        message: `${result.data.queued.length} approvals queued for anchoring`,
+        data: {
+          queued: result.data.queued.map(item => ({ approval_id: item.approvalId, leaf: item.leaf })),
+          skipped: result.data.skipped.map(item => ({ approval_id: item.approvalId, error: item.error })),
+          pending_count: result.data.pendingCount,
+          anchor_due_at: result.data.anchorDueAt
+        }
+      });
+    } catch (error) {
+      console.error('Blockchain anchor approvals route error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/blockchain/anchor-approvals/flush
+ * @desc Anchor all queued approvals now instead of waiting for the anchoring window
+ * @access Private
+ */
+router.post('/anchor-approvals/flush', apiKeyAuth, async (req, res) => {
+  try {
+    const result = await anchorQueuedApprovals();
+    
+    if (!result.success) {
+      // While the contract is paused the approvals stay queued for the next window
+      return res.status(result.paused ? 503 : 500).json({
+        success: false,
+        message: 'Failed to anchor queued approvals',
+        error: result.error
+      });
+    }
+    
+    if (!result.data) {
+      return res.status(200).json({
+        success: true,
+        message: 'No approvals queued for anchoring',
+        data: null
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Merkle root anchored on blockchain successfully',
+      data: {
+        batch_id: result.data.batchId,
+        merkle_root: result.data.root,
+        leaf_count: result.data.leafCount,
+        transaction_hash: result.data.transactionHash,
+        block_number: result.data.blockNumber,
+        anchored_at: result.data.anchoredAt
+      }
+    });
+  } catch (error) {
+    console.error('Blockchain anchor flush route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Map the revocation of an anchored approval to the API response format
+ * 
+ * @param {Object|null} revocation - Revocation kept in the anchor store
+ * @returns {Object|null} Revocation with snake_case fields, null if the approval is not revoked
+ */
+const toAnchoredRevocationResponse = (revocation) => revocation ? {
+  reason_code: revocation.reasonCode,
+  reason: revocation.reason,
+  revoked_at: revocation.revokedAt
+} : null;
+
+/**
+ * @route GET /api/blockchain/proof/:approvalId
+ * @desc Get the Merkle inclusion proof of an anchored approval
+ * @access Public
+ */
+router.get('/proof/:approvalId', async (req, res) => {
+  try {
+    const { approvalId } = req.params;
+    const result = await getApprovalMerkleProof(approvalId);
+    
+    if (!result.success) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merkle proof not found',
+        error: result.error
+      });
+    }
+    
+    if (result.data.status === 'pending') {
+      return res.status(202).json({
+        success: true,
+        message: 'Approval is queued and not anchored yet',
+        data: {
+          approval_id: result.data.approvalId,
+          status: result.data.status,
+          leaf: result.data.leaf,
+          anchor_due_at: result.data.anchorDueAt,
+          revocation: toAnchoredRevocationResponse(result.data.revocation)
+        }
+      });
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Merkle proof retrieved successfully',
+      data: {
+        approval_id: result.data.approvalId,
+        status: result.data.status,
+        approval: result.data.approval,
+        leaf: result.data.leaf,
+        leaf_index: result.data.leafIndex,
+        proof: result.data.proof,
+        merkle_root: result.data.root,
+        batch_id: result.data.batchId,
+        leaf_count: result.data.leafCount,
+        transaction_hash: result.data.transactionHash,
+        block_number: result.data.blockNumber,
+        anchored_at: result.data.anchoredAt,
+        verified_on_chain: result.data.verifiedOnChain,
+        revocation: toAnchoredRevocationResponse(result.data.revocation)
+      }
+    });
+  } catch (error) {
+    console.error('Blockchain proof route error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/blockchain/approval/:approvalId
+ * @desc Get approval details from blockchain
+ * @access Public
+ */
+router.get(
+  '/approval/:approvalId',
+  async (req, res) => {
+    try {
+      const { approvalId } = req.params;
+      
+      // Validate approvalId
+      const { error } = getApprovalSchema.validate({ approvalId });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          error: 'Validation Error'
+        });
+      }
+      
+      // Check if blockchain is enabled
+      if (process.env.BLOCKCHAIN_ENABLED === 'false') {
+        return res.status(400).json({
+          success: false,
+        message: 'Blockchain integration is disabled',
+        error: 'Blockchain functionality is explicitly disabled in this environment. Set BLOCKCHAIN_ENABLED to true or remove it from your .env file to enable.'
+        });
+      }
+      
+      // Get the approval details
+      const result = await getBlockchainApproval(approvalId);
+      
+      if (result.success) {
+        return res.status(200).json({
+          success: true,
+          message: 'Approval details retrieved successfully',
+          data: result.data
+        });
+      } else {
+        // Check if this is an ABI error
+        const isAbiError = result.error && result.error.includes('ABI');
+        
+        if (isAbiError) {
+          return res.status(400).json({
+            success: false,
+            message: 'ABI compatibility issue',
+            error: result.error,
+            solution: 'The contract ABI may not match the deployed contract. Please ensure your contract ABI is up to date.'
+          });
+        }
+        
+        // For non-ABI errors, return the standard error response
+        return res.status(404).json({
+          success: false,
+          message: 'Approval not found or blockchain integration disabled',
+          error: result.error || 'Not found'
+        });
+      }
+    } catch (error) {
+      console.error('Blockchain get approval route error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route GET /api/blockchain/approval/by-request/:requestId
+ * @desc Get the approval recorded for a sync request from blockchain
+ * @access Public
+ */
+router.get(
+  '/approval/by-request/:requestId',
+  async (req, res) => {
+    try {
+      const { requestId } = req.params;
+      
+      // Validate requestId
+      const { error } = getApprovalByRequestSchema.validate({ requestId });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          error: 'Validation Error'
+        });
+      }
+      
+      // Check if blockchain is enabled
+      if (process.env.BLOCKCHAIN_ENABLED === 'false') {
+        return res.status(400).json({
+          success: false,
+          message: 'Blockchain integration is disabled',
+          error: 'Blockchain functionality is explicitly disabled in this environment. Set BLOCKCHAIN_ENABLED to true or remove it from your .env file to enable.'
+        });
+      }
+      
+      const result = await getBlockchainApprovalByRequestId(requestId);
+      
+      if (result.success) {
+        return res.status(200).json({
+          success: true,
+          message: 'Approval details retrieved successfully',
+          data: result.data
+        });
+      }
+      
+      const notFound = result.error && result.error.includes('No approval for this request');
+      
+      return res.status(notFound ? 404 : 500).json({
+        success: false,
+        message: notFound ? 'No approval recorded for this sync request' : 'Failed to get approval from blockchain',
+        error: result.error
+      });
+    } catch (error) {
+      console.error('Blockchain get approval by request route error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/blockchain/approval/:approvalId/deactivate
+ * @desc Deactivate (revoke) an approval on the blockchain
+ * @access Private
+ */
+router.post(
+  '/approval/:approvalId/deactivate',
+  apiKeyAuth,
+  async (req, res) => {
+    try {
+      const { approvalId } = req.params;
+      
+      // Validate approvalId
+      const { error } = getApprovalSchema.validate({ approvalId });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error.details[0].message,
+          error: 'Validation Error'
+        });
+      }
+      
+      // Check if blockchain is enabled
+      if (process.env.BLOCKCHAIN_ENABLED === 'false') {
+        return res.status(400).json({
+          success: false,
+          message: 'Blockchain integration is disabled',
+          error: 'Blockchain functionality is explicitly disabled in this environment. Set BLOCKCHAIN_ENABLED to true or remove it from your .env file to enable.'
+        });
+      }
+      
+      // Validate revocation reason
+      const { error: bodyError, value: revocation } = deactivateApprovalSchema.validate(req.body || {});
+      if (bodyError) {
+        return res.status(400).json({
+          success: false,
+          message: bodyError.details[0].message,
+          error: 'Validation Error'
+        });
+      }
+      
+      // Deactivate the approval on the blockchain
+      const result = await deactivateApprovalOnBlockchain(approvalId, {
+        reasonCode: revocation.reason_code,
+        reason: revocation.reason
+      });
+      
+      if (result.success) {
+        // Approvals are recorded under their sync request ID, revoke the access it granted to match the chain
+        const accessRevoked = await revokeDeactivatedSyncRequestAccess(approvalId);
+        
+        return res.status(200).json({
+          success: true,
+          message: 'Approval deactivated on blockchain successfully',
+          data: {
+            approval_id: approvalId,
+            deactivated: true,
+            access_revoked: accessRevoked,
+            reason_code: result.blockchain_data.reasonCode,
+            reason: result.blockchain_data.reason,
+            transaction_hash: result.blockchain_data.transactionHash,
+            block_number: result.blockchain_data.blockNumber
+          }
+        });
+      }
+      
+      if (result.paused) {
+        // Writes are frozen on purpose, the request can be retried once the contract is unpaused
+        return res.status(503).json({
+          success: false,
+          message: 'Contract paused',
+          error: result.error
+        });
+      }
+      
+      if (result.stuck) {
+        // Sent but not mined in time, it may still go through or can be sped up or cancelled
+        return res.status(202).json({
+          success: false,
+          message: 'Deactivation sent but not mined yet',
+          error: result.error,
+          data: {
+            approval_id: approvalId,
+            deactivated: false,
+            stuck: true,
+            transaction_hash: result.transactionHash
+          }
+        });
+      }
+      
+      // Map contract revert reasons to more specific status codes
+      let statusCode = 500;
+      if (result.error && result.error.includes('does not exist')) {
+        statusCode = 404;
+      } else if (result.error && result.error.includes('already inactive')) {
+        statusCode = 409;
+      }
+      
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to deactivate approval on blockchain',
+        error: result.error,
+        details: result.details
+      });
+    } catch (error) {
+      console.error('Blockchain deactivate approval route error:', error);
       return res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -89,12 +1014,13 @@ router.post(
 );
 
 /**
- * @route GET /api/blockchain/approval/:approvalId
- * @desc Get approval details from blockchain
- * @access Public
+ * @route POST /api/blockchain/approval/:approvalId/amend
+ * @desc Amend the request type and/or licence key of an approval, keeping the previous version on chain
+ * @access Private
  */
-router.get(
-  '/approval/:approvalId',
+router.post(
+  '/approval/:approvalId/amend',
+  apiKeyAuth,
   async (req, res) => {
     try {
       const { approvalId } = req.params;
@@ -113,42 +1039,129 @@ router.get(
       if (process.env.BLOCKCHAIN_ENABLED === 'false') {
         return res.status(400).json({
           success: false,
-        message: 'Blockchain integration is disabled',
-        error: 'Blockchain functionality is explicitly disabled in this environment. Set BLOCKCHAIN_ENABLED to true or remove it from your .env file to enable.'
+          message: 'Blockchain integration is disabled',
+          error: 'Blockchain functionality is explicitly disabled in this environment. Set BLOCKCHAIN_ENABLED to true or remove it from your .env file to enable.'
         });
       }
       
-      // Get the approval details
-      const result = await getBlockchainApproval(approvalId);
+      // Validate the amended fields
+      const { error: bodyError, value: amendment } = amendApprovalSchema.validate(req.body || {});
+      if (bodyError) {
+        return res.status(400).json({
+          success: false,
+          message: bodyError.details[0].message,
+          error: 'Validation Error'
+        });
+      }
+      
+      // Amend the approval on the blockchain
+      const result = await amendApprovalOnBlockchain(approvalId, {
+        requestType: amendment.request_type,
+        licenceKey: amendment.licence_key
+      }, amendment.reason);
       
       if (result.success) {
         return res.status(200).json({
           success: true,
-          message: 'Approval details retrieved successfully',
-          data: result.data
+          message: 'Approval amended on blockchain successfully',
+          data: {
+            approval_id: approvalId,
+            amended: true,
+            version: result.blockchain_data.version,
+            request_type: result.blockchain_data.requestType,
+            licence_key: result.blockchain_data.licenceKey,
+            reason: result.blockchain_data.reason,
+            transaction_hash: result.blockchain_data.transactionHash,
+            block_number: result.blockchain_data.blockNumber,
+            ...(result.blockchain_data.commitments && { commitments: result.blockchain_data.commitments })
+          }
         });
-      } else {
-        // Check if this is an ABI error
-        const isAbiError = result.error && result.error.includes('ABI');
-        
-        if (isAbiError) {
-          return res.status(400).json({
-            success: false,
-            message: 'ABI compatibility issue',
-            error: result.error,
-            solution: 'The contract ABI may not match the deployed contract. Please ensure your contract ABI is up to date.'
-          });
-        }
-        
-        // For non-ABI errors, return the standard error response
-        return res.status(404).json({
+      }
+      
+      if (result.paused) {
+        // Writes are frozen on purpose, the request can be retried once the contract is unpaused
+        return res.status(503).json({
           success: false,
-          message: 'Approval not found or blockchain integration disabled',
-          error: result.error || 'Not found'
+          message: 'Contract paused',
+          error: result.error
         });
       }
+      
+      // Map contract revert reasons to more specific status codes
+      let statusCode = 500;
+      if (result.error && result.error.includes('does not exist')) {
+        statusCode = 404;
+      } else if (result.error && (
+        result.error.includes('is inactive') ||
+        result.error.includes('cannot be amended') ||
+        result.error.includes('No changes to amend') ||
+        result.error.includes('already has an active approval')
+      )) {
+        statusCode = 409;
+      }
+      
+      return res.status(statusCode).json({
+        success: false,
+        message: 'Failed to amend approval on blockchain',
+        error: result.error,
+        details: result.details
+      });
     } catch (error) {
-      console.error('Blockchain get approval route error:', error);
+      console.error('Blockchain amend approval route error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @route POST /api/blockchain/approval/:approvalId/verify
+ * @desc Verify clear requester, owner and licence key values against an approval's on-chain commitments
+ * @access Private
+ */
+router.post(
+  '/approval/:approvalId/verify',
+  apiKeyAuth,
+  validateRequest(verifyApprovalSchema),
+  async (req, res) => {
+    try {
+      const { approvalId } = req.params;
+      const { requester_id, owner_id, licence_key, salts = {} } = req.body;
+      
+      const result = await verifyApprovalCommitments(
+        approvalId,
+        { requesterId: requester_id, ownerId: owner_id, licenceKey: licence_key },
+        { requesterId: salts.requester_id, ownerId: salts.owner_id, licenceKey: salts.licence_key }
+      );
+      
+      if (!result.success) {
+        return res.status(result.notFound ? 404 : 500).json({
+          success: false,
+          message: 'Failed to verify approval',
+          error: result.error
+        });
+      }
+      
+      // Report fields with the same names as the request body
+      const fieldNames = { requesterId: 'requester_id', ownerId: 'owner_id', licenceKey: 'licence_key' };
+      const fields = Object.fromEntries(
+        Object.entries(result.data.fields).map(([field, fieldResult]) => [fieldNames[field], fieldResult])
+      );
+      
+      return res.status(200).json({
+        success: true,
+        message: result.data.verified ? 'All values match the approval on blockchain' : 'Values do not match the approval on blockchain',
+        data: {
+          approval_id: approvalId,
+          verified: result.data.verified,
+          fields
+        }
+      });
+    } catch (error) {
+      console.error('Blockchain verify approval route error:', error);
       return res.status(500).json({
         success: false,
         message: 'Internal server error',
@@ -171,8 +1184,8 @@ router.get('/transactions', async (req, res) => {
     // Get fromBlock from query params if provided
     const fromBlock = req.query.from_block ? parseInt(req.query.from_block) : null;
     
-    // Initialize blockchain service
-    const blockchainService = new Web3BlockchainService();
+    // Use the blockchain service injected at startup
+    const blockchainService = getInjectedService(req);
     
     // Check if blockchain is enabled - default to enabled if not explicitly disabled
     if (process.env.BLOCKCHAIN_ENABLED === 'false') {
@@ -186,7 +1199,7 @@ router.get('/transactions', async (req, res) => {
     // Get recent transactions from the blockchain
     try {
       console.log(`Fetching up to ${limit} recent transactions from the blockchain`);
-      const result = await getRecentBlockchainTransactions(limit, fromBlock);
+      const result = await getRecentBlockchainTransactions(limit, fromBlock, blockchainService);
       
       if (result.success) {
         return res.status(200).json({
@@ -220,6 +1233,397 @@ router.get('/transactions', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/blockchain/queue
+ * @desc Get the transactions waiting in the signer queue and the ones broadcast but not yet mined
+ * @access Private
+ */
+router.get('/queue', apiKeyAuth, (req, res) => {
+  const queue = transactionQueue.getStatus();
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Transaction queue status',
+    data: {
+      queue_depth: queue.queueDepth,
+      in_flight_count: queue.inFlight.length,
+      max_in_flight: queue.maxInFlight,
+      waiting: queue.waiting.map(job => ({
+        job_id: job.jobId,
+        method: job.method,
+        approval_ids: job.approvalIds,
+        queued_at: job.queuedAt
+      })),
+      in_flight: queue.inFlight.map(job => ({
+        job_id: job.jobId,
+        method: job.method,
+        approval_ids: job.approvalIds,
+        from: job.from,
+        nonce: job.nonce,
+        transaction_hash: job.transactionHash,
+        queued_at: job.queuedAt,
+        sent_at: job.sentAt
+      })),
+      next_nonces: queue.nextNonces,
+      sent_count: queue.sentCount,
+      failed_count: queue.failedCount,
+      nonce_retry_count: queue.nonceRetryCount,
+      stuck_count: queue.stuckCount,
+      stuck_timeout_ms: queue.stuckTimeoutMs,
+      last_error: queue.lastError
+    }
+  });
+});
+
+/**
+ * Map an outbox entry to the API response format
+ * 
+ * @param {Object} entry - Outbox entry
+ * @returns {Object} Entry with snake_case fields
+ */
+const toOutboxEntryResponse = (entry) => ({
+  outbox_id: entry.id,
+  type: entry.type,
+  approval_id: entry.approvalId,
+  status: entry.status,
+  run_after: entry.after || null,
+  attempts: entry.attempts,
+  max_attempts: entry.maxAttempts,
+  next_attempt_at: entry.nextAttemptAt,
+  last_error: entry.lastError,
+  transaction_hash: entry.result?.transactionHash || null,
+  block_number: entry.result?.blockNumber ?? null,
+  unmined: Boolean(entry.result?.unmined),
+  created_at: entry.createdAt,
+  updated_at: entry.updatedAt,
+  sent_at: entry.sentAt || null,
+  dead_at: entry.deadAt || null
+});
+
+/**
+ * @route GET /api/blockchain/outbox
+ * @desc List the blockchain writes queued by approved sync requests, including dead letters
+ * @access Private
+ */
+router.get('/outbox', apiKeyAuth, (req, res) => {
+  const { error, value } = outboxEntriesSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+      error: 'Validation Error'
+    });
+  }
+  
+  const entries = blockchainOutbox.list(value).map(toOutboxEntryResponse);
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Outbox entries retrieved successfully',
+    data: {
+      total: entries.length,
+      entries
+    }
+  });
+});
+
+/**
+ * @route POST /api/blockchain/outbox/:outboxId/retry
+ * @desc Send a pending, dead or cancelled outbox entry again right away
+ * @access Private
+ */
+router.post('/outbox/:outboxId/retry', apiKeyAuth, (req, res) => {
+  const entry = blockchainOutbox.get(req.params.outboxId);
+  
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Outbox entry not found'
+    });
+  }
+  
+  if (!BlockchainOutboxService.RETRYABLE_STATUSES.includes(entry.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `Outbox entry is ${entry.status} and cannot be retried`
+    });
+  }
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Outbox entry queued for retry',
+    data: toOutboxEntryResponse(blockchainOutbox.retry(entry.id))
+  });
+});
+
+/**
+ * @route POST /api/blockchain/outbox/:outboxId/cancel
+ * @desc Give up a pending or dead outbox entry, it is never sent
+ * @access Private
+ */
+router.post('/outbox/:outboxId/cancel', apiKeyAuth, (req, res) => {
+  const entry = blockchainOutbox.get(req.params.outboxId);
+  
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      message: 'Outbox entry not found'
+    });
+  }
+  
+  if (!BlockchainOutboxService.CANCELLABLE_STATUSES.includes(entry.status)) {
+    return res.status(409).json({
+      success: false,
+      message: `Outbox entry is ${entry.status} and cannot be cancelled`
+    });
+  }
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Outbox entry cancelled',
+    data: toOutboxEntryResponse(blockchainOutbox.cancel(entry.id))
+  });
+});
+
+/**
+ * @route GET /api/blockchain/transactions/tracked
+ * @desc List the transactions sent by this service that are not final yet, including stuck and orphaned ones
+ * @access Private
+ */
+router.get('/transactions/tracked', apiKeyAuth, (req, res) => {
+  const { error, value } = trackedTransactionsSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+      error: 'Validation Error'
+    });
+  }
+  
+  const transactions = transactionTracker.list(value).map(transaction => ({
+    transaction_hash: transaction.transactionHash,
+    method: transaction.method,
+    approval_ids: transaction.approvalIds,
+    state: transaction.state,
+    block_number: transaction.blockNumber,
+    block_hash: transaction.blockHash,
+    nonce: transaction.nonce ?? null,
+    confirmations: transaction.confirmations ?? null,
+    reorg_count: transaction.reorgCount,
+    replaces: transaction.replaces,
+    replaced_by: transaction.replacedBy,
+    replacement_type: transaction.replacementType || null,
+    resubmit_error: transaction.resubmitError || null,
+    tracked_at: transaction.trackedAt,
+    checked_at: transaction.checkedAt
+  }));
+  
+  return res.status(200).json({
+    success: true,
+    message: 'Tracked transactions retrieved successfully',
+    data: {
+      total: transactions.length,
+      transactions
+    }
+  });
+});
+
+/**
+ * Map an approval event to the data of a streamed event
+ * 
+ * @param {Object} event - Event emitted by the blockchain subscriptions
+ * @returns {Object} Event data with snake_case fields
+ */
+const toStreamApprovalEvent = (event) => ({
+  approval_id: event.approvalId,
+  request_id: event.requestId,
+  requester_id: event.requesterId,
+  owner_id: event.ownerId,
+  request_type: event.requestType,
+  ...(event.event === 'ApprovalDeactivated' && {
+    reason_code: event.reasonCode,
+    reason: event.reason,
+    revoked_by: event.revokedBy
+  }),
+  timestamp: event.timestamp,
+  transaction_hash: event.transactionHash,
+  block_number: event.blockNumber,
+  block_hash: event.blockHash,
+  log_index: event.logIndex,
+  removed: event.removed
+});
+
+/**
+ * Map a tracked transaction change to the data of a streamed event
+ * 
+ * @param {Object} transaction - Transaction emitted by the transaction tracker
+ * @returns {Object} Event data with snake_case fields
+ */
+const toStreamConfirmationEvent = (transaction) => ({
+  transaction_hash: transaction.transactionHash,
+  method: transaction.method,
+  approval_ids: transaction.approvalIds,
+  state: transaction.state,
+  previous_state: transaction.previousState,
+  confirmations: transaction.confirmations ?? null,
+  block_number: transaction.blockNumber ?? null,
+  block_hash: transaction.blockHash ?? null,
+  reorg_count: transaction.reorgCount,
+  replaced_by: transaction.replacedBy,
+  replacement_type: transaction.replacementType || null,
+  checked_at: transaction.checkedAt
+});
+
+/**
+ * Check an approval against the filters of an event stream
+ * Approvals recorded in privacy mode only hold commitments on chain, their clear values come from the privacy index
+ * 
+ * @param {Object} approval - Approval ID, requester ID, owner ID and request type
+ * @param {Object} filters - Values the fields must have
+ * @returns {boolean} True if every filter matches
+ */
+const matchesStreamFilters = (approval, filters) => {
+  const privateEntry = privacyIndex.get(approval.approvalId);
+  
+  return Object.entries(filters).every(([field, expected]) =>
+    approval[field] === expected || privateEntry?.[field] === expected
+  );
+};
+
+/**
+ * @route GET /api/blockchain/events/stream
+ * @desc Stream recorded and deactivated approvals and confirmation changes of sent transactions as Server-Sent Events
+ * @access Private
+ */
+router.get('/events/stream', apiKeyAuth, (req, res) => {
+  const { error, value } = eventStreamSchema.validate({
+    ...req.query,
+    ...(req.get('Last-Event-ID') && { lastEventId: req.get('Last-Event-ID') })
+  });
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.details[0].message,
+      error: 'Validation Error'
+    });
+  }
+  
+  if (!blockchainEvents.running) {
+    return res.status(503).json({
+      success: false,
+      message: 'Live blockchain events are off',
+      error: 'Set BLOCKCHAIN_WS_URL (or a ws:// RPC URL) or BLOCKCHAIN_SUBSCRIPTIONS=polling to enable them'
+    });
+  }
+  
+  const { lastEventId, ...filters } = value;
+  const heartbeatMs = parseInt(process.env.BLOCKCHAIN_EVENT_STREAM_HEARTBEAT_MS || '15000', 10);
+  const approvalFields = new Map();
+  
+  // Position of the last approval event handled, events up to it were sent already
+  let position = null;
+  if (lastEventId) {
+    const [blockNumber, logIndex] = lastEventId.split('-').map(Number);
+    position = { blockNumber, logIndex };
+  }
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(': connected\n\n');
+  
+  // Approval events carry their position as id, so a reconnecting client resumes after the last one it got
+  const send = (eventName, data, id = null) => {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  
+  const sendApprovalEvent = (event) => {
+    // A removed event has no id, its position stays valid for the event that replaces it
+    if (!event.removed) {
+      if (position && BlockchainSubscriptionService.compareEvents(event, position) <= 0) {
+        return;
+      }
+      
+      position = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+    }
+    
+    if (matchesStreamFilters(event, filters)) {
+      send(
+        event.event === 'ApprovalRecorded' ? 'recorded' : 'deactivated',
+        toStreamApprovalEvent(event),
+        event.removed ? null : `${event.blockNumber}-${event.logIndex}`
+      );
+    }
+  };
+  
+  const sendConfirmationEvent = async (transaction) => {
+    if (Object.keys(filters).length > 0) {
+      let matches = false;
+      
+      for (const approvalId of transaction.approvalIds) {
+        if (!approvalFields.has(approvalId)) {
+          try {
+            approvalFields.set(approvalId, await blockchainEvents.getApprovalFields(approvalId));
+          } catch (error) {
+            // Not on chain yet, e.g. the transaction recording it is not mined
+            continue;
+          }
+        }
+        
+        if (matchesStreamFilters({ approvalId, ...approvalFields.get(approvalId) }, filters)) {
+          matches = true;
+          break;
+        }
+      }
+      
+      if (!matches) {
+        return;
+      }
+    }
+    
+    send('confirmation', toStreamConfirmationEvent(transaction));
+  };
+  
+  // Events are sent one at a time, in the order they happened
+  let sending = Promise.resolve();
+  const enqueue = (task) => {
+    sending = sending.then(task).catch(error => {
+      console.error('Event stream error:', error);
+      res.end();
+    });
+  };
+  
+  const onApprovalEvent = (event) => enqueue(() => sendApprovalEvent(event));
+  const onTransactionChange = (transaction) => enqueue(() => sendConfirmationEvent(transaction));
+  
+  // Listen before replaying, the position skips live events the replay already sent
+  blockchainEvents.on('approvalEvent', onApprovalEvent);
+  transactionTracker.on('change', onTransactionChange);
+  
+  if (position) {
+    // A failed replay ends the stream, the client reconnects and tries again from the same id
+    enqueue(async () => {
+      for (const event of await blockchainEvents.getEventsAfter(position)) {
+        sendApprovalEvent(event);
+      }
+    });
+  }
+  
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), heartbeatMs);
+  heartbeat.unref();
+  
+  // Closed by the client, or ended after an error
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    blockchainEvents.off('approvalEvent', onApprovalEvent);
+    transactionTracker.off('change', onTransactionChange);
+  });
+});
+
 /**
  * @route GET /api/blockchain/transaction/:transactionHash
  * @desc Get transaction details from blockchain by transaction hash
@@ -231,8 +1635,8 @@ router.get(
     try {
       const { transactionHash } = req.params;
       
-      // Initialize blockchain service
-      const blockchainService = new Web3BlockchainService();
+      // Use the blockchain service injected at startup
+      const blockchainService = getInjectedService(req);
       
       // Check if blockchain is enabled
       if (process.env.BLOCKCHAIN_ENABLED === 'false') {
@@ -253,7 +1657,7 @@ router.get(
       }
       
       // Get transaction details using the controller
-      const result = await getBlockchainTransaction(transactionHash);
+      const result = await getBlockchainTransaction(transactionHash, blockchainService);
       
       if (result.success) {
         return res.status(200).json({
@@ -261,6 +1665,20 @@ router.get(
           message: 'Transaction details retrieved successfully',
           data: result.data
         });
+      } else if (result.orphaned) {
+        // Sent by this service and included once, but a chain reorganization dropped it
+        return res.status(410).json({
+          success: false,
+          message: 'Transaction orphaned by a chain reorganization',
+          error: result.error,
+          data: {
+            transaction_hash: result.data.transactionHash,
+            method: result.data.method,
+            approval_ids: result.data.approvalIds,
+            replaced_by: result.data.replacedBy,
+            resubmit_error: result.data.resubmitError
+          }
+        });
       } else {
         return res.status(404).json({
           success: false,
@@ -308,8 +1726,17 @@ router.get(
         });
       }
       
+      const readSource = getReadSource(req.query);
+      if (readSource.error) {
+        return res.status(readSource.statusCode).json({
+          success: false,
+          message: readSource.error,
+          error: readSource.statusCode === 400 ? 'Validation Error' : 'Event index unavailable'
+        });
+      }
+      
       // Get all transactions for this approval
-      const result = await getApprovalTransactions(approvalId);
+      const result = await getApprovalTransactions(approvalId, readSource.source);
       
       if (result.success) {
         return res.status(200).json({
@@ -364,15 +1791,33 @@ router.get('/search-approvals', apiKeyAuth, async (req, res) => {
       licenceKey, 
       fromDate, 
       toDate, 
-      isActive 
+      isActive,
+      status
     } = req.query;
     
-    // Initialize blockchain service
+    const pagination = getPagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error,
+        error: 'Validation Error'
+      });
+    }
+    
+    const readSource = getReadSource(req.query);
+    if (readSource.error) {
+      return res.status(readSource.statusCode).json({
+        success: false,
+        message: readSource.error,
+        error: readSource.statusCode === 400 ? 'Validation Error' : 'Event index unavailable'
+      });
+    }
+    
+    // Use the blockchain service injected at startup
     let blockchainService;
     
     try {
-      blockchainService = new Web3BlockchainService();
-      console.log('Blockchain service initialized for search-approvals endpoint');
+      blockchainService = getInjectedService(req);
     } catch (error) {
       console.error('Error initializing blockchain service:', error.message);
       return res.status(500).json({
@@ -424,33 +1869,35 @@ router.get('/search-approvals', apiKeyAuth, async (req, res) => {
       console.log('Fetching REAL blockchain data...');
       
       try {
-        // Get total number of approvals
-        totalApprovals = await blockchainService.getTotalApprovals();
-        console.log(`Found ${totalApprovals} total approvals on the blockchain`);
-        
-        // Get all approvals
-        for (let i = 0; i < totalApprovals; i++) {
-          try {
-            // Get approval ID at index i
-            const approvalId = await blockchainService.getApprovalIdByIndex(i);
-            console.log(`Fetching approval ${i+1}/${totalApprovals}, ID: ${approvalId}`);
-            
-            // Get approval details
-            const approvalData = await blockchainService.getApproval(approvalId);
-            
-            if (approvalData.success) {
-              const approval = {
-                approval_id: approvalId,
-                ...approvalData.data
-              };
-              
-              console.log(`Successfully retrieved approval: ${approval.requestId}`);
-              allApprovals.push(approval);
-            }
-          } catch (error) {
-            console.error(`Error getting approval at index ${i}:`, error);
-            // Continue to the next approval
+        // Private fields are only commitments on chain, so search the off-chain index instead
+        if (blockchainService.privacyMode) {
+          allApprovals = await getIndexedApprovals(blockchainService);
+          totalApprovals = allApprovals.length;
+          console.log(`Found ${totalApprovals} approvals in the privacy index`);
+        } else if (readSource.source === 'index') {
+          allApprovals = eventIndexer.listApprovals({
+            ownerId: ownerId || null,
+            requesterId: ownerId ? null : requesterId || null
+          }).map(toIndexedApprovalResult);
+          totalApprovals = eventIndexer.getStatus().approvalCount;
+          console.log(`Found ${totalApprovals} approvals in the event index`);
+        } else {
+          // Owner and requester filters use the contract's per-owner/per-requester indexes (exact match)
+          const listResult = await blockchainService.listApprovals({
+            ownerId: ownerId || null,
+            requesterId: ownerId ? null : requesterId || null
+          });
+          
+          if (!listResult.success) {
+            throw new Error(listResult.error);
           }
+          
+          totalApprovals = await blockchainService.getTotalApprovals();
+          allApprovals = listResult.data.approvals.map(({ approvalId, ...approval }) => ({
+            approval_id: approvalId,
+            ...approval
+          }));
+          console.log(`Found ${totalApprovals} total approvals on the blockchain`);
         }
       } catch (error) {
         console.warn('Error getting total approvals, using mock data for search:', error.message);
@@ -466,6 +1913,8 @@ router.get('/search-approvals', apiKeyAuth, async (req, res) => {
             licenceKey: 'GS1-123456',
             timestamp: Date.now() - 1000000,
             isActive: true,
+            validUntil: null,
+            status: 'active',
             transactionHash: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
             blockNumber: 12345678
           },
@@ -478,6 +1927,8 @@ router.get('/search-approvals', apiKeyAuth, async (req, res) => {
             licenceKey: 'GS1-654321',
             timestamp: Date.now() - 2000000,
             isActive: false,
+            validUntil: null,
+            status: 'revoked',
             transactionHash: '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
             blockNumber: 12345679
           }
@@ -565,14 +2016,27 @@ router.get('/search-approvals', apiKeyAuth, async (req, res) => {
       );
     }
     
-    // Return the filtered approvals
+    // Filter by effective status (active, expired or revoked)
+    if (status) {
+      filteredApprovals = filteredApprovals.filter(approval => 
+        approval.status && approval.status === status.toLowerCase()
+      );
+    }
+    
+    // Return the requested page of the filtered approvals
+    const { offset, limit } = pagination;
+    
     return res.status(200).json({
       success: true,
       message: 'Approvals retrieved successfully',
       data: {
         total_found: filteredApprovals.length,
         total_approvals: totalApprovals,
-        approvals: filteredApprovals,
+        approvals: filteredApprovals.slice(offset, offset + limit),
+        pagination: buildPagination(offset, limit, filteredApprovals.length),
+        privacy_mode: blockchainService.privacyMode,
+        source: readSource.source,
+        ...(readSource.source === 'index' && { indexed_block: eventIndexer.getStatus().lastProcessedBlock }),
         search_parameters: {
           requestId,
           requesterId,
@@ -581,7 +2045,8 @@ router.get('/search-approvals', apiKeyAuth, async (req, res) => {
           licenceKey,
           fromDate,
           toDate,
-          isActive
+          isActive,
+          status
         }
       }
     });
@@ -602,12 +2067,48 @@ router.get('/search-approvals', apiKeyAuth, async (req, res) => {
  */
 router.get('/all-approvals', apiKeyAuth, async (req, res) => {
   try {
+    const pagination = getPagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({
+        success: false,
+        message: pagination.error,
+        error: 'Validation Error'
+      });
+    }
+    
+    const { offset, limit } = pagination;
+    
+    const readSource = getReadSource(req.query);
+    if (readSource.error) {
+      return res.status(readSource.statusCode).json({
+        success: false,
+        message: readSource.error,
+        error: readSource.statusCode === 400 ? 'Validation Error' : 'Event index unavailable'
+      });
+    }
+    
+    // The event index answers without touching the chain
+    if (readSource.source === 'index') {
+      const indexedApprovals = eventIndexer.listApprovals();
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Indexed approvals retrieved successfully',
+        data: {
+          total_approvals: indexedApprovals.length,
+          approvals: indexedApprovals.slice(offset, offset + limit).map(toIndexedApprovalResult),
+          pagination: buildPagination(offset, limit, indexedApprovals.length),
+          source: 'index',
+          indexed_block: eventIndexer.getStatus().lastProcessedBlock
+        }
+      });
+    }
+    
     // Get the contract instance from the blockchain service
     let blockchainService;
     
     try {
-      blockchainService = new Web3BlockchainService();
-      console.log('Blockchain service initialized for all-approvals endpoint');
+      blockchainService = getInjectedService(req);
     } catch (error) {
       console.error('Error initializing blockchain service:', error.message);
       return res.status(500).json({
@@ -659,34 +2160,19 @@ router.get('/all-approvals', apiKeyAuth, async (req, res) => {
       console.log('Fetching REAL blockchain data for all approvals...');
       
       try {
-        // Try to get the total number of approvals
-        totalApprovals = await blockchainService.getTotalApprovals();
-        console.log(`Found ${totalApprovals} total approvals on the blockchain`);
+        // Read the whole page with a single contract call
+        const pageResult = await blockchainService.getApprovalsPage({ offset, limit });
         
-        // Get all approvals
-        for (let i = 0; i < totalApprovals; i++) {
-          try {
-            // Get approval ID at index i
-            const approvalId = await blockchainService.getApprovalIdByIndex(i);
-            console.log(`Fetching approval ${i+1}/${totalApprovals}, ID: ${approvalId}`);
-            
-            // Get approval details
-            const approvalData = await blockchainService.getApproval(approvalId);
-            
-            if (approvalData.success) {
-              const approval = {
-                approval_id: approvalId,
-                ...approvalData.data
-              };
-              
-              console.log(`Successfully retrieved approval: ${approval.requestId}`);
-              approvals.push(approval);
-            }
-          } catch (error) {
-            console.error(`Error getting approval at index ${i}:`, error);
-            // Continue to the next approval
-          }
+        if (!pageResult.success) {
+          throw new Error(pageResult.error);
         }
+        
+        totalApprovals = pageResult.data.total;
+        approvals = pageResult.data.approvals.map(({ approvalId, ...approval }) => ({
+          approval_id: approvalId,
+          ...approval
+        }));
+        console.log(`Found ${totalApprovals} total approvals on the blockchain`);
       } catch (error) {
         console.warn('Error getting total approvals, using mock data for all-approvals:', error.message);
         
@@ -701,6 +2187,8 @@ router.get('/all-approvals', apiKeyAuth, async (req, res) => {
             licenceKey: 'GS1-123456',
             timestamp: Date.now() - 1000000,
             isActive: true,
+            validUntil: null,
+            status: 'active',
             transactionHash: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
             blockNumber: 12345678
           },
@@ -713,6 +2201,8 @@ router.get('/all-approvals', apiKeyAuth, async (req, res) => {
             licenceKey: 'GS1-654321',
             timestamp: Date.now() - 2000000,
             isActive: false,
+            validUntil: null,
+            status: 'revoked',
             transactionHash: '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
             blockNumber: 12345679
           }
@@ -729,7 +2219,9 @@ router.get('/all-approvals', apiKeyAuth, async (req, res) => {
         message: 'Blockchain approvals retrieved successfully',
         data: {
           total_approvals: totalApprovals,
-          approvals: approvals
+          approvals: approvals,
+          pagination: buildPagination(offset, limit, totalApprovals),
+          source: 'chain'
         }
       });
     } catch (error) {
@@ -764,8 +2256,8 @@ router.get(
     try {
       const { transactionHash } = req.params;
       
-      // Initialize blockchain service
-      const blockchainService = new Web3BlockchainService();
+      // Use the blockchain service injected at startup
+      const blockchainService = getInjectedService(req);
       
       // Check if blockchain is enabled
       if (process.env.BLOCKCHAIN_ENABLED === 'false') {
@@ -786,7 +2278,7 @@ router.get(
       }
       
       // Get transaction details including decoded input data
-      const result = await getTransactionData(transactionHash);
+      const result = await getTransactionData(transactionHash, blockchainService);
       
       if (result.success) {
         return res.status(200).json({
@@ -812,14 +2304,65 @@ router.get(
   }
 );
 
+/**
+ * Map the readiness of the blockchain service to the API response format
+ * 
+ * @param {Object} req - Express request
+ * @returns {Object} Connection state, or the error if the service could not be created
+ */
+const getConnectionResponse = (req) => {
+  let readiness;
+  try {
+    readiness = getInjectedService(req).getReadiness();
+  } catch (error) {
+    return { state: 'unavailable', ready: false, last_error: error.message };
+  }
+  
+  return {
+    state: readiness.state,
+    ready: readiness.ready,
+    mock_mode: readiness.mockMode,
+    chain_id: readiness.chainId,
+    connected_at: readiness.connectedAt,
+    reconnect_attempts: readiness.reconnectAttempts,
+    next_reconnect_at: readiness.nextReconnectAt,
+    last_error: readiness.lastError
+  };
+};
+
+/**
+ * @route GET /api/blockchain/ready
+ * @desc Readiness probe: 200 once the blockchain service is connected, 503 while it is connecting or reconnecting
+ * @access Public
+ */
+router.get('/ready', (req, res) => {
+  const connection = getConnectionResponse(req);
+  
+  return res.status(connection.ready ? 200 : 503).json({
+    success: connection.ready,
+    message: connection.ready ? 'Blockchain service is ready' : 'Blockchain service is not ready',
+    data: connection
+  });
+});
+
 /**
  * @route GET /api/blockchain/status
  * @desc Check blockchain integration status
  * @access Public
  */
-router.get('/status', apiKeyAuth, (req, res) => {
+router.get('/status', apiKeyAuth, async (req, res) => {
   try {
     const blockchainConfig = req.app.get('blockchainConfig');
+    const anchoring = merkleAnchorService.getStatus();
+    const eventIndex = eventIndexer.getStatus();
+    const tracker = transactionTracker.getStatus();
+    const queue = transactionQueue.getStatus();
+    const outbox = blockchainOutbox.getStatus();
+    const rpc = rpcProviderPool.getStatus();
+    const subscriptions = blockchainEvents.getStatus();
+    
+    // The status stays available when the contract cannot be reached, only the contract block reports the error
+    const contractInfo = await getBlockchainContractInfo();
     
     return res.status(200).json({
       success: true,
@@ -827,9 +2370,111 @@ router.get('/status', apiKeyAuth, (req, res) => {
       data: {
         enabled: blockchainConfig?.enabled || false,
         network: process.env.BLOCKCHAIN_NETWORK || blockchainConfig?.network || 'unknown',
+        connection: getConnectionResponse(req),
         contract_address: blockchainConfig?.contractAddress ? 
           `${blockchainConfig.contractAddress.substring(0, 6)}...${blockchainConfig.contractAddress.substring(38)}` : 
-          'Not configured'
+          'Not configured',
+        merkle_anchoring: {
+          pending_count: anchoring.pendingCount,
+          batch_count: anchoring.batchCount,
+          anchor_due_at: anchoring.anchorDueAt,
+          window_ms: anchoring.windowMs,
+          max_leaves: anchoring.maxLeaves,
+          last_error: anchoring.lastError
+        },
+        event_index: {
+          ready: eventIndex.ready,
+          running: eventIndex.running,
+          last_processed_block: eventIndex.lastProcessedBlock,
+          approval_count: eventIndex.approvalCount,
+          event_count: eventIndex.eventCount,
+          last_synced_at: eventIndex.lastSyncedAt,
+          last_error: eventIndex.lastError,
+          last_reorg: eventIndex.lastReorg && {
+            detected_at: eventIndex.lastReorg.detectedAt,
+            replaced_block: eventIndex.lastReorg.replacedBlock,
+            rewound_to: eventIndex.lastReorg.rewoundTo,
+            dropped_event_count: eventIndex.lastReorg.droppedEventCount
+          }
+        },
+        finality: {
+          required_confirmations: getConfirmationDepth(),
+          finality_depth: getFinalityDepth(),
+          reorg_resubmit: process.env.BLOCKCHAIN_REORG_RESUBMIT === 'true',
+          stuck_timeout_ms: queue.stuckTimeoutMs,
+          tracked_submitted_count: tracker.submittedCount,
+          stuck_count: tracker.stuckCount,
+          tracked_pending_count: tracker.pendingCount,
+          tracked_confirmed_count: tracker.confirmedCount,
+          orphaned_count: tracker.orphanedCount,
+          last_checked_at: tracker.lastCheckedAt,
+          last_error: tracker.lastError
+        },
+        transaction_queue: {
+          queue_depth: queue.queueDepth,
+          in_flight_count: queue.inFlight.length,
+          max_in_flight: queue.maxInFlight,
+          last_error: queue.lastError
+        },
+        outbox: {
+          running: outbox.running,
+          pending_count: outbox.pendingCount + outbox.processingCount,
+          dead_count: outbox.deadCount,
+          sent_count: outbox.sentCount,
+          unmined_count: outbox.unminedCount,
+          max_attempts: outbox.maxAttempts,
+          last_drained_at: outbox.lastDrainedAt,
+          last_error: outbox.lastError
+        },
+        rpc_providers: {
+          health_checks_running: rpc.running,
+          healthy_count: rpc.healthyCount,
+          write_endpoint: rpc.writeEndpoint,
+          failover_count: rpc.failoverCount,
+          write_switch_count: rpc.writeSwitchCount,
+          endpoints: rpc.endpoints.map(endpoint => ({
+            url: endpoint.url,
+            healthy: endpoint.healthy,
+            unhealthy_reason: endpoint.unhealthyReason,
+            score: endpoint.score,
+            latency_ms: endpoint.latencyMs,
+            error_rate: endpoint.errorRate,
+            consecutive_errors: endpoint.consecutiveErrors,
+            request_count: endpoint.requestCount,
+            error_count: endpoint.errorCount,
+            block_number: endpoint.blockNumber,
+            last_error: endpoint.lastError,
+            last_error_at: endpoint.lastErrorAt,
+            last_checked_at: endpoint.lastCheckedAt
+          }))
+        },
+        subscriptions: {
+          mode: subscriptions.mode,
+          ws_url: subscriptions.wsUrl,
+          running: subscriptions.running,
+          connected: subscriptions.connected,
+          last_seen_block: subscriptions.lastSeenBlock,
+          last_block_at: subscriptions.lastBlockAt,
+          last_event_at: subscriptions.lastEventAt,
+          event_count: subscriptions.eventCount,
+          reconnect_attempts: subscriptions.reconnectAttempts,
+          reconnect_count: subscriptions.reconnectCount,
+          listener_count: subscriptions.listenerCount,
+          last_backfill: subscriptions.lastBackfill && {
+            from_block: subscriptions.lastBackfill.fromBlock,
+            to_block: subscriptions.lastBackfill.toBlock,
+            event_count: subscriptions.lastBackfill.eventCount,
+            filled_at: subscriptions.lastBackfill.at
+          },
+          last_error: subscriptions.lastError
+        },
+        contract: contractInfo.success ? {
+          version: contractInfo.data.version,
+          implementation_address: contractInfo.data.implementation,
+          upgradeable: contractInfo.data.proxied
+        } : {
+          error: contractInfo.error
+        }
       }
     });
   } catch (error) {
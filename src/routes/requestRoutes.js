@@ -6,7 +6,7 @@ const router = express.Router();
 
 /**
  * @route POST /api/requests/requestAction
- * @desc Approve or reject a sync request
+ * @desc Approve, reject or revoke a sync request
  * @access Private
  */
 router.post('/requestAction', apiKeyAuth, approveSyncRequest);
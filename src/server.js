@@ -5,7 +5,15 @@ import bodyParser from 'body-parser';
 import dotenv from 'dotenv';
 import blockchainRoutes from './routes/blockchainRoutes.js';
 import requestRoutes from './routes/requestRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
 import { bigIntJsonMiddleware } from './utils/jsonSerializer.js';
+import { eventIndexer } from './services/eventIndexService.js';
+import { transactionTracker } from './services/transactionTrackerService.js';
+import { blockchainOutbox } from './services/blockchainOutboxService.js';
+import { rpcProviderPool } from './services/rpcProviderPoolService.js';
+import { blockchainEvents } from './services/blockchainSubscriptionService.js';
+import { processBlockchainOutboxEntry } from './controllers/blockchainController.js';
+import { getBlockchainService } from './services/web3BlockchainService.js';
 
 // Load environment variables
 dotenv.config();
@@ -28,7 +36,17 @@ app.set('blockchainConfig', {
   contractAddress: process.env.CONTRACT_ADDRESS
 });
 
+// Create the blockchain service once, routes get it injected instead of creating their own per request
+let blockchainService = null;
+try {
+  blockchainService = getBlockchainService();
+} catch (error) {
+  console.error('Failed to create the blockchain service, blockchain routes will fail until the configuration is fixed:', error.message);
+}
+app.set('blockchainService', blockchainService);
+
 // Routes
+app.use('/api/blockchain/admin', adminRoutes);
 app.use('/api/blockchain', blockchainRoutes);
 app.use('/api/requests', requestRoutes);
 
@@ -40,6 +58,7 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       blockchain: '/api/blockchain',
+      admin: '/api/blockchain/admin',
       requests: '/api/requests'
     }
   });
@@ -82,28 +101,109 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Print & Pack Blockchain API running on port ${PORT}`);
   
   // Log blockchain integration status
   if (process.env.BLOCKCHAIN_ENABLED === 'true') {
     console.log(`Blockchain integration enabled`);
     console.log(`Contract address: ${process.env.CONTRACT_ADDRESS}`);
-    console.log(`RPC URL: ${process.env.BLOCKCHAIN_RPC_URL}`);
+    console.log(`RPC URLs: ${rpcProviderPool.endpoints.map(endpoint => endpoint.label).join(', ')}`);
   } else {
     console.log('Blockchain integration is disabled');
   }
   
+  // Check the RPC endpoints in the background, so requests avoid the ones that are down or out of sync
+  rpcProviderPool.start();
+  
+  // Connect to the node, the service keeps reconnecting in the background if it cannot be reached
+  if (blockchainService) {
+    blockchainService.connect().then(readiness => {
+      console.log(`Blockchain service ${readiness.ready ? 'ready' : `not ready yet (${readiness.lastError})`}`);
+    }).catch(error => {
+      console.error('Failed to connect the blockchain service, it keeps reconnecting in the background:', error.message);
+    });
+  }
+  
+  // Follow new blocks and approval events live, other components listen to blockchainEvents
+  if (blockchainService && !blockchainService.mockMode && blockchainEvents.mode !== 'off') {
+    blockchainEvents.start();
+    console.log(`Blockchain subscriptions started in ${blockchainEvents.mode} mode`);
+  }
+  
+  // Follow the contract events in the background so read routes can answer with source=index
+  if (process.env.EVENT_INDEX_ENABLED === 'true') {
+    eventIndexer.start();
+    console.log(`Event indexer started, polling every ${eventIndexer.pollMs} ms`);
+  }
+  
+  // Check sent transactions until they are final, so stuck, reorganized and orphaned ones are noticed
+  transactionTracker.start(() => getBlockchainService().checkTrackedTransactions());
+  
+  // Send the blockchain writes queued by approved sync requests, retrying failed ones with backoff
+  blockchainOutbox.start(processBlockchainOutboxEntry);
+  
+  // Entries sent with a transaction that was not mined in time are settled once the tracker sees it mined
+  transactionTracker.on('change', transaction => blockchainOutbox.followTransaction(transaction));
+  
   console.log('API Endpoints:');
   console.log('- POST /api/blockchain/record-approval - Record a sync approval');
+  console.log('- POST /api/blockchain/record-approvals - Record a batch of sync approvals in one transaction');
+  console.log('- POST /api/blockchain/signed-approval/typed-data - Get EIP-712 typed data for the owner to sign');
+  console.log('- POST /api/blockchain/signed-approval/relay - Relay an owner-signed approval to the blockchain');
+  console.log('- POST /api/blockchain/anchor-approvals - Queue sync approvals for Merkle-root anchoring');
+  console.log('- POST /api/blockchain/anchor-approvals/flush - Anchor queued approvals now');
+  console.log('- GET /api/blockchain/proof/:approvalId - Get the Merkle inclusion proof of an anchored approval');
+  console.log('- POST /api/blockchain/approval/:approvalId/verify - Verify clear values against on-chain commitments');
   console.log('- GET /api/blockchain/approval/:approvalId - Get approval details');
+  console.log('- GET /api/blockchain/approval/by-request/:requestId - Get the approval of a sync request');
+  console.log('- POST /api/blockchain/approval/:approvalId/deactivate - Deactivate (revoke) an approval');
+  console.log('- POST /api/blockchain/approval/:approvalId/amend - Amend the request type or licence key of an approval');
   console.log('- GET /api/blockchain/transaction/:transactionHash - Get transaction details by hash');
+  console.log('- GET /api/blockchain/transactions/tracked - List sent transactions that are not final yet');
+  console.log('- GET /api/blockchain/events/stream - Stream approval and confirmation events (Server-Sent Events)');
+  console.log('- GET /api/blockchain/queue - Get the signer queue depth and in-flight transactions');
+  console.log('- GET /api/blockchain/outbox - List queued blockchain writes, including dead letters');
+  console.log('- POST /api/blockchain/outbox/:outboxId/retry - Send an outbox entry again');
+  console.log('- POST /api/blockchain/outbox/:outboxId/cancel - Cancel an outbox entry');
   console.log('- GET /api/blockchain/approval-transactions/:approvalId - Get all transactions for an approval');
   console.log('- GET /api/blockchain/all-approvals - Get all approvals from the blockchain');
   console.log('- GET /api/blockchain/search-approvals - Search for approvals with various parameters');
   console.log('- GET /api/blockchain/status - Check blockchain integration status');
-  console.log('- POST /api/requests/requestAction - Approve or reject a sync request');
+  console.log('- GET /api/blockchain/ready - Check whether the blockchain service is connected');
+  console.log('- GET /api/blockchain/admin/roles - List contract role holders (admin)');
+  console.log('- POST /api/blockchain/admin/roles/:role/:action - Grant or revoke a contract role (admin)');
+  console.log('- GET /api/blockchain/admin/contract - Get paused state and contract owner (admin)');
+  console.log('- POST /api/blockchain/admin/pause - Freeze all contract writes (admin)');
+  console.log('- POST /api/blockchain/admin/unpause - Resume contract writes (owner)');
+  console.log('- POST /api/blockchain/admin/ownership/transfer - Propose a new contract owner (owner)');
+  console.log('- POST /api/blockchain/admin/ownership/accept - Accept a pending ownership transfer (pending owner)');
+  console.log('- GET /api/blockchain/admin/owner-addresses - List the addresses owners sign approvals with (admin)');
+  console.log('- PUT /api/blockchain/admin/owner-addresses/:ownerId - Register the address an owner signs approvals with (admin)');
+  console.log('- DELETE /api/blockchain/admin/owner-addresses/:ownerId - Remove the address of an owner (admin)');
+  console.log('- POST /api/blockchain/admin/transactions/:transactionHash/speed-up - Replace a stuck transaction with higher fees (admin)');
+  console.log('- POST /api/blockchain/admin/transactions/:transactionHash/cancel - Cancel a stuck transaction (admin)');
+  console.log('- POST /api/requests/requestAction - Approve, reject or revoke a sync request');
   console.log('- GET /api/requests/getSyncRequests - Get all sync requests with optional filtering');
 });
 
+// Stop the background work and close the blockchain connection before exiting
+const shutdown = (signal) => {
+  console.log(`${signal} received, shutting down`);
+  
+  eventIndexer.stop();
+  blockchainEvents.stop();
+  transactionTracker.stop();
+  blockchainOutbox.stop();
+  blockchainService?.close();
+  
+  server.close(() => process.exit(0));
+  
+  // Do not wait forever for open connections
+  setTimeout(() => process.exit(0), 10000).unref();
+};
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
+
 export default app;
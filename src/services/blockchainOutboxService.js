@@ -0,0 +1,463 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * BlockchainOutboxService holds the blockchain writes that must follow a
+ * database change. The entry is written together with the change, and a
+ * background worker sends it afterwards, retrying with exponential backoff.
+ * An entry that keeps failing is moved to the dead-letter state after
+ * BLOCKCHAIN_OUTBOX_MAX_ATTEMPTS attempts, where it waits for a manual retry.
+ */
+class BlockchainOutboxService {
+  /**
+   * Entry states
+   * pending entries wait for their next attempt, processing ones are being sent,
+   * sent ones are done, dead ones ran out of attempts and cancelled ones were given up manually
+   */
+  static STATUSES = ['pending', 'processing', 'sent', 'dead', 'cancelled'];
+  
+  /**
+   * States an entry can be retried or cancelled from
+   */
+  static RETRYABLE_STATUSES = ['pending', 'dead', 'cancelled'];
+  static CANCELLABLE_STATUSES = ['pending', 'dead'];
+  
+  constructor() {
+    this.storePath = process.env.BLOCKCHAIN_OUTBOX_PATH || path.join(__dirname, '..', '..', 'data', 'blockchain-outbox.json');
+    this.pollMs = parseInt(process.env.BLOCKCHAIN_OUTBOX_POLL_MS || '5000', 10);
+    this.maxAttempts = Math.max(parseInt(process.env.BLOCKCHAIN_OUTBOX_MAX_ATTEMPTS || '5', 10), 1);
+    this.retryBaseMs = parseInt(process.env.BLOCKCHAIN_OUTBOX_RETRY_BASE_MS || '10000', 10);
+    this.retryMaxMs = parseInt(process.env.BLOCKCHAIN_OUTBOX_RETRY_MAX_MS || '600000', 10);
+    this.sentRetentionMs = parseInt(process.env.BLOCKCHAIN_OUTBOX_SENT_RETENTION_MS || '604800000', 10);
+    
+    this.timer = null;
+    this.processEntry = null;
+    this.drainPromise = null;
+    this.lastDrainedAt = null;
+    this.lastError = null;
+    
+    this.store = this._loadStore();
+  }
+  
+  /**
+   * Start sending the due entries every BLOCKCHAIN_OUTBOX_POLL_MS
+   *
+   * @param {Function} processEntry - Sends one entry and resolves to { success, data, error }, e.g. processBlockchainOutboxEntry
+   */
+  start(processEntry) {
+    if (this.timer) {
+      return;
+    }
+    
+    this.processEntry = processEntry;
+    
+    const poll = () => {
+      this.drain()
+        .catch(error => console.error('Blockchain outbox error:', error))
+        .finally(() => {
+          if (this.timer) {
+            this.timer = setTimeout(poll, this.pollMs);
+            this.timer.unref();
+          }
+        });
+    };
+    
+    // Entries left by a previous run are sent right away
+    this.timer = setTimeout(poll, 0);
+    this.timer.unref();
+  }
+  
+  /**
+   * Stop the worker
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  /**
+   * Send the due entries now instead of waiting for the next poll, e.g. right after new entries were committed
+   */
+  wake() {
+    if (!this.timer) {
+      return;
+    }
+    
+    this.drain().catch(error => console.error('Blockchain outbox error:', error));
+  }
+  
+  /**
+   * Send every entry whose next attempt is due, oldest first
+   * Concurrent calls share the drain already running, so an entry is never sent twice at once
+   *
+   * @returns {Promise<Object>} Number of entries sent and failed
+   */
+  drain() {
+    if (!this.drainPromise) {
+      this.drainPromise = this._drainDue().finally(() => {
+        this.drainPromise = null;
+      });
+    }
+    
+    return this.drainPromise;
+  }
+  
+  /**
+   * Add an entry to the outbox
+   * Call it in the same database transaction as the change the write belongs to
+   *
+   * @param {Object} entry - Entry to send
+   * @param {string} entry.type - Kind of write, e.g. recordApproval
+   * @param {string} entry.approvalId - Approval the write is about
+   * @param {Object} entry.payload - Data the write is sent with
+   * @param {string} [entry.after] - ID of an entry whose write must be mined before this one is sent
+   * @returns {Object} The stored entry
+   */
+  add({ type, approvalId, payload, after = null }) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: crypto.randomUUID(),
+      type,
+      approvalId,
+      payload,
+      after,
+      status: 'pending',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: now,
+      lastError: null,
+      result: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    
+    this.store.entries[entry.id] = entry;
+    this._saveStore();
+    
+    return entry;
+  }
+  
+  /**
+   * Get an outbox entry
+   *
+   * @param {string} id - The entry ID
+   * @returns {Object|null} The entry, or null if it is unknown
+   */
+  get(id) {
+    return this.store.entries[id] || null;
+  }
+  
+  /**
+   * Get the outbox entries, oldest first
+   *
+   * @param {Object} options - Optionally a status or approval ID to only list matching entries
+   * @returns {Array<Object>} Outbox entries
+   */
+  list({ status = null, approvalId = null } = {}) {
+    return Object.values(this.store.entries)
+      .filter(entry => (!status || entry.status === status) && (!approvalId || entry.approvalId === approvalId))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+  
+  /**
+   * Send an entry again as soon as possible, with a fresh set of attempts if it was dead or cancelled
+   *
+   * @param {string} id - The entry ID, in one of RETRYABLE_STATUSES
+   * @returns {Object} The updated entry
+   */
+  retry(id) {
+    const { status, attempts } = this.get(id);
+    const entry = this._update(id, {
+      status: 'pending',
+      attempts: status === 'pending' ? attempts : 0,
+      maxAttempts: this.maxAttempts,
+      nextAttemptAt: new Date().toISOString()
+    });
+    
+    this.wake();
+    
+    return entry;
+  }
+  
+  /**
+   * Give up an entry, it is kept for reference but never sent
+   *
+   * @param {string} id - The entry ID, in one of CANCELLABLE_STATUSES
+   * @returns {Object} The updated entry
+   */
+  cancel(id) {
+    return this._update(id, { status: 'cancelled', nextAttemptAt: null });
+  }
+  
+  /**
+   * Point the entries sent with a transaction to the transaction that replaced it
+   * A cancelled transaction never records anything, so its entries are cancelled as well and can be retried
+   *
+   * @param {string} transactionHash - Hash of the replaced transaction
+   * @param {string} replacementHash - Hash of the replacement transaction
+   * @param {string} replacementType - speed-up or cancel
+   */
+  followReplacement(transactionHash, replacementHash, replacementType) {
+    for (const entry of this.list({ status: 'sent' })) {
+      if (entry.result?.transactionHash !== transactionHash) {
+        continue;
+      }
+      
+      if (replacementType === 'cancel') {
+        this._update(entry.id, {
+          status: 'cancelled',
+          lastError: `Transaction ${transactionHash} was cancelled by ${replacementHash}`
+        });
+      } else {
+        this._update(entry.id, { result: { ...entry.result, transactionHash: replacementHash } });
+      }
+    }
+  }
+  
+  /**
+   * Settle the entries sent with a transaction that was not mined in time, once the transaction tracker sees it mined
+   * Until then the entry stays sent with unmined set, so it is neither sent again nor pruned
+   *
+   * @param {Object} transaction - Tracked transaction, as emitted by the transaction tracker
+   */
+  followTransaction(transaction) {
+    if (transaction.blockNumber === null || transaction.blockNumber === undefined || transaction.state === 'orphaned') {
+      return;
+    }
+    
+    for (const entry of this.list({ status: 'sent' })) {
+      if (entry.result?.unmined && entry.result.transactionHash === transaction.transactionHash) {
+        this._update(entry.id, {
+          result: { ...entry.result, blockNumber: transaction.blockNumber, unmined: false }
+        });
+      }
+    }
+  }
+  
+  /**
+   * Get the state of the outbox
+   *
+   * @returns {Object} Number of entries per status and the result of the last drain
+   */
+  getStatus() {
+    const entries = this.list();
+    const countByStatus = Object.fromEntries(BlockchainOutboxService.STATUSES.map(status => [
+      status,
+      entries.filter(entry => entry.status === status).length
+    ]));
+    
+    return {
+      running: Boolean(this.timer),
+      pendingCount: countByStatus.pending,
+      processingCount: countByStatus.processing,
+      sentCount: countByStatus.sent,
+      unminedCount: entries.filter(entry => entry.status === 'sent' && entry.result?.unmined).length,
+      deadCount: countByStatus.dead,
+      cancelledCount: countByStatus.cancelled,
+      maxAttempts: this.maxAttempts,
+      lastDrainedAt: this.lastDrainedAt,
+      lastError: this.lastError
+    };
+  }
+  
+  /**
+   * Get the delay before the next attempt, doubling with every failed attempt
+   *
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryBaseMs * 2 ** Math.max(attempts - 1, 0), this.retryMaxMs);
+  }
+  
+  async _drainDue() {
+    let sentCount = 0;
+    let failedCount = 0;
+    
+    this._pruneSent();
+    
+    for (const { id } of this._getDue()) {
+      // The entry may have been cancelled while earlier entries were being sent
+      if (this.get(id)?.status !== 'pending') {
+        continue;
+      }
+      
+      if (await this._send(id)) {
+        sentCount++;
+      } else {
+        failedCount++;
+      }
+    }
+    
+    this.lastDrainedAt = new Date().toISOString();
+    
+    return { sentCount, failedCount };
+  }
+  
+  /**
+   * Make one attempt to send an entry
+   *
+   * @param {string} id - The entry ID
+   * @returns {Promise<boolean>} True if the entry was sent
+   */
+  async _send(id) {
+    // Save the attempt before sending, so an attempt cut short by a restart still counts
+    const entry = this._update(id, {
+      status: 'processing',
+      attempts: this.get(id).attempts + 1
+    });
+    
+    let result;
+    try {
+      result = await this.processEntry(entry);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+    
+    if (result.success) {
+      this._update(id, {
+        status: 'sent',
+        nextAttemptAt: null,
+        lastError: null,
+        result: result.data || null,
+        sentAt: new Date().toISOString()
+      });
+      
+      return true;
+    }
+    
+    this.lastError = result.error;
+    
+    if (entry.attempts >= entry.maxAttempts) {
+      console.error(`Blockchain outbox entry ${id} (${entry.type} ${entry.approvalId}) failed ${entry.attempts} times, moved to dead letters:`, result.error);
+      
+      this._update(id, {
+        status: 'dead',
+        nextAttemptAt: null,
+        lastError: result.error,
+        deadAt: new Date().toISOString()
+      });
+    } else {
+      const delay = this.getRetryDelay(entry.attempts);
+      
+      console.warn(`Blockchain outbox entry ${id} (${entry.type} ${entry.approvalId}) failed, retrying in ${delay} ms:`, result.error);
+      
+      this._update(id, {
+        status: 'pending',
+        nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+        lastError: result.error
+      });
+    }
+    
+    return false;
+  }
+  
+  _getDue() {
+    const now = new Date().toISOString();
+    
+    return this.list({ status: 'pending' })
+      .filter(entry => entry.nextAttemptAt <= now && this._isAfterSettled(entry));
+  }
+  
+  /**
+   * Check whether the entry an entry waits for has been mined
+   * An entry whose predecessor was cancelled has nothing left to follow, and is cancelled as well
+   * A dead predecessor never reached the blockchain, and must not be retried once an entry follows it
+   *
+   * @param {Object} entry - Pending entry
+   * @returns {boolean} True if the entry can be sent
+   */
+  _isAfterSettled(entry) {
+    const predecessor = entry.after ? this.get(entry.after) : null;
+    
+    if (!predecessor) {
+      return true;
+    }
+    
+    if (predecessor.status === 'dead') {
+      this.cancel(predecessor.id);
+    }
+    
+    if (['dead', 'cancelled'].includes(predecessor.status)) {
+      this._update(entry.id, {
+        status: 'cancelled',
+        nextAttemptAt: null,
+        lastError: `Entry ${predecessor.id} it runs after was cancelled`
+      });
+      return false;
+    }
+    
+    return predecessor.status === 'sent' && !predecessor.result?.unmined;
+  }
+  
+  _pruneSent() {
+    const cutoff = new Date(Date.now() - this.sentRetentionMs).toISOString();
+    const expired = this.list({ status: 'sent' }).filter(entry => entry.sentAt < cutoff && !entry.result?.unmined);
+    
+    if (expired.length > 0) {
+      expired.forEach(entry => delete this.store.entries[entry.id]);
+      this._saveStore();
+    }
+  }
+  
+  _update(id, changes) {
+    this.store.entries[id] = {
+      ...this.store.entries[id],
+      ...changes,
+      updatedAt: new Date().toISOString()
+    };
+    
+    this._saveStore();
+    
+    return this.store.entries[id];
+  }
+  
+  _loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        const entries = store.entries || {};
+        
+        // Entries a previous run stopped in the middle of sending are sent again, the attempt still counts
+        for (const entry of Object.values(entries)) {
+          if (entry.status === 'processing') {
+            entry.status = 'pending';
+            entry.nextAttemptAt = new Date().toISOString();
+          }
+        }
+        
+        return { entries };
+      }
+    } catch (error) {
+      console.error('Error loading blockchain outbox:', error);
+    }
+    
+    return { entries: {} };
+  }
+  
+  _saveStore() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    
+    // Write to a temporary file first so a crash never leaves a truncated store
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.store, null, 2));
+    fs.renameSync(tempPath, this.storePath);
+  }
+}
+
+// One outbox per process, filled by the request controller and drained by the server
+export const blockchainOutbox = new BlockchainOutboxService();
+
+export default BlockchainOutboxService;
@@ -0,0 +1,501 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { Web3, WebSocketProvider } from 'web3';
+import Web3BlockchainService, { getBlockchainService } from './web3BlockchainService.js';
+import RpcProviderPoolService from './rpcProviderPoolService.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * BlockchainSubscriptionService follows new blocks and the ApprovalRecorded and
+ * ApprovalDeactivated events of the contract as they happen, and hands them to
+ * other server components as Node events. Over a WebSocket URL it subscribes to
+ * new block headers and to the contract logs. After a disconnect it reconnects
+ * with backoff, subscribes again and fills the gap from the last seen block
+ * with a log query, so no event is missed and none is emitted twice. Without a
+ * WebSocket URL it can poll over HTTP instead (BLOCKCHAIN_SUBSCRIPTIONS=polling).
+ *
+ * Emitted events:
+ * - block: a new block, { number, hash, parentHash, timestamp }
+ * - approvalEvent: every approval event, which is also emitted under its own name (ApprovalRecorded, ApprovalDeactivated)
+ * - connected and disconnected: the subscription was (re)established or lost
+ */
+class BlockchainSubscriptionService extends EventEmitter {
+  /**
+   * Contract events followed live
+   */
+  static EVENTS = ['ApprovalRecorded', 'ApprovalDeactivated'];
+  
+  /**
+   * Subscription modes, auto follows the chain over WebSocket when a ws:// URL is configured and is off otherwise
+   */
+  static MODES = ['auto', 'websocket', 'polling', 'off'];
+  
+  /**
+   * Order events by their position in the chain
+   *
+   * @param {Object} a - Event with blockNumber and logIndex
+   * @param {Object} b - Event with blockNumber and logIndex
+   * @returns {number} Negative if a comes first, positive if b does, 0 for the same log
+   */
+  static compareEvents(a, b) {
+    return (a.blockNumber - b.blockNumber) || (a.logIndex - b.logIndex);
+  }
+  
+  constructor() {
+    super();
+    
+    // Components add listeners freely, e.g. one per open event stream
+    this.setMaxListeners(0);
+    
+    const rpcUrls = (process.env.BLOCKCHAIN_RPC_URLS || process.env.BLOCKCHAIN_RPC_URL || '').split(',').map(url => url.trim());
+    const mode = process.env.BLOCKCHAIN_SUBSCRIPTIONS || 'auto';
+    
+    this.wsUrl = process.env.BLOCKCHAIN_WS_URL || rpcUrls.find(url => RpcProviderPoolService.isSocketUrl(url)) || null;
+    this.mode = mode === 'auto' ? (this.wsUrl ? 'websocket' : 'off') : mode;
+    this.pollMs = parseInt(process.env.BLOCKCHAIN_SUBSCRIPTION_POLL_MS || '5000', 10);
+    this.blockRange = parseInt(process.env.BLOCKCHAIN_SUBSCRIPTION_BLOCK_RANGE || '2000', 10);
+    this.reconnectBaseMs = parseInt(process.env.BLOCKCHAIN_RECONNECT_BASE_MS || '1000', 10);
+    this.reconnectMaxMs = parseInt(process.env.BLOCKCHAIN_RECONNECT_MAX_MS || '60000', 10);
+    
+    this.running = false;
+    this.connected = false;
+    this.connectedAt = null;
+    this.provider = null;
+    this.web3 = null;
+    this.timer = null;
+    this.buffer = null;
+    this.publishing = Promise.resolve();
+    
+    this.lastSeenBlock = null;
+    this.lastEvent = null;
+    this.reconnectAttempts = 0;
+    this.reconnectCount = 0;
+    this.eventCount = 0;
+    this.lastBlockAt = null;
+    this.lastEventAt = null;
+    this.lastBackfill = null;
+    this.lastError = null;
+  }
+  
+  /**
+   * Start following the chain in the configured mode
+   */
+  start() {
+    if (this.running || !['websocket', 'polling'].includes(this.mode)) {
+      return;
+    }
+    
+    if (this.mode === 'websocket' && !this.wsUrl) {
+      console.warn('BLOCKCHAIN_SUBSCRIPTIONS=websocket needs BLOCKCHAIN_WS_URL or a ws:// RPC URL, subscriptions are off');
+      return;
+    }
+    
+    this.running = true;
+    
+    if (this.mode === 'websocket') {
+      this._connect();
+    } else {
+      this._poll();
+    }
+  }
+  
+  /**
+   * Stop following the chain and close the WebSocket
+   */
+  stop() {
+    this.running = false;
+    this.connected = false;
+    
+    clearTimeout(this.timer);
+    this.timer = null;
+    
+    this._closeSocket();
+  }
+  
+  /**
+   * Get the state of the subscriptions
+   *
+   * @returns {Object} Mode, connection, last seen block, last gap filled and listener counts
+   */
+  getStatus() {
+    return {
+      mode: this.mode,
+      wsUrl: this.wsUrl && RpcProviderPoolService.redactUrl(this.wsUrl),
+      running: this.running,
+      connected: this.connected,
+      lastSeenBlock: this.lastSeenBlock,
+      lastBlockAt: this.lastBlockAt,
+      lastEventAt: this.lastEventAt,
+      eventCount: this.eventCount,
+      reconnectAttempts: this.reconnectAttempts,
+      reconnectCount: this.reconnectCount,
+      lastBackfill: this.lastBackfill,
+      listenerCount: ['block', 'approvalEvent', ...BlockchainSubscriptionService.EVENTS]
+        .reduce((count, eventName) => count + this.listenerCount(eventName), 0),
+      lastError: this.lastError
+    };
+  }
+  
+  /**
+   * Get the events after a position in the chain up to the latest block, without emitting them
+   * Used to replay what a listener missed, e.g. an event stream resuming after a reconnect
+   *
+   * @param {Object} position - blockNumber and logIndex of the last event the listener got
+   * @returns {Promise<Array<Object>>} Events after the position, in chain order, in the emitted shape
+   */
+  async getEventsAfter(position) {
+    const blockchainService = this._getBlockchainService();
+    const latestBlock = Number(await blockchainService.web3.eth.getBlockNumber());
+    const events = (await this._getEvents(blockchainService, position.blockNumber, latestBlock))
+      .filter(event => BlockchainSubscriptionService.compareEvents(event, position) > 0);
+    
+    for (const event of events.filter(event => event.event === 'ApprovalDeactivated')) {
+      await this._addApprovalFields(event);
+    }
+    
+    return events;
+  }
+  
+  /**
+   * Read the fields listeners filter approval events on from the contract
+   *
+   * @param {string} approvalId - The approval ID
+   * @returns {Promise<Object>} requestId, requesterId, ownerId and requestType of the approval
+   */
+  async getApprovalFields(approvalId) {
+    const approval = await this._getBlockchainService().contract.methods.getApproval(approvalId).call();
+    
+    return {
+      requestId: approval.requestId,
+      requesterId: approval.requesterId,
+      ownerId: approval.ownerId,
+      requestType: approval.requestType
+    };
+  }
+  
+  /**
+   * Open the WebSocket, subscribe and fill the gap since the last seen block
+   * Live events are held back until the gap is filled, so every event is emitted once, in chain order
+   */
+  async _connect() {
+    try {
+      const blockchainService = this._getBlockchainService();
+      const provider = new WebSocketProvider(this.wsUrl, {}, { autoReconnect: false });
+      
+      provider.on('error', () => {});
+      provider.on('disconnect', (error) => {
+        if (provider === this.provider) {
+          this._scheduleReconnect(new Error(`WebSocket closed: ${error?.message || 'connection lost'}`));
+        }
+      });
+      
+      this.provider = provider;
+      this.web3 = new Web3(provider);
+      this.buffer = [];
+      
+      const headers = await this.web3.eth.subscribe('newBlockHeaders');
+      headers.on('data', header => this._onBlock(header));
+      headers.on('error', error => this._scheduleReconnect(error));
+      
+      const logs = await this.web3.eth.subscribe('logs', {
+        address: blockchainService.contractAddress,
+        topics: [blockchainService.getEventTopics(BlockchainSubscriptionService.EVENTS)]
+      });
+      logs.on('data', log => this._onLog(log));
+      logs.on('error', error => this._scheduleReconnect(error));
+      
+      await this._backfill(blockchainService);
+      
+      const buffered = this.buffer.sort(BlockchainSubscriptionService.compareEvents);
+      this.buffer = null;
+      await Promise.all(buffered.map(event => this._publish(event)));
+      
+      if (this.connectedAt) {
+        this.reconnectCount++;
+        console.log(`Blockchain subscriptions restored, gap filled from block ${this.lastBackfill?.fromBlock ?? this.lastSeenBlock}`);
+      } else {
+        console.log(`Blockchain subscriptions connected to ${RpcProviderPoolService.redactUrl(this.wsUrl)}`);
+      }
+      
+      this.connected = true;
+      this.connectedAt = new Date().toISOString();
+      this.reconnectAttempts = 0;
+      this.lastError = null;
+      this.emit('connected', { lastSeenBlock: this.lastSeenBlock });
+    } catch (error) {
+      this._scheduleReconnect(error);
+    }
+  }
+  
+  /**
+   * Drop the connection and connect again after a backoff delay (BLOCKCHAIN_RECONNECT_BASE_MS doubling up
+   * to BLOCKCHAIN_RECONNECT_MAX_MS)
+   *
+   * @param {Error} error - Why the subscription was lost
+   */
+  _scheduleReconnect(error) {
+    const wasConnected = this.connected;
+    
+    this.lastError = error.message;
+    this.connected = false;
+    this.buffer = null;
+    this._closeSocket();
+    
+    if (!this.running || this.timer) {
+      return;
+    }
+    
+    if (wasConnected) {
+      console.warn('Lost the blockchain subscriptions, reconnecting:', error.message);
+      this.emit('disconnected', { error: error.message, lastSeenBlock: this.lastSeenBlock });
+    }
+    
+    const delay = Math.min(this.reconnectBaseMs * 2 ** this.reconnectAttempts, this.reconnectMaxMs);
+    this.reconnectAttempts++;
+    
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this._connect();
+    }, delay);
+    this.timer.unref();
+  }
+  
+  _closeSocket() {
+    const provider = this.provider;
+    
+    this.provider = null;
+    this.web3 = null;
+    
+    if (provider) {
+      try {
+        provider.disconnect();
+      } catch (error) {
+        // Already closed
+      }
+    }
+  }
+  
+  /**
+   * Check for new blocks and events over HTTP, every BLOCKCHAIN_SUBSCRIPTION_POLL_MS
+   * Polling only emits a block event for the latest block, not for every block in between
+   */
+  async _poll() {
+    try {
+      const blockchainService = this._getBlockchainService();
+      const previousBlock = this.lastSeenBlock;
+      
+      await this._backfill(blockchainService);
+      
+      if (this.lastSeenBlock !== previousBlock) {
+        this._onBlock(await blockchainService.web3.eth.getBlock(this.lastSeenBlock));
+      }
+      
+      this.connected = true;
+      this.lastError = null;
+    } catch (error) {
+      if (this.connected) {
+        console.warn('Blockchain subscription poll failed:', error.message);
+      }
+      
+      this.connected = false;
+      this.lastError = error.message;
+    }
+    
+    if (this.running) {
+      this.timer = setTimeout(() => this._poll(), this.pollMs);
+      this.timer.unref();
+    }
+  }
+  
+  /**
+   * Emit the events from the last seen block up to the latest block
+   * The last seen block is read again, its events may not all have arrived before the connection was lost;
+   * events that were already emitted are skipped. The first run starts at the latest block, without history.
+   *
+   * @param {Web3BlockchainService} blockchainService - Service connected to the contract
+   */
+  async _backfill(blockchainService) {
+    const latestBlock = Number(await blockchainService.web3.eth.getBlockNumber());
+    
+    if (this.lastSeenBlock === null) {
+      // Events up to the latest block happened before the start, later gap fills must not emit them
+      this.lastSeenBlock = latestBlock;
+      this.lastEvent = { blockNumber: latestBlock, logIndex: Infinity };
+      return;
+    }
+    
+    const fromBlock = this.lastSeenBlock;
+    let eventCount = 0;
+    
+    for (const event of await this._getEvents(blockchainService, fromBlock, latestBlock)) {
+      if (await this._publish(event)) {
+        eventCount++;
+      }
+    }
+    
+    this.lastSeenBlock = Math.max(this.lastSeenBlock, latestBlock);
+    
+    if (latestBlock > fromBlock || eventCount > 0) {
+      this.lastBackfill = { fromBlock, toBlock: latestBlock, eventCount, at: new Date().toISOString() };
+    }
+  }
+  
+  /**
+   * Get the events of a block range, in chain order, querying at most BLOCKCHAIN_SUBSCRIPTION_BLOCK_RANGE blocks at a time
+   *
+   * @param {Web3BlockchainService} blockchainService - Service connected to the contract
+   * @param {number} fromBlock - First block of the range
+   * @param {number} toBlock - Last block of the range
+   * @returns {Promise<Array<Object>>} Events, as built by _toEvent
+   */
+  async _getEvents(blockchainService, fromBlock, toBlock) {
+    const events = [];
+    
+    for (let rangeStart = fromBlock; rangeStart <= toBlock; rangeStart += this.blockRange) {
+      const decodedEvents = await blockchainService.getApprovalHistoryEvents(
+        rangeStart,
+        Math.min(rangeStart + this.blockRange - 1, toBlock),
+        BlockchainSubscriptionService.EVENTS
+      );
+      
+      events.push(...decodedEvents.map(decoded => this._toEvent(decoded, { backfilled: true })));
+    }
+    
+    return events;
+  }
+  
+  _onBlock(header) {
+    const block = {
+      number: Number(header.number),
+      hash: header.hash,
+      parentHash: header.parentHash,
+      timestamp: Number(header.timestamp)
+    };
+    
+    this.lastSeenBlock = Math.max(this.lastSeenBlock ?? block.number, block.number);
+    this.lastBlockAt = new Date().toISOString();
+    
+    this.emit('block', block);
+  }
+  
+  _onLog(log) {
+    const [decoded] = this._getBlockchainService().decodeEventLogs([log]);
+    
+    if (!decoded) {
+      return;
+    }
+    
+    const event = this._toEvent(decoded, { removed: Boolean(log.removed) });
+    
+    if (this.buffer) {
+      this.buffer.push(event);
+    } else {
+      this._publish(event);
+    }
+  }
+  
+  /**
+   * Emit an event after the ones before it, unless it was emitted already
+   * A removed event (its block was replaced by a chain reorganization) is always emitted, and moves the
+   * position back so the event is emitted again if the new chain includes it
+   *
+   * @param {Object} event - Event, as built by _toEvent
+   * @returns {Promise<boolean>} True if the event was emitted
+   */
+  _publish(event) {
+    const publish = async () => {
+      if (!event.removed && this.lastEvent && BlockchainSubscriptionService.compareEvents(event, this.lastEvent) <= 0) {
+        return false;
+      }
+      
+      if (event.event === 'ApprovalDeactivated') {
+        await this._addApprovalFields(event);
+      }
+      
+      if (event.removed) {
+        if (this.lastEvent && BlockchainSubscriptionService.compareEvents(event, this.lastEvent) <= 0) {
+          this.lastEvent = { blockNumber: event.blockNumber, logIndex: event.logIndex - 1 };
+        }
+      } else {
+        this.lastEvent = { blockNumber: event.blockNumber, logIndex: event.logIndex };
+        this.lastSeenBlock = Math.max(this.lastSeenBlock ?? event.blockNumber, event.blockNumber);
+      }
+      
+      this.eventCount++;
+      this.lastEventAt = new Date().toISOString();
+      
+      this.emit(event.event, event);
+      this.emit('approvalEvent', event);
+      
+      return true;
+    };
+    
+    // Events are emitted one at a time, in the order they were received
+    const result = this.publishing.then(publish);
+    this.publishing = result.catch(error => console.error('Error emitting blockchain event:', error));
+    
+    return result;
+  }
+  
+  /**
+   * Map a decoded contract event to the emitted shape
+   *
+   * @param {Object} decoded - Decoded event
+   * @param {Object} flags - removed for logs of replaced blocks, backfilled for events found while filling a gap
+   * @returns {Object} Event with its approval fields and chain position
+   */
+  _toEvent(decoded, { removed = false, backfilled = false } = {}) {
+    const values = decoded.returnValues;
+    
+    return {
+      event: decoded.event,
+      approvalId: values.approvalId,
+      requestId: values.requestId ?? null,
+      requesterId: values.requesterId ?? null,
+      ownerId: values.ownerId ?? null,
+      requestType: values.requestType ?? null,
+      ...(decoded.event === 'ApprovalDeactivated' && {
+        reasonCode: Web3BlockchainService.REVOCATION_REASONS[Number(values.reasonCode)] || 'unknown',
+        reason: values.reason,
+        revokedBy: values.revokedBy
+      }),
+      timestamp: Number(values.timestamp),
+      transactionHash: decoded.transactionHash,
+      blockNumber: Number(decoded.blockNumber),
+      blockHash: decoded.blockHash,
+      logIndex: decoded.logIndex,
+      removed,
+      backfilled
+    };
+  }
+  
+  /**
+   * Add the requester, owner and request type to a deactivation, which does not carry them
+   *
+   * @param {Object} event - ApprovalDeactivated event
+   */
+  async _addApprovalFields(event) {
+    try {
+      Object.assign(event, await this.getApprovalFields(event.approvalId));
+    } catch (error) {
+      console.warn(`Could not read approval ${event.approvalId} for its deactivation event:`, error.message);
+    }
+  }
+  
+  _getBlockchainService() {
+    const blockchainService = getBlockchainService();
+    
+    if (blockchainService.mockMode) {
+      throw new Error('Blockchain subscriptions cannot follow the contract in mock mode');
+    }
+    
+    return blockchainService;
+  }
+}
+
+// One subscription per process, started by the server and listened to by other components
+export const blockchainEvents = new BlockchainSubscriptionService();
+
+export default BlockchainSubscriptionService;
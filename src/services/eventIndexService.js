@@ -0,0 +1,464 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import Web3BlockchainService, { getBlockchainService } from './web3BlockchainService.js';
+import { describeFinality, getFinalityDepth } from '../utils/finality.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * EventIndexService follows the approval events of the contract block range by
+ * block range and keeps them, with the approvals they describe, in a local JSON
+ * store. Read routes can answer from this index instead of scanning the chain
+ * from block 0 on every request. Blocks a chain reorganization replaced are
+ * rolled back and indexed again from the new chain.
+ */
+class EventIndexService {
+  constructor() {
+    this.storePath = process.env.EVENT_INDEX_PATH || path.join(__dirname, '..', '..', 'data', 'event-index.json');
+    this.pollMs = parseInt(process.env.EVENT_INDEX_POLL_MS || '15000', 10);
+    this.blockRange = parseInt(process.env.EVENT_INDEX_BLOCK_RANGE || '5000', 10);
+    this.startBlock = parseInt(process.env.EVENT_INDEX_START_BLOCK || '0', 10);
+    this.saveIntervalMs = parseInt(process.env.EVENT_INDEX_SAVE_INTERVAL_MS || '10000', 10);
+    
+    this.timer = null;
+    this.syncPromise = null;
+    this.lastSyncedAt = null;
+    this.lastError = null;
+    this.lastReorg = null;
+    this.lastSavedAt = 0;
+    
+    this.store = this._loadStore();
+  }
+  
+  /**
+   * Start following the contract, syncing every EVENT_INDEX_POLL_MS
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    
+    const poll = () => {
+      this.sync()
+        .catch(error => console.error('Event index sync error:', error))
+        .finally(() => {
+          if (this.timer) {
+            this.timer = setTimeout(poll, this.pollMs);
+            this.timer.unref();
+          }
+        });
+    };
+    
+    // First sync right away, then one per poll interval
+    this.timer = setTimeout(poll, 0);
+    this.timer.unref();
+  }
+  
+  /**
+   * Stop following the contract
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  /**
+   * Index the events emitted since the last processed block
+   * Concurrent calls share the sync already running
+   *
+   * @returns {Promise<Object>} Number of indexed events and the last processed block
+   */
+  sync() {
+    if (!this.syncPromise) {
+      this.syncPromise = this._sync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    
+    return this.syncPromise;
+  }
+  
+  /**
+   * Whether the index has processed any blocks of the configured contract
+   *
+   * @returns {boolean} True once the first sync has completed
+   */
+  isReady() {
+    return this.store.lastProcessedBlock !== null &&
+      this.store.contractAddress === (process.env.CONTRACT_ADDRESS || '').toLowerCase();
+  }
+  
+  /**
+   * Get the indexed approvals, in the order they were recorded
+   *
+   * @param {Object} options - Optionally ownerId or requesterId to only list their approvals (exact match)
+   * @returns {Array<Object>} Approvals in the shape of Web3BlockchainService.getApprovalsPage
+   */
+  listApprovals({ ownerId = null, requesterId = null } = {}) {
+    return this.store.approvalIds
+      .map(approvalId => this.store.approvals[approvalId])
+      .filter(approval => (!ownerId || approval.ownerId === ownerId) && (!requesterId || approval.requesterId === requesterId))
+      .map(approval => this._withStatus(approval));
+  }
+  
+  /**
+   * Get an indexed approval
+   *
+   * @param {string} approvalId - The approval ID
+   * @returns {Object|null} The approval, or null if it is not indexed
+   */
+  getApproval(approvalId) {
+    const approval = this.store.approvals[approvalId];
+    return approval ? this._withStatus(approval) : null;
+  }
+  
+  /**
+   * Get the indexed history events of an approval, in chain order
+   *
+   * @param {string} approvalId - The approval ID
+   * @returns {Array<Object>} Events with event name, returnValues, transaction hash and position
+   */
+  getApprovalEvents(approvalId) {
+    return this.store.events
+      .filter(event => event.returnValues.approvalId === approvalId)
+      .map(event => ({ ...event, blockNumber: BigInt(event.blockNumber) }));
+  }
+  
+  /**
+   * Get the state of the index
+   *
+   * @returns {Object} Contract, last processed block, counts, the last sync error and the last reorganization
+   */
+  getStatus() {
+    return {
+      ready: this.isReady(),
+      running: Boolean(this.timer),
+      contractAddress: this.store.contractAddress,
+      lastProcessedBlock: this.store.lastProcessedBlock,
+      approvalCount: this.store.approvalIds.length,
+      eventCount: this.store.events.length,
+      lastSyncedAt: this.lastSyncedAt,
+      lastError: this.lastError,
+      lastReorg: this.lastReorg
+    };
+  }
+  
+  async _sync() {
+    const blockchainService = getBlockchainService();
+    
+    if (blockchainService.mockMode) {
+      throw new Error('The event index cannot follow the contract in mock mode');
+    }
+    
+    const contractAddress = blockchainService.contractAddress.toLowerCase();
+    
+    // A new deployment starts from an empty index
+    if (this.store.contractAddress !== contractAddress) {
+      console.log(`Event index reset for contract ${blockchainService.contractAddress}`);
+      this.store = { ...this._emptyStore(), contractAddress };
+    }
+    
+    try {
+      await this._rewindReorganizedBlocks(blockchainService);
+      
+      const latestBlock = Number(await blockchainService.web3.eth.getBlockNumber());
+      let fromBlock = this.store.lastProcessedBlock === null ? this.startBlock : this.store.lastProcessedBlock + 1;
+      let indexedCount = 0;
+      let unsavedEventCount = 0;
+      
+      while (fromBlock <= latestBlock) {
+        const toBlock = Math.min(fromBlock + this.blockRange - 1, latestBlock);
+        
+        // Read the block hash before the logs, so logs from a newer fork are caught by the next reorg check
+        const lastBlock = await blockchainService.web3.eth.getBlock(toBlock);
+        const events = await blockchainService.getApprovalHistoryEvents(fromBlock, toBlock);
+        
+        for (const event of events) {
+          await this._applyEvent(blockchainService, event);
+        }
+        
+        this.store.lastProcessedBlock = toBlock;
+        this.store.lastProcessedBlockHash = lastBlock.hash;
+        this.store.latestBlock = latestBlock;
+        
+        indexedCount += events.length;
+        unsavedEventCount += events.length;
+        fromBlock = toBlock + 1;
+        
+        // Save in batches rather than after every range, an interrupted sync resumes from the last save
+        if (Date.now() - this.lastSavedAt >= this.saveIntervalMs) {
+          this._saveStore();
+          unsavedEventCount = 0;
+        }
+      }
+      
+      this.store.latestBlock = latestBlock;
+      
+      // Ranges without events are cheap to scan again, only new events are worth an early save
+      if (unsavedEventCount > 0) {
+        this._saveStore();
+      }
+      this.lastSyncedAt = new Date().toISOString();
+      this.lastError = null;
+      
+      return { indexedCount, lastProcessedBlock: this.store.lastProcessedBlock };
+    } catch (error) {
+      // Drop the events of the unfinished range, it is indexed again by the next sync
+      this.store = this._loadStore();
+      this.lastError = error.message;
+      throw error;
+    }
+  }
+  
+  /**
+   * Roll the index back to the last block that is still on the chain
+   * If the last processed block was replaced by a reorganization, the blocks holding indexed events are
+   * checked newest first, down to BLOCKCHAIN_FINALITY_DEPTH blocks back. Events of replaced blocks are
+   * dropped and the approvals they touched rebuilt from the remaining events; the next ranges index the new chain.
+   *
+   * @param {Web3BlockchainService} blockchainService - Service connected to the contract
+   * @returns {Promise<number|null>} The block the index was rolled back to, or null if there was no reorganization
+   */
+  async _rewindReorganizedBlocks(blockchainService) {
+    const { lastProcessedBlock, lastProcessedBlockHash } = this.store;
+    const web3 = blockchainService.web3;
+    
+    if (lastProcessedBlock === null || !lastProcessedBlockHash) {
+      return null;
+    }
+    
+    const lastBlock = await web3.eth.getBlock(lastProcessedBlock).catch(() => null);
+    
+    if (lastBlock && lastBlock.hash === lastProcessedBlockHash) {
+      return null;
+    }
+    
+    // Anything deeper than the finality depth is assumed final
+    let rewindTo = Math.max(lastProcessedBlock - getFinalityDepth(), this.startBlock - 1);
+    
+    const eventBlocks = [...new Map(this.store.events
+      .filter(event => event.blockNumber > rewindTo)
+      .map(event => [event.blockNumber, event.blockHash])
+    )].sort((a, b) => b[0] - a[0]);
+    
+    for (const [blockNumber, blockHash] of eventBlocks) {
+      const block = await web3.eth.getBlock(blockNumber).catch(() => null);
+      
+      if (block && block.hash === blockHash) {
+        rewindTo = blockNumber;
+        break;
+      }
+    }
+    
+    const droppedEvents = this.store.events.filter(event => event.blockNumber > rewindTo);
+    const affectedApprovalIds = new Set(droppedEvents.map(event => event.returnValues.approvalId));
+    
+    console.warn(`Chain reorganization detected at block ${lastProcessedBlock}, rolling the event index back to block ${rewindTo} (${droppedEvents.length} events dropped)`);
+    
+    this.store.events = this.store.events.filter(event => event.blockNumber <= rewindTo);
+    
+    for (const approvalId of affectedApprovalIds) {
+      delete this.store.approvals[approvalId];
+      
+      for (const event of this.store.events.filter(event => event.returnValues.approvalId === approvalId)) {
+        await this._applyToApproval(blockchainService, event);
+      }
+    }
+    
+    // Approvals whose recording was dropped are no longer indexed
+    this.store.approvalIds = this.store.approvalIds.filter(approvalId => this.store.approvals[approvalId]);
+    
+    if (rewindTo < this.startBlock) {
+      this.store.lastProcessedBlock = null;
+      this.store.lastProcessedBlockHash = null;
+    } else {
+      this.store.lastProcessedBlock = rewindTo;
+      this.store.lastProcessedBlockHash = (await web3.eth.getBlock(rewindTo)).hash;
+    }
+    
+    this._saveStore();
+    
+    this.lastReorg = {
+      detectedAt: new Date().toISOString(),
+      replacedBlock: lastProcessedBlock,
+      rewoundTo: rewindTo,
+      droppedEventCount: droppedEvents.length
+    };
+    
+    return rewindTo;
+  }
+  
+  /**
+   * Store an event and update the approval it belongs to
+   *
+   * @param {Web3BlockchainService} blockchainService - Service connected to the contract
+   * @param {Object} event - Decoded event from getApprovalHistoryEvents
+   */
+  async _applyEvent(blockchainService, event) {
+    const storedEvent = {
+      event: event.event,
+      transactionHash: event.transactionHash,
+      blockNumber: Number(event.blockNumber),
+      blockHash: event.blockHash,
+      logIndex: event.logIndex,
+      returnValues: this._toPlainValues(event.returnValues)
+    };
+    
+    this.store.events.push(storedEvent);
+    await this._applyToApproval(blockchainService, storedEvent);
+  }
+  
+  /**
+   * Update the approval an indexed event belongs to
+   *
+   * @param {Web3BlockchainService} blockchainService - Service connected to the contract
+   * @param {Object} event - Indexed event
+   */
+  async _applyToApproval(blockchainService, event) {
+    const values = event.returnValues;
+    const approvalId = values.approvalId;
+    const approval = this.store.approvals[approvalId];
+    
+    if (event.event === 'ApprovalRecorded') {
+      // The expiry and, for migrated approvals, the active state are not part of the event
+      const current = await blockchainService.contract.methods.getApproval(approvalId).call();
+      const validUntil = await blockchainService.contract.methods.getApprovalStatus(approvalId).call()
+        .then(result => Number(result.validUntil) || null)
+        // Contracts deployed before expiry support don't have getApprovalStatus
+        .catch(() => null);
+      
+      this.store.approvals[approvalId] = {
+        approvalId,
+        // Legacy ApprovalRecorded events carry neither the request ID nor the licence key
+        requestId: values.requestId ?? current.requestId,
+        requesterId: values.requesterId,
+        ownerId: values.ownerId,
+        requestType: values.requestType,
+        licenceKey: values.licenceKey ?? current.licenceKey,
+        timestamp: Number(values.timestamp),
+        isActive: Boolean(current.isActive),
+        validUntil,
+        revocation: null,
+        version: 1,
+        transactionHash: event.transactionHash,
+        blockNumber: event.blockNumber
+      };
+      
+      // Approvals rebuilt after a reorganization keep their place
+      if (!this.store.approvalIds.includes(approvalId)) {
+        this.store.approvalIds.push(approvalId);
+      }
+    } else if (approval && event.event === 'ApprovalAmended') {
+      approval.requestType = values.newRequestType;
+      approval.licenceKey = values.newLicenceKey;
+      approval.version = Number(values.version);
+    } else if (approval && event.event === 'ApprovalDeactivated') {
+      approval.isActive = false;
+      approval.revocation = {
+        reasonCode: Web3BlockchainService.REVOCATION_REASONS[Number(values.reasonCode)] || 'unknown',
+        reason: values.reason,
+        revokedBy: values.revokedBy,
+        revokedAt: Number(values.timestamp)
+      };
+    }
+  }
+  
+  /**
+   * Add the effective status, which depends on the current time for approvals with an expiry
+   *
+   * @param {Object} approval - Indexed approval
+   * @returns {Object} The approval with its status
+   */
+  _withStatus(approval) {
+    let status = 'active';
+    
+    if (!approval.isActive) {
+      status = 'revoked';
+    } else if (approval.validUntil && approval.validUntil <= Math.floor(Date.now() / 1000)) {
+      status = 'expired';
+    }
+    
+    return {
+      ...approval,
+      // A bigint, as web3 returns block numbers, so both read sources serialize it the same way
+      blockNumber: BigInt(approval.blockNumber),
+      status,
+      finality: describeFinality(approval.blockNumber, this.store.latestBlock)
+    };
+  }
+  
+  /**
+   * Keep the named event values only, with BigInts as strings, so they can be stored as JSON
+   *
+   * @param {Object} values - Decoded event values
+   * @returns {Object} Plain values
+   */
+  _toPlainValues(values) {
+    const plainValues = {};
+    
+    for (const [key, value] of Object.entries(values)) {
+      if (key === '__length__' || /^\d+$/.test(key)) {
+        continue;
+      }
+      
+      plainValues[key] = typeof value === 'bigint' ? value.toString() : value;
+    }
+    
+    return plainValues;
+  }
+  
+  _emptyStore() {
+    return {
+      contractAddress: null,
+      lastProcessedBlock: null,
+      lastProcessedBlockHash: null,
+      latestBlock: null,
+      approvalIds: [],
+      approvals: {},
+      events: []
+    };
+  }
+  
+  _loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        return { ...this._emptyStore(), ...JSON.parse(fs.readFileSync(this.storePath, 'utf8')) };
+      }
+    } catch (error) {
+      console.error('Error loading event index:', error);
+    }
+    
+    return this._emptyStore();
+  }
+  
+  _saveStore() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    
+    // Write and flush a temporary file first, the rename then swaps it in whole, so a crash never leaves a truncated index
+    const tempPath = `${this.storePath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeFileSync(fd, JSON.stringify(this.store));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, this.storePath);
+    
+    this.lastSavedAt = Date.now();
+  }
+}
+
+// One indexer per process, started by the server and read by the routes
+export const eventIndexer = new EventIndexService();
+
+export default EventIndexService;
@@ -0,0 +1,322 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { getBlockchainService } from './web3BlockchainService.js';
+import { generateTransactionRef } from '../utils/idGenerator.js';
+import { hashApprovalLeaf, buildMerkleTree, getMerkleRoot, getMerkleProof } from '../utils/merkleTree.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * MerkleAnchorService accumulates approvals over a time window and anchors
+ * only the Merkle root of each batch on the blockchain. The approvals (leaves)
+ * are kept in a local JSON store so inclusion proofs can be served later.
+ */
+class MerkleAnchorService {
+  constructor() {
+    this.storePath = process.env.MERKLE_STORE_PATH || path.join(__dirname, '..', '..', 'data', 'merkle-anchors.json');
+    this.windowMs = parseInt(process.env.MERKLE_ANCHOR_WINDOW_MS || '300000', 10);
+    this.maxLeaves = parseInt(process.env.MERKLE_ANCHOR_MAX_LEAVES || '1000', 10);
+    
+    this.timer = null;
+    this.anchorDueAt = null;
+    this.flushPromise = null;
+    this.lastError = null;
+    
+    this.store = this._loadStore();
+    
+    // Approvals left pending by a previous run are anchored in the next window
+    if (this.store.pending.length > 0) {
+      this._scheduleFlush();
+    }
+  }
+  
+  /**
+   * Queue approvals for the next anchored batch
+   *
+   * @param {Array<Object>} approvalsData - Approval data, as passed to Web3BlockchainService.recordSyncApproval
+   * @returns {Object} Queued and skipped approvals and when the batch will be anchored
+   */
+  queueApprovals(approvalsData) {
+    const queued = [];
+    const skipped = [];
+    
+    for (const approvalData of approvalsData) {
+      if (this._findApproval(approvalData.approvalId)) {
+        skipped.push({ approvalId: approvalData.approvalId, error: 'Approval ID already exists' });
+        continue;
+      }
+      
+      const leaf = hashApprovalLeaf(approvalData);
+      
+      this.store.pending.push({ approvalId: approvalData.approvalId, approval: approvalData, leaf, queuedAt: new Date().toISOString() });
+      queued.push({ approvalId: approvalData.approvalId, leaf });
+    }
+    
+    if (queued.length > 0) {
+      this._saveStore();
+      
+      if (this.store.pending.length >= this.maxLeaves) {
+        // Full batch, anchor right away instead of waiting for the window to close
+        this.flush().catch(error => console.error('Merkle anchor flush error:', error));
+      } else {
+        this._scheduleFlush();
+      }
+    }
+    
+    return {
+      queued,
+      skipped,
+      pendingCount: this.store.pending.length,
+      anchorDueAt: this.anchorDueAt
+    };
+  }
+  
+  /**
+   * Anchor the pending approvals now
+   *
+   * @returns {Promise<Object>} The anchored batch, or success without a batch if nothing was pending
+   */
+  async flush() {
+    // Wait for a flush already in progress so the same approvals are never anchored twice
+    while (this.flushPromise) {
+      await this.flushPromise;
+    }
+    
+    this.flushPromise = this._anchorPending();
+    
+    try {
+      return await this.flushPromise;
+    } finally {
+      this.flushPromise = null;
+    }
+  }
+  
+  /**
+   * Revoke an approval queued or anchored through a Merkle batch
+   * An approval still queued is dropped, so it is never anchored. An anchored root cannot be changed,
+   * so an anchored approval, or one in the batch being anchored, keeps its leaf and is marked revoked
+   * in the store instead, and its proof reports the revocation.
+   *
+   * @param {string} approvalId - The approval ID
+   * @param {Object} revocation - Reason code and text of the revocation
+   * @returns {Object|null} Whether the approval was anchored and its revocation, or null if the approval is unknown
+   */
+  revokeApproval(approvalId, { reasonCode, reason = '' }) {
+    const found = this._findApproval(approvalId);
+    
+    if (!found) {
+      return null;
+    }
+    
+    const entry = found.pending ? found.entry : found.batch.leaves[found.leafIndex];
+    
+    if (!entry.revocation) {
+      entry.revocation = { reasonCode, reason, revokedAt: new Date().toISOString() };
+      
+      // Entries being anchored by a flush in progress are anchored with their revocation
+      if (found.pending && !this.flushPromise) {
+        this.store.pending = this.store.pending.filter(pendingEntry => pendingEntry !== entry);
+      }
+      
+      this._saveStore();
+    }
+    
+    return {
+      approvalId,
+      anchored: !found.pending,
+      batchId: found.pending ? null : found.batch.batchId,
+      revocation: entry.revocation
+    };
+  }
+  
+  /**
+   * Get the inclusion proof of an approval
+   *
+   * @param {string} approvalId - The approval ID
+   * @returns {Object|null} Proof details, or null if the approval is unknown
+   */
+  getProof(approvalId) {
+    const found = this._findApproval(approvalId);
+    
+    if (!found) {
+      return null;
+    }
+    
+    if (found.pending) {
+      return {
+        status: 'pending',
+        approvalId,
+        approval: found.entry.approval,
+        leaf: found.entry.leaf,
+        anchorDueAt: this.anchorDueAt,
+        revocation: found.entry.revocation || null
+      };
+    }
+    
+    const { batch, leafIndex } = found;
+    const layers = buildMerkleTree(batch.leaves.map(entry => entry.leaf));
+    
+    return {
+      status: batch.leaves[leafIndex].revocation ? 'revoked' : 'anchored',
+      approvalId,
+      approval: batch.leaves[leafIndex].approval,
+      leaf: batch.leaves[leafIndex].leaf,
+      leafIndex,
+      proof: getMerkleProof(layers, leafIndex),
+      root: batch.root,
+      batchId: batch.batchId,
+      leafCount: batch.leafCount,
+      transactionHash: batch.transactionHash,
+      blockNumber: batch.blockNumber,
+      anchoredAt: batch.anchoredAt,
+      revocation: batch.leaves[leafIndex].revocation || null
+    };
+  }
+  
+  /**
+   * Get the current state of the anchoring queue
+   *
+   * @returns {Object} Pending count, anchored batch count and next anchoring time
+   */
+  getStatus() {
+    return {
+      pendingCount: this.store.pending.length,
+      batchCount: this.store.batches.length,
+      anchorDueAt: this.anchorDueAt,
+      windowMs: this.windowMs,
+      maxLeaves: this.maxLeaves,
+      lastError: this.lastError
+    };
+  }
+  
+  async _anchorPending() {
+    this._clearTimer();
+    
+    // Approvals revoked while a previous batch was being anchored are dropped now
+    if (this.store.pending.some(entry => entry.revocation)) {
+      this.store.pending = this.store.pending.filter(entry => !entry.revocation);
+      this._saveStore();
+    }
+    
+    if (this.store.pending.length === 0) {
+      return { success: true, batch: null };
+    }
+    
+    const leaves = this.store.pending.slice(0, this.maxLeaves);
+    const root = getMerkleRoot(buildMerkleTree(leaves.map(entry => entry.leaf)));
+    const batchId = generateTransactionRef('BATCH');
+    
+    console.log(`Anchoring Merkle root for ${leaves.length} approvals:`, { batchId, root });
+    
+    const blockchainService = getBlockchainService();
+    const result = await blockchainService.anchorMerkleRoot(root, batchId, leaves.length);
+    
+    if (!result.success) {
+      console.error('Failed to anchor Merkle root:', result.error);
+      this.lastError = result.error;
+      
+      // Keep the approvals pending and try again in the next window
+      this._scheduleFlush();
+      
+      return { success: false, error: result.error, paused: result.paused || false, details: result.details };
+    }
+    
+    const batch = {
+      batchId,
+      root,
+      leafCount: leaves.length,
+      transactionHash: result.transactionHash,
+      blockNumber: Number(result.blockNumber),
+      anchoredAt: new Date().toISOString(),
+      // Read after the root is anchored, so approvals revoked meanwhile keep their revocation
+      leaves: leaves.map(({ approvalId, approval, leaf, revocation }) => ({ approvalId, approval, leaf, revocation: revocation || null }))
+    };
+    
+    this.store.batches.push(batch);
+    this.store.pending = this.store.pending.slice(leaves.length);
+    this.lastError = null;
+    this._saveStore();
+    
+    if (this.store.pending.length > 0) {
+      this._scheduleFlush();
+    }
+    
+    return { success: true, batch };
+  }
+  
+  _findApproval(approvalId) {
+    const pendingEntry = this.store.pending.find(entry => entry.approvalId === approvalId);
+    
+    if (pendingEntry) {
+      return { pending: true, entry: pendingEntry };
+    }
+    
+    for (const batch of this.store.batches) {
+      const leafIndex = batch.leaves.findIndex(entry => entry.approvalId === approvalId);
+      
+      if (leafIndex !== -1) {
+        return { pending: false, batch, leafIndex };
+      }
+    }
+    
+    return null;
+  }
+  
+  _scheduleFlush() {
+    if (this.timer) {
+      return;
+    }
+    
+    this.anchorDueAt = new Date(Date.now() + this.windowMs).toISOString();
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(error => console.error('Merkle anchor flush error:', error));
+    }, this.windowMs);
+    
+    // Do not keep scripts alive just for a pending anchor
+    this.timer.unref();
+  }
+  
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    
+    this.anchorDueAt = null;
+  }
+  
+  _loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        return { pending: store.pending || [], batches: store.batches || [] };
+      }
+    } catch (error) {
+      console.error('Error loading Merkle anchor store:', error);
+    }
+    
+    return { pending: [], batches: [] };
+  }
+  
+  _saveStore() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    
+    // Write to a temporary file first so a crash never leaves a truncated store
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.store, null, 2));
+    fs.renameSync(tempPath, this.storePath);
+  }
+}
+
+// One queue per process, shared by the routes and the request controller
+export const merkleAnchorService = new MerkleAnchorService();
+
+export default MerkleAnchorService;
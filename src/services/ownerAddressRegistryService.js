@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * OwnerAddressRegistryService maps each product owner ID to the wallet address
+ * allowed to sign approvals for it. Signed approvals are only relayed for the
+ * registered address, so a signature from any other wallet cannot approve on the
+ * owner's behalf. The registry is kept off chain because in privacy mode the owner
+ * ID on chain is a salted commitment that differs for every approval.
+ */
+class OwnerAddressRegistryService {
+  constructor() {
+    this.storePath = process.env.OWNER_ADDRESS_REGISTRY_PATH || path.join(__dirname, '..', '..', 'data', 'owner-addresses.json');
+    this.store = this._loadStore();
+  }
+  
+  /**
+   * Get the address registered for an owner
+   *
+   * @param {string} ownerId - The product owner ID
+   * @returns {Object|null} The registration, or null if the owner has no address
+   */
+  get(ownerId) {
+    return this.store.owners[ownerId] || null;
+  }
+  
+  /**
+   * List every registered owner
+   *
+   * @returns {Array<Object>} Registrations, most recently registered first
+   */
+  list() {
+    return Object.values(this.store.owners).sort((a, b) => b.registeredAt.localeCompare(a.registeredAt));
+  }
+  
+  /**
+   * Register the address allowed to sign for an owner, replacing any previous one
+   *
+   * @param {string} ownerId - The product owner ID
+   * @param {string} address - The owner's wallet address
+   * @returns {Object} The registration
+   */
+  register(ownerId, address) {
+    this.store.owners[ownerId] = {
+      ownerId,
+      address,
+      registeredAt: new Date().toISOString()
+    };
+    
+    this._saveStore();
+    
+    return this.store.owners[ownerId];
+  }
+  
+  /**
+   * Remove the address of an owner, its signed approvals are refused until a new one is registered
+   *
+   * @param {string} ownerId - The product owner ID
+   * @returns {boolean} Whether the owner had an address
+   */
+  remove(ownerId) {
+    if (!this.store.owners[ownerId]) {
+      return false;
+    }
+    
+    delete this.store.owners[ownerId];
+    this._saveStore();
+    
+    return true;
+  }
+  
+  _loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        return { owners: store.owners || {} };
+      }
+    } catch (error) {
+      console.error('Error loading owner address registry:', error);
+    }
+    
+    return { owners: {} };
+  }
+  
+  _saveStore() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    
+    // Write to a temporary file first so a crash never leaves a truncated registry
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.store, null, 2));
+    fs.renameSync(tempPath, this.storePath);
+  }
+}
+
+// One registry per process, shared by the controllers and the admin routes
+export const ownerAddressRegistry = new OwnerAddressRegistryService();
+
+export default OwnerAddressRegistryService;
@@ -0,0 +1,237 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { generateSalt, createCommitment, isCommitment } from '../utils/commitments.js';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * PrivacyIndexService keeps the clear values and salts of approvals recorded in
+ * privacy mode. Only salted commitments of the private fields are written on
+ * chain; this off-chain index is what makes them searchable and verifiable.
+ */
+class PrivacyIndexService {
+  /**
+   * Approval fields replaced by commitments on chain
+   */
+  static PRIVATE_FIELDS = ['requesterId', 'ownerId', 'licenceKey'];
+  
+  constructor() {
+    this.storePath = process.env.PRIVACY_INDEX_PATH || path.join(__dirname, '..', '..', 'data', 'privacy-index.json');
+    this.store = this._loadStore();
+  }
+  
+  /**
+   * Replace the private fields of an approval with salted commitments
+   *
+   * @param {Object} approvalData - Approval data with clear values
+   * @param {Object} existingSalts - Salts to reuse (e.g. for commitments an owner already signed), new salts otherwise
+   * @returns {Object} The approval data to write on chain and the index entry to save once recorded
+   */
+  protect(approvalData, existingSalts = null) {
+    const salts = {};
+    const commitments = {};
+    
+    for (const field of PrivacyIndexService.PRIVATE_FIELDS) {
+      salts[field] = existingSalts?.[field] || generateSalt();
+      commitments[field] = createCommitment(approvalData[field], salts[field]);
+    }
+    
+    return {
+      onChainData: { ...approvalData, ...commitments },
+      entry: {
+        approvalId: approvalData.approvalId,
+        requestId: approvalData.requestId,
+        requesterId: approvalData.requesterId,
+        ownerId: approvalData.ownerId,
+        requestType: approvalData.requestType,
+        licenceKey: approvalData.licenceKey || '',
+        validUntil: approvalData.validUntil || 0,
+        salts,
+        commitments
+      }
+    };
+  }
+  
+  /**
+   * Save an index entry once its approval has been recorded on chain
+   *
+   * @param {Object} entry - Entry returned by protect
+   * @param {Object} transaction - Transaction hash and block number of the recording
+   */
+  save(entry, { transactionHash, blockNumber }) {
+    this.store.approvals[entry.approvalId] = {
+      ...entry,
+      transactionHash,
+      // Unknown while the transaction is stuck
+      blockNumber: blockNumber === null ? null : Number(blockNumber),
+      recordedAt: new Date().toISOString()
+    };
+    
+    this._saveStore();
+  }
+  
+  /**
+   * Replace the private fields of an amendment with fresh salted commitments
+   *
+   * @param {Object} changes - Amended fields with clear values
+   * @returns {Object} The changes to write on chain, with the new salts and commitments
+   */
+  protectAmendment(changes) {
+    const salts = {};
+    const commitments = {};
+    
+    for (const field of PrivacyIndexService.PRIVATE_FIELDS) {
+      if (changes[field] !== undefined) {
+        salts[field] = generateSalt();
+        commitments[field] = createCommitment(changes[field], salts[field]);
+      }
+    }
+    
+    return {
+      onChainChanges: { ...changes, ...commitments },
+      salts,
+      commitments
+    };
+  }
+  
+  /**
+   * Apply an amendment recorded on chain to an index entry
+   * The previous values, salts and commitments are kept so older versions stay verifiable
+   *
+   * @param {string} approvalId - The approval ID
+   * @param {Object} changes - Amended fields with clear values
+   * @param {Object} protectedChanges - Salts and commitments returned by protectAmendment
+   * @param {Object} transaction - Transaction hash and block number of the amendment
+   */
+  saveAmendment(approvalId, changes, { salts, commitments }, { transactionHash, blockNumber }) {
+    const entry = this.store.approvals[approvalId];
+    
+    if (!entry) {
+      return;
+    }
+    
+    const { priorVersions = [], ...currentVersion } = entry;
+    
+    this.store.approvals[approvalId] = {
+      ...entry,
+      ...changes,
+      salts: { ...entry.salts, ...salts },
+      commitments: { ...entry.commitments, ...commitments },
+      amendedAt: new Date().toISOString(),
+      amendmentTransactionHash: transactionHash,
+      amendmentBlockNumber: Number(blockNumber),
+      priorVersions: [...priorVersions, currentVersion]
+    };
+    
+    this._saveStore();
+  }
+  
+  /**
+   * Get the index entry of an approval
+   *
+   * @param {string} approvalId - The approval ID
+   * @returns {Object|null} The entry with clear values and salts, or null if unknown
+   */
+  get(approvalId) {
+    return this.store.approvals[approvalId] || null;
+  }
+  
+  /**
+   * Get the index entries currently holding a licence key
+   *
+   * @param {string} licenceKey - The clear licence key
+   * @returns {Array<Object>} Entries whose current licence key matches
+   */
+  findByLicenceKey(licenceKey) {
+    return this.list().filter(entry => entry.licenceKey === licenceKey);
+  }
+  
+  /**
+   * Get all index entries
+   *
+   * @returns {Array<Object>} Entries in the order they were recorded
+   */
+  list() {
+    return Object.values(this.store.approvals);
+  }
+  
+  /**
+   * Check clear values against the fields of an approval read from the contract
+   * Fields stored as commitments are recomputed with the given salt, or the salt from the index;
+   * fields stored in clear text (recorded outside privacy mode) are compared directly
+   *
+   * @param {Object} onChainApproval - Approval fields as returned by the contract
+   * @param {Object} values - Clear values to check, keyed by field name
+   * @param {Object} salts - Optional salts keyed by field name, overriding the index
+   * @returns {Object} Per-field results and whether every given field matched
+   */
+  verify(onChainApproval, values, salts = {}) {
+    const entry = this.get(onChainApproval.approvalId);
+    const fields = {};
+    
+    for (const field of PrivacyIndexService.PRIVATE_FIELDS) {
+      if (values[field] === undefined) {
+        continue;
+      }
+      
+      const onChainValue = onChainApproval[field] || '';
+      
+      if (!isCommitment(onChainValue)) {
+        fields[field] = { committed: false, matches: onChainValue === (values[field] || '') };
+        continue;
+      }
+      
+      const salt = salts[field] || entry?.salts[field];
+      
+      if (!salt) {
+        fields[field] = { committed: true, matches: false, error: 'No salt available for this field' };
+        continue;
+      }
+      
+      fields[field] = {
+        committed: true,
+        matches: createCommitment(values[field], salt) === onChainValue,
+        commitment: onChainValue
+      };
+    }
+    
+    return {
+      verified: Object.keys(fields).length > 0 && Object.values(fields).every(result => result.matches),
+      fields
+    };
+  }
+  
+  _loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        return { approvals: store.approvals || {} };
+      }
+    } catch (error) {
+      console.error('Error loading privacy index:', error);
+    }
+    
+    return { approvals: {} };
+  }
+  
+  _saveStore() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    
+    // Write to a temporary file first so a crash never leaves a truncated index
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.store, null, 2));
+    fs.renameSync(tempPath, this.storePath);
+  }
+}
+
+// One index per process, shared by the blockchain service and the routes
+export const privacyIndex = new PrivacyIndexService();
+
+export default PrivacyIndexService;
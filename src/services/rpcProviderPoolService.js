@@ -0,0 +1,485 @@
+import { EventEmitter } from 'events';
+import dotenv from 'dotenv';
+import { WebSocketProvider } from 'web3';
+import { transactionQueue } from './transactionQueueService.js';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * RpcProviderPoolService spreads the JSON-RPC requests of the service over
+ * several nodes (BLOCKCHAIN_RPC_URLS, http(s):// or ws(s)://). It is an EIP-1193 provider, so Web3 is
+ * created with it instead of a URL. Every endpoint is scored by its latency and
+ * recent errors, and checked in the background for being reachable and in sync.
+ * Reads go to the best endpoint and fail over to the next one when a node cannot
+ * be reached. Writes, and the nonce reads they depend on, stick to one endpoint
+ * so the transactions of the account all reach the same mempool; they only move
+ * to another endpoint when that one fails. When no endpoint answers a request,
+ * the pool emits 'unavailable' with the error.
+ */
+class RpcProviderPoolService extends EventEmitter {
+  /**
+   * Methods sent to the sticky write endpoint
+   * The pending nonce and the node-managed accounts (Ganache) differ between nodes
+   */
+  static STICKY_METHODS = [
+    'eth_sendRawTransaction',
+    'eth_sendTransaction',
+    'eth_getTransactionCount',
+    'eth_accounts',
+    'eth_sign',
+    'eth_signTypedData_v4'
+  ];
+  
+  /**
+   * Methods that must not be sent to a second endpoint after a failure: the first node may have
+   * signed and broadcast the transaction already. A raw transaction is signed, sending it twice
+   * yields the same hash, so it is retried.
+   */
+  static NON_RETRYABLE_METHODS = ['eth_sendTransaction'];
+  
+  /**
+   * JSON-RPC error codes that mean the node is limiting or overloaded rather than answering
+   */
+  static FAILOVER_ERROR_CODES = [-32005, 429];
+  
+  /**
+   * Milliseconds added to the latency of an endpoint that failed every recent request
+   */
+  static ERROR_PENALTY_MS = 5000;
+  
+  /**
+   * Weight of the newest request in the latency and error rate averages
+   */
+  static SMOOTHING = 0.2;
+  
+  /**
+   * Hide credentials and API keys, which providers put in the path, from logs and responses
+   *
+   * @param {string} url - Endpoint URL
+   * @returns {string} Protocol and host, with the path masked
+   */
+  static redactUrl(url) {
+    try {
+      const parsed = new URL(url);
+      
+      return `${parsed.protocol}//${parsed.host}${parsed.pathname.length > 1 ? '/***' : ''}`;
+    } catch (error) {
+      return 'invalid URL';
+    }
+  }
+  
+  /**
+   * Check whether an endpoint is reached over a WebSocket
+   *
+   * @param {string} url - Endpoint URL
+   * @returns {boolean} True for ws:// and wss:// URLs
+   */
+  static isSocketUrl(url) {
+    return /^wss?:\/\//i.test(url);
+  }
+  
+  constructor() {
+    super();
+    
+    const urls = (process.env.BLOCKCHAIN_RPC_URLS || process.env.BLOCKCHAIN_RPC_URL || 'http://localhost:8545')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+    
+    this.healthCheckMs = parseInt(process.env.BLOCKCHAIN_RPC_HEALTH_CHECK_MS || '15000', 10);
+    this.requestTimeoutMs = parseInt(process.env.BLOCKCHAIN_RPC_TIMEOUT_MS || '10000', 10);
+    this.maxConsecutiveErrors = Math.max(parseInt(process.env.BLOCKCHAIN_RPC_MAX_ERRORS || '3', 10), 1);
+    this.maxBlockLag = parseInt(process.env.BLOCKCHAIN_RPC_MAX_BLOCK_LAG || '5', 10);
+    
+    this.endpoints = [...new Set(urls)].map((url, index) => ({
+      url,
+      label: RpcProviderPoolService.redactUrl(url),
+      priority: index,
+      healthy: true,
+      unhealthyReason: null,
+      latencyMs: null,
+      errorRate: 0,
+      consecutiveErrors: 0,
+      requestCount: 0,
+      errorCount: 0,
+      blockNumber: null,
+      lastError: null,
+      lastErrorAt: null,
+      lastCheckedAt: null,
+      socket: null
+    }));
+    
+    this.writeEndpoint = null;
+    this.failoverCount = 0;
+    this.writeSwitchCount = 0;
+    this.nextRequestId = 1;
+    
+    this.timer = null;
+    this.checkPromise = null;
+  }
+  
+  /**
+   * Start checking the endpoints every BLOCKCHAIN_RPC_HEALTH_CHECK_MS
+   * A single endpoint has nothing to fail over to, so it is only scored by the requests it serves
+   */
+  start() {
+    if (this.timer || this.endpoints.length < 2) {
+      return;
+    }
+    
+    const poll = () => {
+      this.checkHealth()
+        .catch(error => console.error('RPC health check error:', error))
+        .finally(() => {
+          if (this.timer) {
+            this.timer = setTimeout(poll, this.healthCheckMs);
+            this.timer.unref();
+          }
+        });
+    };
+    
+    this.timer = setTimeout(poll, 0);
+    this.timer.unref();
+  }
+  
+  /**
+   * Stop checking the endpoints and close the WebSocket connections, a later request opens them again
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    
+    for (const endpoint of this.endpoints.filter(endpoint => endpoint.socket)) {
+      endpoint.socket.disconnect();
+      endpoint.socket = null;
+    }
+  }
+  
+  /**
+   * Ask every endpoint for its latest block
+   * An endpoint is unhealthy while it fails BLOCKCHAIN_RPC_MAX_ERRORS requests in a row, or lags more
+   * than BLOCKCHAIN_RPC_MAX_BLOCK_LAG blocks behind the most advanced endpoint
+   * Concurrent calls share the check already running
+   *
+   * @returns {Promise<Array<Object>>} Health of every endpoint
+   */
+  checkHealth() {
+    if (!this.checkPromise) {
+      this.checkPromise = this._checkEndpoints().finally(() => {
+        this.checkPromise = null;
+      });
+    }
+    
+    return this.checkPromise;
+  }
+  
+  /**
+   * Send a JSON-RPC request, called by Web3
+   *
+   * @param {Object} payload - JSON-RPC request
+   * @returns {Promise<Object>} JSON-RPC response of the endpoint that answered, node errors included
+   * @throws {Error} If no endpoint could be reached
+   */
+  async request(payload) {
+    const method = Array.isArray(payload) ? payload[0]?.method : payload.method;
+    
+    if (RpcProviderPoolService.STICKY_METHODS.includes(method)) {
+      return this._requestSticky(payload, method);
+    }
+    
+    let lastError = null;
+    
+    for (const [attempt, endpoint] of this._rankEndpoints().entries()) {
+      if (attempt > 0) {
+        this.failoverCount++;
+        console.warn(`RPC ${method} failing over to ${endpoint.label}:`, lastError.message);
+      }
+      
+      try {
+        return await this._send(endpoint, payload);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    
+    this.emit('unavailable', lastError);
+    throw lastError;
+  }
+  
+  /**
+   * Get the health of the endpoints
+   *
+   * @returns {Object} Every endpoint with its score, the write endpoint and failover counters
+   */
+  getStatus() {
+    return {
+      running: Boolean(this.timer),
+      writeEndpoint: this.writeEndpoint?.label || null,
+      failoverCount: this.failoverCount,
+      writeSwitchCount: this.writeSwitchCount,
+      healthyCount: this.endpoints.filter(endpoint => endpoint.healthy).length,
+      endpoints: this._rankEndpoints().map(endpoint => ({
+        url: endpoint.label,
+        healthy: endpoint.healthy,
+        unhealthyReason: endpoint.unhealthyReason,
+        score: this._getScore(endpoint),
+        latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+        errorRate: Number(endpoint.errorRate.toFixed(3)),
+        consecutiveErrors: endpoint.consecutiveErrors,
+        requestCount: endpoint.requestCount,
+        errorCount: endpoint.errorCount,
+        blockNumber: endpoint.blockNumber,
+        lastError: endpoint.lastError,
+        lastErrorAt: endpoint.lastErrorAt,
+        lastCheckedAt: endpoint.lastCheckedAt
+      }))
+    };
+  }
+  
+  /**
+   * Send a write (or nonce read) to the write endpoint, moving to the best other endpoint when it fails
+   *
+   * @param {Object} payload - JSON-RPC request
+   * @param {string} method - JSON-RPC method
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async _requestSticky(payload, method) {
+    const tried = new Set();
+    
+    for (;;) {
+      const endpoint = this._getWriteEndpoint(tried);
+      tried.add(endpoint);
+      
+      try {
+        return await this._send(endpoint, payload);
+      } catch (error) {
+        const next = this._rankEndpoints().find(candidate => !tried.has(candidate));
+        
+        if (!next) {
+          this.emit('unavailable', error);
+        }
+        
+        if (!next || RpcProviderPoolService.NON_RETRYABLE_METHODS.includes(method)) {
+          throw error;
+        }
+        
+        console.warn(`RPC write endpoint ${endpoint.label} failed, switching to ${next.label}:`, error.message);
+        this._switchWriteEndpoint(next);
+      }
+    }
+  }
+  
+  /**
+   * Get the write endpoint, picking the best one when there is none yet or it became unhealthy
+   *
+   * @param {Set<Object>} tried - Endpoints that already failed this request
+   * @returns {Object} The write endpoint
+   */
+  _getWriteEndpoint(tried) {
+    if (!this.writeEndpoint || tried.has(this.writeEndpoint)) {
+      this.writeEndpoint = this._rankEndpoints().find(endpoint => !tried.has(endpoint));
+    } else if (!this.writeEndpoint.healthy) {
+      const best = this._rankEndpoints()[0];
+      
+      if (best.healthy) {
+        console.warn(`RPC write endpoint ${this.writeEndpoint.label} is unhealthy (${this.writeEndpoint.unhealthyReason}), switching to ${best.label}`);
+        this._switchWriteEndpoint(best);
+      }
+    }
+    
+    return this.writeEndpoint;
+  }
+  
+  _switchWriteEndpoint(endpoint) {
+    this.writeEndpoint = endpoint;
+    this.writeSwitchCount++;
+    
+    // The new node may not have seen every pending transaction, read the nonces from it again
+    transactionQueue.resetNonces();
+  }
+  
+  /**
+   * Order the endpoints for a request: healthy ones first, each group by score, then by configured order
+   *
+   * @returns {Array<Object>} Endpoints, best first
+   */
+  _rankEndpoints() {
+    return [...this.endpoints].sort((a, b) =>
+      (Number(b.healthy) - Number(a.healthy)) ||
+      (this._getScore(a) - this._getScore(b)) ||
+      (a.priority - b.priority)
+    );
+  }
+  
+  /**
+   * Score an endpoint, lower is better: its average latency plus a penalty for its recent error rate
+   *
+   * @param {Object} endpoint - Endpoint
+   * @returns {number} Score in milliseconds
+   */
+  _getScore(endpoint) {
+    return Math.round((endpoint.latencyMs ?? 0) + endpoint.errorRate * RpcProviderPoolService.ERROR_PENALTY_MS);
+  }
+  
+  /**
+   * Send a request to one endpoint and score it
+   * A JSON-RPC error (e.g. a revert) is an answer of a working node and is returned, only unreachable,
+   * timed out, overloaded or rate-limited nodes count as failures
+   *
+   * @param {Object} endpoint - Endpoint
+   * @param {Object} payload - JSON-RPC request
+   * @returns {Promise<Object>} JSON-RPC response
+   * @throws {Error} If the endpoint failed
+   */
+  async _send(endpoint, payload) {
+    const startedAt = Date.now();
+    endpoint.requestCount++;
+    
+    try {
+      const body = RpcProviderPoolService.isSocketUrl(endpoint.url)
+        ? await this._sendOverSocket(endpoint, payload)
+        : await this._sendOverHttp(endpoint, payload);
+      
+      if (!Array.isArray(body) && RpcProviderPoolService.FAILOVER_ERROR_CODES.includes(body.error?.code)) {
+        throw new Error(`Node is limiting requests: ${body.error.message}`);
+      }
+      
+      this._recordSuccess(endpoint, Date.now() - startedAt);
+      
+      return body;
+    } catch (error) {
+      const message = error.name === 'TimeoutError'
+        ? `No answer within ${this.requestTimeoutMs} ms`
+        : (error.cause?.message || error.message);
+      
+      this._recordFailure(endpoint, message);
+      
+      throw new Error(`RPC endpoint ${endpoint.label} failed: ${message}`);
+    }
+  }
+  
+  async _sendOverHttp(endpoint, payload) {
+    const response = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.requestTimeoutMs)
+    });
+    
+    if (response.status === 429 || response.status >= 500) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`);
+    }
+    
+    return response.json().catch(() => {
+      throw new Error(`HTTP ${response.status}, response is not JSON-RPC`);
+    });
+  }
+  
+  /**
+   * Send a request over the endpoint's WebSocket, opening it first if needed
+   * The socket does not reconnect by itself: a closed socket fails its pending requests, which fail over
+   * like any other failure, and the next request to the endpoint opens it again
+   *
+   * @param {Object} endpoint - WebSocket endpoint
+   * @param {Object} payload - JSON-RPC request
+   * @returns {Promise<Object>} JSON-RPC response
+   */
+  async _sendOverSocket(endpoint, payload) {
+    if (!endpoint.socket) {
+      endpoint.socket = new WebSocketProvider(endpoint.url, {}, { autoReconnect: false });
+      
+      // Connection errors reach the caller as failed requests
+      endpoint.socket.on('error', () => {});
+    }
+    
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error('Request timed out'), { name: 'TimeoutError' })), this.requestTimeoutMs);
+    });
+    
+    try {
+      return await Promise.race([endpoint.socket.request(payload), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  _recordSuccess(endpoint, latencyMs) {
+    const { SMOOTHING } = RpcProviderPoolService;
+    
+    endpoint.latencyMs = endpoint.latencyMs === null ? latencyMs : endpoint.latencyMs * (1 - SMOOTHING) + latencyMs * SMOOTHING;
+    endpoint.errorRate *= 1 - SMOOTHING;
+    endpoint.consecutiveErrors = 0;
+    
+    // A lagging endpoint only becomes healthy again through a health check
+    if (endpoint.unhealthyReason === 'unreachable') {
+      this._setHealth(endpoint, true);
+    }
+  }
+  
+  _recordFailure(endpoint, message) {
+    const { SMOOTHING } = RpcProviderPoolService;
+    
+    endpoint.errorRate = endpoint.errorRate * (1 - SMOOTHING) + SMOOTHING;
+    endpoint.consecutiveErrors++;
+    endpoint.errorCount++;
+    endpoint.lastError = message;
+    endpoint.lastErrorAt = new Date().toISOString();
+    
+    if (endpoint.consecutiveErrors >= this.maxConsecutiveErrors) {
+      this._setHealth(endpoint, false, 'unreachable');
+    }
+  }
+  
+  _setHealth(endpoint, healthy, reason = null) {
+    if (endpoint.healthy !== healthy) {
+      console.warn(`RPC endpoint ${endpoint.label} is ${healthy ? 'healthy again' : `unhealthy (${reason})`}`);
+    }
+    
+    endpoint.healthy = healthy;
+    endpoint.unhealthyReason = reason;
+  }
+  
+  async _checkEndpoints() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      try {
+        const response = await this._send(endpoint, {
+          jsonrpc: '2.0',
+          id: `health-${this.nextRequestId++}`,
+          method: 'eth_blockNumber',
+          params: []
+        });
+        
+        endpoint.blockNumber = response.result ? parseInt(response.result, 16) : null;
+      } catch (error) {
+        // Already recorded by _send
+      }
+      
+      endpoint.lastCheckedAt = new Date().toISOString();
+    }));
+    
+    const highestBlock = Math.max(...this.endpoints.map(endpoint => endpoint.blockNumber ?? -1));
+    
+    for (const endpoint of this.endpoints) {
+      if (endpoint.consecutiveErrors >= this.maxConsecutiveErrors) {
+        continue;
+      }
+      
+      if (endpoint.blockNumber !== null && highestBlock - endpoint.blockNumber > this.maxBlockLag) {
+        this._setHealth(endpoint, false, `lagging ${highestBlock - endpoint.blockNumber} blocks`);
+      } else {
+        this._setHealth(endpoint, true);
+      }
+    }
+    
+    return this.getStatus().endpoints;
+  }
+}
+
+// One pool per process, shared by every Web3BlockchainService instance so endpoint health carries over
+export const rpcProviderPool = new RpcProviderPoolService();
+
+export default RpcProviderPoolService;
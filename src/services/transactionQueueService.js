@@ -0,0 +1,282 @@
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * TransactionQueueService is the single way transactions leave this process.
+ * Every Web3BlockchainService instance hands its sends to the shared queue,
+ * which assigns nonces locally per account and broadcasts one transaction at a
+ * time, so concurrent requests never pick the same nonce. Up to
+ * TX_QUEUE_MAX_IN_FLIGHT broadcast transactions wait for their receipt at once;
+ * with the default of 1 the sends are fully serialized. A transaction that is
+ * not mined within TX_STUCK_TIMEOUT_MS is given up on as stuck, so it neither
+ * blocks the queue nor the request that sent it.
+ */
+class TransactionQueueService {
+  /**
+   * Check whether a send failed because its nonce was already used
+   * Messages differ per client: geth reports "nonce too low" and "replacement transaction underpriced",
+   * Ganache "the tx doesn't have the correct nonce"
+   *
+   * @param {Error} error - Error thrown by the send
+   * @returns {boolean} True if sending again with a fresh nonce may succeed
+   */
+  static isNonceError(error) {
+    const message = [error.message, error.cause?.message, error.innerError?.message]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    
+    return ['nonce too low', 'replacement transaction underpriced', 'correct nonce', 'nonce has already been used']
+      .some(fragment => message.includes(fragment));
+  }
+  
+  constructor() {
+    this.maxInFlight = Math.max(parseInt(process.env.TX_QUEUE_MAX_IN_FLIGHT || '1', 10), 1);
+    this.maxNonceRetries = parseInt(process.env.TX_QUEUE_NONCE_RETRIES || '3', 10);
+    this.stuckTimeoutMs = parseInt(process.env.TX_STUCK_TIMEOUT_MS || '180000', 10);
+    
+    this.waiting = [];
+    this.inFlight = new Map();
+    this.nextNonces = new Map();
+    this.dispatching = false;
+    this.nextJobId = 1;
+    
+    this.sentCount = 0;
+    this.failedCount = 0;
+    this.nonceRetryCount = 0;
+    this.stuckCount = 0;
+    this.lastError = null;
+  }
+  
+  /**
+   * Queue a transaction and wait for its receipt
+   *
+   * @param {Object} job - The transaction to send
+   * @param {string} job.from - Sending account
+   * @param {Object} job.web3 - Web3 instance used to read the account nonce
+   * @param {Function} job.send - Sends the transaction with the nonce it is given and returns web3's PromiEvent
+   * @param {string} job.method - Contract method name, for the status route
+   * @param {Array<string>} job.approvalIds - Approvals the transaction writes, for the status route
+   * @param {Function} job.onBroadcast - Called with the transaction hash and nonce once the node accepted the transaction
+   * @returns {Promise<Object>} Transaction receipt
+   * @throws {Error} TransactionStuckError, with the transaction hash and nonce, if it is not mined within TX_STUCK_TIMEOUT_MS
+   */
+  enqueue({ from, web3, send, method = null, approvalIds = [], onBroadcast = null }) {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({
+        id: this.nextJobId++,
+        from,
+        web3,
+        send,
+        method,
+        approvalIds,
+        onBroadcast,
+        queuedAt: new Date().toISOString(),
+        resolve,
+        reject
+      });
+      
+      this._dispatch();
+    });
+  }
+  
+  /**
+   * Get the state of the queue
+   *
+   * @returns {Object} Waiting and in-flight transactions, the next nonce of each account and counters
+   */
+  getStatus() {
+    return {
+      queueDepth: this.waiting.length,
+      maxInFlight: this.maxInFlight,
+      waiting: this.waiting.map(job => ({
+        jobId: job.id,
+        method: job.method,
+        approvalIds: job.approvalIds,
+        queuedAt: job.queuedAt
+      })),
+      inFlight: [...this.inFlight.values()],
+      nextNonces: Object.fromEntries(this.nextNonces),
+      sentCount: this.sentCount,
+      failedCount: this.failedCount,
+      nonceRetryCount: this.nonceRetryCount,
+      stuckCount: this.stuckCount,
+      stuckTimeoutMs: this.stuckTimeoutMs,
+      lastError: this.lastError
+    };
+  }
+  
+  /**
+   * Forget the nonces assigned so far, the next transaction of each account reads its nonce from the node again
+   * Called when transactions start going to another node, whose mempool may differ
+   */
+  resetNonces() {
+    this.nextNonces.clear();
+  }
+  
+  /**
+   * Broadcast waiting transactions while there is room in flight
+   * Broadcasts run one after the other, so nonces reach the node in the order they were assigned
+   */
+  _dispatch() {
+    if (this.dispatching) {
+      return;
+    }
+    
+    this.dispatching = true;
+    
+    const run = async () => {
+      while (this.waiting.length > 0 && this.inFlight.size < this.maxInFlight) {
+        await this._broadcast(this.waiting.shift());
+      }
+    };
+    
+    run().finally(() => {
+      this.dispatching = false;
+      
+      // A receipt may have freed a slot while the last broadcast was running
+      if (this.waiting.length > 0 && this.inFlight.size < this.maxInFlight) {
+        this._dispatch();
+      }
+    });
+  }
+  
+  /**
+   * Send a job with the next nonce of its account, retrying with a fresh nonce when the node rejects it
+   *
+   * @param {Object} job - Queued job
+   */
+  async _broadcast(job) {
+    for (let attempt = 0; ; attempt++) {
+      let entry = null;
+      
+      try {
+        const nonce = await this._takeNonce(job);
+        
+        entry = {
+          jobId: job.id,
+          method: job.method,
+          approvalIds: job.approvalIds,
+          from: job.from,
+          nonce,
+          transactionHash: null,
+          queuedAt: job.queuedAt,
+          sentAt: new Date().toISOString()
+        };
+        this.inFlight.set(job.id, entry);
+        
+        const promiEvent = job.send(nonce);
+        
+        // The next transaction can go out once the node has accepted this one, the receipt is awaited in the background
+        entry.transactionHash = await new Promise((resolve, reject) => {
+          promiEvent.on('transactionHash', resolve);
+          promiEvent.catch(reject);
+        });
+        
+        this._awaitReceipt(job, entry, promiEvent);
+        
+        if (job.onBroadcast) {
+          try {
+            job.onBroadcast({ transactionHash: entry.transactionHash, nonce });
+          } catch (error) {
+            // The transaction is out, a failing callback must not make it look unsent
+            console.error(`Error handling broadcast of ${entry.transactionHash}:`, error);
+          }
+        }
+        
+        return;
+      } catch (error) {
+        this.inFlight.delete(job.id);
+        
+        // The nonce was not used (or is out of date), read it from the node again
+        this.nextNonces.delete(job.from.toLowerCase());
+        
+        if (entry && TransactionQueueService.isNonceError(error) && attempt < this.maxNonceRetries) {
+          console.warn(`Nonce ${entry.nonce} rejected for ${job.method || 'transaction'}, retrying with a fresh nonce:`, error.message);
+          this.nonceRetryCount++;
+          continue;
+        }
+        
+        this._fail(job, error);
+        return;
+      }
+    }
+  }
+  
+  /**
+   * Wait for the receipt of a broadcast job, giving up after TX_STUCK_TIMEOUT_MS
+   * A stuck transaction keeps its nonce: later transactions of the account are only mined after it,
+   * or after it was sped up or cancelled with a replacement transaction
+   *
+   * @param {Object} job - Queued job
+   * @param {Object} entry - In-flight entry of the job
+   * @param {Object} promiEvent - PromiEvent returned by the send
+   */
+  _awaitReceipt(job, entry, promiEvent) {
+    let settled = false;
+    
+    const settle = (callback) => {
+      if (settled) {
+        return;
+      }
+      
+      settled = true;
+      clearTimeout(timer);
+      this.inFlight.delete(job.id);
+      callback();
+      this._dispatch();
+    };
+    
+    const timer = setTimeout(() => settle(() => {
+      const error = new Error(`Transaction ${entry.transactionHash} (nonce ${entry.nonce}) was not mined within ${this.stuckTimeoutMs} ms`);
+      error.name = 'TransactionStuckError';
+      error.transactionHash = entry.transactionHash;
+      error.nonce = entry.nonce;
+      
+      this.stuckCount++;
+      this._fail(job, error);
+    }), this.stuckTimeoutMs);
+    
+    promiEvent.then(
+      receipt => settle(() => {
+        this.sentCount++;
+        job.resolve(receipt);
+      }),
+      // The transaction was broadcast, so its nonce is used even though it failed
+      error => settle(() => this._fail(job, error))
+    );
+  }
+  
+  /**
+   * Take the next nonce of the job's account, reading it from the node the first time
+   * The pending count includes transactions still in the mempool, sent by this process or another one
+   *
+   * @param {Object} job - Queued job
+   * @returns {Promise<number>} The nonce to send the job with
+   */
+  async _takeNonce(job) {
+    const account = job.from.toLowerCase();
+    
+    if (!this.nextNonces.has(account)) {
+      this.nextNonces.set(account, Number(await job.web3.eth.getTransactionCount(job.from, 'pending')));
+    }
+    
+    const nonce = this.nextNonces.get(account);
+    this.nextNonces.set(account, nonce + 1);
+    
+    return nonce;
+  }
+  
+  _fail(job, error) {
+    this.failedCount++;
+    this.lastError = error.message;
+    job.reject(error);
+  }
+}
+
+// One queue per process, shared by every Web3BlockchainService instance
+export const transactionQueue = new TransactionQueueService();
+
+export default TransactionQueueService;
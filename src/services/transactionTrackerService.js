@@ -0,0 +1,289 @@
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+// Get current directory
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * TransactionTrackerService keeps the transactions sent by the service account
+ * from the moment they are broadcast until they are final. A transaction that
+ * stays in the mempool is flagged as stuck, and can be replaced with a sped-up
+ * or cancelling transaction of the same nonce. A receipt only means the
+ * transaction was included in a block: a chain reorganization can still move
+ * it to another block or drop it, so every tracked transaction is checked
+ * again until it is deep enough.
+ *
+ * Every change of state or confirmations is emitted as a change event with
+ * the transaction and its previous state, until the transaction is finalized.
+ */
+class TransactionTrackerService extends EventEmitter {
+  /**
+   * States of transactions that still need to be checked
+   * submitted and stuck transactions are not mined yet, the others are (or were, for orphaned ones)
+   */
+  static UNSETTLED_STATES = ['submitted', 'stuck', 'pending', 'confirmed', 'orphaned'];
+  
+  /**
+   * Every state a tracked transaction can be in, replaced ones were sped up or cancelled
+   */
+  static STATES = [...TransactionTrackerService.UNSETTLED_STATES, 'replaced'];
+  
+  /**
+   * States of transactions that can still be sped up or cancelled
+   */
+  static UNMINED_STATES = ['submitted', 'stuck'];
+  
+  constructor() {
+    super();
+    
+    // Components add listeners freely, e.g. one per open event stream
+    this.setMaxListeners(0);
+    
+    this.storePath = process.env.TRANSACTION_TRACKER_PATH || path.join(__dirname, '..', '..', 'data', 'tracked-transactions.json');
+    this.pollMs = parseInt(process.env.TRANSACTION_TRACKER_POLL_MS || '30000', 10);
+    
+    this.timer = null;
+    this.checkPromise = null;
+    this.lastCheckedAt = null;
+    this.lastError = null;
+    
+    this.store = this._loadStore();
+  }
+  
+  /**
+   * Start checking the tracked transactions every TRANSACTION_TRACKER_POLL_MS
+   *
+   * @param {Function} checkTransactions - Checks the unsettled transactions, e.g. Web3BlockchainService.checkTrackedTransactions
+   */
+  start(checkTransactions) {
+    if (this.timer) {
+      return;
+    }
+    
+    const poll = () => {
+      // Nothing to ask the node while every sent transaction is final
+      const check = this.getUnsettled().length > 0 ? this.check(checkTransactions) : Promise.resolve();
+      
+      check
+        .catch(error => console.error('Transaction tracker error:', error))
+        .finally(() => {
+          if (this.timer) {
+            this.timer = setTimeout(poll, this.pollMs);
+            this.timer.unref();
+          }
+        });
+    };
+    
+    this.timer = setTimeout(poll, this.pollMs);
+    this.timer.unref();
+  }
+  
+  /**
+   * Stop checking the tracked transactions
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+  
+  /**
+   * Check the unsettled transactions now
+   * Concurrent calls share the check already running
+   *
+   * @param {Function} checkTransactions - Checks the unsettled transactions
+   * @returns {Promise<Object>} Summary returned by checkTransactions
+   */
+  check(checkTransactions) {
+    if (!this.checkPromise) {
+      this.checkPromise = checkTransactions()
+        .then(summary => {
+          this.lastCheckedAt = new Date().toISOString();
+          this.lastError = null;
+          return summary;
+        })
+        .catch(error => {
+          this.lastError = error.message;
+          throw error;
+        })
+        .finally(() => {
+          this.checkPromise = null;
+        });
+    }
+    
+    return this.checkPromise;
+  }
+  
+  /**
+   * Start tracking a transaction that has just been broadcast or included in a block
+   *
+   * @param {Object} transaction - Hash, state, block, sender, target, call data, nonce, gas and fees, method and approval IDs of the transaction
+   */
+  track(transaction) {
+    this.store.transactions[transaction.transactionHash] = {
+      state: 'pending',
+      approvalIds: [],
+      reorgCount: 0,
+      replaces: null,
+      replacedBy: null,
+      ...transaction,
+      trackedAt: new Date().toISOString(),
+      checkedAt: null
+    };
+    
+    this._saveStore();
+    this._emitChange(null, this.store.transactions[transaction.transactionHash]);
+  }
+  
+  /**
+   * Update a tracked transaction after a check
+   *
+   * @param {string} transactionHash - The transaction hash
+   * @param {Object} changes - Fields to update
+   */
+  update(transactionHash, changes) {
+    const transaction = this.store.transactions[transactionHash];
+    
+    if (!transaction) {
+      return;
+    }
+    
+    this.store.transactions[transactionHash] = {
+      ...transaction,
+      ...changes,
+      checkedAt: new Date().toISOString()
+    };
+    
+    this._saveStore();
+    this._emitChange(transaction, this.store.transactions[transactionHash]);
+  }
+  
+  /**
+   * Stop tracking a transaction that is final
+   *
+   * @param {string} transactionHash - The transaction hash
+   * @param {Object} finality - Confirmations, block number and block hash the transaction is final with
+   */
+  finalize(transactionHash, finality) {
+    const transaction = this.get(transactionHash);
+    
+    if (!transaction) {
+      return;
+    }
+    
+    this.remove(transactionHash);
+    this._emitChange(transaction, {
+      ...transaction,
+      ...finality,
+      state: 'finalized',
+      checkedAt: new Date().toISOString()
+    });
+  }
+  
+  /**
+   * Stop tracking a transaction, e.g. once it is final
+   *
+   * @param {string} transactionHash - The transaction hash
+   */
+  remove(transactionHash) {
+    delete this.store.transactions[transactionHash];
+    this._saveStore();
+  }
+  
+  /**
+   * Get a tracked transaction
+   *
+   * @param {string} transactionHash - The transaction hash
+   * @returns {Object|null} The transaction, or null if it is not tracked
+   */
+  get(transactionHash) {
+    return this.store.transactions[transactionHash] || null;
+  }
+  
+  /**
+   * Get the tracked transactions, oldest first
+   *
+   * @param {Object} options - Optionally a state or approval ID to only list matching transactions
+   * @returns {Array<Object>} Tracked transactions
+   */
+  list({ state = null, approvalId = null } = {}) {
+    return Object.values(this.store.transactions)
+      .filter(transaction => (!state || transaction.state === state) &&
+        (!approvalId || transaction.approvalIds.includes(approvalId)));
+  }
+  
+  /**
+   * Get the transactions that still need to be checked
+   * Orphaned transactions are checked again, as long as they were not replaced, in case they are mined after all
+   *
+   * @returns {Array<Object>} Unsettled transactions
+   */
+  getUnsettled() {
+    return this.list().filter(transaction =>
+      TransactionTrackerService.UNSETTLED_STATES.includes(transaction.state) && !transaction.replacedBy
+    );
+  }
+  
+  /**
+   * Get the state of the tracker
+   *
+   * @returns {Object} Number of tracked transactions per state and the result of the last check
+   */
+  getStatus() {
+    const transactions = this.list();
+    
+    return {
+      running: Boolean(this.timer),
+      submittedCount: transactions.filter(transaction => transaction.state === 'submitted').length,
+      stuckCount: transactions.filter(transaction => transaction.state === 'stuck').length,
+      pendingCount: transactions.filter(transaction => transaction.state === 'pending').length,
+      confirmedCount: transactions.filter(transaction => transaction.state === 'confirmed').length,
+      orphanedCount: transactions.filter(transaction => transaction.state === 'orphaned').length,
+      lastCheckedAt: this.lastCheckedAt,
+      lastError: this.lastError
+    };
+  }
+  
+  _emitChange(previous, transaction) {
+    if (previous && previous.state === transaction.state && previous.confirmations === transaction.confirmations) {
+      return;
+    }
+    
+    this.emit('change', { ...transaction, previousState: previous?.state ?? null });
+  }
+  
+  _loadStore() {
+    try {
+      if (fs.existsSync(this.storePath)) {
+        const store = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+        return { transactions: store.transactions || {} };
+      }
+    } catch (error) {
+      console.error('Error loading tracked transactions:', error);
+    }
+    
+    return { transactions: {} };
+  }
+  
+  _saveStore() {
+    fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+    
+    // Write to a temporary file first so a crash never leaves a truncated store
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.store, null, 2));
+    fs.renameSync(tempPath, this.storePath);
+  }
+}
+
+// One tracker per process, fed by the blockchain service and checked by the server
+export const transactionTracker = new TransactionTrackerService();
+
+export default TransactionTrackerService;
@@ -3,6 +3,14 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import Web3 from 'web3';
+import { safeStringify } from '../utils/jsonSerializer.js';
+import { verifyMerkleProof } from '../utils/merkleTree.js';
+import { privacyIndex } from './privacyIndexService.js';
+import TransactionTrackerService, { transactionTracker } from './transactionTrackerService.js';
+import { transactionQueue } from './transactionQueueService.js';
+import RpcProviderPoolService, { rpcProviderPool } from './rpcProviderPoolService.js';
+import { describeFinality, getFinalityDepth } from '../utils/finality.js';
+import { getGasLimit, getFeeFields, getReplacementFees, describeFeesPaid } from '../utils/gasPolicy.js';
 
 // Load environment variables
 dotenv.config();
@@ -27,13 +35,129 @@ try {
           { "internalType": "string", "name": "requesterId", "type": "string" },
           { "internalType": "string", "name": "ownerId", "type": "string" },
           { "internalType": "string", "name": "requestType", "type": "string" },
-          { "internalType": "string", "name": "licenceKey", "type": "string" }
+          { "internalType": "string", "name": "licenceKey", "type": "string" },
+          { "internalType": "uint256", "name": "validUntil", "type": "uint256" }
         ],
         "name": "recordApproval",
         "outputs": [],
         "stateMutability": "nonpayable",
         "type": "function"
       },
+      {
+        "inputs": [
+          {
+            "components": [
+              { "internalType": "string", "name": "approvalId", "type": "string" },
+              { "internalType": "string", "name": "requestId", "type": "string" },
+              { "internalType": "string", "name": "requesterId", "type": "string" },
+              { "internalType": "string", "name": "ownerId", "type": "string" },
+              { "internalType": "string", "name": "requestType", "type": "string" },
+              { "internalType": "string", "name": "licenceKey", "type": "string" },
+              { "internalType": "uint256", "name": "validUntil", "type": "uint256" }
+            ],
+            "internalType": "struct PrintPackSyncApproval.ApprovalInput[]",
+            "name": "inputs",
+            "type": "tuple[]"
+          }
+        ],
+        "name": "recordApprovals",
+        "outputs": [
+          { "internalType": "bool[]", "name": "recorded", "type": "bool[]" }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "address", "name": "sourceContract", "type": "address" },
+          {
+            "components": [
+              {
+                "components": [
+                  { "internalType": "string", "name": "approvalId", "type": "string" },
+                  { "internalType": "string", "name": "requestId", "type": "string" },
+                  { "internalType": "string", "name": "requesterId", "type": "string" },
+                  { "internalType": "string", "name": "ownerId", "type": "string" },
+                  { "internalType": "string", "name": "requestType", "type": "string" },
+                  { "internalType": "string", "name": "licenceKey", "type": "string" },
+                  { "internalType": "uint256", "name": "validUntil", "type": "uint256" }
+                ],
+                "internalType": "struct PrintPackSyncApproval.ApprovalInput",
+                "name": "approval",
+                "type": "tuple"
+              },
+              { "internalType": "uint256", "name": "originalTimestamp", "type": "uint256" },
+              { "internalType": "bool", "name": "isActive", "type": "bool" },
+              { "internalType": "bytes32", "name": "sourceTransactionHash", "type": "bytes32" }
+            ],
+            "internalType": "struct PrintPackSyncApproval.MigratedApproval[]",
+            "name": "inputs",
+            "type": "tuple[]"
+          }
+        ],
+        "name": "migrateApprovals",
+        "outputs": [
+          { "internalType": "bool[]", "name": "migrated", "type": "bool[]" }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          {
+            "components": [
+              { "internalType": "string", "name": "approvalId", "type": "string" },
+              { "internalType": "string", "name": "requestId", "type": "string" },
+              { "internalType": "string", "name": "requesterId", "type": "string" },
+              { "internalType": "string", "name": "ownerId", "type": "string" },
+              { "internalType": "string", "name": "requestType", "type": "string" },
+              { "internalType": "string", "name": "licenceKey", "type": "string" },
+              { "internalType": "uint256", "name": "validUntil", "type": "uint256" }
+            ],
+            "internalType": "struct PrintPackSyncApproval.ApprovalInput",
+            "name": "input",
+            "type": "tuple"
+          },
+          { "internalType": "address", "name": "owner", "type": "address" },
+          { "internalType": "uint256", "name": "deadline", "type": "uint256" },
+          { "internalType": "bytes", "name": "signature", "type": "bytes" }
+        ],
+        "name": "recordSignedApproval",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "domainSeparator",
+        "outputs": [
+          { "internalType": "bytes32", "name": "", "type": "bytes32" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "address", "name": "", "type": "address" }
+        ],
+        "name": "nonces",
+        "outputs": [
+          { "internalType": "uint256", "name": "", "type": "uint256" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "string", "name": "approvalId", "type": "string" }
+        ],
+        "name": "getApprovalSigner",
+        "outputs": [
+          { "internalType": "address", "name": "", "type": "address" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
       {
         "inputs": [
           { "internalType": "string", "name": "approvalId", "type": "string" }
@@ -53,13 +177,182 @@ try {
       },
       {
         "inputs": [
-          { "internalType": "string", "name": "approvalId", "type": "string" }
+          { "internalType": "string", "name": "approvalId", "type": "string" },
+          { "internalType": "enum PrintPackSyncApproval.RevocationReason", "name": "reasonCode", "type": "uint8" },
+          { "internalType": "string", "name": "reason", "type": "string" }
         ],
         "name": "deactivateApproval",
         "outputs": [],
         "stateMutability": "nonpayable",
         "type": "function"
       },
+      {
+        "inputs": [],
+        "name": "owner",
+        "outputs": [
+          { "internalType": "address", "name": "", "type": "address" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "pendingOwner",
+        "outputs": [
+          { "internalType": "address", "name": "", "type": "address" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "paused",
+        "outputs": [
+          { "internalType": "bool", "name": "", "type": "bool" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "pause",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "unpause",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "address", "name": "newOwner", "type": "address" }
+        ],
+        "name": "transferOwnership",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "acceptOwnership",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "version",
+        "outputs": [
+          { "internalType": "string", "name": "", "type": "string" }
+        ],
+        "stateMutability": "pure",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "implementation",
+        "outputs": [
+          { "internalType": "address", "name": "", "type": "address" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "proxiableUUID",
+        "outputs": [
+          { "internalType": "bytes32", "name": "", "type": "bytes32" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [],
+        "name": "initialize",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "address", "name": "newImplementation", "type": "address" },
+          { "internalType": "bytes", "name": "data", "type": "bytes" }
+        ],
+        "name": "upgradeToAndCall",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "string", "name": "approvalId", "type": "string" },
+          { "internalType": "string", "name": "requestType", "type": "string" },
+          { "internalType": "string", "name": "licenceKey", "type": "string" },
+          { "internalType": "string", "name": "reason", "type": "string" }
+        ],
+        "name": "amendApproval",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "string", "name": "approvalId", "type": "string" }
+        ],
+        "name": "getApprovalVersionCount",
+        "outputs": [
+          { "internalType": "uint256", "name": "", "type": "uint256" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "string", "name": "approvalId", "type": "string" },
+          { "internalType": "uint256", "name": "versionNumber", "type": "uint256" }
+        ],
+        "name": "getApprovalVersion",
+        "outputs": [
+          { "internalType": "string", "name": "requestType", "type": "string" },
+          { "internalType": "string", "name": "licenceKey", "type": "string" },
+          { "internalType": "uint256", "name": "effectiveFrom", "type": "uint256" },
+          { "internalType": "uint256", "name": "supersededAt", "type": "uint256" },
+          { "internalType": "address", "name": "supersededBy", "type": "address" },
+          { "internalType": "string", "name": "amendmentReason", "type": "string" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "string", "name": "approvalId", "type": "string" }
+        ],
+        "name": "getApprovalStatus",
+        "outputs": [
+          { "internalType": "enum PrintPackSyncApproval.ApprovalStatus", "name": "status", "type": "uint8" },
+          { "internalType": "uint256", "name": "validUntil", "type": "uint256" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "string", "name": "approvalId", "type": "string" }
+        ],
+        "name": "getRevocation",
+        "outputs": [
+          { "internalType": "enum PrintPackSyncApproval.RevocationReason", "name": "reasonCode", "type": "uint8" },
+          { "internalType": "string", "name": "reason", "type": "string" },
+          { "internalType": "address", "name": "revokedBy", "type": "address" },
+          { "internalType": "uint256", "name": "revokedAt", "type": "uint256" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
       {
         "inputs": [],
         "name": "getTotalApprovals",
@@ -79,82 +372,527 @@ try {
         ],
         "stateMutability": "view",
         "type": "function"
-      }
-    ];
-  }
-} catch (error) {
-  console.error('Error loading contract ABI:', error);
-}
-
-/**
- * Web3BlockchainService for interacting with the blockchain
- */
-class Web3BlockchainService {
-  /**
-   * Validates a private key format
-   * @param {string} key - The private key to validate
-   * @returns {string} The formatted private key with 0x prefix
-   * @throws {Error} If the key is invalid
-   */
-  static validatePrivateKey(key) {
-    if (!key || typeof key !== 'string') {
-      throw new Error('Private key must be a non-empty string');
-    }
-    
-    // Remove 0x prefix if present
-    const cleanKey = key.startsWith('0x') ? key.substring(2) : key;
-    
-    // Check if it's a valid hex string of correct length (64 characters = 32 bytes)
-    if (!/^[0-9a-fA-F]{64}$/.test(cleanKey)) {
-      throw new Error('Private key must be a 64-character hexadecimal string');
-    }
-    
-    // Return with 0x prefix
-    return '0x' + cleanKey;
-  }
-
-  constructor() {
-    // Read environment variables
-    this.rpcUrl = process.env.BLOCKCHAIN_RPC_URL || 'http://localhost:8545';
-    this.privateKey = process.env.BLOCKCHAIN_PRIVATE_KEY;
-    this.contractAddress = process.env.CONTRACT_ADDRESS;
-    
-    // Check if we're using Ganache
-    this.isGanache = process.env.BLOCKCHAIN_NETWORK === 'ganache';
-    
-    // For Ganache, use real data mode
-    if (this.isGanache) {
-      console.log('GANACHE REAL MODE ENABLED: Using Ganache for real blockchain data.');
-      console.log('This will store and retrieve real data from your local Ganache blockchain.');
-      
-      // Use real data mode for Ganache
-      this.mockMode = false;
-      this.realConnection = true;
-      this.readOnlyMode = false;
-      // Continue with initialization to connect to Ganache
-    } else {
-      // Check if mock mode is explicitly enabled (only for non-Ganache)
-      this.mockMode = process.env.USE_MOCK_MODE === 'true';
-      this.readOnlyMode = false;
-      
-      // If mock mode is enabled, log it
-      if (this.mockMode) {
-        console.log('MOCK MODE ENABLED: Using mock blockchain service for all operations.');
-        console.log('This will simulate blockchain operations without requiring real ETH.');
-        return; // Skip real blockchain initialization
-      }
-    }
-    
-    try {
-      // Initialize Web3
-      this.web3 = new Web3(this.rpcUrl);
-      
-      // Create contract instance
-      this.contract = new this.web3.eth.Contract(
-        contractABI,
-        this.contractAddress
-      );
-      
+      },
+      {
+        "inputs": [
+          { "internalType": "bytes32", "name": "role", "type": "bytes32" },
+          { "internalType": "address", "name": "account", "type": "address" }
+        ],
+        "name": "grantRole",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "bytes32", "name": "role", "type": "bytes32" },
+          { "internalType": "address", "name": "account", "type": "address" }
+        ],
+        "name": "revokeRole",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "bytes32", "name": "role", "type": "bytes32" },
+          { "internalType": "address", "name": "account", "type": "address" }
+        ],
+        "name": "hasRole",
+        "outputs": [
+          { "internalType": "bool", "name": "", "type": "bool" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "bytes32", "name": "role", "type": "bytes32" }
+        ],
+        "name": "getRoleMembers",
+        "outputs": [
+          { "internalType": "address[]", "name": "", "type": "address[]" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "string", "name": "requestId", "type": "string" }
+        ],
+        "name": "getApprovalByRequestId",
+        "outputs": [
+          {
+            "components": [
+              { "internalType": "string", "name": "approvalId", "type": "string" },
+              { "internalType": "string", "name": "requestId", "type": "string" },
+              { "internalType": "string", "name": "requesterId", "type": "string" },
+              { "internalType": "string", "name": "ownerId", "type": "string" },
+              { "internalType": "string", "name": "requestType", "type": "string" },
+              { "internalType": "string", "name": "licenceKey", "type": "string" },
+              { "internalType": "uint256", "name": "timestamp", "type": "uint256" },
+              { "internalType": "bool", "name": "isActive", "type": "bool" },
+              { "internalType": "uint256", "name": "validUntil", "type": "uint256" },
+              { "internalType": "enum PrintPackSyncApproval.ApprovalStatus", "name": "status", "type": "uint8" }
+            ],
+            "internalType": "struct PrintPackSyncApproval.ApprovalView",
+            "name": "",
+            "type": "tuple"
+          }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "uint256", "name": "offset", "type": "uint256" },
+          { "internalType": "uint256", "name": "limit", "type": "uint256" }
+        ],
+        "name": "getApprovalsPage",
+        "outputs": [
+          {
+            "components": [
+              { "internalType": "string", "name": "approvalId", "type": "string" },
+              { "internalType": "string", "name": "requestId", "type": "string" },
+              { "internalType": "string", "name": "requesterId", "type": "string" },
+              { "internalType": "string", "name": "ownerId", "type": "string" },
+              { "internalType": "string", "name": "requestType", "type": "string" },
+              { "internalType": "string", "name": "licenceKey", "type": "string" },
+              { "internalType": "uint256", "name": "timestamp", "type": "uint256" },
+              { "internalType": "bool", "name": "isActive", "type": "bool" },
+              { "internalType": "uint256", "name": "validUntil", "type": "uint256" },
+              { "internalType": "enum PrintPackSyncApproval.ApprovalStatus", "name": "status", "type": "uint8" }
+            ],
+            "internalType": "struct PrintPackSyncApproval.ApprovalView[]",
+            "name": "page",
+            "type": "tuple[]"
+          },
+          { "internalType": "uint256", "name": "total", "type": "uint256" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "string", "name": "ownerId", "type": "string" },
+          { "internalType": "uint256", "name": "offset", "type": "uint256" },
+          { "internalType": "uint256", "name": "limit", "type": "uint256" }
+        ],
+        "name": "getApprovalsByOwner",
+        "outputs": [
+          {
+            "components": [
+              { "internalType": "string", "name": "approvalId", "type": "string" },
+              { "internalType": "string", "name": "requestId", "type": "string" },
+              { "internalType": "string", "name": "requesterId", "type": "string" },
+              { "internalType": "string", "name": "ownerId", "type": "string" },
+              { "internalType": "string", "name": "requestType", "type": "string" },
+              { "internalType": "string", "name": "licenceKey", "type": "string" },
+              { "internalType": "uint256", "name": "timestamp", "type": "uint256" },
+              { "internalType": "bool", "name": "isActive", "type": "bool" },
+              { "internalType": "uint256", "name": "validUntil", "type": "uint256" },
+              { "internalType": "enum PrintPackSyncApproval.ApprovalStatus", "name": "status", "type": "uint8" }
+            ],
+            "internalType": "struct PrintPackSyncApproval.ApprovalView[]",
+            "name": "page",
+            "type": "tuple[]"
+          },
+          { "internalType": "uint256", "name": "total", "type": "uint256" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "string", "name": "requesterId", "type": "string" },
+          { "internalType": "uint256", "name": "offset", "type": "uint256" },
+          { "internalType": "uint256", "name": "limit", "type": "uint256" }
+        ],
+        "name": "getApprovalsByRequester",
+        "outputs": [
+          {
+            "components": [
+              { "internalType": "string", "name": "approvalId", "type": "string" },
+              { "internalType": "string", "name": "requestId", "type": "string" },
+              { "internalType": "string", "name": "requesterId", "type": "string" },
+              { "internalType": "string", "name": "ownerId", "type": "string" },
+              { "internalType": "string", "name": "requestType", "type": "string" },
+              { "internalType": "string", "name": "licenceKey", "type": "string" },
+              { "internalType": "uint256", "name": "timestamp", "type": "uint256" },
+              { "internalType": "bool", "name": "isActive", "type": "bool" },
+              { "internalType": "uint256", "name": "validUntil", "type": "uint256" },
+              { "internalType": "enum PrintPackSyncApproval.ApprovalStatus", "name": "status", "type": "uint8" }
+            ],
+            "internalType": "struct PrintPackSyncApproval.ApprovalView[]",
+            "name": "page",
+            "type": "tuple[]"
+          },
+          { "internalType": "uint256", "name": "total", "type": "uint256" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "bytes32", "name": "root", "type": "bytes32" },
+          { "internalType": "string", "name": "batchId", "type": "string" },
+          { "internalType": "uint256", "name": "leafCount", "type": "uint256" }
+        ],
+        "name": "anchorMerkleRoot",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "bytes32", "name": "root", "type": "bytes32" }
+        ],
+        "name": "getMerkleAnchor",
+        "outputs": [
+          { "internalType": "string", "name": "batchId", "type": "string" },
+          { "internalType": "uint256", "name": "leafCount", "type": "uint256" },
+          { "internalType": "address", "name": "anchoredBy", "type": "address" },
+          { "internalType": "uint256", "name": "anchoredAt", "type": "uint256" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "inputs": [
+          { "internalType": "bytes32", "name": "root", "type": "bytes32" },
+          { "internalType": "bytes32", "name": "leaf", "type": "bytes32" },
+          { "internalType": "bytes32[]", "name": "proof", "type": "bytes32[]" }
+        ],
+        "name": "verifyMerkleProof",
+        "outputs": [
+          { "internalType": "bool", "name": "", "type": "bool" }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": true, "internalType": "bytes32", "name": "approvalIdHash", "type": "bytes32" },
+          { "indexed": true, "internalType": "bytes32", "name": "ownerIdHash", "type": "bytes32" },
+          { "indexed": true, "internalType": "bytes32", "name": "requesterIdHash", "type": "bytes32" },
+          { "indexed": false, "internalType": "string", "name": "approvalId", "type": "string" },
+          { "indexed": false, "internalType": "string", "name": "requestId", "type": "string" },
+          { "indexed": false, "internalType": "string", "name": "requesterId", "type": "string" },
+          { "indexed": false, "internalType": "string", "name": "ownerId", "type": "string" },
+          { "indexed": false, "internalType": "string", "name": "requestType", "type": "string" },
+          { "indexed": false, "internalType": "string", "name": "licenceKey", "type": "string" },
+          { "indexed": false, "internalType": "address", "name": "recorder", "type": "address" },
+          { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
+        ],
+        "name": "ApprovalRecorded",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": true, "internalType": "bytes32", "name": "approvalIdHash", "type": "bytes32" },
+          { "indexed": false, "internalType": "string", "name": "approvalId", "type": "string" },
+          { "indexed": false, "internalType": "string", "name": "reason", "type": "string" }
+        ],
+        "name": "ApprovalSkipped",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": true, "internalType": "bytes32", "name": "approvalIdHash", "type": "bytes32" },
+          { "indexed": false, "internalType": "string", "name": "approvalId", "type": "string" },
+          { "indexed": true, "internalType": "address", "name": "sourceContract", "type": "address" },
+          { "indexed": false, "internalType": "bytes32", "name": "sourceTransactionHash", "type": "bytes32" },
+          { "indexed": false, "internalType": "uint256", "name": "originalTimestamp", "type": "uint256" }
+        ],
+        "name": "ApprovalMigrated",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": true, "internalType": "bytes32", "name": "approvalIdHash", "type": "bytes32" },
+          { "indexed": false, "internalType": "string", "name": "approvalId", "type": "string" },
+          { "indexed": false, "internalType": "uint256", "name": "version", "type": "uint256" },
+          { "indexed": false, "internalType": "string", "name": "oldRequestType", "type": "string" },
+          { "indexed": false, "internalType": "string", "name": "newRequestType", "type": "string" },
+          { "indexed": false, "internalType": "string", "name": "oldLicenceKey", "type": "string" },
+          { "indexed": false, "internalType": "string", "name": "newLicenceKey", "type": "string" },
+          { "indexed": false, "internalType": "string", "name": "reason", "type": "string" },
+          { "indexed": false, "internalType": "address", "name": "amendedBy", "type": "address" },
+          { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
+        ],
+        "name": "ApprovalAmended",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": true, "internalType": "bytes32", "name": "approvalIdHash", "type": "bytes32" },
+          { "indexed": false, "internalType": "string", "name": "approvalId", "type": "string" },
+          { "indexed": false, "internalType": "enum PrintPackSyncApproval.RevocationReason", "name": "reasonCode", "type": "uint8" },
+          { "indexed": false, "internalType": "string", "name": "reason", "type": "string" },
+          { "indexed": false, "internalType": "address", "name": "revokedBy", "type": "address" },
+          { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
+        ],
+        "name": "ApprovalDeactivated",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": true, "internalType": "bytes32", "name": "approvalIdHash", "type": "bytes32" },
+          { "indexed": false, "internalType": "string", "name": "approvalId", "type": "string" },
+          { "indexed": true, "internalType": "address", "name": "signer", "type": "address" },
+          { "indexed": false, "internalType": "address", "name": "relayer", "type": "address" }
+        ],
+        "name": "ApprovalSigned",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": false, "internalType": "address", "name": "account", "type": "address" }
+        ],
+        "name": "Paused",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": false, "internalType": "address", "name": "account", "type": "address" }
+        ],
+        "name": "Unpaused",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": true, "internalType": "address", "name": "previousOwner", "type": "address" },
+          { "indexed": true, "internalType": "address", "name": "newOwner", "type": "address" }
+        ],
+        "name": "OwnershipTransferStarted",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": true, "internalType": "address", "name": "previousOwner", "type": "address" },
+          { "indexed": true, "internalType": "address", "name": "newOwner", "type": "address" }
+        ],
+        "name": "OwnershipTransferred",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": true, "internalType": "address", "name": "implementation", "type": "address" }
+        ],
+        "name": "Upgraded",
+        "type": "event"
+      },
+      {
+        "anonymous": false,
+        "inputs": [
+          { "indexed": true, "internalType": "bytes32", "name": "root", "type": "bytes32" },
+          { "indexed": false, "internalType": "string", "name": "batchId", "type": "string" },
+          { "indexed": false, "internalType": "uint256", "name": "leafCount", "type": "uint256" },
+          { "indexed": false, "internalType": "address", "name": "anchoredBy", "type": "address" },
+          { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
+        ],
+        "name": "MerkleRootAnchored",
+        "type": "event"
+      }
+    ];
+  }
+} catch (error) {
+  console.error('Error loading contract ABI:', error);
+}
+
+/**
+ * Web3BlockchainService for interacting with the blockchain
+ */
+class Web3BlockchainService {
+  /**
+   * Role names accepted by the service, mapped to the contract role constants
+   */
+  static ROLES = {
+    admin: 'ADMIN_ROLE',
+    recorder: 'RECORDER_ROLE',
+    revoker: 'REVOKER_ROLE'
+  };
+  
+  /**
+   * EIP-712 types of an approval signed by the product owner, matching SYNC_APPROVAL_TYPEHASH in the contract
+   */
+  static SIGNED_APPROVAL_TYPES = {
+    EIP712Domain: [
+      { name: 'name', type: 'string' },
+      { name: 'version', type: 'string' },
+      { name: 'chainId', type: 'uint256' },
+      { name: 'verifyingContract', type: 'address' }
+    ],
+    SyncApproval: [
+      { name: 'approvalId', type: 'string' },
+      { name: 'requestId', type: 'string' },
+      { name: 'requesterId', type: 'string' },
+      { name: 'ownerId', type: 'string' },
+      { name: 'requestType', type: 'string' },
+      { name: 'licenceKey', type: 'string' },
+      { name: 'validUntil', type: 'uint256' },
+      { name: 'owner', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  };
+  
+  /**
+   * Revocation reason codes, indexed by the contract RevocationReason enum value
+   */
+  static REVOCATION_REASONS = [
+    'none',
+    'owner_revoked',
+    'licence_expired',
+    'policy_violation',
+    'security_incident',
+    'other'
+  ];
+  
+  /**
+   * Effective approval statuses, indexed by the contract ApprovalStatus enum value
+   */
+  static APPROVAL_STATUSES = ['not_found', 'active', 'expired', 'revoked'];
+  
+  /**
+   * Contract methods that write approvals, the contract refuses them while paused (whenNotPaused)
+   */
+  static PAUSABLE_METHODS = [
+    'recordApproval',
+    'recordSignedApproval',
+    'recordApprovals',
+    'migrateApprovals',
+    'deactivateApproval',
+    'amendApproval',
+    'anchorMerkleRoot'
+  ];
+  
+  /**
+   * Contract events that make up the history of an approval
+   */
+  static APPROVAL_HISTORY_EVENTS = ['ApprovalRecorded', 'ApprovalMigrated', 'ApprovalAmended', 'ApprovalDeactivated'];
+  
+  /**
+   * ApprovalRecorded as emitted by contracts deployed before approval events had indexed parameters
+   * Proxies upgraded since still hold these events for the approvals recorded before the upgrade
+   */
+  static LEGACY_APPROVAL_RECORDED_EVENT = {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": false, "internalType": "string", "name": "approvalId", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "requesterId", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "ownerId", "type": "string" },
+      { "indexed": false, "internalType": "string", "name": "requestType", "type": "string" },
+      { "indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256" }
+    ],
+    "name": "ApprovalRecorded",
+    "type": "event"
+  };
+  
+  /**
+   * Hash an ID the way the contract does for indexed event parameters (keccak256 of the UTF-8 bytes)
+   * 
+   * @param {string} id - Approval, owner or requester ID
+   * @returns {string} The topic to filter events by
+   */
+  static hashEventId(id) {
+    return Web3.utils.keccak256(Web3.utils.utf8ToHex(id || ''));
+  }
+  
+  /**
+   * Validates a private key format
+   * @param {string} key - The private key to validate
+   * @returns {string} The formatted private key with 0x prefix
+   * @throws {Error} If the key is invalid
+   */
+  static validatePrivateKey(key) {
+    if (!key || typeof key !== 'string') {
+      throw new Error('Private key must be a non-empty string');
+    }
+    
+    // Remove 0x prefix if present
+    const cleanKey = key.startsWith('0x') ? key.substring(2) : key;
+    
+    // Check if it's a valid hex string of correct length (64 characters = 32 bytes)
+    if (!/^[0-9a-fA-F]{64}$/.test(cleanKey)) {
+      throw new Error('Private key must be a 64-character hexadecimal string');
+    }
+    
+    // Return with 0x prefix
+    return '0x' + cleanKey;
+  }
+
+  constructor() {
+    // Read environment variables
+    this.rpcUrl = process.env.BLOCKCHAIN_RPC_URL || 'http://localhost:8545';
+    this.privateKey = process.env.BLOCKCHAIN_PRIVATE_KEY;
+    this.contractAddress = process.env.CONTRACT_ADDRESS;
+    
+    // Check if we're using Ganache
+    this.isGanache = process.env.BLOCKCHAIN_NETWORK === 'ganache';
+    
+    // In privacy mode requester, owner and licence key are written on chain as salted commitments
+    this.privacyMode = process.env.BLOCKCHAIN_PRIVACY_MODE === 'true';
+    
+    // Transactions a chain reorganization dropped are flagged, and only sent again when enabled
+    this.reorgResubmit = process.env.BLOCKCHAIN_REORG_RESUBMIT === 'true';
+    
+    // Connection lifecycle, see connect()
+    this.connectionState = 'disconnected';
+    this.connectedAt = null;
+    this.chainId = null;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.lastConnectionError = null;
+    this.reconnectBaseMs = parseInt(process.env.BLOCKCHAIN_RECONNECT_BASE_MS || '1000', 10);
+    this.reconnectMaxMs = parseInt(process.env.BLOCKCHAIN_RECONNECT_MAX_MS || '60000', 10);
+    this._onProviderUnavailable = (error) => this._scheduleReconnect(error);
+    
+    // For Ganache, use real data mode
+    if (this.isGanache) {
+      console.log('GANACHE REAL MODE ENABLED: Using Ganache for real blockchain data.');
+      console.log('This will store and retrieve real data from your local Ganache blockchain.');
+      
+      // Use real data mode for Ganache
+      this.mockMode = false;
+      this.realConnection = true;
+      this.readOnlyMode = false;
+      // Continue with initialization to connect to Ganache
+    } else {
+      // Check if mock mode is explicitly enabled (only for non-Ganache)
+      this.mockMode = process.env.USE_MOCK_MODE === 'true';
+      this.readOnlyMode = false;
+      
+      // If mock mode is enabled, log it
+      if (this.mockMode) {
+        console.log('MOCK MODE ENABLED: Using mock blockchain service for all operations.');
+        console.log('This will simulate blockchain operations without requiring real ETH.');
+        return; // Skip real blockchain initialization
+      }
+    }
+    
+    try {
+      // Initialize Web3 on the shared pool of RPC endpoints, which fails over between them
+      this.web3 = new Web3(rpcProviderPool);
+      
+      // Create contract instance
+      this.contract = new this.web3.eth.Contract(
+        contractABI,
+        this.contractAddress
+      );
+      
       // For non-Ganache networks, initialize account from private key
       if (!this.isGanache) {
         if (this.privateKey) {
@@ -183,7 +921,7 @@ class Web3BlockchainService {
       }
       
       console.log('Web3BlockchainService initialized successfully');
-      console.log('RPC URL:', this.rpcUrl);
+      console.log('RPC URLs:', rpcProviderPool.endpoints.map(endpoint => endpoint.label).join(', '));
       console.log('Contract Address:', this.contractAddress);
       console.log('Using REAL blockchain mode - all transactions will be sent to the blockchain');
     } catch (error) {
@@ -199,14 +937,14 @@ class Web3BlockchainService {
         
         // Try to initialize Web3 and contract again without account
         try {
-          this.web3 = new Web3(this.rpcUrl);
+          this.web3 = new Web3(rpcProviderPool);
           this.contract = new this.web3.eth.Contract(
             contractABI,
             this.contractAddress
           );
           console.log('Web3BlockchainService initialized in READ-ONLY mode');
-    console.log('RPC URL:', this.rpcUrl);
-    console.log('Contract Address:', this.contractAddress);
+          console.log('RPC URLs:', rpcProviderPool.endpoints.map(endpoint => endpoint.label).join(', '));
+          console.log('Contract Address:', this.contractAddress);
         } catch (innerError) {
           console.error('Failed to initialize even in read-only mode:', innerError);
           this.mockMode = true;
@@ -225,24 +963,156 @@ class Web3BlockchainService {
   }
   
   /**
-   * Initialize Ganache account (called when needed)
-   * @returns {Promise<Object>} The account object
+   * Connect to the node: check it answers, read the chain ID and, for Ganache, pick the account
+   * If the node cannot be reached the service keeps trying in the background with exponential backoff
+   * (BLOCKCHAIN_RECONNECT_BASE_MS up to BLOCKCHAIN_RECONNECT_MAX_MS), and does so again whenever every
+   * RPC endpoint fails later on
+   * 
+   * @returns {Promise<Object>} Readiness of the service, see getReadiness
    */
-  async initGanacheAccount() {
-    if (!this.isGanache) {
-      return this.account;
+  async connect() {
+    this._setConnectionState('connecting');
+    
+    if (this.mockMode) {
+      this._setConnectionState('ready');
+      this.connectedAt = new Date().toISOString();
+      return this.getReadiness();
     }
     
+    rpcProviderPool.off('unavailable', this._onProviderUnavailable);
+    rpcProviderPool.on('unavailable', this._onProviderUnavailable);
+    
     try {
-      // Get accounts from Ganache
-      const accounts = await this.web3.eth.getAccounts();
-      if (!accounts || accounts.length === 0) {
-        throw new Error('No accounts available in Ganache');
-      }
-      
-      // Use the first account
-      const firstAccount = accounts[0];
-      console.log('Using Ganache account:', firstAccount);
+      await this._verifyConnection();
+    } catch (error) {
+      this._scheduleReconnect(error);
+    }
+    
+    return this.getReadiness();
+  }
+  
+  /**
+   * Stop reconnecting and release the provider, the service must be connected again before further use
+   */
+  close() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    
+    rpcProviderPool.off('unavailable', this._onProviderUnavailable);
+    rpcProviderPool.stop();
+    
+    this._setConnectionState('closed');
+  }
+  
+  /**
+   * Check whether the service is connected and can serve requests
+   * 
+   * @returns {boolean} True if the node answered the last connection check
+   */
+  isReady() {
+    return this.connectionState === 'ready';
+  }
+  
+  /**
+   * Get the connection state of the service
+   * 
+   * @returns {Object} State (disconnected, connecting, ready, reconnecting or closed), chain, reconnect attempts and last error
+   */
+  getReadiness() {
+    return {
+      state: this.connectionState,
+      ready: this.isReady(),
+      mockMode: Boolean(this.mockMode),
+      chainId: this.chainId,
+      connectedAt: this.connectedAt,
+      reconnectAttempts: this.reconnectAttempts,
+      nextReconnectAt: this.nextReconnectAt,
+      lastError: this.lastConnectionError
+    };
+  }
+  
+  async _verifyConnection() {
+    this.chainId = Number(await this.web3.eth.getChainId());
+    
+    if (this.isGanache && !this.account) {
+      await this.initGanacheAccount();
+    }
+    
+    if (this.connectionState !== 'ready') {
+      console.log(`Connected to chain ${this.chainId}${this.reconnectAttempts > 0 ? ` after ${this.reconnectAttempts} reconnect attempts` : ''}`);
+    }
+    
+    this._setConnectionState('ready');
+    this.connectedAt = new Date().toISOString();
+    this.reconnectAttempts = 0;
+    this.nextReconnectAt = null;
+    this.lastConnectionError = null;
+  }
+  
+  /**
+   * Mark the service as not ready and try to connect again after a backoff delay
+   * Requests made meanwhile still go out, they succeed as soon as any endpoint answers again
+   * 
+   * @param {Error} error - Why the connection was lost
+   */
+  _scheduleReconnect(error) {
+    this.lastConnectionError = error.message;
+    
+    if (this.connectionState === 'closed' || this.reconnectTimer) {
+      return;
+    }
+    
+    if (this.connectionState === 'ready') {
+      console.warn('Lost the connection to the blockchain node, reconnecting:', error.message);
+    }
+    
+    this._setConnectionState('reconnecting');
+    
+    const delay = Math.min(this.reconnectBaseMs * 2 ** this.reconnectAttempts, this.reconnectMaxMs);
+    this.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+    
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      this.reconnectAttempts++;
+      
+      try {
+        // Check every endpoint again first, so endpoints marked as down are tried as well
+        await rpcProviderPool.checkHealth();
+        await this._verifyConnection();
+      } catch (reconnectError) {
+        console.warn(`Reconnect attempt ${this.reconnectAttempts} failed:`, reconnectError.message);
+        this._scheduleReconnect(reconnectError);
+      }
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+  
+  _setConnectionState(state) {
+    if (this.connectionState !== 'closed' || state === 'connecting') {
+      this.connectionState = state;
+    }
+  }
+  
+  /**
+   * Initialize Ganache account (called when needed)
+   * @returns {Promise<Object>} The account object
+   */
+  async initGanacheAccount() {
+    if (!this.isGanache) {
+      return this.account;
+    }
+    
+    try {
+      // Get accounts from Ganache
+      const accounts = await this.web3.eth.getAccounts();
+      if (!accounts || accounts.length === 0) {
+        throw new Error('No accounts available in Ganache');
+      }
+      
+      // Use the first account
+      const firstAccount = accounts[0];
+      console.log('Using Ganache account:', firstAccount);
       
       // Check balance
       const balance = await this.web3.eth.getBalance(firstAccount);
@@ -260,440 +1130,2512 @@ class Web3BlockchainService {
   }
   
   /**
-   * Record a sync approval on the blockchain
+   * Record a sync approval on the blockchain
+   * 
+   * @param {Object} approvalData - Data for the approval
+   * @param {number} [approvalData.validUntil] - Unix timestamp (seconds) after which the approval expires, omit for no expiry
+   * @returns {Promise<Object>} Transaction result
+   */
+  async recordSyncApproval(approvalData) {
+    let privateRecord = null;
+    
+    try {
+      // Check if we're in mock mode or read-only mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for recordSyncApproval. This will NOT record data on the real blockchain.');
+        return this._mockRecordSyncApproval(approvalData);
+      }
+      
+      // Check if we're in read-only mode
+      if (this.readOnlyMode) {
+        console.error('ERROR: Cannot record approval in read-only mode. Private key is invalid or not provided.');
+        return {
+          success: false,
+          error: 'Cannot record approval in read-only mode. Private key is invalid or not provided.',
+          details: {
+            reason: 'Invalid private key format',
+            solution: 'Please provide a valid private key in the .env file. The private key should be a 64-character hexadecimal string, with or without the 0x prefix.'
+          }
+        };
+      }
+      
+      // For Ganache, make sure we have an account
+      if (this.isGanache && !this.account) {
+        await this.initGanacheAccount();
+      }
+      
+      // Validate required blockchain connection parameters
+      if (!this.web3) {
+        throw new Error('Web3 instance not initialized');
+      }
+      
+      if (!this.contract) {
+        throw new Error('Contract instance not initialized');
+      }
+      
+      if (!this.account) {
+        throw new Error('No account available. Please check your private key configuration.');
+      }
+      
+      const [licenceKeyConflict] = await this._getPrivateLicenceKeyConflicts([approvalData]);
+      if (licenceKeyConflict) {
+        return {
+          success: false,
+          error: `Failed to record on blockchain: ${licenceKeyConflict}`
+        };
+      }
+      
+      // Keep the salts and clear values off chain, they are only saved once the approval is recorded
+      privateRecord = this.privacyMode ? privacyIndex.protect(approvalData) : null;
+      const onChainData = privateRecord ? privateRecord.onChainData : approvalData;
+      
+      console.log('Recording REAL sync approval on blockchain:', onChainData);
+      
+      // Prepare transaction
+      const tx = this.contract.methods.recordApproval(
+        onChainData.approvalId,
+        onChainData.requestId,
+        onChainData.requesterId,
+        onChainData.ownerId,
+        onChainData.requestType,
+        onChainData.licenceKey || '',
+        onChainData.validUntil || 0
+      );
+      
+      // Send transaction
+      const receipt = await this._sendTransaction(tx, { method: 'recordApproval', approvalIds: [approvalData.approvalId] });
+      
+      if (privateRecord) {
+        privacyIndex.save(privateRecord.entry, receipt);
+      }
+      
+      return {
+        success: true,
+        ...this._toTransactionResult(receipt),
+        approvalId: approvalData.approvalId,
+        ...(privateRecord && { commitments: privateRecord.entry.commitments })
+      };
+    } catch (error) {
+      console.error('REAL blockchain record sync approval error:', error);
+      
+      // The approval may still be recorded, keep its salts with the stuck transaction
+      const stuckResult = this._getStuckResult(error);
+      if (stuckResult) {
+        if (privateRecord) {
+          privacyIndex.save(privateRecord.entry, { transactionHash: error.transactionHash, blockNumber: null });
+        }
+        return stuckResult;
+      }
+      
+      const pausedResult = this._getPausedResult(error);
+      if (pausedResult) {
+        return pausedResult;
+      }
+      
+      // Check for insufficient funds error
+      if (error.message && error.message.includes('insufficient funds')) {
+        console.error('ACCOUNT HAS NO FUNDS! You need ETH in your account to pay for gas fees.');
+        
+        // For Ganache, try to use a different account
+        if (this.isGanache) {
+          try {
+            console.log('Trying to use another Ganache account...');
+            await this.initGanacheAccount();
+            
+            // Try the transaction again with the new account
+            return this.recordSyncApproval(approvalData);
+          } catch (retryError) {
+            console.error('Failed to retry with Ganache account:', retryError);
+          }
+        }
+        
+        try {
+          // Get account balance
+          const balance = await this.web3.eth.getBalance(this.account.address);
+          const balanceInEth = this.web3.utils.fromWei(balance, 'ether');
+          
+          // Try to get gas price
+          const gasPrice = await this.web3.eth.getGasPrice();
+          const gasPriceGwei = this.web3.utils.fromWei(gasPrice, 'gwei');
+          
+          return {
+            success: false,
+            error: `Insufficient funds to pay for transaction gas fees`,
+            details: {
+              explanation: "Even storing data on the blockchain requires ETH to pay for gas fees",
+              account: this.account.address,
+              balance: `${balanceInEth} ETH`,
+              gasPrice: `${gasPriceGwei} Gwei`,
+              solution: "You need to fund your account with ETH to pay for gas fees. For Sepolia testnet, you can get free test ETH from a faucet like https://sepoliafaucet.com/"
+            }
+          };
+        } catch (balanceError) {
+          return {
+            success: false,
+            error: `Insufficient funds to pay for transaction gas fees`,
+            details: {
+              account: this.account?.address || 'Unknown',
+              solution: "You need to fund your account with ETH to pay for gas fees. For Sepolia testnet, you can get free test ETH from a faucet like https://sepoliafaucet.com/"
+            }
+          };
+        }
+      }
+      
+      // Only fall back to mock mode if explicitly allowed
+      if (process.env.ALLOW_MOCK_FALLBACK === 'true') {
+        console.warn('WARNING: Falling back to mock mode due to blockchain error. This will NOT record data on the real blockchain.');
+        return this._mockRecordSyncApproval(approvalData);
+      }
+      
+      // Otherwise, return the error
+      return {
+        success: false,
+        error: `Failed to record on blockchain: ${this._getErrorMessage(error)}`,
+        details: {
+          rpcUrl: RpcProviderPoolService.redactUrl(this.rpcUrl),
+          contractAddress: this.contractAddress,
+          approvalData: approvalData
+        }
+      };
+    }
+  }
+  
+  /**
+   * Record several sync approvals on the blockchain in a single transaction
+   * Approvals the contract cannot record (e.g. duplicate IDs) are reported as failed
+   * without failing the rest of the batch.
+   * 
+   * @param {Array<Object>} approvalsData - Data for each approval, same shape as recordSyncApproval
+   * @returns {Promise<Object>} Transaction result with a per-approval results array
+   */
+  async recordSyncApprovalsBatch(approvalsData) {
+    try {
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for recordSyncApprovalsBatch. This will NOT record data on the real blockchain.');
+        return this._mockRecordSyncApprovalsBatch(approvalsData);
+      }
+      
+      // Check if we're in read-only mode
+      if (this.readOnlyMode) {
+        console.error('ERROR: Cannot record approvals in read-only mode. Private key is invalid or not provided.');
+        return {
+          success: false,
+          error: 'Cannot record approvals in read-only mode. Private key is invalid or not provided.'
+        };
+      }
+      
+      // For Ganache, make sure we have an account
+      if (this.isGanache && !this.account) {
+        await this.initGanacheAccount();
+      }
+      
+      if (!this.account) {
+        throw new Error('No account available. Please check your private key configuration.');
+      }
+      
+      console.log(`Recording REAL batch of ${approvalsData.length} sync approvals on blockchain`);
+      
+      // Approvals whose licence key is taken in the privacy index are not sent at all
+      const licenceKeyConflicts = await this._getPrivateLicenceKeyConflicts(approvalsData);
+      const conflictResults = approvalsData.map((approvalData, index) => (licenceKeyConflicts[index]
+        ? { approvalId: approvalData.approvalId, recorded: false, error: licenceKeyConflicts[index] }
+        : null));
+      const approvalsToRecord = approvalsData.filter((approvalData, index) => !conflictResults[index]);
+      
+      // Results are matched to the approvals by position, the same ID can appear twice in a batch
+      const toBatchResults = (recordResults) => {
+        let recordIndex = 0;
+        return conflictResults.map(conflictResult => conflictResult || recordResults[recordIndex++]);
+      };
+      
+      if (approvalsToRecord.length === 0) {
+        return {
+          success: false,
+          error: 'None of the approvals in the batch can be recorded',
+          results: conflictResults
+        };
+      }
+      
+      // In privacy mode each approval gets its own salts and commitments
+      const privateRecords = this.privacyMode
+        ? approvalsToRecord.map(approvalData => privacyIndex.protect(approvalData))
+        : null;
+      const onChainData = privateRecords
+        ? privateRecords.map(privateRecord => privateRecord.onChainData)
+        : approvalsToRecord;
+      
+      // Prepare transaction
+      const tx = this.contract.methods.recordApprovals(onChainData.map(approvalData => this._toApprovalInput(approvalData)));
+      
+      // Simulate first so we don't pay for a batch where nothing would be recorded, a paused contract fails here already
+      const willRecord = await tx.call({ from: this.account.address }).catch(async error => {
+        await this._assertNotPaused('recordApprovals');
+        throw error;
+      });
+      
+      if (!willRecord.some(Boolean)) {
+        return {
+          success: false,
+          error: 'None of the approvals in the batch can be recorded',
+          results: toBatchResults(await this._getBatchSkipReasons(approvalsToRecord))
+        };
+      }
+      
+      const receipt = await this._sendTransaction(tx, {
+        method: 'recordApprovals',
+        approvalIds: approvalsToRecord.map(approvalData => approvalData.approvalId)
+      });
+      
+      // The contract emits exactly one ApprovalRecorded or ApprovalSkipped event per input, in input order
+      const itemEvents = this._decodeReceiptEvents(receipt)
+        .filter(event => event.event === 'ApprovalRecorded' || event.event === 'ApprovalSkipped');
+      
+      const recordResults = approvalsToRecord.map((approvalData, index) => {
+        const event = itemEvents[index];
+        const recorded = event?.event === 'ApprovalRecorded';
+        
+        if (recorded && privateRecords) {
+          privacyIndex.save(privateRecords[index].entry, receipt);
+        }
+        
+        return {
+          approvalId: approvalData.approvalId,
+          recorded,
+          ...(!recorded && { error: event?.returnValues.reason || 'Approval was not recorded' })
+        };
+      });
+      
+      // Report results in the order the approvals were given
+      const results = toBatchResults(recordResults);
+      
+      return {
+        success: true,
+        ...this._toTransactionResult(receipt),
+        recordedCount: results.filter(result => result.recorded).length,
+        failedCount: results.filter(result => !result.recorded).length,
+        results
+      };
+    } catch (error) {
+      console.error('REAL blockchain record sync approvals batch error:', error);
+      
+      const pausedResult = this._getPausedResult(error);
+      if (pausedResult) {
+        return pausedResult;
+      }
+      
+      return {
+        success: false,
+        error: `Failed to record approvals batch on blockchain: ${this._getErrorMessage(error)}`,
+        details: {
+          rpcUrl: RpcProviderPoolService.redactUrl(this.rpcUrl),
+          contractAddress: this.contractAddress,
+          batchSize: approvalsData.length
+        }
+      };
+    }
+  }
+  
+  /**
+   * Check licence keys against the approvals recorded in privacy mode
+   * The contract only sees salted commitments of licence keys, which differ for every approval,
+   * so in privacy mode one active approval per licence key is enforced against the privacy index
+   * 
+   * @param {Array<Object>} approvalsData - Approvals with their approval ID and clear licence key
+   * @returns {Promise<Array<string|null>>} Conflict error per approval, null if its licence key is free
+   */
+  async _getPrivateLicenceKeyConflicts(approvalsData) {
+    const conflicts = [];
+    const claimedLicenceKeys = new Set();
+    
+    for (const { approvalId, licenceKey } of approvalsData) {
+      let conflict = null;
+      
+      if (this.privacyMode && licenceKey) {
+        for (const entry of privacyIndex.findByLicenceKey(licenceKey)) {
+          if (entry.approvalId === approvalId) {
+            continue;
+          }
+          
+          const { status } = await this.contract.methods.getApprovalStatus(entry.approvalId).call();
+          if (Web3BlockchainService.APPROVAL_STATUSES[Number(status)] === 'active') {
+            conflict = 'Licence key already has an active approval';
+            break;
+          }
+        }
+        
+        // Approvals earlier in the same batch claim their licence key too
+        if (claimedLicenceKeys.has(licenceKey)) {
+          conflict = 'Licence key already has an active approval';
+        }
+        
+        claimedLicenceKeys.add(licenceKey);
+      }
+      
+      conflicts.push(conflict);
+    }
+    
+    return conflicts;
+  }
+  
+  /**
+   * Work out why each approval of a batch would be skipped, by simulating them one at a time
+   * 
+   * @param {Array<Object>} approvalsData - Data for each approval
+   * @returns {Promise<Array<Object>>} Per-approval results
+   */
+  async _getBatchSkipReasons(approvalsData) {
+    const results = [];
+    
+    for (const approvalData of approvalsData) {
+      try {
+        await this.contract.methods.recordApproval(
+          approvalData.approvalId,
+          approvalData.requestId,
+          approvalData.requesterId,
+          approvalData.ownerId,
+          approvalData.requestType,
+          approvalData.licenceKey || '',
+          approvalData.validUntil || 0
+        ).call({ from: this.account.address });
+        
+        // Only fails in combination with other items (e.g. the same ID or sync request twice in the batch)
+        results.push({ approvalId: approvalData.approvalId, recorded: false, error: 'Conflicts with another approval in the batch' });
+      } catch (error) {
+        const message = this._getErrorMessage(error);
+        const revertReason = message.match(/revert (.+)$/);
+        
+        results.push({ approvalId: approvalData.approvalId, recorded: false, error: revertReason ? revertReason[1] : message });
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Build the EIP-712 typed data the product owner signs to approve a sync request
+   * In privacy mode the typed data holds the commitments written on chain, and the salts
+   * used for them are returned so they can be sent back with the signature.
+   * 
+   * @param {Object} approvalData - Data for the approval, same shape as recordSyncApproval
+   * @param {string} ownerAddress - Address of the product owner who will sign
+   * @param {number} deadline - Unix time after which the signature can no longer be relayed
+   * @returns {Promise<Object>} Typed data for eth_signTypedData_v4, and salts in privacy mode
+   */
+  async getSignedApprovalTypedData(approvalData, ownerAddress, deadline) {
+    try {
+      let chainId;
+      let nonce;
+      
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for getSignedApprovalTypedData. The typed data will not match a real contract.');
+        chainId = 1337;
+        nonce = 0;
+      } else {
+        chainId = Number(await this.web3.eth.getChainId());
+        nonce = Number(await this.contract.methods.nonces(ownerAddress).call());
+      }
+      
+      const privateRecord = this.privacyMode ? privacyIndex.protect(approvalData) : null;
+      const input = this._toApprovalInput(privateRecord ? privateRecord.onChainData : approvalData);
+      
+      return {
+        success: true,
+        data: {
+          typedData: {
+            types: Web3BlockchainService.SIGNED_APPROVAL_TYPES,
+            primaryType: 'SyncApproval',
+            domain: {
+              name: 'PrintPackSyncApproval',
+              version: '1',
+              chainId,
+              verifyingContract: this.contractAddress || '0x0000000000000000000000000000000000000000'
+            },
+            message: {
+              ...input,
+              validUntil: String(input.validUntil),
+              owner: ownerAddress,
+              nonce: String(nonce),
+              deadline: String(deadline)
+            }
+          },
+          ...(privateRecord && { salts: privateRecord.entry.salts })
+        }
+      };
+    } catch (error) {
+      console.error('REAL blockchain signed approval typed data error:', error);
+      return {
+        success: false,
+        error: `Failed to build signed approval typed data: ${this._getErrorMessage(error)}`
+      };
+    }
+  }
+  
+  /**
+   * Relay a sync approval signed by the product owner to the blockchain
+   * The contract checks the owner's EIP-712 signature before recording the approval.
+   * 
+   * @param {Object} approvalData - Data for the approval, same shape as recordSyncApproval
+   * @param {string} ownerAddress - Address of the product owner who signed
+   * @param {number} deadline - Deadline included in the signed typed data
+   * @param {string} signature - The owner's signature of the typed data
+   * @param {Object} salts - Salts returned with the typed data, required in privacy mode
+   * @returns {Promise<Object>} Transaction result
+   */
+  async recordSignedApproval(approvalData, ownerAddress, deadline, signature, salts = null) {
+    let privateRecord = null;
+    
+    try {
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for recordSignedApproval. This will NOT record data on the real blockchain.');
+        return {
+          ...this._mockRecordSyncApproval(approvalData),
+          signer: ownerAddress
+        };
+      }
+      
+      // Check if we're in read-only mode
+      if (this.readOnlyMode) {
+        return {
+          success: false,
+          error: 'Cannot relay signed approval in read-only mode. Private key is invalid or not provided.'
+        };
+      }
+      
+      // The owner signed the commitments, so they must be rebuilt from the same salts
+      if (this.privacyMode && !salts) {
+        return {
+          success: false,
+          error: 'The salts returned with the typed data are required in privacy mode'
+        };
+      }
+      
+      const [licenceKeyConflict] = await this._getPrivateLicenceKeyConflicts([approvalData]);
+      if (licenceKeyConflict) {
+        return {
+          success: false,
+          error: `Failed to relay signed approval to blockchain: ${licenceKeyConflict}`
+        };
+      }
+      
+      privateRecord = this.privacyMode ? privacyIndex.protect(approvalData, salts) : null;
+      const input = this._toApprovalInput(privateRecord ? privateRecord.onChainData : approvalData);
+      
+      console.log('Relaying REAL signed sync approval to blockchain:', { approvalId: input.approvalId, ownerAddress });
+      
+      const receipt = await this._sendTransaction(
+        this.contract.methods.recordSignedApproval(input, ownerAddress, deadline, signature),
+        { method: 'recordSignedApproval', approvalIds: [approvalData.approvalId] }
+      );
+      
+      if (privateRecord) {
+        privacyIndex.save(privateRecord.entry, receipt);
+      }
+      
+      return {
+        success: true,
+        ...this._toTransactionResult(receipt),
+        approvalId: approvalData.approvalId,
+        signer: ownerAddress
+      };
+    } catch (error) {
+      console.error('REAL blockchain relay signed approval error:', error);
+      
+      // The approval may still be recorded, keep its salts with the stuck transaction
+      const stuckResult = this._getStuckResult(error);
+      if (stuckResult) {
+        if (privateRecord) {
+          privacyIndex.save(privateRecord.entry, { transactionHash: error.transactionHash, blockNumber: null });
+        }
+        return stuckResult;
+      }
+      
+      const pausedResult = this._getPausedResult(error);
+      if (pausedResult) {
+        return pausedResult;
+      }
+      
+      return {
+        success: false,
+        error: `Failed to relay signed approval to blockchain: ${this._getErrorMessage(error)}`,
+        details: {
+          contractAddress: this.contractAddress,
+          approvalId: approvalData.approvalId,
+          ownerAddress
+        }
+      };
+    }
+  }
+  
+  /**
+   * Deactivate a sync approval on the blockchain
+   * 
+   * @param {string} approvalId - ID of the approval to deactivate
+   * @param {Object} revocation - Why the approval is being deactivated
+   * @param {string} revocation.reasonCode - One of REVOCATION_REASONS (except 'none'), defaults to 'owner_revoked'
+   * @param {string} revocation.reason - Free-text explanation of the revocation
+   * @returns {Promise<Object>} Transaction result
+   */
+  async deactivateApproval(approvalId, { reasonCode = 'owner_revoked', reason = '' } = {}) {
+    try {
+      // Validate the reason code before sending anything
+      const reasonCodeValue = Web3BlockchainService.REVOCATION_REASONS.indexOf(reasonCode);
+      if (reasonCodeValue < 1) {
+        return {
+          success: false,
+          error: `Invalid revocation reason code: ${reasonCode}. Valid codes are: ${Web3BlockchainService.REVOCATION_REASONS.slice(1).join(', ')}`
+        };
+      }
+      
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for deactivateApproval. This will NOT record data on the real blockchain.');
+        return this._mockDeactivateApproval(approvalId, { reasonCode, reason });
+      }
+      
+      // Check if we're in read-only mode
+      if (this.readOnlyMode) {
+        console.error('ERROR: Cannot deactivate approval in read-only mode. Private key is invalid or not provided.');
+        return {
+          success: false,
+          error: 'Cannot deactivate approval in read-only mode. Private key is invalid or not provided.',
+          details: {
+            reason: 'Invalid private key format',
+            solution: 'Please provide a valid private key in the .env file. The private key should be a 64-character hexadecimal string, with or without the 0x prefix.'
+          }
+        };
+      }
+      
+      // For Ganache, make sure we have an account
+      if (this.isGanache && !this.account) {
+        await this.initGanacheAccount();
+      }
+      
+      if (!this.account) {
+        throw new Error('No account available. Please check your private key configuration.');
+      }
+      
+      console.log('Deactivating approval on blockchain:', approvalId, { reasonCode, reason });
+      
+      // Prepare transaction
+      const tx = this.contract.methods.deactivateApproval(approvalId, reasonCodeValue, reason || '');
+      
+      // Send transaction
+      const receipt = await this._sendTransaction(tx, { method: 'deactivateApproval', approvalIds: [approvalId] });
+      
+      return {
+        success: true,
+        ...this._toTransactionResult(receipt),
+        approvalId,
+        reasonCode,
+        reason: reason || ''
+      };
+    } catch (error) {
+      console.error('REAL blockchain deactivate approval error:', error);
+      
+      const stuckResult = this._getStuckResult(error);
+      if (stuckResult) {
+        return stuckResult;
+      }
+      
+      const pausedResult = this._getPausedResult(error);
+      if (pausedResult) {
+        return pausedResult;
+      }
+      
+      // Do not fall back to mock mode - we want real data only
+      return {
+        success: false,
+        error: `Failed to deactivate approval on blockchain: ${this._getErrorMessage(error)}`,
+        details: {
+          rpcUrl: RpcProviderPoolService.redactUrl(this.rpcUrl),
+          contractAddress: this.contractAddress,
+          approvalId: approvalId
+        }
+      };
+    }
+  }
+  
+  /**
+   * Amend the request type and/or licence key of an active approval on the blockchain
+   * The contract keeps the previous values as a prior version of the approval
+   * 
+   * @param {string} approvalId - ID of the approval to amend
+   * @param {Object} changes - Corrected values, fields left undefined keep their current value
+   * @param {string} changes.requestType - Corrected request type (gcp or excel)
+   * @param {string} changes.licenceKey - Corrected GS1 licence key
+   * @param {string} reason - Free-text explanation of the amendment
+   * @returns {Promise<Object>} Transaction result with the new version number
+   */
+  async amendApproval(approvalId, { requestType, licenceKey } = {}, reason = '') {
+    try {
+      if (requestType === undefined && licenceKey === undefined) {
+        return {
+          success: false,
+          error: 'Nothing to amend. Provide a request type and/or licence key.'
+        };
+      }
+      
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for amendApproval. This will NOT record data on the real blockchain.');
+        return this._mockAmendApproval(approvalId, { requestType, licenceKey }, reason);
+      }
+      
+      // Check if we're in read-only mode
+      if (this.readOnlyMode) {
+        return {
+          success: false,
+          error: 'Cannot amend approval in read-only mode. Private key is invalid or not provided.'
+        };
+      }
+      
+      // The contract takes both fields, so unchanged fields are sent with their current on-chain value
+      const current = await this.contract.methods.getApproval(approvalId).call();
+      if (!current[0]) {
+        return {
+          success: false,
+          error: 'Failed to amend approval on blockchain: Approval does not exist'
+        };
+      }
+      
+      const changes = {
+        requestType: requestType ?? current[3],
+        ...(licenceKey !== undefined && { licenceKey: licenceKey || '' })
+      };
+      
+      // Approvals recorded in privacy mode get a fresh commitment for a corrected licence key
+      const privacyEntry = this.privacyMode ? privacyIndex.get(approvalId) : null;
+      
+      if (privacyEntry && changes.licenceKey && changes.licenceKey !== privacyEntry.licenceKey) {
+        const [licenceKeyConflict] = await this._getPrivateLicenceKeyConflicts([{ approvalId, licenceKey: changes.licenceKey }]);
+        
+        if (licenceKeyConflict) {
+          return {
+            success: false,
+            error: `Failed to amend approval on blockchain: ${licenceKeyConflict}`
+          };
+        }
+      }
+      
+      const protectedChanges = privacyEntry ? privacyIndex.protectAmendment(changes) : null;
+      const onChainChanges = protectedChanges ? protectedChanges.onChainChanges : changes;
+      
+      console.log('Amending approval on blockchain:', approvalId, { ...changes, reason });
+      
+      const receipt = await this._sendTransaction(this.contract.methods.amendApproval(
+        approvalId,
+        onChainChanges.requestType,
+        onChainChanges.licenceKey ?? current[4],
+        reason || ''
+      ), { method: 'amendApproval', approvalIds: [approvalId] });
+      
+      const amendedEvent = this._decodeReceiptEvents(receipt).find(event => event.event === 'ApprovalAmended');
+      
+      if (protectedChanges) {
+        privacyIndex.saveAmendment(approvalId, changes, protectedChanges, receipt);
+      }
+      
+      return {
+        success: true,
+        ...this._toTransactionResult(receipt),
+        approvalId,
+        version: amendedEvent ? Number(amendedEvent.returnValues.version) : null,
+        requestType: changes.requestType,
+        licenceKey: changes.licenceKey ?? (privacyEntry ? privacyEntry.licenceKey : current[4]),
+        reason: reason || '',
+        ...(protectedChanges?.commitments.licenceKey && { commitments: protectedChanges.commitments })
+      };
+    } catch (error) {
+      console.error('REAL blockchain amend approval error:', error);
+      
+      const pausedResult = this._getPausedResult(error);
+      if (pausedResult) {
+        return pausedResult;
+      }
+      
+      return {
+        success: false,
+        error: `Failed to amend approval on blockchain: ${this._getErrorMessage(error)}`,
+        details: {
+          contractAddress: this.contractAddress,
+          approvalId
+        }
+      };
+    }
+  }
+  
+  /**
+   * Get every version of an approval from the blockchain, oldest first
+   * 
+   * @param {string} approvalId - ID of the approval
+   * @returns {Promise<Array<Object>|null>} Versions, or null if the contract does not support amendments
+   */
+  async getApprovalVersions(approvalId) {
+    if (this.mockMode) {
+      return this._mockGetApprovalVersions(approvalId);
+    }
+    
+    try {
+      const versionCount = Number(await this.contract.methods.getApprovalVersionCount(approvalId).call());
+      const versions = [];
+      
+      for (let version = 1; version <= versionCount; version++) {
+        const result = await this.contract.methods.getApprovalVersion(approvalId, version).call();
+        const supersededAt = parseInt(result[3]);
+        
+        versions.push({
+          version,
+          requestType: result[0],
+          licenceKey: result[1],
+          effectiveFrom: parseInt(result[2]),
+          supersededAt: supersededAt > 0 ? supersededAt : null,
+          supersededBy: supersededAt > 0 ? result[4] : null,
+          amendmentReason: supersededAt > 0 ? result[5] : null,
+          current: version === versionCount
+        });
+      }
+      
+      return versions;
+    } catch (error) {
+      // Contracts deployed before amendment support don't have getApprovalVersionCount
+      console.warn('Could not retrieve approval versions:', this._getErrorMessage(error));
+      return null;
+    }
+  }
+  
+  /**
+   * Get approval details from the blockchain
+   * 
+   * @param {string} approvalId - ID of the approval to retrieve
+   * @returns {Promise<Object>} Approval details
+   */
+  async getApproval(approvalId) {
+    try {
+      // Check if we're in mock mode (should only happen if ALLOW_MOCK_FALLBACK is true)
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for getApproval. This will NOT retrieve real data from the blockchain.');
+        return this._mockGetApproval(approvalId);
+      }
+      
+      // Validate required blockchain connection parameters
+      if (!this.web3) {
+        throw new Error('Web3 instance not initialized');
+      }
+      
+      if (!this.contract) {
+        throw new Error('Contract instance not initialized');
+      }
+      
+      console.log('Getting REAL approval from blockchain:', approvalId);
+      
+      // Try to get approval data using direct call
+      let result;
+      let formattedData;
+      
+      try {
+        // Call contract method
+        result = await this.contract.methods.getApproval(approvalId).call();
+        
+        console.log('REAL blockchain data retrieved successfully for approval:', approvalId);
+        
+        // Log the raw result for debugging
+        console.log('Raw blockchain result:', safeStringify(result));
+        
+        // Format the result
+        formattedData = {
+          requestId: result[0],
+          requesterId: result[1],
+          ownerId: result[2],
+          requestType: result[3],
+          licenceKey: result[4],
+          timestamp: parseInt(result[5]),
+          isActive: result[6],
+          validUntil: null,
+          status: result[6] ? 'active' : 'revoked',
+          revocation: null,
+          signer: null,
+          version: null,
+          transactionHash: null,
+          blockNumber: null,
+          finality: null
+        };
+        
+        // The contract reports the effective status, which accounts for expiry
+        const approvalStatus = await this._getApprovalStatus(approvalId);
+        if (approvalStatus) {
+          formattedData.status = approvalStatus.status;
+          formattedData.validUntil = approvalStatus.validUntil;
+        }
+        
+        // Deactivated approvals carry the reason, actor and time of the revocation
+        if (!formattedData.isActive && formattedData.timestamp > 0) {
+          formattedData.revocation = await this._getRevocation(approvalId);
+        }
+        
+        // Approvals signed by the product owner (EIP-712) carry the owner's address
+        if (formattedData.timestamp > 0) {
+          formattedData.signer = await this._getApprovalSigner(approvalId);
+          formattedData.version = await this._getApprovalVersionCount(approvalId);
+        }
+      } catch (callError) {
+        console.error('Error calling getApproval directly:', callError);
+        
+        // If we get an ABI error, try to check if the approval exists by looking at events
+        if (callError.message && callError.message.includes("Returned values aren't valid")) {
+          console.log('ABI error detected, trying alternative approach using events');
+          
+          // Fall back to mock mode if explicitly allowed
+          if (process.env.ALLOW_MOCK_FALLBACK === 'true') {
+            console.warn('WARNING: Falling back to mock mode due to ABI error. This will NOT retrieve real data from the blockchain.');
+            return this._mockGetApproval(approvalId);
+          }
+          
+          throw new Error(`ABI error when retrieving approval: ${callError.message}. Check that your contract ABI matches the deployed contract.`);
+        } else {
+          // For other errors, just rethrow
+          throw callError;
+        }
+      }
+      
+      // Find the transaction that recorded this approval
+      try {
+        const recordedEvent = await this._getRecordingEvent(approvalId);
+        
+        if (recordedEvent) {
+          formattedData.transactionHash = recordedEvent.transactionHash;
+          formattedData.blockNumber = recordedEvent.blockNumber;
+          formattedData.finality = describeFinality(recordedEvent.blockNumber, await this.web3.eth.getBlockNumber());
+          console.log(`Found transaction details: hash=${formattedData.transactionHash}, block=${formattedData.blockNumber}`);
+        } else {
+          console.log('No ApprovalRecorded event found for this approval ID');
+          
+          // The approval was recorded by this service, but a chain reorganization dropped the transaction
+          const [orphaned] = transactionTracker.list({ approvalId, state: 'orphaned' });
+          if (orphaned) {
+            formattedData.finality = {
+              state: 'orphaned',
+              transactionHash: orphaned.transactionHash,
+              replacedBy: orphaned.replacedBy
+            };
+          }
+        }
+      } catch (eventError) {
+        console.warn('Could not retrieve transaction details for approval:', eventError);
+      }
+      
+      console.log('Formatted blockchain data:', safeStringify(formattedData));
+      
+      return {
+        success: true,
+        data: formattedData
+      };
+    } catch (error) {
+      console.error('REAL blockchain get approval error:', error);
+      
+      // Check if we should fall back to mock mode
+      if (process.env.ALLOW_MOCK_FALLBACK === 'true') {
+        console.warn('WARNING: Falling back to mock mode due to error. This will NOT retrieve real data from the blockchain.');
+        return this._mockGetApproval(approvalId);
+      }
+      
+      return {
+        success: false,
+        error: `Failed to get approval from blockchain: ${error.message}`,
+        details: {
+          rpcUrl: RpcProviderPoolService.redactUrl(this.rpcUrl),
+          contractAddress: this.contractAddress,
+          approvalId: approvalId,
+          solution: 'Ensure your blockchain connection is properly configured and the contract is deployed'
+        }
+      };
+    }
+  }
+  
+  /**
+   * Get the approval recorded for a sync request from the blockchain
+   * This is the request's active approval, or its most recent one if none is active
+   * 
+   * @param {string} requestId - ID of the sync request
+   * @returns {Promise<Object>} Approval details, including the approval ID
+   */
+  async getApprovalByRequestId(requestId) {
+    if (this.mockMode) {
+      console.warn('WARNING: Using mock mode for getApprovalByRequestId. This will NOT retrieve real data from the blockchain.');
+      return this._mockGetApprovalByRequestId(requestId);
+    }
+    
+    let approvalId;
+    
+    try {
+      const result = await this.contract.methods.getApprovalByRequestId(requestId).call();
+      approvalId = result.approvalId;
+    } catch (error) {
+      if (error.name !== 'ContractExecutionError') {
+        return { success: false, error: `Failed to get approval from blockchain: ${this._getErrorMessage(error)}` };
+      }
+      
+      // Approvals recorded before the contract tracked requests (or upgraded to do so) are not in its lookup,
+      // but the API has always used the request ID as approval ID
+      approvalId = requestId;
+    }
+    
+    const result = await this.getApproval(approvalId);
+    
+    if (!result.success) {
+      return result;
+    }
+    
+    if (!result.data.timestamp) {
+      return { success: false, error: 'No approval for this request' };
+    }
+    
+    return {
+      success: true,
+      data: { approvalId, ...result.data }
+    };
+  }
+  
+  /**
+   * Get the effective status (active, expired or revoked) of an approval from the blockchain
+   * 
+   * @param {string} approvalId - ID of the approval
+   * @returns {Promise<Object|null>} Status and expiry, or null if unavailable
+   */
+  async _getApprovalStatus(approvalId) {
+    try {
+      const result = await this.contract.methods.getApprovalStatus(approvalId).call();
+      const validUntil = parseInt(result[1]);
+      
+      return {
+        status: Web3BlockchainService.APPROVAL_STATUSES[Number(result[0])] || 'unknown',
+        validUntil: validUntil > 0 ? validUntil : null
+      };
+    } catch (error) {
+      // Contracts deployed before expiry support don't have getApprovalStatus
+      console.warn('Could not retrieve approval status:', this._getErrorMessage(error));
+      return null;
+    }
+  }
+  
+  /**
+   * Get the owner address that signed an approval from the blockchain
+   * 
+   * @param {string} approvalId - ID of the approval
+   * @returns {Promise<string|null>} Signer address, or null if the approval was not signed or the contract does not support it
+   */
+  async _getApprovalSigner(approvalId) {
+    try {
+      const signer = await this.contract.methods.getApprovalSigner(approvalId).call();
+      
+      return /^0x0{40}$/.test(signer) ? null : signer;
+    } catch (error) {
+      // Contracts deployed before signed approvals don't have getApprovalSigner
+      console.warn('Could not retrieve approval signer:', this._getErrorMessage(error));
+      return null;
+    }
+  }
+  
+  /**
+   * Get the current version number of an approval from the blockchain
+   * 
+   * @param {string} approvalId - ID of the approval
+   * @returns {Promise<number|null>} Version number (1 if never amended), or null if the contract does not support amendments
+   */
+  async _getApprovalVersionCount(approvalId) {
+    try {
+      return Number(await this.contract.methods.getApprovalVersionCount(approvalId).call());
+    } catch (error) {
+      // Contracts deployed before amendment support don't have getApprovalVersionCount
+      console.warn('Could not retrieve approval version:', this._getErrorMessage(error));
+      return null;
+    }
+  }
+  
+  /**
+   * Get revocation details of a deactivated approval from the blockchain
+   * 
+   * @param {string} approvalId - ID of the approval
+   * @returns {Promise<Object|null>} Revocation details, or null if unavailable
+   */
+  async _getRevocation(approvalId) {
+    try {
+      const result = await this.contract.methods.getRevocation(approvalId).call();
+      
+      return {
+        reasonCode: Web3BlockchainService.REVOCATION_REASONS[Number(result[0])] || 'unknown',
+        reason: result[1],
+        revokedBy: result[2],
+        revokedAt: parseInt(result[3])
+      };
+    } catch (error) {
+      // Contracts deployed before revocation tracking don't have getRevocation
+      console.warn('Could not retrieve revocation details for approval:', this._getErrorMessage(error));
+      return null;
+    }
+  }
+  
+  /**
+   * Get total number of approvals from the blockchain
+   * 
+   * @returns {Promise<number>} Total number of approvals
+   */
+  async getTotalApprovals() {
+    try {
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for getTotalApprovals. This will NOT retrieve real data from the blockchain.');
+        return this._mockGetTotalApprovals();
+      }
+      
+      console.log('Getting REAL total approvals from blockchain');
+      
+      // Call contract method
+      const result = await this.contract.methods.getTotalApprovals().call();
+      console.log('REAL blockchain returned total approvals:', result);
+      
+      return parseInt(result);
+    } catch (error) {
+      console.error('REAL blockchain get total approvals error:', error);
+      
+      // Do not fall back to mock mode - we want real data only
+      throw new Error(`Failed to get total approvals from blockchain: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get approval ID by index from the blockchain
+   * 
+   * @param {number} index - Index in the approvals array
+   * @returns {Promise<string>} Approval ID
+   */
+  async getApprovalIdByIndex(index) {
+    try {
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for getApprovalIdByIndex. This will NOT retrieve real data from the blockchain.');
+        return this._mockGetApprovalIdByIndex(index);
+      }
+      
+      console.log('Getting REAL approval ID by index from blockchain:', index);
+      
+      // Call contract method
+      const result = await this.contract.methods.getApprovalIdByIndex(index).call();
+      console.log(`REAL blockchain returned approval ID at index ${index}:`, result);
+      
+      return result;
+    } catch (error) {
+      console.error('REAL blockchain get approval ID by index error:', error);
+      
+      // Do not fall back to mock mode - we want real data only
+      throw new Error(`Failed to get approval ID by index from blockchain: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get a page of approvals from the blockchain with a single contract call,
+   * optionally only the approvals of one owner or one requester (exact ID match)
+   * 
+   * @param {Object} options - Page options
+   * @param {number} options.offset - Number of approvals to skip
+   * @param {number} options.limit - Maximum number of approvals to return (at most 100)
+   * @param {string} options.ownerId - Only return approvals of this owner
+   * @param {string} options.requesterId - Only return approvals of this requester
+   * @returns {Promise<Object>} Approvals in the page and the total number of matching approvals
+   */
+  async getApprovalsPage({ offset = 0, limit = 20, ownerId = null, requesterId = null } = {}) {
+    try {
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for getApprovalsPage. This will NOT retrieve real data from the blockchain.');
+        return this._mockGetApprovalsPage({ offset, limit, ownerId, requesterId });
+      }
+      
+      console.log('Getting REAL approvals page from blockchain:', { offset, limit, ownerId, requesterId });
+      
+      let result;
+      if (ownerId) {
+        result = await this.contract.methods.getApprovalsByOwner(ownerId, offset, limit).call();
+      } else if (requesterId) {
+        result = await this.contract.methods.getApprovalsByRequester(requesterId, offset, limit).call();
+      } else {
+        result = await this.contract.methods.getApprovalsPage(offset, limit).call();
+      }
+      
+      const approvals = result.page.map(item => {
+        const validUntil = parseInt(item.validUntil);
+        
+        return {
+          approvalId: item.approvalId,
+          requestId: item.requestId,
+          requesterId: item.requesterId,
+          ownerId: item.ownerId,
+          requestType: item.requestType,
+          licenceKey: item.licenceKey,
+          timestamp: parseInt(item.timestamp),
+          isActive: item.isActive,
+          validUntil: validUntil > 0 ? validUntil : null,
+          status: Web3BlockchainService.APPROVAL_STATUSES[Number(item.status)] || 'unknown',
+          transactionHash: null,
+          blockNumber: null
+        };
+      });
+      
+      // One event query for the whole page instead of one per approval
+      const transactions = await this._getRecordingTransactions();
+      for (const approval of approvals) {
+        Object.assign(approval, transactions.get(approval.approvalId));
+      }
+      
+      return {
+        success: true,
+        data: {
+          approvals,
+          total: parseInt(result.total),
+          offset,
+          limit
+        }
+      };
+    } catch (error) {
+      // Contracts deployed before the paginated views can only be read approval by approval
+      if (!ownerId && !requesterId && this.contract) {
+        console.warn('Paginated views unavailable, reading approvals by index:', this._getErrorMessage(error));
+        return this._getApprovalsPageByIndex(offset, limit);
+      }
+      
+      console.error('REAL blockchain get approvals page error:', error);
+      return {
+        success: false,
+        error: `Failed to get approvals page from blockchain: ${this._getErrorMessage(error)}`
+      };
+    }
+  }
+  
+  /**
+   * Get every approval from the blockchain, reading MAX_PAGE_SIZE approvals per contract call
+   * 
+   * @param {Object} options - Optionally ownerId or requesterId to only list their approvals
+   * @returns {Promise<Object>} All matching approvals
+   */
+  async listApprovals({ ownerId = null, requesterId = null } = {}) {
+    const approvals = [];
+    let total = 0;
+    
+    do {
+      const result = await this.getApprovalsPage({ offset: approvals.length, limit: 100, ownerId, requesterId });
+      
+      if (!result.success) {
+        return result;
+      }
+      
+      approvals.push(...result.data.approvals);
+      total = result.data.total;
+      
+      // Guard against a page coming back empty while more approvals are reported
+      if (result.data.approvals.length === 0) {
+        break;
+      }
+    } while (approvals.length < total);
+    
+    return {
+      success: true,
+      data: {
+        approvals,
+        total
+      }
+    };
+  }
+  
+  /**
+   * Get a page of approvals one by one, for contracts without paginated views
+   * 
+   * @param {number} offset - Number of approvals to skip
+   * @param {number} limit - Maximum number of approvals to return
+   * @returns {Promise<Object>} Approvals in the page and the total number of approvals
+   */
+  async _getApprovalsPageByIndex(offset, limit) {
+    try {
+      const total = await this.getTotalApprovals();
+      const approvals = [];
+      
+      for (let i = offset; i < Math.min(offset + limit, total); i++) {
+        const approvalId = await this.getApprovalIdByIndex(i);
+        const approval = await this.getApproval(approvalId);
+        
+        if (approval.success) {
+          approvals.push({ approvalId, ...approval.data });
+        }
+      }
+      
+      return {
+        success: true,
+        data: {
+          approvals,
+          total,
+          offset,
+          limit
+        }
+      };
+    } catch (error) {
+      console.error('REAL blockchain get approvals by index error:', error);
+      return {
+        success: false,
+        error: `Failed to get approvals page from blockchain: ${this._getErrorMessage(error)}`
+      };
+    }
+  }
+  
+  /**
+   * Get the contract events of an approval, oldest first
+   * Every approval event has the hashed approval ID as its first indexed parameter, so this is a single log query
+   * 
+   * @param {string} approvalId - ID of the approval
+   * @returns {Promise<Array<Object>>} Decoded events with event name, returnValues, transaction hash and position
+   */
+  async getApprovalEvents(approvalId) {
+    const logs = await this.web3.eth.getPastLogs({
+      address: this.contractAddress,
+      fromBlock: 0,
+      toBlock: 'latest',
+      topics: [null, Web3BlockchainService.hashEventId(approvalId)]
+    });
+    
+    // Other events could share the topic position (e.g. an indexed address), so check the decoded ID as well
+    return this._decodeReceiptEvents({ logs })
+      .filter(event => event.returnValues.approvalId === approvalId);
+  }
+  
+  /**
+   * Get the approval history events emitted in a block range, in chain order
+   * Used by the event indexer to follow the contract incrementally, and to fill the gaps of live subscriptions
+   * 
+   * @param {number} fromBlock - First block of the range
+   * @param {number} toBlock - Last block of the range
+   * @param {Array<string>} eventNames - Events to get, all of APPROVAL_HISTORY_EVENTS by default
+   * @returns {Promise<Array<Object>>} Decoded events with event name, returnValues, transaction hash and position
+   */
+  async getApprovalHistoryEvents(fromBlock, toBlock, eventNames = Web3BlockchainService.APPROVAL_HISTORY_EVENTS) {
+    const logs = await this.web3.eth.getPastLogs({
+      address: this.contractAddress,
+      fromBlock,
+      toBlock,
+      topics: [this.getEventTopics(eventNames)]
+    });
+    
+    return this._decodeReceiptEvents({ logs });
+  }
+  
+  /**
+   * Get the topics that select contract events in a log filter or subscription
+   * ApprovalRecorded also selects the legacy event of contracts deployed before it had indexed parameters
+   * 
+   * @param {Array<string>} eventNames - Contract event names
+   * @returns {Array<string>} Event signature topics
+   */
+  getEventTopics(eventNames) {
+    const eventAbis = [
+      ...this.contract.options.jsonInterface.filter(item => item.type === 'event' && eventNames.includes(item.name)),
+      ...(eventNames.includes('ApprovalRecorded') ? [Web3BlockchainService.LEGACY_APPROVAL_RECORDED_EVENT] : [])
+    ];
+    
+    return eventAbis.map(item => this.web3.eth.abi.encodeEventSignature(item));
+  }
+  
+  /**
+   * Decode raw contract logs, e.g. from a log subscription
+   * 
+   * @param {Array<Object>} logs - Raw logs
+   * @returns {Array<Object>} Decoded events with event name, returnValues, transaction hash and position
+   */
+  decodeEventLogs(logs) {
+    return this._decodeReceiptEvents({ logs });
+  }
+  
+  /**
+   * Get the ApprovalRecorded event of an approval
+   * 
+   * @param {string} approvalId - ID of the approval
+   * @returns {Promise<Object|null>} The decoded event, or null if none was found
+   */
+  async _getRecordingEvent(approvalId) {
+    const events = await this.contract.getPastEvents('ApprovalRecorded', {
+      filter: { approvalIdHash: Web3BlockchainService.hashEventId(approvalId) },
+      fromBlock: 0,
+      toBlock: 'latest'
+    });
+    
+    // An ABI without the indexed parameter ignores the filter, so check the ID as well
+    const recordedEvent = events.find(event => event.returnValues.approvalId === approvalId);
+    
+    if (recordedEvent) {
+      return recordedEvent;
+    }
+    
+    // Legacy events have no indexed parameters, they can only be matched after decoding
+    const legacyLogs = await this.web3.eth.getPastLogs({
+      address: this.contractAddress,
+      fromBlock: 0,
+      toBlock: 'latest',
+      topics: [this.web3.eth.abi.encodeEventSignature(Web3BlockchainService.LEGACY_APPROVAL_RECORDED_EVENT)]
+    });
+    
+    return this._decodeReceiptEvents({ logs: legacyLogs })
+      .find(event => event.returnValues.approvalId === approvalId) || null;
+  }
+  
+  /**
+   * Map approval IDs to the transaction that recorded them, from the ApprovalRecorded events
+   * 
+   * @returns {Promise<Map<string, Object>>} Transaction hash and block number per approval ID
+   */
+  async _getRecordingTransactions() {
+    const transactions = new Map();
+    
+    try {
+      // Current and legacy ApprovalRecorded events, in one query
+      const recordedEventAbi = this.contract.options.jsonInterface.find(item => 
+        item.type === 'event' && item.name === 'ApprovalRecorded'
+      );
+      const logs = await this.web3.eth.getPastLogs({
+        address: this.contractAddress,
+        fromBlock: 0,
+        toBlock: 'latest',
+        topics: [[
+          this.web3.eth.abi.encodeEventSignature(recordedEventAbi),
+          this.web3.eth.abi.encodeEventSignature(Web3BlockchainService.LEGACY_APPROVAL_RECORDED_EVENT)
+        ]]
+      });
+      const events = this._decodeReceiptEvents({ logs });
+      
+      for (const event of events) {
+        if (event.returnValues?.approvalId && !transactions.has(event.returnValues.approvalId)) {
+          transactions.set(event.returnValues.approvalId, {
+            transactionHash: event.transactionHash,
+            blockNumber: event.blockNumber
+          });
+        }
+      }
+    } catch (error) {
+      console.warn('Could not retrieve recording transactions:', this._getErrorMessage(error));
+    }
+    
+    return transactions;
+  }
+  
+  /**
+   * Get the finality of a transaction: how many blocks deep it is, and whether a reorganization moved or dropped it
+   * 
+   * @param {string} transactionHash - The transaction hash
+   * @param {string} expectedBlockHash - Block hash the transaction was known to be in, to detect it was moved
+   * @returns {Promise<Object>} State (pending, confirmed, finalized or orphaned), confirmations, block and whether it was reorganized
+   */
+  async getTransactionFinality(transactionHash, expectedBlockHash = null) {
+    if (this.mockMode) {
+      return {
+        transactionHash,
+        ...describeFinality(1, getFinalityDepth()),
+        blockNumber: null,
+        blockHash: null,
+        reorged: false
+      };
+    }
+    
+    const receipt = await this.web3.eth.getTransactionReceipt(transactionHash)
+      .catch(error => this._ignoreTransactionNotFound(error));
+    
+    if (!receipt) {
+      // A transaction whose block was dropped goes back to the mempool of the nodes that saw it, or disappears
+      const transaction = await this.web3.eth.getTransaction(transactionHash)
+        .catch(error => this._ignoreTransactionNotFound(error));
+      
+      return {
+        transactionHash,
+        ...describeFinality(null, 0),
+        ...(!transaction && { state: 'orphaned' }),
+        blockNumber: null,
+        blockHash: null,
+        reorged: Boolean(expectedBlockHash)
+      };
+    }
+    
+    const latestBlock = await this.web3.eth.getBlockNumber();
+    
+    return {
+      transactionHash,
+      ...describeFinality(receipt.blockNumber, latestBlock),
+      blockNumber: Number(receipt.blockNumber),
+      blockHash: receipt.blockHash,
+      reorged: Boolean(expectedBlockHash) && receipt.blockHash !== expectedBlockHash
+    };
+  }
+  
+  /**
+   * Check the transactions sent by this service until they are final
+   * Transactions still unmined after TX_STUCK_TIMEOUT_MS are flagged as stuck, to be sped up or cancelled.
+   * Transactions moved to another block by a reorganization are followed in their new block. Transactions
+   * dropped from the chain are flagged as orphaned, and sent again when BLOCKCHAIN_REORG_RESUBMIT=true.
+   * Final transactions are no longer tracked.
+   * 
+   * @returns {Promise<Object>} Number of checked, stuck, finalized, reorganized, orphaned and re-submitted transactions
+   */
+  async checkTrackedTransactions() {
+    const summary = { checked: 0, stuck: 0, finalized: 0, reorganized: 0, orphaned: 0, resubmitted: 0 };
+    
+    if (this.mockMode) {
+      return summary;
+    }
+    
+    for (const tracked of transactionTracker.getUnsettled()) {
+      const finality = await this.getTransactionFinality(tracked.transactionHash, tracked.blockHash);
+      summary.checked++;
+      
+      if (TransactionTrackerService.UNMINED_STATES.includes(tracked.state) && finality.blockNumber === null) {
+        if (await this._checkUnminedTransaction(tracked, finality)) {
+          summary.stuck++;
+        }
+        continue;
+      }
+      
+      // Included again in another block, or back in the mempool
+      if (finality.reorged && finality.state !== 'orphaned') {
+        console.warn(`Transaction ${tracked.transactionHash} was moved out of block ${tracked.blockNumber} by a chain reorganization`);
+        summary.reorganized++;
+      }
+      
+      if (finality.state === 'finalized') {
+        // A final replacement or re-submission settles the transactions it replaced as well
+        transactionTracker.finalize(tracked.transactionHash, {
+          confirmations: finality.confirmations,
+          blockNumber: finality.blockNumber,
+          blockHash: finality.blockHash
+        });
+        for (let replaced = tracked.replaces; replaced; ) {
+          const next = transactionTracker.get(replaced)?.replaces;
+          transactionTracker.remove(replaced);
+          replaced = next;
+        }
+        summary.finalized++;
+        continue;
+      }
+      
+      transactionTracker.update(tracked.transactionHash, {
+        state: finality.state,
+        confirmations: finality.confirmations,
+        blockNumber: finality.blockNumber,
+        blockHash: finality.blockHash,
+        reorgCount: tracked.reorgCount + (finality.reorged ? 1 : 0)
+      });
+      
+      if (finality.state !== 'orphaned') {
+        continue;
+      }
+      
+      summary.orphaned++;
+      
+      // Only try once, a failed re-submission (e.g. the approval was recorded again meanwhile) needs a person to look at it
+      if (tracked.state !== 'orphaned') {
+        console.warn(`Transaction ${tracked.transactionHash} (${tracked.method}) was dropped from the chain, affected approvals:`, tracked.approvalIds);
+        
+        if (this.reorgResubmit && await this._resubmitTransaction(tracked)) {
+          summary.resubmitted++;
+        }
+      }
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * Check a transaction that was broadcast but is not mined yet
+   * A transaction unknown to the node is not orphaned: it never made it into a block, so its nonce is still
+   * free and it stays stuck until it is replaced. A replacement that disappears usually lost the race against
+   * the transaction it replaced, in which case the original is tracked again.
+   * 
+   * @param {Object} tracked - The submitted or stuck tracked transaction
+   * @param {Object} finality - Its finality, as returned by getTransactionFinality
+   * @returns {Promise<boolean>} True if the transaction is stuck
+   */
+  async _checkUnminedTransaction(tracked, finality) {
+    if (finality.state === 'orphaned' && tracked.replaces) {
+      const original = await this.getTransactionFinality(tracked.replaces);
+      
+      if (original.blockNumber !== null) {
+        console.warn(`Transaction ${tracked.replaces} was mined before its replacement ${tracked.transactionHash}`);
+        
+        transactionTracker.update(tracked.replaces, {
+          state: original.state,
+          confirmations: original.confirmations,
+          blockNumber: original.blockNumber,
+          blockHash: original.blockHash,
+          replacedBy: null
+        });
+        transactionTracker.remove(tracked.transactionHash);
+        return false;
+      }
+    }
+    
+    if (tracked.state === 'stuck') {
+      return true;
+    }
+    
+    if (Date.now() - new Date(tracked.trackedAt).getTime() < transactionQueue.stuckTimeoutMs) {
+      return false;
+    }
+    
+    console.warn(`Transaction ${tracked.transactionHash} (${tracked.method}, nonce ${tracked.nonce}) is stuck, it was not mined within ${transactionQueue.stuckTimeoutMs} ms`);
+    transactionTracker.update(tracked.transactionHash, { state: 'stuck' });
+    
+    return true;
+  }
+  
+  /**
+   * Speed up a stuck transaction: send the same call with the same nonce and higher fees
+   * 
+   * @param {string} transactionHash - Hash of the submitted or stuck transaction
+   * @returns {Promise<Object>} Hash and fees of the replacement transaction
+   */
+  async speedUpTransaction(transactionHash) {
+    return this._replaceTransaction(transactionHash, 'speed-up');
+  }
+  
+  /**
+   * Cancel a stuck transaction: take its nonce with a zero-value transfer to the sending account and higher fees
+   * The call of the cancelled transaction is never executed
+   * 
+   * @param {string} transactionHash - Hash of the submitted or stuck transaction
+   * @returns {Promise<Object>} Hash and fees of the cancelling transaction
+   */
+  async cancelTransaction(transactionHash) {
+    return this._replaceTransaction(transactionHash, 'cancel');
+  }
+  
+  /**
+   * Replace an unmined transaction with another one of the same nonce
+   * Only the broadcast is awaited, the replacement is tracked like any other transaction
+   * 
+   * @param {string} transactionHash - Hash of the submitted or stuck transaction
+   * @param {string} replacementType - speed-up or cancel
+   * @returns {Promise<Object>} Result with the replacement transaction, notFound or conflict set on failure
+   */
+  async _replaceTransaction(transactionHash, replacementType) {
+    try {
+      if (this.mockMode) {
+        return { success: false, error: 'Transactions cannot be replaced in mock mode' };
+      }
+      
+      const tracked = transactionTracker.get(transactionHash);
+      
+      if (!tracked) {
+        return { success: false, notFound: true, error: 'Transaction is not tracked' };
+      }
+      
+      if (!TransactionTrackerService.UNMINED_STATES.includes(tracked.state)) {
+        return { success: false, conflict: true, error: `Transaction is ${tracked.state}, only unmined transactions can be replaced` };
+      }
+      
+      const finality = await this.getTransactionFinality(transactionHash);
+      
+      if (finality.blockNumber !== null) {
+        transactionTracker.update(transactionHash, {
+          state: finality.state,
+          confirmations: finality.confirmations,
+          blockNumber: finality.blockNumber,
+          blockHash: finality.blockHash
+        });
+        
+        return { success: false, conflict: true, error: `Transaction was mined in block ${finality.blockNumber}` };
+      }
+      
+      // For Ganache, make sure we have an account
+      if (this.isGanache && !this.account) {
+        await this.initGanacheAccount();
+      }
+      
+      if (!this.account || this.account.address.toLowerCase() !== tracked.from.toLowerCase()) {
+        return { success: false, conflict: true, error: `Transaction was sent by ${tracked.from}, which is not the service account` };
+      }
+      
+      const feeFields = await getReplacementFees(this.web3, tracked.fees);
+      const transaction = replacementType === 'cancel'
+        ? { from: tracked.from, to: tracked.from, value: 0, gas: 21000 }
+        : { from: tracked.from, to: tracked.to, data: tracked.data, gas: tracked.gas };
+      
+      const promiEvent = this.web3.eth.sendTransaction({ ...transaction, ...feeFields, nonce: tracked.nonce });
+      const replacementHash = await new Promise((resolve, reject) => {
+        promiEvent.on('transactionHash', resolve);
+        promiEvent.catch(reject);
+      });
+      
+      // The receipt is picked up by the tracker, only log if the replacement fails after all
+      promiEvent.catch(error => console.error(`Replacement transaction ${replacementHash} failed:`, this._getErrorMessage(error)));
+      
+      console.log(`Replaced transaction ${transactionHash} (${replacementType}) with ${replacementHash}`);
+      
+      transactionTracker.track({
+        transactionHash: replacementHash,
+        state: 'submitted',
+        blockNumber: null,
+        blockHash: null,
+        method: replacementType === 'cancel' ? 'cancel' : tracked.method,
+        approvalIds: tracked.approvalIds,
+        ...transaction,
+        data: transaction.data || '0x',
+        nonce: tracked.nonce,
+        fees: this._serializeFees(feeFields),
+        replaces: transactionHash
+      });
+      transactionTracker.update(transactionHash, {
+        state: 'replaced',
+        replacedBy: replacementHash,
+        replacementType
+      });
+      
+      return {
+        success: true,
+        data: {
+          transactionHash: replacementHash,
+          replaces: transactionHash,
+          replacementType,
+          nonce: tracked.nonce,
+          approvalIds: tracked.approvalIds,
+          fees: this._serializeFees(feeFields)
+        }
+      };
+    } catch (error) {
+      console.error(`Error replacing transaction ${transactionHash}:`, error);
+      return {
+        success: false,
+        error: `Failed to ${replacementType === 'cancel' ? 'cancel' : 'speed up'} transaction: ${this._getErrorMessage(error)}`
+      };
+    }
+  }
+  
+  /**
+   * Send the call of an orphaned transaction again
+   * The gas estimate fails if the call can no longer succeed, e.g. the approval was recorded by another transaction
+   * 
+   * @param {Object} tracked - The orphaned tracked transaction
+   * @returns {Promise<Object|null>} The receipt of the new transaction, or null if it could not be sent
+   */
+  async _resubmitTransaction(tracked) {
+    try {
+      const transaction = { from: tracked.from, to: tracked.to, data: tracked.data };
+      const gasLimit = getGasLimit(await this.web3.eth.estimateGas(transaction));
+      const feeFields = await getFeeFields(this.web3);
+      const receipt = await transactionQueue.enqueue({
+        from: tracked.from,
+        web3: this.web3,
+        method: tracked.method,
+        approvalIds: tracked.approvalIds,
+        send: nonce => this.web3.eth.sendTransaction({
+          ...transaction,
+          gas: gasLimit,
+          ...feeFields,
+          nonce
+        }),
+        onBroadcast: ({ transactionHash, nonce }) => {
+          transactionTracker.track({
+            transactionHash,
+            state: 'submitted',
+            blockNumber: null,
+            blockHash: null,
+            method: tracked.method,
+            approvalIds: tracked.approvalIds,
+            ...transaction,
+            nonce,
+            gas: gasLimit,
+            fees: this._serializeFees(feeFields),
+            replaces: tracked.transactionHash
+          });
+          transactionTracker.update(tracked.transactionHash, { replacedBy: transactionHash });
+        }
+      });
+      
+      console.log(`Re-submitted orphaned transaction ${tracked.transactionHash} as ${receipt.transactionHash}`);
+      
+      transactionTracker.update(receipt.transactionHash, {
+        state: 'pending',
+        blockNumber: Number(receipt.blockNumber),
+        blockHash: receipt.blockHash
+      });
+      
+      return receipt;
+    } catch (error) {
+      // A stuck re-submission was sent and is tracked on its own
+      if (error.name === 'TransactionStuckError') {
+        return null;
+      }
+      
+      console.error(`Could not re-submit orphaned transaction ${tracked.transactionHash}:`, error);
+      transactionTracker.update(tracked.transactionHash, { resubmitError: this._getErrorMessage(error) });
+      return null;
+    }
+  }
+  
+  /**
+   * Treat web3's TransactionNotFound as a missing result instead of an error
+   * 
+   * @param {Error} error - Error thrown by getTransaction or getTransactionReceipt
+   * @returns {null} When the transaction was not found
+   * @throws {Error} Any other error
+   */
+  _ignoreTransactionNotFound(error) {
+    if (error.name === 'TransactionNotFound') {
+      return null;
+    }
+    
+    throw error;
+  }
+  
+  /**
+   * Resolve a role name (admin, recorder, revoker) to its on-chain role hash
+   * 
+   * @param {string} role - Role name
+   * @returns {string} The keccak256 hash of the contract role constant
+   * @throws {Error} If the role is unknown
+   */
+  _getRoleHash(role) {
+    const roleConstant = Web3BlockchainService.ROLES[role];
+    
+    if (!roleConstant) {
+      throw new Error(`Unknown role: ${role}. Valid roles are: ${Object.keys(Web3BlockchainService.ROLES).join(', ')}`);
+    }
+    
+    return Web3.utils.keccak256(roleConstant);
+  }
+  
+  /**
+   * Get all accounts holding a role on the contract
+   * 
+   * @param {string} role - Role name (admin, recorder or revoker)
+   * @returns {Promise<Object>} Role members
+   */
+  async getRoleMembers(role) {
+    try {
+      const roleHash = this._getRoleHash(role);
+      
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for getRoleMembers. This will NOT retrieve real data from the blockchain.');
+        return this._mockGetRoleMembers(role);
+      }
+      
+      console.log('Getting REAL role members from blockchain:', role);
+      
+      const members = await this.contract.methods.getRoleMembers(roleHash).call();
+      
+      return {
+        success: true,
+        data: {
+          role,
+          roleHash,
+          members: [...members]
+        }
+      };
+    } catch (error) {
+      console.error('REAL blockchain get role members error:', error);
+      return {
+        success: false,
+        error: `Failed to get role members from blockchain: ${this._getErrorMessage(error)}`
+      };
+    }
+  }
+  
+  /**
+   * Check whether an account holds a role on the contract
+   * 
+   * @param {string} role - Role name (admin, recorder or revoker)
+   * @param {string} address - Account address
+   * @returns {Promise<Object>} Whether the account holds the role
+   */
+  async hasRole(role, address) {
+    try {
+      const roleHash = this._getRoleHash(role);
+      
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for hasRole. This will NOT retrieve real data from the blockchain.');
+        return {
+          success: true,
+          data: { role, address, hasRole: true }
+        };
+      }
+      
+      const result = await this.contract.methods.hasRole(roleHash, address).call();
+      
+      return {
+        success: true,
+        data: { role, address, hasRole: result }
+      };
+    } catch (error) {
+      console.error('REAL blockchain has role error:', error);
+      return {
+        success: false,
+        error: `Failed to check role on blockchain: ${this._getErrorMessage(error)}`
+      };
+    }
+  }
+  
+  /**
+   * Grant a role to an account on the contract. The service account must hold the admin role or be the owner.
    * 
-   * @param {Object} approvalData - Data for the approval
+   * @param {string} role - Role name (admin, recorder or revoker)
+   * @param {string} address - Account receiving the role
    * @returns {Promise<Object>} Transaction result
    */
-  async recordSyncApproval(approvalData) {
+  async grantRole(role, address) {
+    return this._updateRole('grantRole', role, address);
+  }
+  
+  /**
+   * Revoke a role from an account on the contract. The service account must hold the admin role or be the owner.
+   * 
+   * @param {string} role - Role name (admin, recorder or revoker)
+   * @param {string} address - Account losing the role
+   * @returns {Promise<Object>} Transaction result
+   */
+  async revokeRole(role, address) {
+    return this._updateRole('revokeRole', role, address);
+  }
+  
+  /**
+   * Send a grantRole or revokeRole transaction
+   * 
+   * @param {string} method - Contract method name (grantRole or revokeRole)
+   * @param {string} role - Role name
+   * @param {string} address - Target account
+   * @returns {Promise<Object>} Transaction result
+   */
+  async _updateRole(method, role, address) {
     try {
-      // Check if we're in mock mode or read-only mode
+      const roleHash = this._getRoleHash(role);
+      
+      // Check if we're in mock mode
       if (this.mockMode) {
-        console.warn('WARNING: Using mock mode for recordSyncApproval. This will NOT record data on the real blockchain.');
-        return this._mockRecordSyncApproval(approvalData);
+        console.warn(`WARNING: Using mock mode for ${method}. This will NOT record data on the real blockchain.`);
+        return {
+          success: true,
+          transactionHash: '0x' + Buffer.from(`${method}-${role}-${address}`).toString('hex').substring(0, 64),
+          blockNumber: Date.now(),
+          role,
+          address
+        };
       }
       
       // Check if we're in read-only mode
       if (this.readOnlyMode) {
-        console.error('ERROR: Cannot record approval in read-only mode. Private key is invalid or not provided.');
         return {
           success: false,
-          error: 'Cannot record approval in read-only mode. Private key is invalid or not provided.',
-          details: {
-            reason: 'Invalid private key format',
-            solution: 'Please provide a valid private key in the .env file. The private key should be a 64-character hexadecimal string, with or without the 0x prefix.'
-          }
+          error: `Cannot ${method === 'grantRole' ? 'grant' : 'revoke'} role in read-only mode. Private key is invalid or not provided.`
         };
       }
       
-      // For Ganache, make sure we have an account
-      if (this.isGanache && !this.account) {
-        await this.initGanacheAccount();
-      }
-      
-      // Validate required blockchain connection parameters
-      if (!this.web3) {
-        throw new Error('Web3 instance not initialized');
-      }
+      console.log(`Sending REAL ${method} transaction:`, { role, address });
       
-      if (!this.contract) {
-        throw new Error('Contract instance not initialized');
-      }
+      const receipt = await this._sendTransaction(this.contract.methods[method](roleHash, address), { method });
       
-      if (!this.account) {
-        throw new Error('No account available. Please check your private key configuration.');
+      return {
+        success: true,
+        ...this._toTransactionResult(receipt),
+        role,
+        address
+      };
+    } catch (error) {
+      console.error(`REAL blockchain ${method} error:`, error);
+      return {
+        success: false,
+        error: `Failed to update role on blockchain: ${this._getErrorMessage(error)}`,
+        details: {
+          contractAddress: this.contractAddress,
+          role,
+          address
+        }
+      };
+    }
+  }
+  
+  /**
+   * Get whether the contract is paused
+   * 
+   * @returns {Promise<Object>} Paused state
+   */
+  async isPaused() {
+    try {
+      if (this.mockMode) {
+        return { success: true, data: { paused: false } };
       }
       
-      console.log('Recording REAL sync approval on blockchain:', approvalData);
-      
-      // Prepare transaction
-      const tx = this.contract.methods.recordApproval(
-        approvalData.approvalId,
-        approvalData.requestId,
-        approvalData.requesterId,
-        approvalData.ownerId,
-        approvalData.requestType,
-        approvalData.licenceKey || ''
-      );
-      
-      // Get gas estimate
-      const gasEstimate = await tx.estimateGas({ from: this.account.address });
+      const paused = await this.contract.methods.paused().call();
       
-      // Convert gas estimate to a regular number to avoid BigInt issues
-      let gasValue;
-      if (typeof gasEstimate === 'bigint') {
-        // Convert BigInt to Number safely
-        gasValue = Number(gasEstimate);
-      } else {
-        gasValue = Number(gasEstimate);
+      return { success: true, data: { paused: Boolean(paused) } };
+    } catch (error) {
+      console.error('REAL blockchain paused state error:', error);
+      return {
+        success: false,
+        error: `Failed to get paused state from blockchain: ${this._getErrorMessage(error)}`
+      };
+    }
+  }
+  
+  /**
+   * Freeze all writes on the contract. The service account must hold the admin role or be the owner.
+   * 
+   * @returns {Promise<Object>} Transaction result
+   */
+  async pause() {
+    return this._sendAdminTransaction('pause');
+  }
+  
+  /**
+   * Resume writes on the contract. The service account must be the owner.
+   * 
+   * @returns {Promise<Object>} Transaction result
+   */
+  async unpause() {
+    return this._sendAdminTransaction('unpause');
+  }
+  
+  /**
+   * Get the current and pending owner of the contract
+   * 
+   * @returns {Promise<Object>} Owner and pending owner (null if no transfer is pending)
+   */
+  async getOwnership() {
+    try {
+      if (this.mockMode) {
+        return {
+          success: true,
+          data: { owner: '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1', pendingOwner: null }
+        };
       }
       
-      // Add 20% buffer and ensure it's a valid number
-      const gasWithBuffer = Math.round(gasValue * 1.2);
-      
-      console.log('Gas estimate:', gasValue, 'Gas with buffer:', gasWithBuffer);
-      
-      // Send transaction
-      const receipt = await tx.send({
-        from: this.account.address,
-        gas: gasWithBuffer
-      });
-      
-      console.log('REAL blockchain transaction successful:', receipt.transactionHash);
+      const [owner, pendingOwner] = await Promise.all([
+        this.contract.methods.owner().call(),
+        this.contract.methods.pendingOwner().call()
+      ]);
       
       return {
         success: true,
-        transactionHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        approvalId: approvalData.approvalId
+        data: {
+          owner,
+          pendingOwner: /^0x0{40}$/.test(pendingOwner) ? null : pendingOwner
+        }
       };
     } catch (error) {
-      console.error('REAL blockchain record sync approval error:', error);
+      console.error('REAL blockchain ownership error:', error);
+      return {
+        success: false,
+        error: `Failed to get contract ownership from blockchain: ${this._getErrorMessage(error)}`
+      };
+    }
+  }
+  
+  /**
+   * Get the version and implementation address of the contract
+   * Behind a proxy the implementation is the contract the proxy delegates to; contracts deployed
+   * before versioning was added report no version
+   * 
+   * @returns {Promise<Object>} Version, implementation address and whether the contract is behind a proxy
+   */
+  async getContractInfo() {
+    try {
+      if (this.mockMode) {
+        return {
+          success: true,
+          data: { version: 'mock', implementation: null, proxied: false }
+        };
+      }
       
-      // Check for insufficient funds error
-      if (error.message && error.message.includes('insufficient funds')) {
-        console.error('ACCOUNT HAS NO FUNDS! You need ETH in your account to pay for gas fees.');
-        
-        // For Ganache, try to use a different account
-        if (this.isGanache) {
-          try {
-            console.log('Trying to use another Ganache account...');
-            await this.initGanacheAccount();
-            
-            // Try the transaction again with the new account
-            return this.recordSyncApproval(approvalData);
-          } catch (retryError) {
-            console.error('Failed to retry with Ganache account:', retryError);
-          }
+      let version;
+      try {
+        version = await this.contract.methods.version().call();
+      } catch (error) {
+        // A revert means the contract predates version(), anything else (e.g. the node is down) is a real failure
+        if (error.name !== 'ContractExecutionError') {
+          throw error;
         }
         
-        try {
-          // Get account balance
-          const balance = await this.web3.eth.getBalance(this.account.address);
-          const balanceInEth = this.web3.utils.fromWei(balance, 'ether');
-          
-          // Try to get gas price
-          const gasPrice = await this.web3.eth.getGasPrice();
-          const gasPriceGwei = this.web3.utils.fromWei(gasPrice, 'gwei');
-          
-          return {
-            success: false,
-            error: `Insufficient funds to pay for transaction gas fees`,
-            details: {
-              explanation: "Even storing data on the blockchain requires ETH to pay for gas fees",
-              account: this.account.address,
-              balance: `${balanceInEth} ETH`,
-              gasPrice: `${gasPriceGwei} Gwei`,
-              solution: "You need to fund your account with ETH to pay for gas fees. For Sepolia testnet, you can get free test ETH from a faucet like https://sepoliafaucet.com/"
-            }
-          };
-        } catch (balanceError) {
-          return {
-            success: false,
-            error: `Insufficient funds to pay for transaction gas fees`,
-            details: {
-              account: this.account?.address || 'Unknown',
-              solution: "You need to fund your account with ETH to pay for gas fees. For Sepolia testnet, you can get free test ETH from a faucet like https://sepoliafaucet.com/"
-            }
-          };
-        }
+        return {
+          success: true,
+          data: { version: null, implementation: this.contractAddress, proxied: false }
+        };
       }
       
-      // Only fall back to mock mode if explicitly allowed
-      if (process.env.ALLOW_MOCK_FALLBACK === 'true') {
-        console.warn('WARNING: Falling back to mock mode due to blockchain error. This will NOT record data on the real blockchain.');
-        return this._mockRecordSyncApproval(approvalData);
-      }
+      const implementation = await this.contract.methods.implementation().call();
       
-      // Otherwise, return the error
       return {
-        success: false,
-        error: `Failed to record on blockchain: ${error.message}`,
-        details: {
-          rpcUrl: this.rpcUrl,
-          contractAddress: this.contractAddress,
-          approvalData: approvalData
+        success: true,
+        data: {
+          version,
+          implementation,
+          proxied: implementation.toLowerCase() !== this.contractAddress.toLowerCase()
         }
       };
+    } catch (error) {
+      console.error('REAL blockchain contract info error:', error);
+      return {
+        success: false,
+        error: `Failed to get contract info from blockchain: ${this._getErrorMessage(error)}`
+      };
     }
   }
   
   /**
-   * Deactivate a sync approval on the blockchain
+   * Propose a new contract owner, who must then accept the transfer. The service account must be the owner.
    * 
-   * @param {string} approvalId - ID of the approval to deactivate
+   * @param {string} newOwner - Proposed owner, or the zero address to cancel a pending transfer
+   * @returns {Promise<Object>} Transaction result
+   */
+  async transferOwnership(newOwner) {
+    return this._sendAdminTransaction('transferOwnership', [newOwner]);
+  }
+  
+  /**
+   * Accept a pending ownership transfer. The service account must be the pending owner.
+   * 
+   * @returns {Promise<Object>} Transaction result
+   */
+  async acceptOwnership() {
+    return this._sendAdminTransaction('acceptOwnership');
+  }
+  
+  /**
+   * Send a contract administration transaction (pause, unpause or ownership transfer)
+   * 
+   * @param {string} method - Contract method name
+   * @param {Array} args - Contract method arguments
    * @returns {Promise<Object>} Transaction result
    */
-  async deactivateApproval(approvalId) {
+  async _sendAdminTransaction(method, args = []) {
     try {
       // Check if we're in mock mode
       if (this.mockMode) {
-        console.warn('WARNING: Using mock mode for deactivateApproval. This will NOT record data on the real blockchain.');
-        return this._mockDeactivateApproval(approvalId);
-      }
-      
-      // For Ganache, make sure we have an account
-      if (this.isGanache && !this.account) {
-        await this.initGanacheAccount();
+        console.warn(`WARNING: Using mock mode for ${method}. This will NOT record data on the real blockchain.`);
+        return {
+          success: true,
+          transactionHash: '0x' + Buffer.from(`${method}-${args.join('-')}`).toString('hex').substring(0, 64),
+          blockNumber: Date.now()
+        };
       }
       
-      console.log('Deactivating approval on blockchain:', approvalId);
-      
-      // Prepare transaction
-      const tx = this.contract.methods.deactivateApproval(approvalId);
-      
-      // Get gas estimate
-      const gasEstimate = await tx.estimateGas({ from: this.account.address });
-      
-      // Convert gas estimate to a regular number to avoid BigInt issues
-      let gasValue;
-      if (typeof gasEstimate === 'bigint') {
-        // Convert BigInt to Number safely
-        gasValue = Number(gasEstimate);
-      } else {
-        gasValue = Number(gasEstimate);
+      // Check if we're in read-only mode
+      if (this.readOnlyMode) {
+        return {
+          success: false,
+          error: `Cannot call ${method} in read-only mode. Private key is invalid or not provided.`
+        };
       }
       
-      // Add 20% buffer and ensure it's a valid number
-      const gasWithBuffer = Math.round(gasValue * 1.2);
-      
-      console.log('Gas estimate:', gasValue, 'Gas with buffer:', gasWithBuffer);
-      
-      // Send transaction
-      const receipt = await tx.send({
-        from: this.account.address,
-        gas: gasWithBuffer
-      });
+      console.log(`Sending REAL ${method} transaction:`, args);
       
-      console.log('REAL blockchain transaction successful:', receipt.transactionHash);
+      const receipt = await this._sendTransaction(this.contract.methods[method](...args), { method });
       
       return {
         success: true,
-        transactionHash: receipt.transactionHash,
-        blockNumber: receipt.blockNumber,
-        approvalId
+        ...this._toTransactionResult(receipt)
       };
     } catch (error) {
-      console.error('REAL blockchain deactivate approval error:', error);
-      
-      // Do not fall back to mock mode - we want real data only
+      console.error(`REAL blockchain ${method} error:`, error);
       return {
         success: false,
-        error: `Failed to deactivate approval on blockchain: ${error.message}`,
+        error: `Failed to call ${method} on blockchain: ${this._getErrorMessage(error)}`,
         details: {
-          rpcUrl: this.rpcUrl,
-          contractAddress: this.contractAddress,
-          approvalId: approvalId
+          contractAddress: this.contractAddress
         }
       };
     }
   }
   
   /**
-   * Get approval details from the blockchain
+   * Throw if the contract is paused, called when the gas estimate of a write fails
+   * The paused state is read from the contract, as some nodes do not return revert reasons on gas estimation
    * 
-   * @param {string} approvalId - ID of the approval to retrieve
-   * @returns {Promise<Object>} Approval details
+   * @param {string} method - Contract method that could not be sent, e.g. 'recordApproval'
+   * @throws {Error} ContractPausedError if the contract is paused
    */
-  async getApproval(approvalId) {
-    try {
-      // Check if we're in mock mode (should only happen if ALLOW_MOCK_FALLBACK is true)
-      if (this.mockMode) {
-        console.warn('WARNING: Using mock mode for getApproval. This will NOT retrieve real data from the blockchain.');
-        return this._mockGetApproval(approvalId);
-      }
-      
-      // Validate required blockchain connection parameters
-      if (!this.web3) {
-        throw new Error('Web3 instance not initialized');
+  async _assertNotPaused(method) {
+    const pausedState = await this.isPaused();
+    
+    if (pausedState.success && pausedState.data.paused) {
+      const error = new Error(`Contract paused: cannot send ${method} until the contract owner unpauses it`);
+      error.name = 'ContractPausedError';
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the result of a write that was refused because the contract is paused
+   * 
+   * @param {Error} error - Error thrown by _sendTransaction
+   * @returns {Object|null} Failed result flagged as paused, or null for other errors
+   */
+  _getPausedResult(error) {
+    if (error.name !== 'ContractPausedError') {
+      return null;
+    }
+    
+    return {
+      success: false,
+      paused: true,
+      error: error.message,
+      details: {
+        contractAddress: this.contractAddress
       }
-      
-      if (!this.contract) {
-        throw new Error('Contract instance not initialized');
+    };
+  }
+  
+  /**
+   * Anchor the Merkle root of a batch of approvals kept off chain
+   * 
+   * @param {string} root - Merkle root of the batch
+   * @param {string} batchId - Off-chain ID of the batch
+   * @param {number} leafCount - Number of approvals in the batch
+   * @returns {Promise<Object>} Transaction result
+   */
+  async anchorMerkleRoot(root, batchId, leafCount) {
+    try {
+      // Check if we're in mock mode
+      if (this.mockMode) {
+        console.warn('WARNING: Using mock mode for anchorMerkleRoot. This will NOT record data on the real blockchain.');
+        return {
+          success: true,
+          transactionHash: '0x' + Buffer.from(`${batchId}-${root}`).toString('hex').substring(0, 64),
+          blockNumber: Date.now(),
+          root,
+          batchId,
+          leafCount
+        };
       }
       
-      console.log('Getting REAL approval from blockchain:', approvalId);
-      
-      // Try to get approval data using direct call
-      let result;
-      let formattedData;
-      
-      try {
-        // Call contract method
-        result = await this.contract.methods.getApproval(approvalId).call();
-        
-        console.log('REAL blockchain data retrieved successfully for approval:', approvalId);
-        
-        // Log the raw result for debugging
-        console.log('Raw blockchain result:', JSON.stringify(result, null, 2));
-        
-        // Format the result
-        formattedData = {
-          requestId: result[0],
-          requesterId: result[1],
-          ownerId: result[2],
-          requestType: result[3],
-          licenceKey: result[4],
-          timestamp: parseInt(result[5]),
-          isActive: result[6],
-          transactionHash: null,
-          blockNumber: null
+      // Check if we're in read-only mode
+      if (this.readOnlyMode) {
+        return {
+          success: false,
+          error: 'Cannot anchor Merkle root in read-only mode. Private key is invalid or not provided.'
         };
-      } catch (callError) {
-        console.error('Error calling getApproval directly:', callError);
-        
-        // If we get an ABI error, try to check if the approval exists by looking at events
-        if (callError.message && callError.message.includes("Returned values aren't valid")) {
-          console.log('ABI error detected, trying alternative approach using events');
-          
-          // Fall back to mock mode if explicitly allowed
-          if (process.env.ALLOW_MOCK_FALLBACK === 'true') {
-            console.warn('WARNING: Falling back to mock mode due to ABI error. This will NOT retrieve real data from the blockchain.');
-            return this._mockGetApproval(approvalId);
-          }
-          
-          throw new Error(`ABI error when retrieving approval: ${callError.message}. Check that your contract ABI matches the deployed contract.`);
-        } else {
-          // For other errors, just rethrow
-          throw callError;
-        }
       }
       
-      // Try to find transaction hash and block number for this approval
-      try {
-        // Get events without using filter to avoid ABI errors
-        const events = await this.contract.getPastEvents('ApprovalRecorded', {
-          fromBlock: 0,
-          toBlock: 'latest'
-        });
-        
-        // Filter events manually
-        const matchingEvents = events.filter(event => {
-          try {
-            return event.returnValues && 
-                  event.returnValues.approvalId && 
-                  event.returnValues.approvalId === approvalId;
-          } catch (e) {
-            return false;
-          }
-        });
-        
-        if (matchingEvents && matchingEvents.length > 0) {
-          formattedData.transactionHash = matchingEvents[0].transactionHash;
-          formattedData.blockNumber = matchingEvents[0].blockNumber;
-          console.log(`Found transaction details: hash=${formattedData.transactionHash}, block=${formattedData.blockNumber}`);
-        } else {
-          console.log('No matching events found for this approval ID');
-          
-          // Try searching all events without filtering
-          console.log('Searching all events for this approval ID');
-          const allEvents = await this.contract.getPastEvents('allEvents', {
-            fromBlock: 0,
-            toBlock: 'latest'
-          });
-          
-          console.log(`Found ${allEvents.length} total events`);
-          
-          // Look for any event that might contain our approval ID
-          for (const event of allEvents) {
-            if (event.returnValues) {
-              const values = Object.values(event.returnValues);
-              if (values.includes(approvalId)) {
-                formattedData.transactionHash = event.transactionHash;
-                formattedData.blockNumber = event.blockNumber;
-                console.log(`Found transaction in event ${event.event}: hash=${formattedData.transactionHash}`);
-                break;
-              }
-            }
-          }
-        }
-      } catch (eventError) {
-        console.warn('Could not retrieve transaction details for approval:', eventError);
-      }
+      console.log('Sending REAL anchorMerkleRoot transaction:', { root, batchId, leafCount });
       
-      console.log('Formatted blockchain data:', JSON.stringify(formattedData, null, 2));
+      const receipt = await this._sendTransaction(
+        this.contract.methods.anchorMerkleRoot(root, batchId, leafCount),
+        { method: 'anchorMerkleRoot' }
+      );
       
       return {
         success: true,
-        data: formattedData
+        ...this._toTransactionResult(receipt),
+        root,
+        batchId,
+        leafCount
       };
     } catch (error) {
-      console.error('REAL blockchain get approval error:', error);
+      console.error('REAL blockchain anchor Merkle root error:', error);
       
-      // Check if we should fall back to mock mode
-      if (process.env.ALLOW_MOCK_FALLBACK === 'true') {
-        console.warn('WARNING: Falling back to mock mode due to error. This will NOT retrieve real data from the blockchain.');
-        return this._mockGetApproval(approvalId);
+      const pausedResult = this._getPausedResult(error);
+      if (pausedResult) {
+        return pausedResult;
       }
       
       return {
         success: false,
-        error: `Failed to get approval from blockchain: ${error.message}`,
+        error: `Failed to anchor Merkle root on blockchain: ${this._getErrorMessage(error)}`,
         details: {
-          rpcUrl: this.rpcUrl,
           contractAddress: this.contractAddress,
-          approvalId: approvalId,
-          solution: 'Ensure your blockchain connection is properly configured and the contract is deployed'
+          root,
+          batchId
         }
       };
     }
   }
   
   /**
-   * Get total number of approvals from the blockchain
+   * Get the on-chain anchor of a Merkle root
    * 
-   * @returns {Promise<number>} Total number of approvals
+   * @param {string} root - Merkle root to look up
+   * @returns {Promise<Object>} Anchor details, anchored is false if the root was never anchored
    */
-  async getTotalApprovals() {
+  async getMerkleAnchor(root) {
     try {
       // Check if we're in mock mode
       if (this.mockMode) {
-        console.warn('WARNING: Using mock mode for getTotalApprovals. This will NOT retrieve real data from the blockchain.');
-        return this._mockGetTotalApprovals();
+        console.warn('WARNING: Using mock mode for getMerkleAnchor. This will NOT retrieve real data from the blockchain.');
+        return {
+          success: true,
+          data: { root, anchored: true, batchId: null, leafCount: null, anchoredBy: null, anchoredAt: null }
+        };
       }
       
-      console.log('Getting REAL total approvals from blockchain');
-      
-      // Call contract method
-      const result = await this.contract.methods.getTotalApprovals().call();
-      console.log('REAL blockchain returned total approvals:', result);
+      const anchor = await this.contract.methods.getMerkleAnchor(root).call();
+      const anchoredAt = Number(anchor.anchoredAt);
       
-      return parseInt(result);
+      return {
+        success: true,
+        data: {
+          root,
+          anchored: anchoredAt > 0,
+          batchId: anchor.batchId,
+          leafCount: Number(anchor.leafCount),
+          anchoredBy: anchor.anchoredBy,
+          anchoredAt
+        }
+      };
     } catch (error) {
-      console.error('REAL blockchain get total approvals error:', error);
-      
-      // Do not fall back to mock mode - we want real data only
-      throw new Error(`Failed to get total approvals from blockchain: ${error.message}`);
+      console.error('REAL blockchain get Merkle anchor error:', error);
+      return {
+        success: false,
+        error: `Failed to get Merkle anchor from blockchain: ${this._getErrorMessage(error)}`
+      };
     }
   }
   
   /**
-   * Get approval ID by index from the blockchain
+   * Verify an inclusion proof against an anchored Merkle root using the contract
    * 
-   * @param {number} index - Index in the approvals array
-   * @returns {Promise<string>} Approval ID
+   * @param {string} root - Anchored Merkle root
+   * @param {string} leaf - Leaf hash of the approval
+   * @param {Array<string>} proof - Sibling hashes from the leaf up to the root
+   * @returns {Promise<Object>} Whether the proof is valid for an anchored root
    */
-  async getApprovalIdByIndex(index) {
+  async verifyMerkleProof(root, leaf, proof) {
     try {
       // Check if we're in mock mode
       if (this.mockMode) {
-        console.warn('WARNING: Using mock mode for getApprovalIdByIndex. This will NOT retrieve real data from the blockchain.');
-        return this._mockGetApprovalIdByIndex(index);
+        console.warn('WARNING: Using mock mode for verifyMerkleProof. The proof is only checked locally.');
+        return {
+          success: true,
+          data: { verified: verifyMerkleProof(root, leaf, proof) }
+        };
       }
       
-      console.log('Getting REAL approval ID by index from blockchain:', index);
-      
-      // Call contract method
-      const result = await this.contract.methods.getApprovalIdByIndex(index).call();
-      console.log(`REAL blockchain returned approval ID at index ${index}:`, result);
+      const verified = await this.contract.methods.verifyMerkleProof(root, leaf, proof).call();
       
-      return result;
+      return {
+        success: true,
+        data: { verified }
+      };
     } catch (error) {
-      console.error('REAL blockchain get approval ID by index error:', error);
+      console.error('REAL blockchain verify Merkle proof error:', error);
+      return {
+        success: false,
+        error: `Failed to verify Merkle proof on blockchain: ${this._getErrorMessage(error)}`
+      };
+    }
+  }
+  
+  /**
+   * Map approval data to the contract's ApprovalInput struct
+   * 
+   * @param {Object} approvalData - Data for the approval
+   * @returns {Object} ApprovalInput fields
+   */
+  _toApprovalInput(approvalData) {
+    return {
+      approvalId: approvalData.approvalId,
+      requestId: approvalData.requestId,
+      requesterId: approvalData.requesterId,
+      ownerId: approvalData.ownerId,
+      requestType: approvalData.requestType,
+      licenceKey: approvalData.licenceKey || '',
+      validUntil: approvalData.validUntil || 0
+    };
+  }
+  
+  /**
+   * Estimate gas for a prepared contract method call and send it from the service account
+   * Gas limit and fees follow the gas policy (EIP-1559 fees, or a legacy gas price where the chain has no base fee).
+   * The send goes through the process-wide transaction queue, which assigns the nonce.
+   * The transaction is tracked from its broadcast until it is final, so a transaction stuck in the mempool,
+   * or a chain reorganization that moves or drops it, is noticed
+   * 
+   * @param {Object} tx - Prepared contract method (e.g. this.contract.methods.x(...))
+   * @param {Object} tracking - Contract method name and the IDs of the approvals the transaction writes
+   * @returns {Promise<Object>} Transaction receipt
+   * @throws {Error} TransactionStuckError if the transaction is not mined within TX_STUCK_TIMEOUT_MS
+   * @throws {Error} ContractPausedError if the write is one the paused contract refuses
+   */
+  async _sendTransaction(tx, { method = null, approvalIds = [] } = {}) {
+    // For Ganache, make sure we have an account
+    if (this.isGanache && !this.account) {
+      await this.initGanacheAccount();
+    }
+    
+    if (!this.account) {
+      throw new Error('No account available. Please check your private key configuration.');
+    }
+    
+    let gasEstimate;
+    try {
+      gasEstimate = await tx.estimateGas({ from: this.account.address });
+    } catch (error) {
+      // A paused contract rejects every approval write, report the pause rather than the failed estimate
+      if (Web3BlockchainService.PAUSABLE_METHODS.includes(method)) {
+        await this._assertNotPaused(method);
+      }
+      throw error;
+    }
+    const gasLimit = getGasLimit(gasEstimate);
+    const feeFields = await getFeeFields(this.web3);
+    
+    console.log('Gas estimate:', Number(gasEstimate), 'Gas limit:', gasLimit, 'Fees:', feeFields);
+    
+    const receipt = await transactionQueue.enqueue({
+      from: this.account.address,
+      web3: this.web3,
+      method,
+      approvalIds,
+      send: nonce => tx.send({
+        from: this.account.address,
+        gas: gasLimit,
+        ...feeFields,
+        nonce
+      }),
+      onBroadcast: ({ transactionHash, nonce }) => transactionTracker.track({
+        transactionHash,
+        state: 'submitted',
+        blockNumber: null,
+        blockHash: null,
+        method,
+        approvalIds,
+        // Kept so the transaction can be replaced while unmined, or sent again if a reorganization drops it
+        from: this.account.address,
+        to: this.contractAddress,
+        data: tx.encodeABI(),
+        nonce,
+        gas: gasLimit,
+        fees: this._serializeFees(feeFields)
+      })
+    });
+    
+    console.log('REAL blockchain transaction successful:', receipt.transactionHash);
+    
+    transactionTracker.update(receipt.transactionHash, {
+      state: 'pending',
+      blockNumber: Number(receipt.blockNumber),
+      blockHash: receipt.blockHash
+    });
+    
+    return receipt;
+  }
+  
+  /**
+   * Convert fee fields to decimal strings, so they can be stored as JSON
+   * 
+   * @param {Object} feeFields - Fee fields in wei, as bigint
+   * @returns {Object} The same fields as strings
+   */
+  _serializeFees(feeFields) {
+    return Object.fromEntries(Object.entries(feeFields).map(([field, value]) => [field, value.toString()]));
+  }
+  
+  /**
+   * Get the result of a write whose transaction was not mined in time
+   * The transaction is tracked as stuck, it may still be mined or can be sped up or cancelled
+   * 
+   * @param {Error} error - Error thrown by _sendTransaction
+   * @returns {Object|null} Failed result with the hash of the stuck transaction, or null for other errors
+   */
+  _getStuckResult(error) {
+    if (error.name !== 'TransactionStuckError') {
+      return null;
+    }
+    
+    return {
+      success: false,
+      stuck: true,
+      transactionHash: error.transactionHash,
+      nonce: error.nonce,
+      error: `${error.message}, it is still pending and can be sped up or cancelled`
+    };
+  }
+  
+  /**
+   * Get the fields every write result reports about its transaction
+   * A transaction that has just been included has one confirmation, so it is usually still pending
+   * 
+   * @param {Object} receipt - Transaction receipt
+   * @returns {Object} Transaction hash, block number and hash, finality and the fees paid
+   */
+  _toTransactionResult(receipt) {
+    return {
+      transactionHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      finality: describeFinality(receipt.blockNumber, receipt.blockNumber),
+      fees: describeFeesPaid(receipt)
+    };
+  }
+  
+  /**
+   * Decode all contract events of a transaction receipt, in log order
+   * web3 keys receipt.events by event name, so repeated events of the same type would be lost
+   * 
+   * @param {Object} receipt - Transaction receipt, or any object with the raw logs to decode
+   * @returns {Array<Object>} Decoded events with event name, returnValues and logIndex
+   */
+  _decodeReceiptEvents(receipt) {
+    const eventAbis = [
+      ...this.contract.options.jsonInterface.filter(item => item.type === 'event'),
+      Web3BlockchainService.LEGACY_APPROVAL_RECORDED_EVENT
+    ];
+    const events = [];
+    
+    for (const log of receipt.logs || []) {
+      const eventAbi = eventAbis.find(item => 
+        this.web3.eth.abi.encodeEventSignature(item) === log.topics[0]
+      );
       
-      // Do not fall back to mock mode - we want real data only
-      throw new Error(`Failed to get approval ID by index from blockchain: ${error.message}`);
+      if (!eventAbi) {
+        continue;
+      }
+      
+      events.push({
+        event: eventAbi.name,
+        returnValues: this.web3.eth.abi.decodeLog(eventAbi.inputs, log.data, log.topics.slice(1)),
+        logIndex: Number(log.logIndex),
+        transactionHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash
+      });
+    }
+    
+    return events;
+  }
+  
+  /**
+   * Mock implementation of getApprovalByRequestId
+   * 
+   * @param {string} requestId - ID of the sync request
+   * @returns {Object} Mock approval details
+   */
+  _mockGetApprovalByRequestId(requestId) {
+    console.log('Mock getApprovalByRequestId called with ID:', requestId);
+    
+    const result = this._mockGetApproval(requestId);
+    
+    return {
+      ...result,
+      data: { approvalId: requestId, ...result.data, requestId }
+    };
+  }
+  
+  /**
+   * Get a readable message for a blockchain error, including the contract revert reason if available
+   * 
+   * @param {Error} error - The error thrown by web3
+   * @returns {string} Error message
+   */
+  _getErrorMessage(error) {
+    // web3 wraps contract reverts, the revert reason is only available on the inner error
+    const innerMessage = error.cause?.message || error.innerError?.message;
+    
+    if (innerMessage && innerMessage !== error.message) {
+      return `${error.message}: ${innerMessage}`;
     }
+    
+    return error.message;
   }
   
   // Mock implementations for fallback
@@ -712,7 +3654,33 @@ class Web3BlockchainService {
     };
   }
   
-  _mockDeactivateApproval(approvalId) {
+  _mockRecordSyncApprovalsBatch(approvalsData) {
+    console.log('Mock recordSyncApprovalsBatch called with', approvalsData.length, 'approvals');
+    
+    // Mirror the contract: later duplicates of an ID in the same batch are skipped
+    const seen = new Set();
+    const results = approvalsData.map(approvalData => {
+      const recorded = !seen.has(approvalData.approvalId);
+      seen.add(approvalData.approvalId);
+      
+      return {
+        approvalId: approvalData.approvalId,
+        recorded,
+        ...(!recorded && { error: 'Approval ID already exists' })
+      };
+    });
+    
+    return {
+      success: true,
+      transactionHash: '0x' + Buffer.from(JSON.stringify(approvalsData)).toString('hex').substring(0, 64),
+      blockNumber: Date.now(),
+      recordedCount: results.filter(result => result.recorded).length,
+      failedCount: results.filter(result => !result.recorded).length,
+      results
+    };
+  }
+  
+  _mockDeactivateApproval(approvalId, { reasonCode, reason }) {
     console.log('Mock deactivateApproval called with ID:', approvalId);
     
     // Generate a mock transaction hash
@@ -722,10 +3690,44 @@ class Web3BlockchainService {
       success: true,
       transactionHash: mockTxHash,
       blockNumber: Date.now(),
-      approvalId
+      approvalId,
+      reasonCode,
+      reason: reason || ''
+    };
+  }
+  
+  _mockAmendApproval(approvalId, { requestType, licenceKey }, reason) {
+    console.log('Mock amendApproval called with ID:', approvalId);
+    
+    const current = this._mockGetApproval(approvalId).data;
+    
+    return {
+      success: true,
+      transactionHash: '0x' + Buffer.from(`${approvalId}-amend`).toString('hex').substring(0, 64),
+      blockNumber: Date.now(),
+      approvalId,
+      version: 2,
+      requestType: requestType ?? current.requestType,
+      licenceKey: licenceKey ?? current.licenceKey,
+      reason: reason || ''
     };
   }
   
+  _mockGetApprovalVersions(approvalId) {
+    const current = this._mockGetApproval(approvalId).data;
+    
+    return [{
+      version: 1,
+      requestType: current.requestType,
+      licenceKey: current.licenceKey,
+      effectiveFrom: current.timestamp,
+      supersededAt: null,
+      supersededBy: null,
+      amendmentReason: null,
+      current: true
+    }];
+  }
+  
   _mockGetApproval(approvalId) {
     console.log('Mock getApproval called with ID:', approvalId);
     
@@ -739,6 +3741,11 @@ class Web3BlockchainService {
         licenceKey: 'GS1-123456',
         timestamp: Math.floor(Date.now() / 1000) - 86400, // 1 day ago
         isActive: true,
+        validUntil: null,
+        status: 'active',
+        revocation: null,
+        signer: null,
+        version: 1,
         transactionHash: '0x1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef',
         blockNumber: 12345678
       },
@@ -750,6 +3757,16 @@ class Web3BlockchainService {
         licenceKey: 'GS1-654321',
         timestamp: Math.floor(Date.now() / 1000) - 172800, // 2 days ago
         isActive: false,
+        validUntil: null,
+        status: 'revoked',
+        revocation: {
+          reasonCode: 'licence_expired',
+          reason: 'GS1 licence was not renewed',
+          revokedBy: '0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1',
+          revokedAt: Math.floor(Date.now() / 1000) - 86400
+        },
+        signer: null,
+        version: 1,
         transactionHash: '0xabcdef1234567890abcdef1234567890abcdef1234567890abcdef1234567890',
         blockNumber: 12345679
       }
@@ -764,6 +3781,8 @@ class Web3BlockchainService {
     }
       
       // Generate mock data based on the approvalId
+      const isActive = Math.random() > 0.2; // 80% chance of being active
+      
       return {
         success: true,
         data: {
@@ -773,13 +3792,49 @@ class Web3BlockchainService {
         requestType: Math.random() > 0.5 ? 'gcp' : 'excel',
         licenceKey: 'GS1-' + Math.floor(Math.random() * 1000000).toString(),
         timestamp: Math.floor(Date.now() / 1000) - Math.floor(Math.random() * 2592000), // Up to 30 days ago
-        isActive: Math.random() > 0.2, // 80% chance of being active
+        isActive,
+        validUntil: null,
+        status: isActive ? 'active' : 'revoked',
+        revocation: null,
+        signer: null,
+        version: 1,
         transactionHash: '0x' + Buffer.from(approvalId).toString('hex').substring(0, 64),
         blockNumber: 12345600 + Math.floor(Math.random() * 1000)
       }
     };
   }
   
+  _mockGetRoleMembers(role) {
+    console.log('Mock getRoleMembers called with role:', role);
+    
+    return {
+      success: true,
+      data: {
+        role,
+        roleHash: this._getRoleHash(role),
+        members: ['0x90F8bf6A479f320ead074411a4B0e7944Ea8c9C1']
+      }
+    };
+  }
+  
+  _mockGetApprovalsPage({ offset, limit, ownerId, requesterId }) {
+    console.log('Mock getApprovalsPage called with:', { offset, limit, ownerId, requesterId });
+    
+    const approvals = ['480e24ac73d48cd107ea16cd14798b89', '7f8e9d6c5b4a3210fedcba9876543210']
+      .map(approvalId => ({ approvalId, ...this._mockGetApproval(approvalId).data }))
+      .filter(approval => (!ownerId || approval.ownerId === ownerId) && (!requesterId || approval.requesterId === requesterId));
+    
+    return {
+      success: true,
+      data: {
+        approvals: approvals.slice(offset, offset + limit),
+        total: approvals.length,
+        offset,
+        limit
+      }
+    };
+  }
+  
   _mockGetTotalApprovals() {
     console.log('Mock getTotalApprovals called');
     return 2; // Return 2 mock approvals
@@ -797,4 +3852,21 @@ class Web3BlockchainService {
   }
 }
 
+let sharedService = null;
+
+/**
+ * Get the service instance shared by the whole process, creating it on first use
+ * The server creates and connects it at startup, scripts can still create their own instances
+ * 
+ * @returns {Web3BlockchainService} The shared service
+ * @throws {Error} If the service cannot be created, e.g. REAL mode without a usable connection setup
+ */
+export const getBlockchainService = () => {
+  if (!sharedService) {
+    sharedService = new Web3BlockchainService();
+  }
+  
+  return sharedService;
+};
+
 export default Web3BlockchainService;
\ No newline at end of file
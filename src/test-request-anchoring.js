@@ -0,0 +1,88 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Anchor in Merkle batches and keep the test's queues out of the data directory
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'printpack-anchoring-'));
+process.env.BLOCKCHAIN_ANCHOR_MODE = 'merkle';
+process.env.MERKLE_STORE_PATH = path.join(storeDir, 'merkle-anchors.json');
+process.env.BLOCKCHAIN_OUTBOX_PATH = path.join(storeDir, 'blockchain-outbox.json');
+
+// The services read their settings when first imported
+const { approveSyncRequest, mockDatabase } = await import('./controllers/requestController.js');
+const { blockchainOutbox } = await import('./services/blockchainOutboxService.js');
+const { merkleAnchorService } = await import('./services/merkleAnchorService.js');
+
+// The mock database only returns GCP requests, requests whose ID starts with 'excel-' stand in for Excel ones
+const findSyncRequest = mockDatabase.syncRequest.findFirst;
+mockDatabase.syncRequest.findFirst = async (params) => {
+  const syncRequest = await findSyncRequest(params);
+  return params.where.id.startsWith('excel-') ? { ...syncRequest, request_type: 'excel' } : syncRequest;
+};
+
+/**
+ * Send an action on a sync request through the controller and return its JSON response
+ *
+ * @param {string} requestId - The sync request ID, Excel requests start with 'excel-'
+ * @param {string} [action='approve'] - approve or revoke
+ * @returns {Promise<Object>} The status code and body sent to the client
+ */
+const respond = (requestId, action = 'approve') => new Promise((resolve, reject) => {
+  const res = {
+    status(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+    }
+  };
+  
+  approveSyncRequest({ body: { request_id: requestId, action }, user: { userId: 'mock-owner-id' } }, res, reject);
+});
+
+/**
+ * Test that approving an Excel request in Merkle mode queues it for anchoring instead of the outbox,
+ * and that revoking it takes it out of the anchoring queue instead of deactivating it on the blockchain
+ */
+const testApprovalAnchoring = async () => {
+  let passed = true;
+  const check = (condition, description) => {
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+    passed = passed && condition;
+  };
+  
+  try {
+    console.log('Approving an Excel sync request in Merkle anchoring mode...');
+    const excel = await respond(`excel-${Date.now()}`);
+    check(excel.statusCode === 200, 'Excel request is approved');
+    check(excel.body.data.next_steps.includes('Excel file'), 'Excel approval has its own next steps');
+    check(excel.body.data.blockchain.anchoring?.queued === true, 'Excel approval is queued for anchoring');
+    check(Boolean(excel.body.data.blockchain.anchoring?.anchor_due_at), 'Anchoring batch has a due time');
+    check(blockchainOutbox.list({ approvalId: excel.body.data.request_id }).length === 0, 'Excel approval is not queued in the outbox');
+    
+    console.log('Revoking the queued Excel approval...');
+    const revocation = await respond(excel.body.data.request_id, 'revoke');
+    check(revocation.statusCode === 200, 'Excel request is revoked');
+    check(revocation.body.data.blockchain.anchoring?.revoked === true, 'Excel approval is revoked in the anchor store');
+    check(revocation.body.data.blockchain.anchoring?.anchored === false, 'Excel approval was not anchored yet');
+    check(merkleAnchorService.getProof(excel.body.data.request_id) === null, 'Excel approval is dropped from the anchoring queue');
+    
+    console.log('Approving a GCP sync request in Merkle anchoring mode...');
+    const gcp = await respond(`gcp-${Date.now()}`);
+    check(gcp.statusCode === 200, 'GCP request is approved');
+    check(gcp.body.data.blockchain.outbox?.queued === true, 'GCP approval is queued in the outbox');
+    check(!gcp.body.data.blockchain.anchoring, 'GCP approval is not anchored');
+  } catch (error) {
+    console.error('Test error:', error);
+    passed = false;
+  } finally {
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+  
+  console.log(passed ? '✅ Anchoring test passed!' : '❌ Anchoring test failed!');
+  process.exitCode = passed ? 0 : 1;
+};
+
+// Run the test
+testApprovalAnchoring();
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep the test's queue out of the data directory, the test drains it itself rather than at each poll
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'printpack-revocation-'));
+process.env.BLOCKCHAIN_OUTBOX_PATH = path.join(storeDir, 'blockchain-outbox.json');
+process.env.BLOCKCHAIN_OUTBOX_POLL_MS = '600000';
+
+// The services read their settings when first imported
+const { approveSyncRequest } = await import('./controllers/requestController.js');
+const { blockchainOutbox } = await import('./services/blockchainOutboxService.js');
+
+/**
+ * Send an action on a sync request through the controller and return its JSON response
+ *
+ * @param {Object} body - The request body, with request_id and action
+ * @returns {Promise<Object>} The status code and body sent to the client
+ */
+const respond = (body) => new Promise((resolve, reject) => {
+  const res = {
+    status(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+    }
+  };
+  
+  approveSyncRequest({ body, user: { userId: 'mock-owner-id' } }, res, reject);
+});
+
+/**
+ * Wait until a condition holds, checking every few milliseconds
+ *
+ * @param {Function} condition - Returns true once the wait is over
+ * @param {number} [timeoutMs=5000] - How long to wait before giving up
+ */
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the outbox entry');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+/**
+ * Test that revoking a request while its blockchain write is being sent queues the deactivation behind the write
+ */
+const testRevocationWhileProcessing = async () => {
+  let passed = true;
+  const check = (condition, description) => {
+    console.log(`${condition ? '✅' : '❌'} ${description}`);
+    passed = passed && condition;
+  };
+  
+  // Stands in for processBlockchainOutboxEntry, holding the record write until it is released
+  const sentTypes = [];
+  let releaseRecord;
+  const recordReleased = new Promise(resolve => {
+    releaseRecord = resolve;
+  });
+  const processEntry = async (entry) => {
+    if (entry.type === 'recordApproval') {
+      await recordReleased;
+    }
+    sentTypes.push(entry.type);
+    return { success: true, data: { transactionHash: `0x${sentTypes.length}`, blockNumber: sentTypes.length } };
+  };
+  
+  try {
+    const requestId = `gcp-${Date.now()}`;
+    
+    console.log('Approving a sync request...');
+    const approval = await respond({ request_id: requestId, action: 'approve' });
+    check(approval.statusCode === 200, 'Request is approved');
+    const recordEntryId = approval.body.data.blockchain.outbox?.outbox_id;
+    check(Boolean(recordEntryId), 'Approval is queued in the outbox');
+    
+    console.log('Sending the approval and revoking it while it is processing...');
+    blockchainOutbox.start(processEntry);
+    await waitFor(() => blockchainOutbox.get(recordEntryId).status === 'processing');
+    
+    const revocation = await respond({ request_id: requestId, action: 'revoke' });
+    check(revocation.statusCode === 200, 'Request is revoked');
+    const outbox = revocation.body.data.blockchain.outbox;
+    check(outbox?.queued === true, 'Deactivation is queued in the outbox');
+    check(outbox?.run_after === recordEntryId, 'Deactivation runs after the approval write');
+    check(blockchainOutbox.get(recordEntryId).status === 'processing', 'Approval write is not cancelled');
+    check(blockchainOutbox.get(outbox?.outbox_id)?.status === 'pending', 'Deactivation waits while the approval write is processing');
+    
+    console.log('Mining the approval write...');
+    releaseRecord();
+    // The first drain finishes sending the approval write, the next one sends the deactivation that follows it
+    await blockchainOutbox.drain();
+    await blockchainOutbox.drain();
+    
+    check(blockchainOutbox.get(outbox.outbox_id).status === 'sent', 'Deactivation is sent');
+    check(sentTypes.join(',') === 'recordApproval,deactivateApproval', 'Deactivation is sent after the approval write');
+  } catch (error) {
+    console.error('Test error:', error);
+    passed = false;
+  } finally {
+    blockchainOutbox.stop();
+    fs.rmSync(storeDir, { recursive: true, force: true });
+  }
+  
+  console.log(passed ? '✅ Revocation test passed!' : '❌ Revocation test failed!');
+  process.exitCode = passed ? 0 : 1;
+};
+
+// Run the test
+testRevocationWhileProcessing();
@@ -78,7 +78,10 @@ const testBlockchainIntegration = async () => {
         
         // Test deactivation
         console.log('Testing approval deactivation...');
-        const deactivateResult = await blockchainService.deactivateApproval(testData.approvalId);
+        const deactivateResult = await blockchainService.deactivateApproval(testData.approvalId, {
+          reasonCode: 'other',
+          reason: 'Integration test'
+        });
         
         if (deactivateResult.success) {
           console.log('Approval deactivated successfully!');
@@ -88,6 +91,7 @@ const testBlockchainIntegration = async () => {
           
           if (verifyResult.success && !verifyResult.data.isActive) {
             console.log('✅ Deactivation test passed! Approval is now inactive.');
+            console.log('Revocation details:', verifyResult.data.revocation);
           } else {
             console.error('❌ Deactivation test failed! Approval is still active.');
           }
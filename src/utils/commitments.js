@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+import { eth, utils } from 'web3';
+
+/**
+ * Salted commitments for approval fields that must not be stored on chain in clear text
+ */
+
+/**
+ * Generate a random 32-byte salt
+ *
+ * @returns {string} The salt as a 0x-prefixed hex string
+ */
+export const generateSalt = () => '0x' + crypto.randomBytes(32).toString('hex');
+
+/**
+ * Commit to a value with a salt
+ * The commitment is keccak256(abi.encode(value, salt)), so it can be checked with Solidity as well
+ *
+ * @param {string} value - The clear value
+ * @param {string} salt - The 32-byte salt from generateSalt
+ * @returns {string} The commitment as a 0x-prefixed hex string
+ */
+export const createCommitment = (value, salt) => {
+  const encoded = eth.abi.encodeParameters(['string', 'bytes32'], [value || '', salt]);
+  return utils.keccak256(encoded).toLowerCase();
+};
+
+/**
+ * Check whether a value read from the contract looks like a commitment rather than clear text
+ *
+ * @param {string} value - The value stored on chain
+ * @returns {boolean} Whether the value is a 32-byte hex commitment
+ */
+export const isCommitment = (value) => typeof value === 'string' && /^0x[0-9a-f]{64}$/.test(value);
@@ -0,0 +1,76 @@
+/**
+ * Finality of transactions and events, measured in blocks built on top of them
+ *
+ * A transaction is pending while it is fewer than BLOCKCHAIN_CONFIRMATIONS blocks deep, confirmed from
+ * then on and finalized once BLOCKCHAIN_FINALITY_DEPTH blocks deep, when a chain reorganization can no
+ * longer remove it. A transaction a reorganization dropped from the chain is orphaned.
+ */
+
+/**
+ * Finality states, from least to most final, plus the state of dropped transactions
+ */
+export const FINALITY_STATES = ['pending', 'confirmed', 'finalized', 'orphaned'];
+
+/**
+ * Get the number of confirmations a transaction needs to count as confirmed
+ *
+ * @returns {number} Confirmation depth
+ */
+export const getConfirmationDepth = () => parseInt(process.env.BLOCKCHAIN_CONFIRMATIONS || '12', 10);
+
+/**
+ * Get the number of confirmations after which a transaction is considered final
+ *
+ * @returns {number} Finality depth, never below the confirmation depth
+ */
+export const getFinalityDepth = () => Math.max(
+  parseInt(process.env.BLOCKCHAIN_FINALITY_DEPTH || '64', 10),
+  getConfirmationDepth()
+);
+
+/**
+ * Count the confirmations of a block, the block itself being the first
+ *
+ * @param {number|bigint} blockNumber - Block the transaction was included in
+ * @param {number|bigint} latestBlock - Current block number
+ * @returns {number} Confirmations, 0 if the block is not known yet
+ */
+export const countConfirmations = (blockNumber, latestBlock) => {
+  if (blockNumber === null || blockNumber === undefined) {
+    return 0;
+  }
+  
+  return Math.max(Number(latestBlock) - Number(blockNumber) + 1, 0);
+};
+
+/**
+ * Get the finality state of an included transaction
+ *
+ * @param {number} confirmations - Confirmations of its block
+ * @returns {string} pending, confirmed or finalized
+ */
+export const getFinalityState = (confirmations) => {
+  if (confirmations >= getFinalityDepth()) {
+    return 'finalized';
+  }
+  
+  return confirmations >= getConfirmationDepth() ? 'confirmed' : 'pending';
+};
+
+/**
+ * Describe the finality of a block for API responses
+ *
+ * @param {number|bigint} blockNumber - Block the transaction was included in
+ * @param {number|bigint} latestBlock - Current block number
+ * @returns {Object} State, confirmations and the depths they are measured against
+ */
+export const describeFinality = (blockNumber, latestBlock) => {
+  const confirmations = countConfirmations(blockNumber, latestBlock);
+  
+  return {
+    state: getFinalityState(confirmations),
+    confirmations,
+    requiredConfirmations: getConfirmationDepth(),
+    finalityDepth: getFinalityDepth()
+  };
+};
@@ -0,0 +1,263 @@
+/**
+ * Gas limit and fee settings of the transactions sent by the service account
+ *
+ * On chains with EIP-1559 (the latest block has a base fee) transactions are sent with maxFeePerGas and
+ * maxPriorityFeePerGas derived from eth_feeHistory. Chains without it, or nodes that do not support
+ * eth_feeHistory, get a legacy gasPrice. GAS_PRICE_STRATEGY forces one or the other.
+ *
+ * Fees can be capped per network: GAS_MAX_FEE_GWEI_<NETWORK> (e.g. GAS_MAX_FEE_GWEI_SEPOLIA) overrides
+ * GAS_MAX_FEE_GWEI for BLOCKCHAIN_NETWORK, and the same goes for GAS_MAX_PRIORITY_FEE_GWEI.
+ */
+
+const GWEI = 1000000000n;
+
+/**
+ * Fee strategies, auto picks EIP-1559 when the chain supports it
+ */
+export const GAS_PRICE_STRATEGIES = ['auto', 'eip1559', 'legacy'];
+
+/**
+ * Read a per-network setting, falling back to the setting for all networks
+ *
+ * @param {string} name - Setting name, e.g. GAS_MAX_FEE_GWEI
+ * @returns {string|undefined} The value from the environment
+ */
+const getNetworkSetting = (name) => {
+  const network = (process.env.BLOCKCHAIN_NETWORK || '').toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  
+  return (network && process.env[`${name}_${network}`]) || process.env[name];
+};
+
+/**
+ * Convert a gwei amount from the environment to wei
+ *
+ * @param {string|undefined} value - Amount in gwei, decimals allowed
+ * @returns {bigint|null} Amount in wei, or null if not set
+ */
+const gweiToWei = (value) => {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  
+  return BigInt(Math.round(parseFloat(value) * 1e9));
+};
+
+/**
+ * Format a wei amount as gwei for messages
+ *
+ * @param {bigint} wei - Amount in wei
+ * @returns {string} Amount in gwei
+ */
+const formatGwei = (wei) => (Number(wei) / Number(GWEI)).toString();
+
+/**
+ * Get the fee strategy
+ *
+ * @returns {string} auto, eip1559 or legacy
+ */
+export const getGasPriceStrategy = () => {
+  const strategy = process.env.GAS_PRICE_STRATEGY || 'auto';
+  
+  return GAS_PRICE_STRATEGIES.includes(strategy) ? strategy : 'auto';
+};
+
+/**
+ * Get the fee caps of the current network
+ *
+ * @returns {Object} maxFeePerGas (also caps the legacy gasPrice) and maxPriorityFeePerGas in wei, null when uncapped
+ */
+export const getFeeCaps = () => ({
+  maxFeePerGas: gweiToWei(getNetworkSetting('GAS_MAX_FEE_GWEI')),
+  maxPriorityFeePerGas: gweiToWei(getNetworkSetting('GAS_MAX_PRIORITY_FEE_GWEI'))
+});
+
+/**
+ * Add the safety margin to a gas estimate
+ *
+ * @param {number|bigint} gasEstimate - Gas estimated for the call
+ * @returns {number} Gas limit to send the transaction with
+ */
+export const getGasLimit = (gasEstimate) => {
+  const multiplier = parseFloat(getNetworkSetting('GAS_LIMIT_MULTIPLIER') || '1.2');
+  
+  return Math.ceil(Number(gasEstimate) * multiplier);
+};
+
+/**
+ * Get the median of a list of amounts
+ *
+ * @param {Array<bigint>} values - Amounts
+ * @returns {bigint} The median, 0 for an empty list
+ */
+const median = (values) => {
+  if (values.length === 0) {
+    return 0n;
+  }
+  
+  const sorted = [...values].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Get EIP-1559 fees from the fee history of the recent blocks
+ * The priority fee is the median of the GAS_PRIORITY_FEE_PERCENTILE tip of the last GAS_FEE_HISTORY_BLOCKS blocks,
+ * the max fee leaves room for the base fee to grow for a few blocks (GAS_BASE_FEE_MULTIPLIER)
+ *
+ * @param {Object} history - Result of eth_feeHistory
+ * @returns {Object} maxFeePerGas and maxPriorityFeePerGas in wei
+ * @throws {Error} If the base fee is above the fee cap
+ */
+const getEip1559Fees = (history) => {
+  const baseFeeMultiplier = parseFloat(getNetworkSetting('GAS_BASE_FEE_MULTIPLIER') || '2');
+  
+  // The last base fee is the one of the next block
+  const nextBaseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+  let maxPriorityFeePerGas = median((history.reward || []).map(rewards => BigInt(rewards[0])));
+  
+  const caps = getFeeCaps();
+  
+  if (caps.maxPriorityFeePerGas !== null && maxPriorityFeePerGas > caps.maxPriorityFeePerGas) {
+    maxPriorityFeePerGas = caps.maxPriorityFeePerGas;
+  }
+  
+  let maxFeePerGas = BigInt(Math.ceil(Number(nextBaseFee) * baseFeeMultiplier)) + maxPriorityFeePerGas;
+  
+  if (caps.maxFeePerGas !== null) {
+    // A cap below the base fee would leave the transaction pending until fees drop, fail now instead
+    if (caps.maxFeePerGas < nextBaseFee) {
+      throw new Error(`Base fee of ${formatGwei(nextBaseFee)} gwei is above the fee cap of ${formatGwei(caps.maxFeePerGas)} gwei`);
+    }
+    
+    if (maxFeePerGas > caps.maxFeePerGas) {
+      maxFeePerGas = caps.maxFeePerGas;
+    }
+  }
+  
+  // The tip is paid out of the max fee, so it can never be higher
+  if (maxPriorityFeePerGas > maxFeePerGas) {
+    maxPriorityFeePerGas = maxFeePerGas;
+  }
+  
+  return { maxFeePerGas, maxPriorityFeePerGas };
+};
+
+/**
+ * Get the legacy gas price suggested by the node
+ *
+ * @param {Object} web3 - Web3 instance
+ * @returns {Promise<Object>} gasPrice in wei
+ */
+const getLegacyFees = async (web3) => {
+  let gasPrice = BigInt(await web3.eth.getGasPrice());
+  const { maxFeePerGas: cap } = getFeeCaps();
+  
+  if (cap !== null && gasPrice > cap) {
+    console.warn(`Gas price of ${formatGwei(gasPrice)} gwei is above the fee cap, sending with ${formatGwei(cap)} gwei`);
+    gasPrice = cap;
+  }
+  
+  return { gasPrice };
+};
+
+/**
+ * Get the fee fields to send a transaction with
+ *
+ * @param {Object} web3 - Web3 instance
+ * @returns {Promise<Object>} Either maxFeePerGas and maxPriorityFeePerGas, or gasPrice, in wei
+ */
+export const getFeeFields = async (web3) => {
+  const strategy = getGasPriceStrategy();
+  
+  if (strategy === 'legacy') {
+    return getLegacyFees(web3);
+  }
+  
+  if (strategy === 'auto') {
+    const latestBlock = await web3.eth.getBlock('latest');
+    
+    if (latestBlock.baseFeePerGas === undefined || latestBlock.baseFeePerGas === null) {
+      return getLegacyFees(web3);
+    }
+  }
+  
+  let history;
+  try {
+    history = await web3.eth.getFeeHistory(
+      parseInt(process.env.GAS_FEE_HISTORY_BLOCKS || '10', 10),
+      'latest',
+      [parseFloat(process.env.GAS_PRIORITY_FEE_PERCENTILE || '50')]
+    );
+  } catch (error) {
+    if (strategy === 'eip1559') {
+      throw error;
+    }
+    
+    // Some nodes report a base fee but do not support eth_feeHistory
+    console.warn('Could not get the fee history, falling back to a legacy gas price:', error.message);
+    return getLegacyFees(web3);
+  }
+  
+  return getEip1559Fees(history);
+};
+
+/**
+ * Get the fees of a transaction replacing an unmined one with the same nonce (speed-up or cancel)
+ * Nodes only accept a replacement that raises every fee by a minimum (10% for geth), so each fee is the
+ * higher of the current policy fee and the previous fee raised by GAS_REPLACEMENT_BUMP_PERCENT
+ *
+ * @param {Object} web3 - Web3 instance
+ * @param {Object} previousFees - Fee fields the replaced transaction was sent with, in wei
+ * @returns {Promise<Object>} Fee fields of the same type as the previous ones, in wei
+ * @throws {Error} If a raised fee is above the fee cap
+ */
+export const getReplacementFees = async (web3, previousFees) => {
+  const bumpPercent = BigInt(Math.ceil(parseFloat(process.env.GAS_REPLACEMENT_BUMP_PERCENT || '20')));
+  const bump = (fee) => (BigInt(fee) * (100n + bumpPercent) + 99n) / 100n;
+  const higher = (a, b) => (a > b ? a : b);
+  const caps = getFeeCaps();
+  
+  const checkCap = (fee, cap) => {
+    if (cap !== null && fee > cap) {
+      throw new Error(`Replacement fee of ${formatGwei(fee)} gwei is above the fee cap of ${formatGwei(cap)} gwei`);
+    }
+    
+    return fee;
+  };
+  
+  if (previousFees.gasPrice !== undefined) {
+    const { gasPrice } = await getLegacyFees(web3);
+    
+    return { gasPrice: checkCap(higher(gasPrice, bump(previousFees.gasPrice)), caps.maxFeePerGas) };
+  }
+  
+  const current = await getFeeFields(web3);
+  const currentMaxFee = current.maxFeePerGas ?? current.gasPrice;
+  const currentPriorityFee = current.maxPriorityFeePerGas ?? current.gasPrice;
+  
+  const maxPriorityFeePerGas = checkCap(higher(currentPriorityFee, bump(previousFees.maxPriorityFeePerGas)), caps.maxPriorityFeePerGas);
+  const maxFeePerGas = checkCap(higher(higher(currentMaxFee, bump(previousFees.maxFeePerGas)), maxPriorityFeePerGas), caps.maxFeePerGas);
+  
+  return { maxFeePerGas, maxPriorityFeePerGas };
+};
+
+/**
+ * Describe the fees a mined transaction paid
+ *
+ * @param {Object} receipt - Transaction receipt
+ * @returns {Object} Transaction type, gas used, effective gas price and fee paid (wei amounts as decimal strings)
+ */
+export const describeFeesPaid = (receipt) => {
+  const gasUsed = BigInt(receipt.gasUsed ?? 0);
+  const effectiveGasPrice = BigInt(receipt.effectiveGasPrice ?? 0);
+  const feePaid = gasUsed * effectiveGasPrice;
+  
+  return {
+    type: Number(receipt.type ?? 0) === 2 ? 'eip1559' : 'legacy',
+    gasUsed: Number(gasUsed),
+    effectiveGasPrice: effectiveGasPrice.toString(),
+    effectiveGasPriceGwei: formatGwei(effectiveGasPrice),
+    feePaid: feePaid.toString(),
+    feePaidEth: (Number(feePaid) / 1e18).toString()
+  };
+};
@@ -0,0 +1,121 @@
+import { eth, utils } from 'web3';
+
+/**
+ * Merkle tree helpers for anchoring batches of approvals on the blockchain
+ *
+ * Pairs are hashed in sorted order and an odd node is carried up to the next level
+ * unchanged, matching verifyMerkleProof in PrintPackSyncApproval.sol
+ */
+
+/**
+ * Hash an approval into a Merkle leaf
+ * The leaf is keccak256(abi.encode(approvalId, requestId, requesterId, ownerId, requestType, licenceKey, validUntil))
+ *
+ * @param {Object} approvalData - The approval data
+ * @returns {string} The leaf hash as a 0x-prefixed hex string
+ */
+export const hashApprovalLeaf = (approvalData) => {
+  const encoded = eth.abi.encodeParameters(
+    ['string', 'string', 'string', 'string', 'string', 'string', 'uint256'],
+    [
+      approvalData.approvalId,
+      approvalData.requestId,
+      approvalData.requesterId,
+      approvalData.ownerId,
+      approvalData.requestType,
+      approvalData.licenceKey || '',
+      approvalData.validUntil || 0
+    ]
+  );
+  
+  return utils.keccak256(encoded).toLowerCase();
+};
+
+/**
+ * Hash two nodes in sorted order
+ *
+ * @param {string} a - First node hash
+ * @param {string} b - Second node hash
+ * @returns {string} The parent node hash
+ */
+const hashPair = (a, b) => {
+  const [first, second] = a <= b ? [a, b] : [b, a];
+  return utils.keccak256(first + second.slice(2)).toLowerCase();
+};
+
+/**
+ * Build all layers of a Merkle tree, from the leaves up to the root
+ *
+ * @param {Array<string>} leaves - Leaf hashes
+ * @returns {Array<Array<string>>} Tree layers, the last one holding only the root
+ */
+export const buildMerkleTree = (leaves) => {
+  if (leaves.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+  
+  const layers = [leaves.map(leaf => leaf.toLowerCase())];
+  
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1];
+    const nextLayer = [];
+    
+    for (let i = 0; i < layer.length; i += 2) {
+      nextLayer.push(i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]);
+    }
+    
+    layers.push(nextLayer);
+  }
+  
+  return layers;
+};
+
+/**
+ * Get the root of a Merkle tree
+ *
+ * @param {Array<Array<string>>} layers - Tree layers from buildMerkleTree
+ * @returns {string} The Merkle root
+ */
+export const getMerkleRoot = (layers) => layers[layers.length - 1][0];
+
+/**
+ * Get the inclusion proof for a leaf
+ *
+ * @param {Array<Array<string>>} layers - Tree layers from buildMerkleTree
+ * @param {number} leafIndex - Position of the leaf in the first layer
+ * @returns {Array<string>} Sibling hashes from the leaf up to the root
+ */
+export const getMerkleProof = (layers, leafIndex) => {
+  const proof = [];
+  let index = leafIndex;
+  
+  for (const layer of layers.slice(0, -1)) {
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1;
+    
+    // A node without a sibling is carried up unchanged, so nothing is added to the proof
+    if (siblingIndex < layer.length) {
+      proof.push(layer[siblingIndex]);
+    }
+    
+    index = Math.floor(index / 2);
+  }
+  
+  return proof;
+};
+
+/**
+ * Verify an inclusion proof against a Merkle root
+ *
+ * @param {string} root - The Merkle root
+ * @param {string} leaf - The leaf hash
+ * @param {Array<string>} proof - Sibling hashes from getMerkleProof
+ * @returns {boolean} Whether the leaf is included in the root
+ */
+export const verifyMerkleProof = (root, leaf, proof) => {
+  const computedRoot = proof.reduce(
+    (hash, sibling) => hashPair(hash, sibling.toLowerCase()),
+    leaf.toLowerCase()
+  );
+
+  return computedRoot === root.toLowerCase();
+};